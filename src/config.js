@@ -25,6 +25,33 @@ module.exports = {
   JWT_SECRET: jwtSecret,
   DB_PATH: isTest ? ':memory:' : (process.env.DATABASE_URI || './tasks.db'),
   SYNC_BATCH_SIZE: parseInt(process.env.SYNC_BATCH_SIZE, 10) || 50,
+  TASK_MAX_DEPTH: parseInt(process.env.TASK_MAX_DEPTH, 10) || 5,
+  // Failed sync items are retried up to SYNC_MAX_RETRIES times before going to the dead letter
+  // queue, waiting base * 2^(attempt - 1) ms (capped) in between. Up to SYNC_RETRY_JITTER of
+  // each delay is shaved off at random so retries from many items do not arrive in lockstep.
+  SYNC_MAX_RETRIES: parseInt(process.env.SYNC_MAX_RETRIES, 10) || 3,
+  SYNC_RETRY_BASE_DELAY_MS: parseInt(process.env.SYNC_RETRY_BASE_DELAY_MS, 10) || 30 * 1000,
+  SYNC_RETRY_MAX_DELAY_MS: parseInt(process.env.SYNC_RETRY_MAX_DELAY_MS, 10) || 60 * 60 * 1000,
+  SYNC_RETRY_JITTER: process.env.SYNC_RETRY_JITTER === undefined ? 0.5 : parseFloat(process.env.SYNC_RETRY_JITTER),
+  // Background sync worker: how often it drains the queue, how many users it syncs at once, and how
+  // long a runner's lease on queue items lasts (a crashed runner's items are picked up after it)
+  SYNC_WORKER_INTERVAL_MS: parseInt(process.env.SYNC_WORKER_INTERVAL_MS, 10) || 5 * 1000,
+  SYNC_WORKER_CONCURRENCY: parseInt(process.env.SYNC_WORKER_CONCURRENCY, 10) || 4,
+  SYNC_QUEUE_LEASE_MS: parseInt(process.env.SYNC_QUEUE_LEASE_MS, 10) || 5 * 60 * 1000,
+  // Comment line sent on idle change streams so proxies keep the connection open
+  SYNC_STREAM_HEARTBEAT_MS: parseInt(process.env.SYNC_STREAM_HEARTBEAT_MS, 10) || 15 * 1000,
+  // Deleted tasks stay in the trash this long before the purge job may hard-delete them
+  TRASH_RETENTION_DAYS: parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30,
+  TRASH_PURGE_INTERVAL_MINUTES: parseInt(process.env.TRASH_PURGE_INTERVAL_MINUTES, 10) || 60,
+  // Conflict strategy for users who have not chosen one (see conflictStrategyService)
+  SYNC_CONFLICT_STRATEGY: process.env.SYNC_CONFLICT_STRATEGY || 'last-write-wins',
+  // Hybrid logical clock: this server's node id, and how far ahead of the server a client
+  // timestamp may be before it is treated as clock skew
+  HLC_NODE_ID: process.env.HLC_NODE_ID || 'server',
+  HLC_MAX_DRIFT_MS: parseInt(process.env.HLC_MAX_DRIFT_MS, 10) || 60 * 1000,
+  // Idempotency keys and sync change receipts are kept this long so retried requests can be replayed
+  IDEMPOTENCY_KEY_TTL_HOURS: parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS, 10) || 24,
+  IDEMPOTENCY_PURGE_INTERVAL_MINUTES: parseInt(process.env.IDEMPOTENCY_PURGE_INTERVAL_MINUTES, 10) || 60,
   PORT: parseInt(process.env.PORT, 10) || 3000,
   MAIL_USERNAME: process.env.MAIL_USERNAME,
   MAIL_DEFAULT_SENDER: process.env.MAIL_DEFAULT_SENDER || process.env.MAIL_USERNAME,
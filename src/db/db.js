@@ -1,8 +1,78 @@
+const { AsyncLocalStorage } = require('async_hooks');
 const sqlite3 = require('sqlite3').verbose();
 const config = require('../config');
 
 // Use a global key to ensure a single shared DB instance across ESM and CJS loaders
 const DB_GLOBAL_KEY = '__TASKS_SQLITE_DB__';
+// Transaction state is shared the same way, since every loader uses the same connection
+const TX_GLOBAL_KEY = '__TASKS_SQLITE_TX__';
+
+// Full-text search index over task titles/descriptions. External-content FTS5 table
+// kept in step with `tasks` by triggers, so the index never needs manual upkeep.
+// FTS5 keys rows by integer and task ids are TEXT, so every task gets a stable integer key in
+// `task_search_ids` (an INTEGER PRIMARY KEY is kept by VACUUM, the implicit rowid is not);
+// the `tasks_search` view presents the indexed columns under that key.
+const SEARCH_ID_SQL = (ref) => `(SELECT search_id FROM task_search_ids WHERE task_id = ${ref}.id)`;
+const TASK_SEARCH_SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS task_search_ids (
+    search_id INTEGER PRIMARY KEY,
+    task_id TEXT NOT NULL UNIQUE
+  )`,
+  `CREATE VIEW IF NOT EXISTS tasks_search AS
+    SELECT s.search_id, t.title, t.description
+    FROM task_search_ids s JOIN tasks t ON t.id = s.task_id`,
+  `CREATE VIRTUAL TABLE IF NOT EXISTS tasks_fts USING fts5(
+    title,
+    description,
+    content='tasks_search',
+    content_rowid='search_id',
+    tokenize='unicode61 remove_diacritics 2'
+  )`,
+  `CREATE TRIGGER IF NOT EXISTS tasks_fts_ai AFTER INSERT ON tasks BEGIN
+    INSERT OR IGNORE INTO task_search_ids (task_id) VALUES (new.id);
+    INSERT INTO tasks_fts(rowid, title, description) VALUES (${SEARCH_ID_SQL('new')}, new.title, new.description);
+  END`,
+  `CREATE TRIGGER IF NOT EXISTS tasks_fts_ad AFTER DELETE ON tasks BEGIN
+    INSERT INTO tasks_fts(tasks_fts, rowid, title, description) VALUES ('delete', ${SEARCH_ID_SQL('old')}, old.title, old.description);
+    DELETE FROM task_search_ids WHERE task_id = old.id;
+  END`,
+  `CREATE TRIGGER IF NOT EXISTS tasks_fts_au AFTER UPDATE OF title, description ON tasks BEGIN
+    INSERT INTO tasks_fts(tasks_fts, rowid, title, description) VALUES ('delete', ${SEARCH_ID_SQL('old')}, old.title, old.description);
+    INSERT INTO tasks_fts(rowid, title, description) VALUES (${SEARCH_ID_SQL('new')}, new.title, new.description);
+  END`,
+];
+
+const NOW_SQL = "strftime('%Y-%m-%dT%H:%M:%fZ', 'now')";
+
+// Change feed for delta pulls: one row per task/project, moved to a new (ever growing) seq
+// whenever the entity changes, so paging by seq never skips or repeats a change. Kept in step
+// with `tasks` and `projects` by triggers; rows of hard-deleted entities remain as tombstones.
+const SYNC_CHANGES_SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS sync_changes (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    entity_type TEXT NOT NULL,
+    entity_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    UNIQUE (entity_type, entity_id)
+  )`,
+  ...[['task', 'tasks'], ['project', 'projects']].flatMap(([entity, table]) => [
+    `CREATE TRIGGER IF NOT EXISTS ${table}_changes_ai AFTER INSERT ON ${table} BEGIN
+      INSERT OR REPLACE INTO sync_changes (entity_type, entity_id, user_id, created_at)
+      VALUES ('${entity}', new.id, new.user_id, ${NOW_SQL});
+    END`,
+    `CREATE TRIGGER IF NOT EXISTS ${table}_changes_au AFTER UPDATE ON ${table}
+    WHEN old.updated_at IS NOT new.updated_at OR old.is_deleted IS NOT new.is_deleted OR old.user_id IS NOT new.user_id
+    BEGIN
+      INSERT OR REPLACE INTO sync_changes (entity_type, entity_id, user_id, created_at)
+      VALUES ('${entity}', new.id, new.user_id, ${NOW_SQL});
+    END`,
+    `CREATE TRIGGER IF NOT EXISTS ${table}_changes_ad AFTER DELETE ON ${table} BEGIN
+      INSERT OR REPLACE INTO sync_changes (entity_type, entity_id, user_id, created_at)
+      VALUES ('${entity}', old.id, old.user_id, ${NOW_SQL});
+    END`,
+  ]),
+];
 
 function initializeSchema(db) {
   // Initialize database schema (skip during tests/in-memory usage)
@@ -19,6 +89,9 @@ function initializeSchema(db) {
         reset_token TEXT,
         reset_token_expires TEXT,
         is_deleted INTEGER NOT NULL DEFAULT 0,
+        time_zone TEXT NOT NULL DEFAULT 'UTC',
+        conflict_strategy TEXT,
+        conflict_field_strategies TEXT,
         created_at TEXT DEFAULT CURRENT_TIMESTAMP
       )
     `);
@@ -37,14 +110,169 @@ function initializeSchema(db) {
         sync_status TEXT NOT NULL DEFAULT 'pending',
         server_id TEXT,
         last_synced_at TEXT,
-        FOREIGN KEY (user_id) REFERENCES users(id)
+        due_at TEXT,
+        priority TEXT NOT NULL DEFAULT 'none',
+        rrule TEXT,
+        series_id TEXT,
+        parent_id TEXT,
+        project_id TEXT,
+        deleted_at TEXT,
+        hlc TEXT,
+        FOREIGN KEY (user_id) REFERENCES users(id),
+        FOREIGN KEY (parent_id) REFERENCES tasks(id),
+        FOREIGN KEY (project_id) REFERENCES projects(id)
       )
     `);
 
     // Index for task queries
     db.run(`CREATE INDEX IF NOT EXISTS idx_tasks_user_id_updated_at ON tasks(user_id, updated_at)`);
 
-    // Sync queue table
+    // Full-text search index; backfill it from existing tasks the first time it is created.
+    // An index keyed on the implicit rowid of `tasks` (before task_search_ids) is replaced.
+    db.get("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'tasks_fts'", (err, row) => {
+      if (err) {
+        console.error('Failed to inspect tasks_fts table:', err);
+        return;
+      }
+      const keyedOnRowid = row && !row.sql.includes("content_rowid='search_id'");
+      db.serialize(() => {
+        if (keyedOnRowid) {
+          ['tasks_fts_ai', 'tasks_fts_ad', 'tasks_fts_au'].forEach((name) => db.run(`DROP TRIGGER IF EXISTS ${name}`));
+          db.run('DROP TABLE tasks_fts');
+        }
+        TASK_SEARCH_SCHEMA.forEach((sql) => db.run(sql));
+        if (!row || keyedOnRowid) {
+          db.run('INSERT OR IGNORE INTO task_search_ids (task_id) SELECT id FROM tasks');
+          db.run("INSERT INTO tasks_fts(tasks_fts) VALUES ('rebuild')");
+        }
+      });
+    });
+
+    // Projects table (lists grouping a user's tasks; synced like tasks)
+    db.run(`
+      CREATE TABLE IF NOT EXISTS projects (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        color TEXT,
+        archived INTEGER NOT NULL DEFAULT 0,
+        position INTEGER NOT NULL DEFAULT 0,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        is_deleted INTEGER NOT NULL DEFAULT 0,
+        sync_status TEXT NOT NULL DEFAULT 'pending',
+        server_id TEXT,
+        last_synced_at TEXT,
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      )
+    `);
+
+    // Index for project listing
+    db.run(`CREATE INDEX IF NOT EXISTS idx_projects_user_id_position ON projects(user_id, position)`);
+
+    // Share grants on tasks and projects. Invites start 'pending' with an invite token and
+    // become 'accepted' (user_id set) once the invitee accepts.
+    db.run(`
+      CREATE TABLE IF NOT EXISTS shares (
+        id TEXT PRIMARY KEY,
+        resource_type TEXT NOT NULL,
+        resource_id TEXT NOT NULL,
+        invited_by TEXT NOT NULL,
+        user_id TEXT,
+        email TEXT NOT NULL COLLATE NOCASE,
+        role TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        invite_token TEXT UNIQUE,
+        created_at TEXT NOT NULL,
+        accepted_at TEXT,
+        UNIQUE (resource_type, resource_id, email),
+        FOREIGN KEY (invited_by) REFERENCES users(id),
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      )
+    `);
+
+    // Indexes for share lookups (by grantee and by resource)
+    db.run(`CREATE INDEX IF NOT EXISTS idx_shares_user_id_status ON shares(user_id, status)`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_shares_resource ON shares(resource_type, resource_id)`);
+
+    // Tags table (names are unique per user, case-insensitively)
+    db.run(`
+      CREATE TABLE IF NOT EXISTS tags (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        name TEXT NOT NULL COLLATE NOCASE,
+        created_at TEXT NOT NULL,
+        UNIQUE (user_id, name),
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      )
+    `);
+
+    // Task <-> tag join table
+    db.run(`
+      CREATE TABLE IF NOT EXISTS task_tags (
+        task_id TEXT NOT NULL,
+        tag_id TEXT NOT NULL,
+        PRIMARY KEY (task_id, tag_id),
+        FOREIGN KEY (task_id) REFERENCES tasks(id),
+        FOREIGN KEY (tag_id) REFERENCES tags(id)
+      )
+    `);
+
+    // Index for tag lookups
+    db.run(`CREATE INDEX IF NOT EXISTS idx_task_tags_tag_id ON task_tags(tag_id)`);
+
+    // Append-only task history: one row per change, with the changed fields (old/new)
+    // and a snapshot of the task after the change. The id doubles as the revision number.
+    db.run(`
+      CREATE TABLE IF NOT EXISTS task_revisions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        task_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        source TEXT NOT NULL,
+        operation TEXT NOT NULL,
+        changes TEXT NOT NULL,
+        snapshot TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        FOREIGN KEY (task_id) REFERENCES tasks(id),
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      )
+    `);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_task_revisions_task_id ON task_revisions(task_id, id)`);
+    db.run(`
+      CREATE TRIGGER IF NOT EXISTS task_revisions_no_update BEFORE UPDATE ON task_revisions BEGIN
+        SELECT RAISE(ABORT, 'task_revisions is append-only');
+      END
+    `);
+    db.run(`
+      CREATE TRIGGER IF NOT EXISTS task_revisions_no_delete BEFORE DELETE ON task_revisions BEGIN
+        SELECT RAISE(ABORT, 'task_revisions is append-only');
+      END
+    `);
+
+    // Task descriptions as sequence CRDTs (see utils/rga): the ordered elements, tombstones
+    // included. The tasks.description column holds the plain text.
+    db.run(`
+      CREATE TABLE IF NOT EXISTS task_descriptions (
+        task_id TEXT PRIMARY KEY,
+        elements TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        FOREIGN KEY (task_id) REFERENCES tasks(id)
+      )
+    `);
+
+    // Change feed, backfilled with entities that predate it (oldest change first)
+    SYNC_CHANGES_SCHEMA.forEach((sql) => db.run(sql));
+    db.run(`
+      INSERT OR IGNORE INTO sync_changes (entity_type, entity_id, user_id, created_at)
+      SELECT entity_type, id, user_id, updated_at FROM (
+        SELECT 'project' AS entity_type, id, user_id, updated_at FROM projects
+        UNION ALL
+        SELECT 'task', id, user_id, updated_at FROM tasks
+      )
+      ORDER BY updated_at
+    `);
+
+    // Sync queue table (task_id holds the id of the entity named by entity_type)
     db.run(`
       CREATE TABLE IF NOT EXISTS sync_queue (
         id TEXT PRIMARY KEY,
@@ -56,14 +284,68 @@ function initializeSchema(db) {
         error_message TEXT,
         created_at TEXT NOT NULL,
         operation_timestamp TEXT,
-        FOREIGN KEY (user_id) REFERENCES users(id),
-        FOREIGN KEY (task_id) REFERENCES tasks(id)
+        entity_type TEXT NOT NULL DEFAULT 'task',
+        hlc TEXT,
+        change_id TEXT,
+        error_history TEXT,
+        next_attempt_at TEXT,
+        locked_by TEXT,
+        locked_until TEXT,
+        source TEXT,
+        FOREIGN KEY (user_id) REFERENCES users(id)
       )
     `);
 
     // Index for sync queue
     db.run(`CREATE INDEX IF NOT EXISTS idx_sync_queue_user_id ON sync_queue(user_id)`);
 
+    // Idempotency keys: the stored response of each keyed sync request, replayed on retries
+    db.run(`
+      CREATE TABLE IF NOT EXISTS idempotency_keys (
+        user_id TEXT NOT NULL,
+        key TEXT NOT NULL,
+        request_hash TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'processing',
+        status_code INTEGER,
+        response TEXT,
+        created_at TEXT NOT NULL,
+        PRIMARY KEY (user_id, key),
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      )
+    `);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_idempotency_keys_created_at ON idempotency_keys(created_at)`);
+
+    // Sync change receipts: outcome of each applied change that carried a client change_id
+    db.run(`
+      CREATE TABLE IF NOT EXISTS sync_change_receipts (
+        user_id TEXT NOT NULL,
+        change_id TEXT NOT NULL,
+        result TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        PRIMARY KEY (user_id, change_id),
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      )
+    `);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_sync_change_receipts_created_at ON sync_change_receipts(created_at)`);
+
+    // Devices a user syncs from: registered by their first sync call, revoked from the devices API.
+    // last_seq is the change feed position the device acknowledged (last_cursor in opaque form).
+    db.run(`
+      CREATE TABLE IF NOT EXISTS devices (
+        id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        name TEXT,
+        platform TEXT,
+        last_seen TEXT NOT NULL,
+        last_cursor TEXT,
+        last_seq INTEGER,
+        created_at TEXT NOT NULL,
+        revoked_at TEXT,
+        PRIMARY KEY (user_id, id),
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      )
+    `);
+
     // Sync logs table (bonus)
     db.run(`
       CREATE TABLE IF NOT EXISTS sync_logs (
@@ -73,6 +355,8 @@ function initializeSchema(db) {
         processed INTEGER NOT NULL DEFAULT 0,
         failed INTEGER NOT NULL DEFAULT 0,
         status TEXT NOT NULL,
+        conflict_strategy TEXT,
+        conflict_field_strategies TEXT,
         created_at TEXT NOT NULL,
         FOREIGN KEY (user_id) REFERENCES users(id)
       )
@@ -93,6 +377,9 @@ function initializeSchema(db) {
         error_message TEXT,
         original_created_at TEXT NOT NULL,
         failed_at TEXT NOT NULL,
+        entity_type TEXT NOT NULL DEFAULT 'task',
+        change_id TEXT,
+        error_history TEXT,
         FOREIGN KEY (user_id) REFERENCES users(id)
       )
     `);
@@ -101,6 +388,27 @@ function initializeSchema(db) {
     db.run(`CREATE INDEX IF NOT EXISTS idx_dead_letter_queue_user_id ON dead_letter_queue(user_id)`);
     db.run(`CREATE INDEX IF NOT EXISTS idx_dead_letter_queue_task_id ON dead_letter_queue(task_id)`);
 
+    // Sync changes that lost to the server version, with both versions, until the user resolves them
+    db.run(`
+      CREATE TABLE IF NOT EXISTS sync_conflicts (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        entity_type TEXT NOT NULL DEFAULT 'task',
+        entity_id TEXT NOT NULL,
+        operation TEXT NOT NULL,
+        local_data TEXT NOT NULL,
+        server_data TEXT NOT NULL,
+        change_id TEXT,
+        status TEXT NOT NULL DEFAULT 'open',
+        resolution TEXT,
+        resolved_data TEXT,
+        created_at TEXT NOT NULL,
+        resolved_at TEXT,
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      )
+    `);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_sync_conflicts_user_id ON sync_conflicts(user_id, status, created_at)`);
+
     // Add operation_timestamp column to sync_queue for chronological ordering
     db.all('PRAGMA table_info(sync_queue)', (err, columns) => {
       if (err) {
@@ -113,6 +421,118 @@ function initializeSchema(db) {
         // Update existing records with created_at as fallback
         db.run('UPDATE sync_queue SET operation_timestamp = created_at WHERE operation_timestamp IS NULL');
       }
+      if (!names.includes('entity_type')) {
+        db.run("ALTER TABLE sync_queue ADD COLUMN entity_type TEXT NOT NULL DEFAULT 'task'");
+      }
+      // Hybrid logical clock timestamp of the queued change (orders operations per task)
+      if (!names.includes('hlc')) {
+        db.run('ALTER TABLE sync_queue ADD COLUMN hlc TEXT');
+      }
+      // Client change id, so a retried change is not queued twice
+      if (!names.includes('change_id')) {
+        db.run('ALTER TABLE sync_queue ADD COLUMN change_id TEXT');
+      }
+      // JSON array of { attempt, error, failed_at }, one entry per failed attempt
+      if (!names.includes('error_history')) {
+        db.run('ALTER TABLE sync_queue ADD COLUMN error_history TEXT');
+      }
+      // Retry backoff: failed items are not picked up again before this time (NULL = due now)
+      if (!names.includes('next_attempt_at')) {
+        db.run('ALTER TABLE sync_queue ADD COLUMN next_attempt_at TEXT');
+      }
+      // Lease: the queue runner processing the item, until when (expired leases may be reclaimed)
+      if (!names.includes('locked_by')) {
+        db.run('ALTER TABLE sync_queue ADD COLUMN locked_by TEXT');
+      }
+      if (!names.includes('locked_until')) {
+        db.run('ALTER TABLE sync_queue ADD COLUMN locked_until TEXT');
+      }
+      // 'rest' for writes made through the REST API, which are queued after they were applied
+      if (!names.includes('source')) {
+        db.run('ALTER TABLE sync_queue ADD COLUMN source TEXT');
+      }
+    });
+
+    // Add entity_type column to dead_letter_queue (tasks and projects share the queues)
+    db.all('PRAGMA table_info(dead_letter_queue)', (err, columns) => {
+      if (err) {
+        console.error('Failed to inspect dead_letter_queue table:', err);
+        return;
+      }
+      const names = columns.map((c) => c.name);
+      if (!names.includes('entity_type')) {
+        db.run("ALTER TABLE dead_letter_queue ADD COLUMN entity_type TEXT NOT NULL DEFAULT 'task'");
+      }
+      // Carried over from the queue item, so replays keep their change id and failure history
+      if (!names.includes('change_id')) {
+        db.run('ALTER TABLE dead_letter_queue ADD COLUMN change_id TEXT');
+      }
+      if (!names.includes('error_history')) {
+        db.run('ALTER TABLE dead_letter_queue ADD COLUMN error_history TEXT');
+      }
+    });
+
+    // Conflict strategies a sync ran under
+    db.all('PRAGMA table_info(sync_logs)', (err, columns) => {
+      if (err) {
+        console.error('Failed to inspect sync_logs table:', err);
+        return;
+      }
+      const names = columns.map((c) => c.name);
+      if (!names.includes('conflict_strategy')) {
+        db.run('ALTER TABLE sync_logs ADD COLUMN conflict_strategy TEXT');
+      }
+      if (!names.includes('conflict_field_strategies')) {
+        db.run('ALTER TABLE sync_logs ADD COLUMN conflict_field_strategies TEXT');
+      }
+    });
+
+    // Ensure missing columns exist on tasks table
+    db.all('PRAGMA table_info(tasks)', (err, columns) => {
+      if (err) {
+        console.error('Failed to inspect tasks table:', err);
+        return;
+      }
+      const names = columns.map((c) => c.name);
+      db.serialize(() => {
+        if (!names.includes('due_at')) {
+          db.run('ALTER TABLE tasks ADD COLUMN due_at TEXT');
+        }
+        if (!names.includes('priority')) {
+          db.run("ALTER TABLE tasks ADD COLUMN priority TEXT NOT NULL DEFAULT 'none'");
+        }
+        if (!names.includes('rrule')) {
+          db.run('ALTER TABLE tasks ADD COLUMN rrule TEXT');
+        }
+        if (!names.includes('series_id')) {
+          db.run('ALTER TABLE tasks ADD COLUMN series_id TEXT');
+        }
+        if (!names.includes('parent_id')) {
+          db.run('ALTER TABLE tasks ADD COLUMN parent_id TEXT REFERENCES tasks(id)');
+        }
+        if (!names.includes('project_id')) {
+          db.run('ALTER TABLE tasks ADD COLUMN project_id TEXT REFERENCES projects(id)');
+        }
+        if (!names.includes('deleted_at')) {
+          db.run('ALTER TABLE tasks ADD COLUMN deleted_at TEXT');
+          // Existing tombstones were last touched when they were deleted
+          db.run('UPDATE tasks SET deleted_at = updated_at WHERE is_deleted = 1');
+        }
+        // Hybrid logical clock timestamp of the last write (used for conflict resolution)
+        if (!names.includes('hlc')) {
+          db.run('ALTER TABLE tasks ADD COLUMN hlc TEXT');
+        }
+        // Index for due-date views (today/overdue/upcoming)
+        db.run('CREATE INDEX IF NOT EXISTS idx_tasks_user_id_due_at ON tasks(user_id, due_at)');
+        // Index for recurring task series lookups
+        db.run('CREATE INDEX IF NOT EXISTS idx_tasks_series_id ON tasks(series_id)');
+        // Index for subtask lookups
+        db.run('CREATE INDEX IF NOT EXISTS idx_tasks_parent_id ON tasks(parent_id)');
+        // Index for project-scoped listing
+        db.run('CREATE INDEX IF NOT EXISTS idx_tasks_project_id ON tasks(project_id)');
+        // Index for the trash purge job
+        db.run('CREATE INDEX IF NOT EXISTS idx_tasks_deleted_at ON tasks(deleted_at)');
+      });
     });
 
     // Ensure missing columns exist on users table
@@ -128,6 +548,15 @@ function initializeSchema(db) {
       if (!names.includes('username')) {
         db.run('ALTER TABLE users ADD COLUMN username TEXT');
       }
+      if (!names.includes('time_zone')) {
+        db.run("ALTER TABLE users ADD COLUMN time_zone TEXT NOT NULL DEFAULT 'UTC'");
+      }
+      if (!names.includes('conflict_strategy')) {
+        db.run('ALTER TABLE users ADD COLUMN conflict_strategy TEXT');
+      }
+      if (!names.includes('conflict_field_strategies')) {
+        db.run('ALTER TABLE users ADD COLUMN conflict_field_strategies TEXT');
+      }
     });
   });
 }
@@ -152,8 +581,26 @@ function getDb() {
   return globalThis[DB_GLOBAL_KEY];
 }
 
+// Transaction state: `context` marks async code running inside the open transaction (its value is
+// the nesting depth), `lock` settles when that transaction ends, `savepoints` names nested levels,
+// `afterCommit` collects the callbacks to run once it commits
+function getTxState() {
+  if (!globalThis[TX_GLOBAL_KEY]) {
+    globalThis[TX_GLOBAL_KEY] = { context: new AsyncLocalStorage(), lock: Promise.resolve(), savepoints: 0 };
+  }
+  return globalThis[TX_GLOBAL_KEY];
+}
+
+// Statements from outside the open transaction wait for it to end, so the shared connection
+// does not sweep them into it (or roll them back with it)
+const awaitTransaction = () => {
+  const tx = getTxState();
+  return tx.context.getStore() ? Promise.resolve() : tx.lock;
+};
+
 // Database helper functions that always operate on the active DB instance
-const runQuery = (sql, params = []) => {
+const runQuery = async (sql, params = []) => {
+  await awaitTransaction();
   return new Promise((resolve, reject) => {
     const db = getDb();
     db.run(sql, params, function (err) {
@@ -163,7 +610,8 @@ const runQuery = (sql, params = []) => {
   });
 };
 
-const getQuery = (sql, params = []) => {
+const getQuery = async (sql, params = []) => {
+  await awaitTransaction();
   return new Promise((resolve, reject) => {
     const db = getDb();
     db.get(sql, params, (err, row) => {
@@ -173,7 +621,8 @@ const getQuery = (sql, params = []) => {
   });
 };
 
-const allQuery = (sql, params = []) => {
+const allQuery = async (sql, params = []) => {
+  await awaitTransaction();
   return new Promise((resolve, reject) => {
     const db = getDb();
     db.all(sql, params, (err, rows) => {
@@ -183,6 +632,71 @@ const allQuery = (sql, params = []) => {
   });
 };
 
+/**
+ * Run `fn` in a transaction: committed when it resolves, rolled back when it throws.
+ * Called again inside `fn`, it opens a SAVEPOINT instead, so an inner failure only undoes the
+ * inner work. Top-level transactions run one at a time; queries issued outside them wait.
+ * Statements inside `fn` must run sequentially (no Promise.all over writes).
+ */
+const withTransaction = async (fn) => {
+  const tx = getTxState();
+  const depth = tx.context.getStore();
+  if (depth) {
+    tx.savepoints += 1;
+    const savepoint = `sp_${tx.savepoints}`;
+    await runQuery(`SAVEPOINT ${savepoint}`);
+    try {
+      const result = await tx.context.run(depth + 1, fn);
+      await runQuery(`RELEASE ${savepoint}`);
+      return result;
+    } catch (err) {
+      await runQuery(`ROLLBACK TO ${savepoint}`);
+      await runQuery(`RELEASE ${savepoint}`);
+      throw err;
+    }
+  }
+
+  let release;
+  const done = new Promise((resolve) => {
+    release = resolve;
+  });
+  const previous = tx.lock;
+  tx.lock = previous.then(() => done);
+  await previous;
+  const callbacks = [];
+  let result;
+  try {
+    result = await tx.context.run(1, async () => {
+      tx.afterCommit = callbacks;
+      await runQuery('BEGIN IMMEDIATE');
+      try {
+        const value = await fn();
+        await runQuery('COMMIT');
+        return value;
+      } catch (err) {
+        await runQuery('ROLLBACK');
+        throw err;
+      }
+    });
+  } finally {
+    tx.afterCommit = null;
+    release();
+  }
+  callbacks.forEach((callback) => callback());
+  return result;
+};
+
+// Run `callback` once the open transaction commits (right away outside one); dropped when it
+// rolls back. Callbacks run outside the transaction, so their queries see the committed data.
+const afterCommit = (callback) => {
+  const tx = getTxState();
+  if (tx.context.getStore() && tx.afterCommit) {
+    tx.afterCommit.push(callback);
+  } else {
+    callback();
+  }
+};
+
 const close = () => {
   return new Promise((resolve, reject) => {
     const db = globalThis[DB_GLOBAL_KEY];
@@ -196,4 +710,14 @@ const close = () => {
   });
 };
 
-module.exports = { db: getDb(), runQuery, getQuery, allQuery, close };
+module.exports = {
+  db: getDb(),
+  runQuery,
+  getQuery,
+  allQuery,
+  withTransaction,
+  afterCommit,
+  close,
+  TASK_SEARCH_SCHEMA,
+  SYNC_CHANGES_SCHEMA,
+};
@@ -2,6 +2,38 @@ const jwt = require('jsonwebtoken');
 const { getQuery } = require('../db/db');
 const config = require('../config');
 
+const unauthorized = (message) => {
+  const error = new Error(message);
+  error.status = 401;
+  return error;
+};
+
+// Resolve a JWT to its user; throws a 401 error when the token is missing, invalid or expired
+const authenticateToken = async (token) => {
+  if (!token) {
+    throw unauthorized('No token provided');
+  }
+  let decoded;
+  try {
+    decoded = jwt.verify(token, config.JWT_SECRET);
+  } catch (error) {
+    // Handle specific JWT errors
+    if (error.name === 'TokenExpiredError') {
+      throw unauthorized('Token expired');
+    }
+    if (error.name === 'JsonWebTokenError') {
+      throw unauthorized('Invalid token');
+    }
+    throw unauthorized('Not authorized');
+  }
+  // Fetch user from database
+  const user = await getQuery('SELECT id, username, email FROM users WHERE id = ?', [decoded.id]);
+  if (!user) {
+    throw unauthorized('User not found');
+  }
+  return user;
+};
+
 // Middleware to protect routes
 const protect = async (req, res, next) => {
   // Check for Authorization header
@@ -10,31 +42,12 @@ const protect = async (req, res, next) => {
   }
 
   try {
-    // Extract token
-    const token = req.headers.authorization.split(' ')[1];
-    // Verify token
-    const decoded = jwt.verify(token, config.JWT_SECRET);
-    // Fetch user from database
-    const user = await getQuery('SELECT id, username, email FROM users WHERE id = ?', [decoded.id]);
-    
-    // Check if user exists
-    if (!user) {
-      return res.status(401).json({ message: 'User not found' });
-    }
-    
     // Attach user to request
-    req.user = user;
-    next();
+    req.user = await authenticateToken(req.headers.authorization.split(' ')[1]);
   } catch (error) {
-    // Handle specific JWT errors
-    if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({ message: 'Token expired' });
-    }
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({ message: 'Invalid token' });
-    }
-    return res.status(401).json({ message: 'Not authorized' });
+    return res.status(401).json({ message: error.status === 401 ? error.message : 'Not authorized' });
   }
+  next();
 };
 
-module.exports = { protect };
\ No newline at end of file
+module.exports = { protect, authenticateToken };
\ No newline at end of file
@@ -0,0 +1,22 @@
+const { touchDevice } = require('../services/deviceService');
+
+// Sync calls name the device they come from in X-Device-Id (with optional X-Device-Name and
+// X-Device-Platform). The device is registered on first use and attached as req.device;
+// revoked devices are refused. Must run after protect.
+const requireDevice = async (req, res, next) => {
+  const deviceId = req.get('X-Device-Id');
+  if (!deviceId) {
+    return res.status(400).json({ error: 'X-Device-Id header is required' });
+  }
+  try {
+    req.device = await touchDevice(req.user.id, deviceId, {
+      name: req.get('X-Device-Name'),
+      platform: req.get('X-Device-Platform'),
+    });
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
+  }
+  next();
+};
+
+module.exports = { requireDevice };
@@ -1,44 +1,364 @@
 const Joi = require('joi');
+const { parseRRule } = require('../utils/rrule');
+const { isValidHLC } = require('../utils/hlc');
+
+// ISO 8601 timestamp that carries an explicit offset (Z or +hh:mm)
+const dueAtSchema = Joi.string()
+  .pattern(
+    /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/,
+    'ISO 8601 date-time with offset',
+  )
+  .allow(null);
+
+const prioritySchema = Joi.string().valid('none', 'low', 'medium', 'high', 'urgent');
+
+// RFC 5545 subset understood by utils/rrule (FREQ, INTERVAL, BYDAY, BYMONTHDAY, COUNT, UNTIL)
+const rruleSchema = Joi.string()
+  .max(255)
+  .custom((value, helpers) => {
+    try {
+      parseRRule(value);
+      return value;
+    } catch (err) {
+      return helpers.message(err.message);
+    }
+  })
+  .allow(null);
+
+// Hybrid logical clock timestamp (`<ISO time>-<6-digit counter>-<node id>`, see utils/hlc)
+const hlcSchema = Joi.string()
+  .max(255)
+  .custom((value, helpers) => (isValidHLC(value) ? value : helpers.message('"hlc" must be a valid HLC timestamp')));
+
+const tagsSchema = Joi.array().items(Joi.string().trim().min(1).max(50)).max(20);
 
 const taskSchema = Joi.object({
   title: Joi.string().min(1).max(255).required(),
   description: Joi.string().max(1000).allow('').optional(),
   completed: Joi.boolean().optional(),
+  tags: tagsSchema.optional(),
+  due_at: dueAtSchema.optional(),
+  priority: prioritySchema.optional(),
+  rrule: rruleSchema.optional(),
+  parent_id: Joi.string().allow(null).optional(),
+  project_id: Joi.string().allow(null).optional(),
+});
+
+const taskQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(200).default(50),
+  cursor: Joi.string().optional(),
+  sort: Joi.string()
+    .valid(
+      'updated_at_desc',
+      'updated_at_asc',
+      'created_at_desc',
+      'created_at_asc',
+      'title_asc',
+      'title_desc',
+    )
+    .default('updated_at_desc'),
+  completed: Joi.boolean().optional(),
+  sync_status: Joi.string()
+    .valid('pending', 'in-progress', 'synced', 'error', 'failed')
+    .optional(),
+  created_after: Joi.string().isoDate().optional(),
+  created_before: Joi.string().isoDate().optional(),
+  updated_after: Joi.string().isoDate().optional(),
+  updated_before: Joi.string().isoDate().optional(),
+  tag: Joi.alternatives()
+    .try(Joi.array().items(Joi.string().trim().min(1).max(50)), Joi.string().trim().min(1))
+    .optional(),
+  tag_mode: Joi.string().valid('any', 'all').default('any'),
+  view: Joi.string().valid('flat', 'tree').default('flat'),
+  // A project id, or 'none' for tasks outside any project
+  project_id: Joi.string().optional(),
+});
+
+const colorSchema = Joi.string()
+  .pattern(/^#[0-9a-fA-F]{6}$/, 'hex color (#rrggbb)')
+  .allow(null);
+
+const projectSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  color: colorSchema.optional(),
+  archived: Joi.boolean().optional(),
+  position: Joi.number().integer().min(0).optional(),
+});
+
+const projectUpdateSchema = projectSchema.fork(['name'], (schema) => schema.optional()).min(1);
+
+const projectQuerySchema = Joi.object({
+  include_archived: Joi.boolean().default(false),
+});
+
+const shareRoleSchema = Joi.string().valid('viewer', 'editor', 'owner');
+
+const shareSchema = Joi.object({
+  email: Joi.string().email().required(),
+  role: shareRoleSchema.default('viewer'),
+});
+
+const shareUpdateSchema = Joi.object({
+  role: shareRoleSchema.required(),
+});
+
+const shareAcceptSchema = Joi.object({
+  token: Joi.string().required(),
+});
+
+const taskSearchSchema = Joi.object({
+  q: Joi.string().trim().min(1).max(200).required(),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+});
+
+const upcomingQuerySchema = Joi.object({
+  days: Joi.number().integer().min(1).max(90).default(7),
+});
+
+const taskUpdateQuerySchema = Joi.object({
+  scope: Joi.string().valid('this', 'series').default('this'),
+});
+
+const occurrencesQuerySchema = Joi.object({
+  count: Joi.number().integer().min(1).max(50).default(5),
+});
+
+const taskHistoryQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(200).default(50),
+  before: Joi.number().integer().min(1).optional(),
+});
+
+// Without a revision, restore takes the task out of the trash
+const taskRestoreQuerySchema = Joi.object({
+  revision: Joi.number().integer().min(1).optional(),
+});
+
+const taskDeleteQuerySchema = Joi.object({
+  permanent: Joi.boolean().default(false),
+});
+
+// Operations on a task description's sequence CRDT (see utils/rga); element ids are `<counter>@<site>`
+const descriptionElementIdSchema = Joi.string().pattern(/^\d{1,15}@[\x21-\x7e]{1,100}$/);
+
+const descriptionOpsSchema = Joi.array()
+  .items(
+    Joi.object({
+      type: Joi.string().valid('insert', 'delete').required(),
+      id: descriptionElementIdSchema.required(),
+      after: Joi.when('type', {
+        is: 'insert',
+        then: descriptionElementIdSchema.allow(null).required(),
+        otherwise: Joi.forbidden(),
+      }),
+      value: Joi.when('type', {
+        is: 'insert',
+        then: Joi.string().min(1).max(1000).required(),
+        otherwise: Joi.forbidden(),
+      }),
+    })
+  )
+  .min(1)
+  .max(1000)
+  // A change may not insert more than a whole description's worth of characters
+  .custom((ops, helpers) => (
+    ops.reduce((total, op) => total + (op.type === 'insert' ? Array.from(op.value).length : 0), 0) > 1000
+      ? helpers.message('"description_ops" may insert at most 1000 characters')
+      : ops
+  ));
+
+const syncTaskDataSchema = Joi.object({
+  title: Joi.string().min(1).max(255).optional(),
+  description: Joi.string().max(1000).allow('').optional(),
+  // Description edits as CRDT operations, merged with concurrent edits instead of replacing them
+  description_ops: descriptionOpsSchema.optional(),
+  completed: Joi.boolean().optional(),
+  tags: tagsSchema.optional(),
+  due_at: dueAtSchema.optional(),
+  priority: prioritySchema.optional(),
+  rrule: rruleSchema.optional(),
+  series_id: Joi.string().allow(null).optional(),
+  parent_id: Joi.string().allow(null).optional(),
+  project_id: Joi.string().allow(null).optional(),
+  created_at: Joi.string().isoDate().optional(),
+  updated_at: Joi.string().isoDate().optional(),
+  hlc: hlcSchema.optional(),
+  is_deleted: Joi.number().valid(0, 1).optional(),
+}).oxor('description', 'description_ops');
+
+const syncProjectDataSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).optional(),
+  color: colorSchema.optional(),
+  archived: Joi.boolean().optional(),
+  position: Joi.number().integer().min(0).optional(),
+  created_at: Joi.string().isoDate().optional(),
+  updated_at: Joi.string().isoDate().optional(),
+});
+
+// A client change, as sent to POST /api/sync or over the sync WebSocket
+const syncChangeSchema = Joi.object({
+  entity: Joi.string().valid('task', 'project').default('task'),
+  operation: Joi.string().valid('create', 'update', 'delete').required(),
+  local_id: Joi.string().required(),
+  server_id: Joi.string().optional(),
+  // Client id of the change, so a retried change is applied only once
+  change_id: Joi.string().max(255).optional(),
+  data: Joi.when('entity', {
+    is: 'project',
+    then: syncProjectDataSchema,
+    otherwise: syncTaskDataSchema,
+  }).required(),
+  // Task values the client last synced, before its local edits (enables field-level merging)
+  base: Joi.when('entity', {
+    is: 'project',
+    then: Joi.forbidden(),
+    otherwise: syncTaskDataSchema.optional(),
+  }),
 });
 
 const syncSchema = Joi.object({
   last_synced_at: Joi.string().isoDate().required(),
   changes: Joi.array()
+    .items(syncChangeSchema)
+    .unique('change_id', { ignoreUndefined: true })
+    .required(),
+});
+
+// Messages a client sends over the sync WebSocket; `seq` increases with every message.
+// `changes` pushes local changes, `cursor` acknowledges the changes received up to a cursor.
+const syncSocketMessageSchema = Joi.object({
+  type: Joi.string().valid('changes', 'cursor').required(),
+  seq: Joi.number().integer().min(1).required(),
+  changes: Joi.when('type', {
+    is: 'changes',
+    then: Joi.array()
+      .items(syncChangeSchema)
+      .min(1)
+      .unique('change_id', { ignoreUndefined: true })
+      .required(),
+    otherwise: Joi.forbidden(),
+  }),
+  cursor: Joi.when('type', {
+    is: 'cursor',
+    then: Joi.string().max(255).required(),
+    otherwise: Joi.forbidden(),
+  }),
+});
+
+// Items of POST /api/sync/batch: client sync queue entries, covered by the batch checksum
+const syncBatchSchema = Joi.object({
+  items: Joi.array()
     .items(
       Joi.object({
+        id: Joi.string().required(),
+        entity: Joi.string().valid('task', 'project').default('task'),
+        task_id: Joi.string().required(),
         operation: Joi.string().valid('create', 'update', 'delete').required(),
-        local_id: Joi.string().required(),
-        server_id: Joi.string().optional(),
-        data: Joi.object({
-          title: Joi.string().min(1).max(255).optional(),
-          description: Joi.string().max(1000).allow('').optional(),
-          completed: Joi.boolean().optional(),
-          created_at: Joi.string().isoDate().optional(),
-          updated_at: Joi.string().isoDate().optional(),
-          is_deleted: Joi.number().valid(0, 1).optional(),
+        data: Joi.when('entity', {
+          is: 'project',
+          then: syncProjectDataSchema,
+          otherwise: syncTaskDataSchema,
         }).required(),
+        base: Joi.when('entity', {
+          is: 'project',
+          then: Joi.forbidden(),
+          otherwise: syncTaskDataSchema.optional(),
+        }),
       })
     )
+    .min(1)
+    .max(500)
+    .unique('id')
     .required(),
+  checksum: Joi.string().hex().length(32).required(),
+  client_timestamp: Joi.string().isoDate().optional(),
+});
+
+// Filters shared by the dead letter list and replay-all
+const deadLetterFilterKeys = {
+  entity: Joi.string().valid('task', 'project').optional(),
+  operation: Joi.string().valid('create', 'update', 'delete').optional(),
+  task_id: Joi.string().optional(),
+  failed_after: Joi.date().iso().optional(),
+  failed_before: Joi.date().iso().optional(),
+};
+
+const deadLetterQuerySchema = Joi.object({
+  ...deadLetterFilterKeys,
+  limit: Joi.number().integer().min(1).max(200).default(50),
+  cursor: Joi.string().optional(),
 });
 
-const validate = (schema) => (req, res, next) => {
-  const { error } = schema.validate(req.body, { abortEarly: false });
+const deadLetterReplaySchema = Joi.object(deadLetterFilterKeys);
+
+const syncConflictQuerySchema = Joi.object({
+  status: Joi.string().valid('open', 'resolved', 'all').default('open'),
+  entity: Joi.string().valid('task', 'project').optional(),
+  limit: Joi.number().integer().min(1).max(200).default(50),
+  cursor: Joi.string().optional(),
+});
+
+// keep-local re-applies the losing change, keep-server accepts the server version, and merged
+// applies the fields given in `data` (task or project fields, like sync change data)
+const syncConflictResolveSchema = Joi.object({
+  resolution: Joi.string().valid('keep-local', 'keep-server', 'merged').required(),
+  data: Joi.when('resolution', {
+    is: 'merged',
+    then: Joi.alternatives().try(syncTaskDataSchema.min(1), syncProjectDataSchema.min(1)).required(),
+    otherwise: Joi.forbidden(),
+  }),
+});
+
+// The user's conflict strategy and per-field overrides (task field -> strategy name); names are
+// checked against the strategy registry by the service
+const conflictStrategySchema = Joi.object({
+  strategy: Joi.string().max(50),
+  fields: Joi.object().pattern(Joi.string(), Joi.string().max(50)),
+}).min(1);
+
+const syncChangesQuerySchema = Joi.object({
+  cursor: Joi.string().optional(),
+  limit: Joi.number().integer().min(1).max(500).default(100),
+});
+
+// Validates req.body by default; pass 'query' to validate the query string.
+// Converted query values (numbers, booleans, defaults) are exposed on req.validatedQuery.
+const validate = (schema, source = 'body') => (req, res, next) => {
+  const { error, value } = schema.validate(req[source], { abortEarly: false });
   if (error) {
     return res.status(400).json({ error: error.details.map((d) => d.message) });
   }
+  if (source === 'query') {
+    req.validatedQuery = value;
+  }
   next();
 };
 
 module.exports = {
   validate,
   taskSchema,
+  taskQuerySchema,
+  taskSearchSchema,
+  upcomingQuerySchema,
+  taskUpdateQuerySchema,
+  occurrencesQuerySchema,
+  taskHistoryQuerySchema,
+  taskRestoreQuerySchema,
+  taskDeleteQuerySchema,
+  projectSchema,
+  projectUpdateSchema,
+  projectQuerySchema,
+  shareSchema,
+  shareUpdateSchema,
+  shareAcceptSchema,
   syncSchema,
+  syncSocketMessageSchema,
+  syncBatchSchema,
+  syncChangesQuerySchema,
+  deadLetterQuerySchema,
+  deadLetterReplaySchema,
+  syncConflictQuerySchema,
+  syncConflictResolveSchema,
+  conflictStrategySchema,
   validateTask: validate(taskSchema),
   validateSync: validate(syncSchema),
 };
\ No newline at end of file
@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Device routes
+ * @description Devices the authenticated user syncs from, and how far each has synced
+ */
+
+const express = require('express');
+const DeviceService = require('../services/deviceService');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/devices:
+ *   get:
+ *     tags: [Devices]
+ *     summary: List devices
+ *     description: |
+ *       Devices registered by sync calls (`X-Device-Id` header), most recently seen first, with the
+ *       change feed position each has acknowledged and how many changes it has yet to pull.
+ *       Revoked devices are not listed.
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Devices retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Device'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/', protect, async (req, res) => {
+  try {
+    const devices = await DeviceService.getDevices(req.user.id);
+    res.json(devices);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/devices/{id}:
+ *   delete:
+ *     tags: [Devices]
+ *     summary: Revoke a device
+ *     description: |
+ *       The device's sync calls are refused from now on (403), and it no longer holds back the
+ *       purging of deleted tasks. Revoke devices that are lost or no longer used.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Device revoked
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const ok = await DeviceService.revokeDevice(req.user.id, req.params.id);
+    if (!ok) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+    res.status(204).send();
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,380 @@
+/**
+ * @fileoverview Project routes
+ * @description CRUD for projects (lists grouping tasks) and project-scoped task listing
+ */
+
+const express = require('express');
+const ProjectService = require('../services/projectService');
+const TaskService = require('../services/taskService');
+const ShareService = require('../services/shareService');
+const { protect } = require('../middleware/auth');
+const {
+  validate,
+  projectSchema,
+  projectUpdateSchema,
+  projectQuerySchema,
+  taskQuerySchema,
+  shareSchema,
+} = require('../middleware/validate');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/projects:
+ *   get:
+ *     tags: [Projects]
+ *     summary: List projects
+ *     description: Retrieve the authenticated user's projects ordered by position
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: include_archived
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Also return archived projects
+ *     responses:
+ *       200:
+ *         description: Projects retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Project'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/', protect, validate(projectQuerySchema, 'query'), async (req, res) => {
+  try {
+    const projects = await ProjectService.getProjects(req.user.id, req.validatedQuery);
+    res.json(projects);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/projects/{id}:
+ *   get:
+ *     tags: [Projects]
+ *     summary: Get a project
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *     responses:
+ *       200:
+ *         description: Project retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Project'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const project = await ProjectService.getProjectById(req.params.id, req.user.id);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    res.json(project);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/projects/{id}/tasks:
+ *   get:
+ *     tags: [Projects]
+ *     summary: List tasks in a project
+ *     description: |
+ *       Same paging, filtering and sorting as `GET /api/tasks`, restricted to one project.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/CursorParam'
+ *     responses:
+ *       200:
+ *         description: Tasks retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TaskPage'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/:id/tasks', protect, validate(taskQuerySchema, 'query'), async (req, res) => {
+  try {
+    const project = await ProjectService.getProjectById(req.params.id, req.user.id);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    const page = await TaskService.getAllTasks(req.user.id, { ...req.validatedQuery, project_id: project.id });
+    res.json(page);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/projects/{id}/shares:
+ *   get:
+ *     tags: [Sharing]
+ *     summary: List who a project is shared with
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *     responses:
+ *       200:
+ *         description: Shares retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Share'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/:id/shares', protect, async (req, res) => {
+  try {
+    const shares = await ShareService.getResourceShares('project', req.params.id, req.user.id);
+    if (!shares) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    res.json(shares);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/projects/{id}/shares:
+ *   post:
+ *     tags: [Sharing]
+ *     summary: Share a project
+ *     description: |
+ *       Invite someone by email (owners only). Once accepted, the role applies to every task
+ *       in the project.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ShareInput'
+ *     responses:
+ *       201:
+ *         description: Invite created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Share'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Only owners can share the project
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post('/:id/shares', protect, validate(shareSchema), async (req, res) => {
+  try {
+    const { email, role = 'viewer' } = req.body;
+    const share = await ShareService.inviteToResource('project', req.params.id, { email, role }, req.user.id);
+    if (!share) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    res.status(201).json(share);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/projects:
+ *   post:
+ *     tags: [Projects]
+ *     summary: Create a project
+ *     description: New projects are placed after the user's existing ones unless `position` is given
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ProjectInput'
+ *     responses:
+ *       201:
+ *         description: Project created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Project'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post('/', protect, validate(projectSchema), async (req, res) => {
+  try {
+    const { name, color, archived, position } = req.body;
+    const project = await ProjectService.createProject({ name, color, archived, position }, req.user.id);
+    res.status(201).json(project);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/projects/{id}:
+ *   put:
+ *     tags: [Projects]
+ *     summary: Update a project
+ *     description: Rename, recolor, archive/unarchive or reorder a project (partial update)
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ProjectUpdate'
+ *     responses:
+ *       200:
+ *         description: Project updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Project'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.put('/:id', protect, validate(projectUpdateSchema), async (req, res) => {
+  try {
+    const { name, color, archived, position } = req.body;
+    const project = await ProjectService.updateProject(
+      req.params.id, { name, color, archived, position }, req.user.id
+    );
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    res.json(project);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/projects/{id}:
+ *   delete:
+ *     tags: [Projects]
+ *     summary: Delete a project
+ *     description: Soft delete a project; its tasks are kept and moved out of the project
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *     responses:
+ *       204:
+ *         description: Project deleted successfully
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const ok = await ProjectService.deleteProject(req.params.id, req.user.id);
+    if (!ok) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    res.status(204).send();
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
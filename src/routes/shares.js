@@ -0,0 +1,187 @@
+/**
+ * @fileoverview Share routes
+ * @description Invites and share grants the authenticated user has received or manages
+ */
+
+const express = require('express');
+const ShareService = require('../services/shareService');
+const { protect } = require('../middleware/auth');
+const { validate, shareUpdateSchema, shareAcceptSchema } = require('../middleware/validate');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/shares:
+ *   get:
+ *     tags: [Sharing]
+ *     summary: List shares received
+ *     description: Tasks and projects shared with the authenticated user, plus invites waiting for their email
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Shares retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Share'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/', protect, async (req, res) => {
+  try {
+    const shares = await ShareService.getSharesForUser(req.user.id);
+    res.json(shares);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/shares/accept:
+ *   post:
+ *     tags: [Sharing]
+ *     summary: Accept an invite
+ *     description: Accept a share invite with the token received by email (must be signed in as the invited address)
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token]
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Invite token from the email
+ *     responses:
+ *       200:
+ *         description: Invite accepted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Share'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: The invite was sent to a different email address
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post('/accept', protect, validate(shareAcceptSchema), async (req, res) => {
+  try {
+    const share = await ShareService.acceptInvite(req.body.token, req.user.id);
+    res.json(share);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/shares/{id}:
+ *   put:
+ *     tags: [Sharing]
+ *     summary: Change a share's role
+ *     description: Owners of the shared task or project can change the role
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Share ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [role]
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [viewer, editor, owner]
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Share'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Only owners can change the role
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.put('/:id', protect, validate(shareUpdateSchema), async (req, res) => {
+  try {
+    const share = await ShareService.updateShareRole(req.params.id, req.body.role, req.user.id);
+    if (!share) {
+      return res.status(404).json({ error: 'Share not found' });
+    }
+    res.json(share);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/shares/{id}:
+ *   delete:
+ *     tags: [Sharing]
+ *     summary: Revoke, leave or decline a share
+ *     description: Owners revoke access; the invitee can leave a shared resource or decline an invite
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Share ID
+ *     responses:
+ *       204:
+ *         description: Share removed
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Not allowed to remove this share
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const ok = await ShareService.deleteShare(req.params.id, req.user.id);
+    if (!ok) {
+      return res.status(404).json({ error: 'Share not found' });
+    }
+    res.status(204).send();
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
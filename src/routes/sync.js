@@ -5,8 +5,28 @@
 
 const express = require('express');
 const SyncService = require('../services/syncService');
-const { validate, syncSchema } = require('../middleware/validate');
+const IdempotencyService = require('../services/idempotencyService');
+const ChangeFeedService = require('../services/changeFeedService');
+const DeadLetterService = require('../services/deadLetterService');
+const ConflictService = require('../services/conflictService');
+const ConflictStrategyService = require('../services/conflictStrategyService');
+const SyncWorkerService = require('../services/syncWorkerService');
+const ChangeStreamService = require('../services/changeStreamService');
+const DeviceService = require('../services/deviceService');
+const config = require('../config');
+const {
+  validate,
+  syncSchema,
+  syncBatchSchema,
+  syncChangesQuerySchema,
+  deadLetterQuerySchema,
+  deadLetterReplaySchema,
+  syncConflictQuerySchema,
+  syncConflictResolveSchema,
+  conflictStrategySchema,
+} = require('../middleware/validate');
 const {protect}  = require('../middleware/auth');
+const { requireDevice } = require('../middleware/device');
 
 const router = express.Router();
 
@@ -19,8 +39,27 @@ const router = express.Router();
  *     description: |
  *       Submit local changes for synchronization and receive server changes.
  *       Handles offline-to-online data sync with conflict resolution.
+ *
+ *       Send an `Idempotency-Key` header to make retries safe: repeating the request with the same
+ *       key and body returns the stored response (with `Idempotent-Replayed: true`) instead of
+ *       applying the changes again. Keys expire after `IDEMPOTENCY_KEY_TTL_HOURS`. Changes may also
+ *       carry a `change_id`; a change already applied under that id is not applied again.
+ *
+ *       `last_synced_at` also records how far the device has synced: it holds every change made
+ *       up to that time.
  *     security:
  *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/DeviceIdHeader'
+ *       - $ref: '#/components/parameters/DeviceNameHeader'
+ *       - $ref: '#/components/parameters/DevicePlatformHeader'
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema:
+ *           type: string
+ *           maxLength: 255
+ *         description: Client-generated key identifying this request across retries
  *     requestBody:
  *       required: true
  *       content:
@@ -38,19 +77,193 @@ const router = express.Router();
  *         $ref: '#/components/responses/ValidationError'
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/DeviceRevokedError'
+ *       409:
+ *         description: A request with this Idempotency-Key is still being processed
+ *       422:
+ *         description: The Idempotency-Key was already used with a different request body
  *       500:
  *         $ref: '#/components/responses/InternalServerError'
  */
-router.post('/', protect, validate(syncSchema), async (req, res) => {
+router.post('/', protect, validate(syncSchema), requireDevice, async (req, res) => {
   const { changes, last_synced_at } = req.body;
+  const idempotencyKey = req.get('Idempotency-Key');
+  let claimed = false;
   try {
+    if (idempotencyKey !== undefined) {
+      const stored = await IdempotencyService.beginIdempotentRequest(req.user.id, idempotencyKey, req.body);
+      if (stored) {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(stored.status_code).json(stored.response);
+      }
+      claimed = true;
+    }
+    await DeviceService.acknowledgeTimestamp(req.user.id, req.device.id, last_synced_at);
     const syncId = await SyncService.startSync(req.user.id, changes.length);
     const result = await SyncService.sync(changes, last_synced_at, req.user.id, syncId);
     // Do not override status returned by service; include syncId for reference
-    res.json({ ...result, syncId });
+    const body = { ...result, syncId };
+    if (claimed) {
+      await IdempotencyService.completeIdempotentRequest(req.user.id, idempotencyKey, 200, body);
+    }
+    res.json(body);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    if (claimed) {
+      await IdempotencyService.releaseIdempotentRequest(req.user.id, idempotencyKey).catch(() => {});
+    }
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/sync/changes:
+ *   get:
+ *     tags: [Synchronization]
+ *     summary: Pull server changes page by page
+ *     description: |
+ *       Tasks and projects the user can see, in the order they last changed. Start without a
+ *       cursor, then pass `next_cursor` until `has_more` is false; store the final `next_cursor`
+ *       for the next pull. An interrupted pull resumes from the last cursor received without
+ *       skipping or repeating changes. Deleted entities come back as tombstones.
+ *
+ *       Passing a cursor also acknowledges that the device has applied every change before it.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/DeviceIdHeader'
+ *       - $ref: '#/components/parameters/DeviceNameHeader'
+ *       - $ref: '#/components/parameters/DevicePlatformHeader'
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Opaque cursor returned as next_cursor by the previous pull
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 500
+ *           default: 100
+ *         description: Maximum number of changes to return
+ *     responses:
+ *       200:
+ *         description: Changes retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SyncChangePage'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/DeviceRevokedError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/changes', protect, validate(syncChangesQuerySchema, 'query'), requireDevice, async (req, res) => {
+  try {
+    await DeviceService.acknowledgeCursor(req.user.id, req.device.id, req.validatedQuery.cursor);
+    const page = await ChangeFeedService.getChanges(req.user.id, req.validatedQuery);
+    res.json(page);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/sync/stream:
+ *   get:
+ *     tags: [Synchronization]
+ *     summary: Stream live task changes (Server-Sent Events)
+ *     description: |
+ *       Keeps the connection open and pushes an event whenever a task the user can see is created
+ *       (`task.created`), updated (`task.updated`) or deleted (`task.deleted`), from any device.
+ *       Each event's data is JSON: `{ id, data }` with the current task, or `{ id, deleted_at }`.
+ *
+ *       Event ids are change feed cursors: a client reconnecting with the `Last-Event-ID` header
+ *       first receives the changes it missed (and acknowledges the ones before it for the device).
+ *       Without it the stream starts at the current end of the feed. A `: heartbeat` comment is
+ *       sent periodically while idle.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/DeviceIdHeader'
+ *       - $ref: '#/components/parameters/DeviceNameHeader'
+ *       - $ref: '#/components/parameters/DevicePlatformHeader'
+ *       - in: header
+ *         name: Last-Event-ID
+ *         schema:
+ *           type: string
+ *         description: Id of the last event received, to resume after it
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               example: |
+ *                 id: eyJzZXEiOjQyfQ
+ *                 event: task.updated
+ *                 data: {"id":"task-uuid-123","data":{"id":"task-uuid-123","title":"Renamed"}}
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/DeviceRevokedError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/stream', protect, requireDevice, async (req, res) => {
+  // Headers go out with the first write, so an invalid Last-Event-ID can still be answered with a 400
+  const write = (chunk) => {
+    if (!res.headersSent) {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no',
+      });
+    }
+    res.write(chunk);
+  };
+  const send = ({ id, event, data }) => write(`id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  let stop = null;
+  let heartbeat = null;
+  let disconnected = false;
+  res.on('close', () => {
+    disconnected = true;
+    clearInterval(heartbeat);
+    if (stop) {
+      stop();
+    }
+  });
+
+  try {
+    const cursor = req.get('Last-Event-ID');
+    await DeviceService.acknowledgeCursor(req.user.id, req.device.id, cursor);
+    ({ stop } = await ChangeStreamService.followTaskChanges(req.user.id, { cursor, send }));
+  } catch (err) {
+    if (res.headersSent) {
+      res.end();
+    } else {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+    return;
   }
+  if (disconnected) {
+    stop();
+    return;
+  }
+  write(': connected\n\n');
+  heartbeat = setInterval(() => write(': heartbeat\n\n'), config.SYNC_STREAM_HEARTBEAT_MS);
 });
 
 /**
@@ -61,7 +274,9 @@ router.post('/', protect, validate(syncSchema), async (req, res) => {
  *     summary: Get synchronization status
  *     description: |
  *       Check the current synchronization status including pending operations,
- *       last sync timestamp, and queue size.
+ *       last sync timestamp, and queue size. Failed operations are retried with exponential
+ *       backoff; `retrying_items` lists the ones waiting for their next attempt.
+ *       `all_devices_in_sync` tells whether every registered device has pulled every change.
  *     security:
  *       - BearerAuth: []
  *     responses:
@@ -86,13 +301,57 @@ router.get('/status', protect, async (req, res) => {
       pending_sync_count: queueCount,
       last_sync_timestamp: lastLog ? lastLog.created_at : null,
       is_online: true, // Assume online when hitting this endpoint
-      sync_queue_size: queueCount
+      sync_queue_size: queueCount,
+      all_devices_in_sync: await DeviceService.allDevicesInSync(req.user.id),
+      next_retry_at: syncStatus.retrying.length > 0 ? syncStatus.retrying[0].next_attempt_at : null,
+      retrying_items: syncStatus.retrying.map((item) => ({
+        id: item.id,
+        task_id: item.task_id,
+        entity_type: item.entity_type,
+        operation: item.operation,
+        retry_count: item.retry_count,
+        next_attempt_at: item.next_attempt_at,
+        error_message: item.error_message,
+      })),
     });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+/**
+ * @swagger
+ * /api/sync/worker:
+ *   get:
+ *     tags: [Synchronization]
+ *     summary: Background sync worker metrics
+ *     description: |
+ *       The background worker drains every user's sync queue periodically, so operations queued
+ *       outside `POST /api/sync` (e.g. by the task endpoints) are applied without waiting for the
+ *       client. Reports the worker's run state, the last error it hit on the caller's queue, and the
+ *       depth and lag of the caller's queue. Figures about other users are never included.
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Worker metrics retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SyncWorkerMetrics'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/worker', protect, async (req, res) => {
+  try {
+    res.json(await SyncWorkerService.getSyncWorkerMetrics({ userId: req.user.id }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 /**
  * @swagger
  * /api/sync/batch:
@@ -100,23 +359,36 @@ router.get('/status', protect, async (req, res) => {
  *     tags: [Synchronization]
  *     summary: Batch synchronization endpoint
  *     description: |
- *       Process a batch of sync operations at once for improved performance.
- *       Useful for handling large numbers of queued operations.
+ *       Apply a batch of queued client operations through the sync pipeline (conflict resolution,
+ *       retries and dead-lettering as for `POST /api/sync`) and report the outcome of each item.
+ *
+ *       `checksum` must be the MD5 hex digest of the JSON array of items sorted by `id`, each
+ *       reduced to `{ id, entity, task_id, operation, data, base }` with `entity` defaulting to
+ *       `task`, `data` serialized as a JSON string and `base` null when absent.
+ *       It is verified before anything is written; a mismatch rejects the whole batch with 422.
  *     security:
  *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/DeviceIdHeader'
+ *       - $ref: '#/components/parameters/DeviceNameHeader'
+ *       - $ref: '#/components/parameters/DevicePlatformHeader'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required: [items]
+ *             required: [items, checksum]
  *             properties:
  *               items:
  *                 type: array
  *                 items:
- *                   $ref: '#/components/schemas/SyncChange'
+ *                   $ref: '#/components/schemas/SyncBatchItem'
  *                 description: Array of sync operations to process
+ *               checksum:
+ *                 type: string
+ *                 description: MD5 hex digest covering every item
+ *                 example: '9e107d9d372bb6826bd81d3542a419d6'
  *               client_timestamp:
  *                 type: string
  *                 format: date-time
@@ -135,6 +407,9 @@ router.get('/status', protect, async (req, res) => {
  *                   items:
  *                     type: object
  *                     properties:
+ *                       id:
+ *                         type: string
+ *                         description: Client item ID
  *                       client_id:
  *                         type: string
  *                         description: Original client task ID
@@ -147,45 +422,508 @@ router.get('/status', protect, async (req, res) => {
  *                         description: Processing status
  *                       resolved_data:
  *                         type: object
- *                         description: Final resolved task data
+ *                         nullable: true
+ *                         description: Final resolved task (or project) data; null once deleted for good
+ *                       conflict:
+ *                         $ref: '#/components/schemas/SyncConflict'
  *                       error:
  *                         type: string
  *                         description: Error message if status is error
+ *                 processed:
+ *                   type: integer
+ *                   example: 2
+ *                 failed:
+ *                   type: integer
+ *                   example: 0
+ *                 clockSkew:
+ *                   type: array
+ *                   description: Items whose timestamp was too far ahead of the server clock
+ *                   items:
+ *                     type: object
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/DeviceRevokedError'
+ *       422:
+ *         description: The checksum does not match the items; nothing was applied
  *       500:
  *         $ref: '#/components/responses/InternalServerError'
  */
-router.post('/batch', protect, async (req, res) => {
+router.post('/batch', protect, validate(syncBatchSchema), requireDevice, async (req, res) => {
   try {
-    const { items, client_timestamp } = req.body;
-    const processed_items = [];
-    
-    for (const item of items) {
-      try {
-        // Process each sync queue item
-        const result = {
-          client_id: item.task_id,
-          server_id: item.task_id, // In this implementation, we use the same ID
-          status: 'success',
-          resolved_data: item.data
-        };
-        processed_items.push(result);
-      } catch (error) {
-        processed_items.push({
-          client_id: item.task_id,
-          status: 'error',
-          error: error.message
-        });
-      }
+    const { items, checksum } = req.body;
+    const result = await SyncService.syncBatch(items, checksum, req.user.id);
+    res.json(result);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/sync/dead-letters:
+ *   get:
+ *     tags: [Synchronization]
+ *     summary: List dead letters
+ *     description: |
+ *       Changes that failed to sync after the maximum number of attempts, most recent failure first.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/CursorParam'
+ *       - in: query
+ *         name: entity
+ *         schema:
+ *           type: string
+ *           enum: [task, project]
+ *       - in: query
+ *         name: operation
+ *         schema:
+ *           type: string
+ *           enum: [create, update, delete]
+ *       - in: query
+ *         name: task_id
+ *         schema:
+ *           type: string
+ *         description: Only items for this task or project
+ *       - in: query
+ *         name: failed_after
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: failed_before
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Dead letters retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DeadLetterPage'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/dead-letters', protect, validate(deadLetterQuerySchema, 'query'), async (req, res) => {
+  try {
+    const page = await DeadLetterService.getDeadLetters(req.user.id, req.validatedQuery);
+    res.json(page);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/sync/dead-letters/replay-all:
+ *   post:
+ *     tags: [Synchronization]
+ *     summary: Replay dead letters in bulk
+ *     description: Move every dead letter matching the filters back into the sync queue (all when no filter is given)
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               entity:
+ *                 type: string
+ *                 enum: [task, project]
+ *               operation:
+ *                 type: string
+ *                 enum: [create, update, delete]
+ *               task_id:
+ *                 type: string
+ *               failed_after:
+ *                 type: string
+ *                 format: date-time
+ *               failed_before:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       200:
+ *         description: Dead letters re-enqueued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 replayed:
+ *                   type: integer
+ *                   example: 2
+ *                 ids:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post('/dead-letters/replay-all', protect, validate(deadLetterReplaySchema), async (req, res) => {
+  try {
+    const result = await DeadLetterService.replayDeadLetters(req.user.id, req.body || {});
+    res.json(result);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/sync/dead-letters/{id}:
+ *   get:
+ *     tags: [Synchronization]
+ *     summary: Inspect a dead letter
+ *     description: The original change payload and the error of every failed attempt
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Dead letter ID
+ *     responses:
+ *       200:
+ *         description: Dead letter retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DeadLetter'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/dead-letters/:id', protect, async (req, res) => {
+  try {
+    const deadLetter = await DeadLetterService.getDeadLetterById(req.params.id, req.user.id);
+    if (!deadLetter) {
+      return res.status(404).json({ error: 'Dead letter not found' });
     }
-    
-    res.json({ processed_items });
+    res.json(deadLetter);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/sync/dead-letters/{id}/replay:
+ *   post:
+ *     tags: [Synchronization]
+ *     summary: Replay a dead letter
+ *     description: Move the change back into the sync queue with its retry count reset; it is applied on the next sync
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Dead letter ID
+ *     responses:
+ *       200:
+ *         description: Dead letter re-enqueued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: string
+ *                 queue_id:
+ *                   type: string
+ *                   description: ID of the new sync queue item
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post('/dead-letters/:id/replay', protect, async (req, res) => {
+  try {
+    const result = await DeadLetterService.replayDeadLetter(req.params.id, req.user.id);
+    if (!result) {
+      return res.status(404).json({ error: 'Dead letter not found' });
+    }
+    res.json(result);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/sync/dead-letters/{id}:
+ *   delete:
+ *     tags: [Synchronization]
+ *     summary: Discard a dead letter
+ *     description: Drop the failed change for good
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Dead letter ID
+ *     responses:
+ *       204:
+ *         description: Dead letter discarded
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.delete('/dead-letters/:id', protect, async (req, res) => {
+  try {
+    const ok = await DeadLetterService.discardDeadLetter(req.params.id, req.user.id);
+    if (!ok) {
+      return res.status(404).json({ error: 'Dead letter not found' });
+    }
+    res.status(204).send();
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/sync/conflicts:
+ *   get:
+ *     tags: [Synchronization]
+ *     summary: List sync conflicts
+ *     description: |
+ *       Changes that lost to the server version under the user's conflict strategy, or were left
+ *       to the user by the `manual` strategy, with both versions, most recent first.
+ *       Each is also reported once in the sync response (`conflict_id`); they are kept here until
+ *       resolved, so none is lost with a dropped response.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/CursorParam'
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, resolved, all]
+ *           default: open
+ *       - in: query
+ *         name: entity
+ *         schema:
+ *           type: string
+ *           enum: [task, project]
+ *     responses:
+ *       200:
+ *         description: Conflicts retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SyncConflictRecordPage'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/conflicts', protect, validate(syncConflictQuerySchema, 'query'), async (req, res) => {
+  try {
+    const page = await ConflictService.getConflicts(req.user.id, req.validatedQuery);
+    res.json(page);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/sync/conflicts/{id}/resolve:
+ *   post:
+ *     tags: [Synchronization]
+ *     summary: Resolve a sync conflict
+ *     description: |
+ *       `keep-server` accepts the server version. `keep-local` applies the losing change again and
+ *       `merged` applies the fields given in `data`; either is queued and applied like a synced
+ *       change, stamped so it wins over the current server version. `result` reports how the
+ *       applied change went (a failed one stays queued for retry) and `current_data` is the entity
+ *       as it now stands.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Conflict ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [resolution]
+ *             properties:
+ *               resolution:
+ *                 type: string
+ *                 enum: [keep-local, keep-server, merged]
+ *               data:
+ *                 type: object
+ *                 description: Required for `merged`, the task or project fields to apply
+ *                 example: { title: 'Buy oat milk and eggs' }
+ *     responses:
+ *       200:
+ *         description: Conflict resolved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SyncConflictRecord'
+ *                 - type: object
+ *                   properties:
+ *                     result:
+ *                       type: object
+ *                       nullable: true
+ *                       description: Outcome of the applied change (null for keep-server)
+ *                       properties:
+ *                         status:
+ *                           type: string
+ *                           enum: [success, error]
+ *                         error:
+ *                           type: string
+ *                     current_data:
+ *                       type: object
+ *                       nullable: true
+ *                       description: The task or project after the resolution
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: The conflict has already been resolved
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post('/conflicts/:id/resolve', protect, validate(syncConflictResolveSchema), async (req, res) => {
+  try {
+    const conflict = await ConflictService.resolveConflict(req.params.id, req.user.id, req.body);
+    if (!conflict) {
+      return res.status(404).json({ error: 'Conflict not found' });
+    }
+    res.json(conflict);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/sync/conflict-strategy:
+ *   get:
+ *     tags: [Synchronization]
+ *     summary: Get the conflict resolution strategy
+ *     description: |
+ *       How conflicts in the user's synced changes are settled: the strategy for whole records
+ *       and fields, per-field overrides for task fields, and the strategies available.
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Strategy retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ConflictStrategy'
+ *                 - type: object
+ *                   properties:
+ *                     available:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       example: [last-write-wins, server-wins, client-wins, manual, delete-wins, completed-sticky]
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/conflict-strategy', protect, async (req, res) => {
+  try {
+    const strategies = await ConflictStrategyService.getConflictStrategies(req.user.id);
+    res.json({ ...strategies, available: ConflictStrategyService.getConflictStrategyNames() });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+/**
+ * @swagger
+ * /api/sync/conflict-strategy:
+ *   put:
+ *     tags: [Synchronization]
+ *     summary: Set the conflict resolution strategy
+ *     description: |
+ *       Changes the user's strategy and/or replaces their per-field overrides (send `fields: {}`
+ *       to clear them). Applies to changes synced from now on; each sync log records the
+ *       strategies it ran under.
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ConflictStrategy'
+ *     responses:
+ *       200:
+ *         description: Strategy updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ConflictStrategy'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.put('/conflict-strategy', protect, validate(conflictStrategySchema), async (req, res) => {
+  try {
+    const strategies = await ConflictStrategyService.setConflictStrategies(req.user.id, req.body);
+    res.json(strategies);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
 /**
  * @swagger
  * /api/sync/health:
@@ -0,0 +1,185 @@
+/**
+ * @fileoverview Synchronization WebSocket
+ * @description Real-time, bidirectional sync at /api/sync/ws: clients push changes and get them
+ * acknowledged with server ids, and every connected device of the user receives changes as they
+ * are committed. See "WebSocket Sync" in the README for the message protocol.
+ */
+
+const { WebSocketServer } = require('ws');
+const SyncService = require('../services/syncService');
+const ChangeStreamService = require('../services/changeStreamService');
+const DeviceService = require('../services/deviceService');
+const { authenticateToken } = require('../middleware/auth');
+const { syncSocketMessageSchema } = require('../middleware/validate');
+const config = require('../config');
+
+const SYNC_SOCKET_PATH = '/api/sync/ws';
+
+// Same limit as JSON request bodies
+const MAX_MESSAGE_BYTES = 100 * 1024;
+
+// Close code for a connection that cannot start (e.g. an invalid resume cursor)
+const CLOSE_INVALID_REQUEST = 4400;
+
+const STATUS_TEXT = { 400: 'Bad Request', 401: 'Unauthorized', 403: 'Forbidden', 404: 'Not Found' };
+
+const rejectUpgrade = (socket, status, message) => {
+  const body = JSON.stringify({ message });
+  socket.end(
+    `HTTP/1.1 ${status} ${STATUS_TEXT[status] || 'Internal Server Error'}\r\n`
+    + 'Content-Type: application/json\r\n'
+    + `Content-Length: ${Buffer.byteLength(body)}\r\n`
+    + 'Connection: close\r\n\r\n'
+    + body
+  );
+};
+
+// One authenticated device connection
+const handleConnection = async (ws, user, device, cursor) => {
+  let serverSeq = 0;
+  let lastClientSeq = 0;
+  let messages = Promise.resolve();
+  let stop = null;
+  let closed = false;
+  let alive = true;
+
+  // Every server message carries the next sequence number of this connection
+  const send = (message) => {
+    if (ws.readyState === ws.OPEN) {
+      serverSeq += 1;
+      ws.send(JSON.stringify({ seq: serverSeq, ...message }));
+    }
+  };
+
+  // Client messages are applied one at a time, so acks go out in the order messages arrived
+  const handleMessage = async (raw) => {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch {
+      send({ type: 'error', ack: null, error: 'Messages must be JSON' });
+      return;
+    }
+    const ack = message && Number.isInteger(message.seq) ? message.seq : null;
+    const { error, value } = syncSocketMessageSchema.validate(message, { abortEarly: false });
+    if (error) {
+      send({ type: 'error', ack, error: error.details.map((d) => d.message) });
+      return;
+    }
+    if (value.seq <= lastClientSeq) {
+      send({ type: 'error', ack, error: 'seq must increase with every message' });
+      return;
+    }
+    lastClientSeq = value.seq;
+    try {
+      if (value.type === 'cursor') {
+        await DeviceService.acknowledgeCursor(user.id, device.id, value.cursor);
+        send({ type: 'ack', ack });
+        return;
+      }
+      const { results, clockSkew, serverHlc } = await SyncService.applyChanges(value.changes, user.id);
+      send({ type: 'ack', ack, results, clockSkew, serverHlc });
+    } catch (err) {
+      send({ type: 'error', ack, error: err.message });
+    }
+  };
+
+  ws.on('message', (raw) => {
+    messages = messages.then(() => handleMessage(raw));
+  });
+
+  // Connections that stop answering pings are dropped
+  ws.on('pong', () => {
+    alive = true;
+  });
+  const heartbeat = setInterval(() => {
+    if (!alive) {
+      ws.terminate();
+      return;
+    }
+    alive = false;
+    ws.ping();
+  }, config.SYNC_STREAM_HEARTBEAT_MS);
+
+  ws.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+    if (stop) {
+      stop();
+    }
+  });
+
+  try {
+    await DeviceService.acknowledgeCursor(user.id, device.id, cursor);
+    const following = await ChangeStreamService.followChanges(user.id, {
+      cursor,
+      send: (change) => send({ type: 'change', ...change }),
+    });
+    stop = following.stop;
+    if (closed) {
+      stop();
+      return;
+    }
+    send({ type: 'ready', cursor: following.cursor });
+  } catch (err) {
+    ws.close(CLOSE_INVALID_REQUEST, err.message);
+  }
+};
+
+/**
+ * Accept sync WebSocket connections on the HTTP server. Clients authenticate with the same JWT
+ * as the REST API, in the Authorization header or the `token` query parameter (browsers cannot
+ * set headers on WebSockets), and may pass `cursor` to resume after the last change they received.
+ * The device is identified like on the REST sync calls, by the X-Device-Id (-Name, -Platform)
+ * headers or the `device_id` (`device_name`, `device_platform`) query parameters.
+ */
+const attachSyncSocket = (server) => {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_BYTES });
+
+  server.on('upgrade', async (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== SYNC_SOCKET_PATH) {
+      rejectUpgrade(socket, 404, 'Route not found');
+      return;
+    }
+    const header = req.headers.authorization;
+    const token = header && header.startsWith('Bearer ') ? header.split(' ')[1] : url.searchParams.get('token');
+    let user;
+    try {
+      user = await authenticateToken(token);
+    } catch (error) {
+      rejectUpgrade(socket, 401, error.status === 401 ? error.message : 'Not authorized');
+      return;
+    }
+    const deviceParam = (name) => req.headers[`x-device-${name}`] || url.searchParams.get(`device_${name}`) || undefined;
+    const deviceId = deviceParam('id');
+    if (!deviceId) {
+      rejectUpgrade(socket, 400, 'X-Device-Id header or device_id parameter is required');
+      return;
+    }
+    let device;
+    try {
+      device = await DeviceService.touchDevice(user.id, deviceId, {
+        name: deviceParam('name'),
+        platform: deviceParam('platform'),
+      });
+    } catch (error) {
+      rejectUpgrade(socket, error.status || 500, error.message);
+      return;
+    }
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      handleConnection(ws, user, device, url.searchParams.get('cursor') || undefined)
+        .catch((error) => console.error('Sync socket connection failed:', error));
+    });
+  });
+
+  server.on('close', () => {
+    for (const client of wss.clients) {
+      client.terminate();
+    }
+    wss.close();
+  });
+  return wss;
+};
+
+module.exports = { attachSyncSocket, SYNC_SOCKET_PATH };
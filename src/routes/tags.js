@@ -0,0 +1,44 @@
+/**
+ * @fileoverview Tag routes
+ * @description Lists the labels a user has applied to their tasks
+ */
+
+const express = require('express');
+const TagService = require('../services/tagService');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/tags:
+ *   get:
+ *     tags: [Tags]
+ *     summary: List tags
+ *     description: Retrieve all tags of the authenticated user with the number of (non-deleted) tasks using each
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Tags retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Tag'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/', protect, async (req, res) => {
+  try {
+    const tags = await TagService.getTagsWithCounts(req.user.id);
+    res.json(tags);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
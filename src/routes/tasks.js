@@ -5,8 +5,22 @@
 
 const express = require('express');
 const TaskService = require('../services/taskService');
+const ShareService = require('../services/shareService');
+const DescriptionService = require('../services/descriptionService');
 const { protect } = require('../middleware/auth');
-const { validate, taskSchema } = require('../middleware/validate');
+const {
+  validate,
+  taskSchema,
+  taskQuerySchema,
+  taskSearchSchema,
+  upcomingQuerySchema,
+  taskUpdateQuerySchema,
+  occurrencesQuerySchema,
+  taskHistoryQuerySchema,
+  taskRestoreQuerySchema,
+  taskDeleteQuerySchema,
+  shareSchema,
+} = require('../middleware/validate');
 
 // Create an router instance 
 const router = express.Router();
@@ -16,29 +30,309 @@ const router = express.Router();
  * /api/tasks:
  *   get:
  *     tags: [Tasks]
- *     summary: Get all tasks
- *     description: Retrieve all tasks for the authenticated user (excluding soft-deleted)
+ *     summary: List tasks
+ *     description: |
+ *       Retrieve a page of tasks for the authenticated user (excluding soft-deleted).
+ *       Pass the returned `next_cursor` back as `cursor` to fetch the following page;
+ *       a `null` cursor means there are no more results.
  *     security:
  *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/CursorParam'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [updated_at_desc, updated_at_asc, created_at_desc, created_at_asc, title_asc, title_desc]
+ *           default: updated_at_desc
+ *         description: Sort order
+ *       - in: query
+ *         name: completed
+ *         schema:
+ *           type: boolean
+ *         description: Only return completed (true) or open (false) tasks
+ *       - in: query
+ *         name: sync_status
+ *         schema:
+ *           type: string
+ *           enum: [pending, in-progress, synced, error, failed]
+ *         description: Only return tasks in this sync state
+ *       - in: query
+ *         name: created_after
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Inclusive lower bound on created_at
+ *       - in: query
+ *         name: created_before
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Exclusive upper bound on created_at
+ *       - in: query
+ *         name: updated_after
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Inclusive lower bound on updated_at
+ *       - in: query
+ *         name: updated_before
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Exclusive upper bound on updated_at
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *         style: form
+ *         explode: true
+ *         description: Only return tasks carrying these tags (repeat the parameter or comma-separate)
+ *       - in: query
+ *         name: tag_mode
+ *         schema:
+ *           type: string
+ *           enum: [any, all]
+ *           default: any
+ *         description: Match tasks having any of the given tags, or all of them
+ *       - in: query
+ *         name: view
+ *         schema:
+ *           type: string
+ *           enum: [flat, tree]
+ *           default: flat
+ *         description: |
+ *           `flat` lists every matching task; `tree` pages over top-level tasks only
+ *           and nests their subtasks under `children`
+ *       - in: query
+ *         name: project_id
+ *         schema:
+ *           type: string
+ *         description: Only return tasks in this project (`none` for tasks outside any project)
  *     responses:
  *       200:
  *         description: Tasks retrieved successfully
  *         content:
  *           application/json:
  *             schema:
+ *               $ref: '#/components/schemas/TaskPage'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/', protect, validate(taskQuerySchema, 'query'), async(req,res)=>{
+    try{
+        // get one page of tasks
+        const page = await TaskService.getAllTasks(req.user.id, req.validatedQuery);
+        res.json(page);
+    }catch(err){
+        res.status(err.status || 500).json({error : err.message});
+    }
+});
+
+/**
+ * @swagger
+ * /api/tasks/search:
+ *   get:
+ *     tags: [Tasks]
+ *     summary: Search tasks
+ *     description: |
+ *       Full-text search over task titles and descriptions, best matches first.
+ *       Words are matched together (AND); wrap words in double quotes for a phrase
+ *       query and end a word with `*` for a prefix match (e.g. `"weekly report" doc*`).
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *           maxLength: 200
+ *         description: Search query
+ *         example: doc*
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Maximum number of results
+ *     responses:
+ *       200:
+ *         description: Matching tasks
+ *         content:
+ *           application/json:
+ *             schema:
  *               type: array
  *               items:
- *                 $ref: '#/components/schemas/Task'
+ *                 $ref: '#/components/schemas/TaskSearchResult'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/search', protect, validate(taskSearchSchema, 'query'), async(req,res)=>{
+    try{
+        const { q, limit } = req.validatedQuery;
+        const results = await TaskService.searchTasks(req.user.id, q, { limit });
+        res.json(results);
+    }catch(err){
+        res.status(500).json({error : err.message});
+    }
+});
+
+/**
+ * @swagger
+ * /api/tasks/today:
+ *   get:
+ *     tags: [Tasks]
+ *     summary: Tasks due today
+ *     description: Open tasks due between local midnight today and local midnight tomorrow, in the user's time zone
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Tasks due today
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DueTaskList'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/today', protect, async(req,res)=>{
+    try{
+        res.json(await TaskService.getTasksDueToday(req.user.id));
+    }catch(err){
+        res.status(500).json({error : err.message});
+    }
+});
+
+/**
+ * @swagger
+ * /api/tasks/overdue:
+ *   get:
+ *     tags: [Tasks]
+ *     summary: Overdue tasks
+ *     description: Open tasks whose due date has already passed
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Overdue tasks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DueTaskList'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/overdue', protect, async(req,res)=>{
+    try{
+        res.json(await TaskService.getOverdueTasks(req.user.id));
+    }catch(err){
+        res.status(500).json({error : err.message});
+    }
+});
+
+/**
+ * @swagger
+ * /api/tasks/upcoming:
+ *   get:
+ *     tags: [Tasks]
+ *     summary: Upcoming tasks
+ *     description: Open tasks due in the next `days` local days, starting tomorrow, in the user's time zone
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 90
+ *           default: 7
+ *         description: Number of days to look ahead
+ *     responses:
+ *       200:
+ *         description: Upcoming tasks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DueTaskList'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  *       500:
  *         $ref: '#/components/responses/InternalServerError'
  */
-router.get('/', protect, async(req,res)=>{
+router.get('/upcoming', protect, validate(upcomingQuerySchema, 'query'), async(req,res)=>{
     try{
-        // get the tasks
-        const tasks = await TaskService.getAllTasks(req.user.id);
-        res.json(tasks);
+        res.json(await TaskService.getUpcomingTasks(req.user.id, { days: req.validatedQuery.days }));
+    }catch(err){
+        res.status(500).json({error : err.message});
+    }
+});
+
+/**
+ * @swagger
+ * /api/tasks/trash:
+ *   get:
+ *     tags: [Tasks]
+ *     summary: Trash
+ *     description: |
+ *       Deleted tasks, most recently deleted first. They can be restored with `POST /api/tasks/{id}/restore`
+ *       until they are purged: after the retention period, once every device has synced the deletion.
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Deleted tasks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 retention_days:
+ *                   type: integer
+ *                   example: 30
+ *                 tasks:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Task'
+ *                       - type: object
+ *                         properties:
+ *                           deleted_at:
+ *                             type: string
+ *                             format: date-time
+ *                           purge_after:
+ *                             type: string
+ *                             format: date-time
+ *                             description: Earliest time the task may be purged
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/trash', protect, async(req,res)=>{
+    try{
+        res.json(await TaskService.getTrash(req.user.id));
     }catch(err){
         res.status(500).json({error : err.message});
     }
@@ -96,6 +390,408 @@ router.get('/:id', protect, async(req,res)=>{
     }
 });
 
+/**
+ * @swagger
+ * /api/tasks/{id}/children:
+ *   get:
+ *     tags: [Tasks]
+ *     summary: List subtasks
+ *     description: Retrieve the direct subtasks of a task, each with its own completion roll-up
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Parent task ID
+ *     responses:
+ *       200:
+ *         description: Subtasks retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Task'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/:id/children', protect, async(req,res)=>{
+    try{
+        const children = await TaskService.getTaskChildren(req.params.id, req.user.id);
+        if (!children) {
+            return res.status(404).json({
+                error: 'Task not found',
+                timestamp: new Date().toISOString(),
+                path: `/api/tasks/${req.params.id}/children`
+            });
+        }
+        res.json(children);
+    }catch(err){
+        res.status(500).json({error : err.message});
+    }
+});
+
+/**
+ * @swagger
+ * /api/tasks/{id}/shares:
+ *   get:
+ *     tags: [Sharing]
+ *     summary: List who a task is shared with
+ *     description: Shares granted directly on the task (grants on its project or parent task also apply)
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Task ID
+ *     responses:
+ *       200:
+ *         description: Shares retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Share'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/:id/shares', protect, async(req,res)=>{
+    try{
+        const shares = await ShareService.getResourceShares('task', req.params.id, req.user.id);
+        if (!shares) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+        res.json(shares);
+    }catch(err){
+        res.status(err.status || 500).json({error : err.message});
+    }
+});
+
+/**
+ * @swagger
+ * /api/tasks/{id}/shares:
+ *   post:
+ *     tags: [Sharing]
+ *     summary: Share a task
+ *     description: |
+ *       Invite someone by email as viewer, editor or owner (owners only). The invitee receives
+ *       an invite token by email and accepts it with `POST /api/shares/accept`. Inviting the
+ *       same address again changes the role.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Task ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ShareInput'
+ *     responses:
+ *       201:
+ *         description: Invite created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Share'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Only owners can share the task
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post('/:id/shares', protect, validate(shareSchema), async(req,res)=>{
+    const { email, role = 'viewer' } = req.body;
+    try{
+        const share = await ShareService.inviteToResource('task', req.params.id, { email, role }, req.user.id);
+        if (!share) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+        res.status(201).json(share);
+    }catch(err){
+        res.status(err.status || 500).json({error : err.message});
+    }
+});
+
+/**
+ * @swagger
+ * /api/tasks/{id}/occurrences:
+ *   get:
+ *     tags: [Tasks]
+ *     summary: Preview recurrence
+ *     description: List the next occurrences of a recurring task after its current due date, in the user's time zone
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Task ID
+ *       - in: query
+ *         name: count
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 5
+ *         description: Number of occurrences to preview
+ *     responses:
+ *       200:
+ *         description: Upcoming occurrences
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 task_id:
+ *                   type: string
+ *                 rrule:
+ *                   type: string
+ *                   nullable: true
+ *                   example: FREQ=WEEKLY;BYDAY=MO
+ *                 time_zone:
+ *                   type: string
+ *                   example: Asia/Kolkata
+ *                 occurrences:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                     format: date-time
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/:id/occurrences', protect, validate(occurrencesQuerySchema, 'query'), async(req,res)=>{
+    try{
+        const preview = await TaskService.getTaskOccurrences(req.params.id, req.user.id, req.validatedQuery.count);
+        if (!preview) {
+            return res.status(404).json({
+                error: 'Task not found',
+                timestamp: new Date().toISOString(),
+                path: `/api/tasks/${req.params.id}/occurrences`
+            });
+        }
+        res.json(preview);
+    }catch(err){
+        res.status(500).json({error : err.message});
+    }
+});
+
+/**
+ * @swagger
+ * /api/tasks/{id}/history:
+ *   get:
+ *     tags: [Tasks]
+ *     summary: Task change history
+ *     description: |
+ *       Every change to the task, newest first: who made it, when, whether it came from the REST API,
+ *       a sync or a restore, and the old/new value of each changed field. Deleted tasks keep their history.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Task ID
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *           default: 50
+ *         description: Maximum number of revisions to return
+ *       - in: query
+ *         name: before
+ *         schema:
+ *           type: integer
+ *         description: Only revisions older than this revision number (for paging)
+ *     responses:
+ *       200:
+ *         description: Revisions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/TaskRevision'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/:id/history', protect, validate(taskHistoryQuerySchema, 'query'), async(req,res)=>{
+    try{
+        const history = await TaskService.getTaskHistory(req.params.id, req.user.id, req.validatedQuery);
+        if (!history) {
+            return res.status(404).json({
+                error: 'Task not found',
+                timestamp: new Date().toISOString(),
+                path: `/api/tasks/${req.params.id}/history`
+            });
+        }
+        res.json(history);
+    }catch(err){
+        res.status(err.status || 500).json({error : err.message});
+    }
+});
+
+/**
+ * @swagger
+ * /api/tasks/{id}/description:
+ *   get:
+ *     tags: [Tasks]
+ *     summary: Get a task's description as a CRDT document
+ *     description: |
+ *       The description as an RGA sequence CRDT: one element per character, in order, deleted ones
+ *       kept as tombstones. Clients edit it by syncing `description_ops` that refer to these element
+ *       ids; concurrent edits from several devices are merged instead of one replacing the other.
+ *       `description` is the plain text, the same as the task's `description` field. Tombstones are
+ *       dropped once every device has pulled the deletion, so clients fetch the document again
+ *       after pulling a change to the task.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Task ID
+ *     responses:
+ *       200:
+ *         description: Description document retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DescriptionDocument'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/:id/description', protect, async(req,res)=>{
+    try{
+        const document = await DescriptionService.getDescriptionDocument(req.params.id, req.user.id);
+        if (!document) {
+            return res.status(404).json({
+                error: 'Task not found',
+                timestamp: new Date().toISOString(),
+                path: `/api/tasks/${req.params.id}/description`
+            });
+        }
+        res.json(document);
+    }catch(err){
+        res.status(err.status || 500).json({error : err.message});
+    }
+});
+
+/**
+ * @swagger
+ * /api/tasks/{id}/restore:
+ *   post:
+ *     tags: [Tasks]
+ *     summary: Restore a task from the trash or to a revision
+ *     description: |
+ *       Without `revision`, takes a deleted task (and the subtasks deleted with it) out of the trash
+ *       (owners only). With `revision`, puts the task's fields back to how they were right after that
+ *       revision (editors and owners). Either way the change is recorded in the history and queued for sync.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Task ID
+ *       - in: query
+ *         name: revision
+ *         schema:
+ *           type: integer
+ *         description: Revision number from the task history
+ *     responses:
+ *       200:
+ *         description: Task restored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Task'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Not allowed to restore the task
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post('/:id/restore', protect, validate(taskRestoreQuerySchema, 'query'), async(req,res)=>{
+    try{
+        const { revision } = req.validatedQuery;
+        const task = revision
+            ? await TaskService.restoreTaskRevision(req.params.id, revision, req.user.id)
+            : await TaskService.undeleteTask(req.params.id, req.user.id);
+        if (!task) {
+            return res.status(404).json({
+                error: 'Task not found',
+                timestamp: new Date().toISOString(),
+                path: `/api/tasks/${req.params.id}/restore`
+            });
+        }
+        res.json(task);
+    }catch(err){
+        res.status(err.status || 500).json({error : err.message});
+    }
+});
+
 /**
  * @swagger
  * /api/tasks:
@@ -128,16 +824,16 @@ router.get('/:id', protect, async(req,res)=>{
 router.post('/', protect, validate(taskSchema), async(req,res)=>{
     try{
         // Get the data from request body
-        const { title, description, completed } = req.body;
+        const { title, description, completed, tags, due_at, priority, rrule, parent_id, project_id } = req.body;
         if (!title) return res.status(400).json({ error: 'Title is required' });
         try{
             const task = await TaskService.createTask(
-                { title, description, completed }, req.user.id
+                { title, description, completed, tags, due_at, priority, rrule, parent_id, project_id }, req.user.id
             );
             res.status(201).json(task);
 
         }catch(error){
-            res.status(500).json({message: error.message});
+            res.status(error.status || 500).json({message: error.message});
         }
     }catch(error){
         res.status(500).json({message: error.message});
@@ -150,10 +846,21 @@ router.post('/', protect, validate(taskSchema), async(req,res)=>{
  *   put:
  *     tags: [Tasks]
  *     summary: Update an existing task
- *     description: Update task properties (supports partial updates)
+ *     description: |
+ *       Update task properties (supports partial updates).
+ *       Completing a recurring task creates its next occurrence, returned as `next_occurrence`.
+ *       With `scope=series`, title, description, priority, tags and rrule changes are also
+ *       applied to the other open occurrences of the same series.
  *     security:
  *       - BearerAuth: []
  *     parameters:
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [this, series]
+ *           default: this
+ *         description: Edit only this occurrence or the whole recurring series
  *       - in: path
  *         name: id
  *         required: true
@@ -184,14 +891,19 @@ router.post('/', protect, validate(taskSchema), async(req,res)=>{
  *       500:
  *         $ref: '#/components/responses/InternalServerError'
  */
-router.put('/:id', protect,  async(req, res)=>{
-    const { title, description, completed } = req.body;
+router.put('/:id', protect, validate(taskUpdateQuerySchema, 'query'), async(req, res)=>{
+    const { title, description, completed, tags, due_at, priority, rrule, parent_id, project_id } = req.body;
   try {
-    const updatedTask = await TaskService.updateTask(req.params.id, { title, description, completed }, req.user.id);
+    const updatedTask = await TaskService.updateTask(
+      req.params.id,
+      { title, description, completed, tags, due_at, priority, rrule, parent_id, project_id },
+      req.user.id,
+      { scope: req.validatedQuery.scope }
+    );
     if (!updatedTask) return res.status(404).json({ error: 'Task not found' });
     res.json(updatedTask);
   } catch (err) {
-    res.status(400).json({ error: err.message });
+    res.status(err.status || 400).json({ error: err.message });
   }
 });
 
@@ -201,7 +913,10 @@ router.put('/:id', protect,  async(req, res)=>{
  *   delete:
  *     tags: [Tasks]
  *     summary: Delete a task
- *     description: Soft delete a task (marks as deleted but preserves data)
+ *     description: |
+ *       Soft delete a task and all of its subtasks (moves them to the trash). With `permanent=true` the
+ *       task and its subtasks are erased immediately instead, whether or not they are in the trash.
+ *       Only owners can delete.
  *     security:
  *       - BearerAuth: []
  *     parameters:
@@ -213,19 +928,31 @@ router.put('/:id', protect,  async(req, res)=>{
  *           format: uuid
  *         description: Task ID to delete
  *         example: 550e8400-e29b-41d4-a716-446655440001
+ *       - in: query
+ *         name: permanent
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Erase the task instead of moving it to the trash
  *     responses:
  *       204:
  *         description: Task deleted successfully (no content)
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Only owners can delete the task
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
  *       500:
  *         $ref: '#/components/responses/InternalServerError'
  */
-router.delete('/:id', protect, async(req, res)=>{
+router.delete('/:id', protect, validate(taskDeleteQuerySchema, 'query'), async(req, res)=>{
   try {
-    const ok = await TaskService.deleteTask(req.params.id, req.user.id);
+    const ok = req.validatedQuery.permanent
+      ? await TaskService.purgeTask(req.params.id, req.user.id)
+      : await TaskService.deleteTask(req.params.id, req.user.id);
     if (!ok) {
         return res.status(404).json({
             error: 'Task not found',
@@ -235,7 +962,7 @@ router.delete('/:id', protect, async(req, res)=>{
     }
     res.status(204).send(); // 204 No Content as per API spec
   } catch (err) {
-    res.status(500).json({ 
+    res.status(err.status || 500).json({ 
         error: err.message,
         timestamp: new Date().toISOString(),
         path: `/api/tasks/${req.params.id}`
@@ -169,7 +169,7 @@ router.post('/reset-password', async (req, res) => {
  *   post:
  *     tags: [Users]
  *     summary: Update user information
- *     description: Update user email and/or password (requires authentication)
+ *     description: Update user email, password and/or time zone (requires authentication)
  *     security:
  *       - BearerAuth: []
  *     parameters:
@@ -195,6 +195,10 @@ router.post('/reset-password', async (req, res) => {
  *                 type: string
  *                 minLength: 6
  *                 example: newPassword123
+ *               time_zone:
+ *                 type: string
+ *                 description: IANA time zone used for due-date views
+ *                 example: Asia/Kolkata
  *     responses:
  *       200:
  *         description: User updated successfully
@@ -217,9 +221,9 @@ router.post('/reset-password', async (req, res) => {
  */
 router.post('/updateUser/:id',protect, async(req, res)=>{
     const {id} = req.params;
-    const {email , password} = req.body;
+    const {email , password, time_zone} = req.body;
     try{
-        const result = await userAuth.updateUser(id,{email,password});
+        const result = await userAuth.updateUser(id,{email,password,time_zone});
         res.status(200).json({message: 'User updated successfully', user: result});
     }catch(error){
         res.status(400).json({message: 'Error updating user', error: error.message});
@@ -2,6 +2,10 @@ const express = require('express');
 const dotenv = require('dotenv');
 const config = require('./config');
 const db = require('./db/db')
+const { startTrashPurgeJob, stopTrashPurgeJob } = require('./services/trashService');
+const { startIdempotencyPurgeJob, stopIdempotencyPurgeJob } = require('./services/idempotencyService');
+const { startSyncWorker, stopSyncWorker } = require('./services/syncWorkerService');
+const { attachSyncSocket } = require('./routes/syncSocket');
 const bodyParser = require('body-parser');
 const { specs, swaggerUi, swaggerSetup } = require('../swagger-config');
 
@@ -13,7 +17,7 @@ const app = express();
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, Idempotency-Key, Last-Event-ID, X-Device-Id, X-Device-Name, X-Device-Platform');
   if (req.method === 'OPTIONS') {
     res.sendStatus(200);
   } else {
@@ -28,10 +32,18 @@ app.use(express.urlencoded({extended: false}));
 const taskRoutes = require('./routes/tasks');
 const syncRoutes = require('./routes/sync');
 const authRoutes = require('./routes/userAuth');
+const tagRoutes = require('./routes/tags');
+const projectRoutes = require('./routes/projects');
+const shareRoutes = require('./routes/shares');
+const deviceRoutes = require('./routes/devices');
 
 app.use('/api/tasks', taskRoutes);
 app.use('/api/sync', syncRoutes);
 app.use('/api/auth', authRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/projects', projectRoutes);
+app.use('/api/shares', shareRoutes);
+app.use('/api/devices', deviceRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -109,7 +121,16 @@ const server = app.listen(config.PORT, () => {
     console.log(`Server is running on port ${config.PORT}`);
     console.log(`Swagger UI available at http://localhost:${config.PORT}/api-docs`);
     console.log(`API Documentation JSON at http://localhost:${config.PORT}/api-docs.json`);
+    startTrashPurgeJob();
+    startIdempotencyPurgeJob();
+    startSyncWorker();
 });
+server.on('close', stopTrashPurgeJob);
+server.on('close', stopIdempotencyPurgeJob);
+server.on('close', stopSyncWorker);
+
+// Real-time sync over WebSocket at /api/sync/ws
+attachSyncSocket(server);
 
 // Export both app and server for testing
 module.exports = { app, server };
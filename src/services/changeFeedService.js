@@ -0,0 +1,156 @@
+const { runQuery, getQuery, allQuery } = require('../db/db');
+const { taskAccessCondition, projectAccessCondition } = require('./permissionService');
+const { attachTags } = require('./tagService');
+
+const DEFAULT_CHANGES_LIMIT = 100;
+
+const validationError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Cursors are opaque to clients: base64url JSON of the last change sequence number seen
+const encodeChangeCursor = (seq) => Buffer.from(JSON.stringify({ seq })).toString('base64url');
+
+const decodeChangeCursor = (cursor) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    payload = null;
+  }
+  if (!payload || !Number.isInteger(payload.seq) || payload.seq < 0) {
+    throw validationError('Invalid cursor');
+  }
+  return payload.seq;
+};
+
+const rowsById = async (table, ids) => {
+  if (ids.length === 0) {
+    return new Map();
+  }
+  const rows = await allQuery(`SELECT * FROM ${table} WHERE id IN (${ids.map(() => '?').join(', ')})`, ids);
+  return new Map((table === 'tasks' ? await attachTags(rows) : rows).map((row) => [row.id, row]));
+};
+
+// Feed entries the user can see: tasks and projects they have access to, plus the tombstones of
+// hard-deleted entities they owned (only their feed row is left)
+const visibleChanges = (userId) => {
+  const taskAccess = taskAccessCondition(userId, 't');
+  const projectAccess = projectAccessCondition(userId, 'p');
+  return {
+    sql: `FROM sync_changes c
+     LEFT JOIN tasks t ON c.entity_type = 'task' AND t.id = c.entity_id
+     LEFT JOIN projects p ON c.entity_type = 'project' AND p.id = c.entity_id
+     WHERE (
+       ${taskAccess.sql}
+       OR ${projectAccess.sql}
+       OR (t.id IS NULL AND p.id IS NULL AND c.user_id = ?)
+     )`,
+    params: [...taskAccess.params, ...projectAccess.params, userId],
+  };
+};
+
+// 1. Page through the tasks and projects the user can see, in the order they last changed.
+// Deleted entities come back as tombstones; `next_cursor` resumes after the last change returned,
+// and each change's own `cursor` right after it.
+const getChanges = async (userId, { cursor, limit = DEFAULT_CHANGES_LIMIT } = {}) => {
+  if (!userId) {
+    throw new Error('User ID is required');
+  }
+  const after = cursor ? decodeChangeCursor(cursor) : 0;
+  const visible = visibleChanges(userId);
+  const rows = await allQuery(
+    `SELECT c.seq, c.entity_type, c.entity_id, c.created_at
+     ${visible.sql} AND c.seq > ?
+     ORDER BY c.seq
+     LIMIT ?`,
+    [...visible.params, after, limit + 1]
+  );
+
+  const hasMore = rows.length > limit;
+  const page = rows.slice(0, limit);
+  const idsOf = (type) => page.filter((row) => row.entity_type === type).map((row) => row.entity_id);
+  const entities = {
+    task: await rowsById('tasks', idsOf('task')),
+    project: await rowsById('projects', idsOf('project')),
+  };
+
+  const changes = page.map((row) => {
+    const entity = entities[row.entity_type].get(row.entity_id);
+    const change = { entity: row.entity_type, id: row.entity_id, cursor: encodeChangeCursor(row.seq) };
+    if (!entity || entity.is_deleted) {
+      const deleted_at = entity ? (entity.deleted_at || entity.updated_at) : row.created_at;
+      return { ...change, operation: 'delete', deleted_at };
+    }
+    return { ...change, operation: 'upsert', data: entity };
+  });
+
+  return {
+    changes,
+    next_cursor: encodeChangeCursor(page.length > 0 ? page[page.length - 1].seq : after),
+    has_more: hasMore,
+  };
+};
+
+// 2. Cursor at the current end of the feed, to follow only changes made from now on
+const getLatestChangeCursor = async () => {
+  const { seq } = await getQuery('SELECT COALESCE(MAX(seq), 0) AS seq FROM sync_changes');
+  return encodeChangeCursor(seq);
+};
+
+// 3. How many changes the user can see after feed position `seq`
+const countChangesAfter = async (userId, seq) => {
+  const visible = visibleChanges(userId);
+  const { count } = await getQuery(`SELECT COUNT(*) AS count ${visible.sql} AND c.seq > ?`, [...visible.params, seq]);
+  return count;
+};
+
+// 4. Feed position reached by a timestamp: the last change recorded at or before it
+const getChangeSeqAt = async (timestamp) => {
+  const { seq } = await getQuery(
+    'SELECT COALESCE(MAX(seq), 0) AS seq FROM sync_changes WHERE created_at <= ?',
+    [new Date(timestamp).toISOString()]
+  );
+  return seq;
+};
+
+// 5. Move a shared task (with its subtasks) or project (with its tasks) to the end of the feed,
+// so someone who just gained access pulls it even if their cursor is past its last change
+const touchSharedResource = async (resourceType, resourceId) => {
+  const root = resourceType === 'project' ? 'project_id' : 'id';
+  const entities = await allQuery(
+    `WITH RECURSIVE subtree(id) AS (
+       SELECT id FROM tasks WHERE ${root} = ?
+       UNION
+       SELECT c.id FROM tasks c JOIN subtree s ON c.parent_id = s.id
+     )
+     SELECT 'task' AS entity_type, t.id, t.user_id FROM tasks t JOIN subtree s ON s.id = t.id`,
+    [resourceId]
+  );
+  if (resourceType === 'project') {
+    entities.unshift(...await allQuery(
+      "SELECT 'project' AS entity_type, id, user_id FROM projects WHERE id = ?",
+      [resourceId]
+    ));
+  }
+
+  const now = new Date().toISOString();
+  for (const entity of entities) {
+    await runQuery(
+      'INSERT OR REPLACE INTO sync_changes (entity_type, entity_id, user_id, created_at) VALUES (?, ?, ?, ?)',
+      [entity.entity_type, entity.id, entity.user_id, now]
+    );
+  }
+};
+
+module.exports = {
+  encodeChangeCursor,
+  decodeChangeCursor,
+  getChanges,
+  getLatestChangeCursor,
+  countChangesAfter,
+  getChangeSeqAt,
+  touchSharedResource,
+};
@@ -0,0 +1,104 @@
+const { EventEmitter } = require('events');
+const { afterCommit } = require('../db/db');
+const { getChanges, getLatestChangeCursor } = require('./changeFeedService');
+
+// The services may be loaded more than once (like the db module), so every copy shares one emitter
+const EMITTER_GLOBAL_KEY = '__TASKS_CHANGE_STREAM__';
+
+const getEmitter = () => {
+  if (!globalThis[EMITTER_GLOBAL_KEY]) {
+    const emitter = new EventEmitter();
+    emitter.setMaxListeners(0);
+    globalThis[EMITTER_GLOBAL_KEY] = emitter;
+  }
+  return globalThis[EMITTER_GLOBAL_KEY];
+};
+
+// A feed entry as a stream event. Upserts of tasks that were never edited are creations.
+const toTaskEvent = (change) => {
+  if (change.operation === 'delete') {
+    return { id: change.cursor, event: 'task.deleted', data: { id: change.id, deleted_at: change.deleted_at } };
+  }
+  const created = change.data.created_at === change.data.updated_at;
+  return { id: change.cursor, event: created ? 'task.created' : 'task.updated', data: { id: change.id, data: change.data } };
+};
+
+// 1. Wake the open streams once the current transaction commits. Each stream reads the change
+// feed itself, so the signal carries no data and a spurious one costs a single query.
+const notifyChanges = () => {
+  afterCommit(() => getEmitter().emit('changes'));
+};
+
+/**
+ * 2. Follow the user's change feed after `cursor` (from now on when omitted), calling `send` with
+ * each change (tasks and projects, as returned by the change feed): changes already in the feed
+ * first, then new ones as they are committed. Each change's `cursor` resumes right after it.
+ * Resolves once caught up, to `{ stop, cursor }` with the position reached.
+ */
+const followChanges = async (userId, { cursor, send }) => {
+  let position = cursor || await getLatestChangeCursor();
+  let pending = false;
+  let reading = null;
+  let closed = false;
+
+  const readFeed = async () => {
+    try {
+      while (pending && !closed) {
+        pending = false;
+        let page;
+        do {
+          page = await getChanges(userId, { cursor: position });
+          for (const change of page.changes) {
+            if (closed) {
+              return;
+            }
+            send(change);
+          }
+          position = page.next_cursor;
+        } while (page.has_more && !closed);
+      }
+    } finally {
+      reading = null;
+    }
+  };
+
+  const wake = () => {
+    pending = true;
+    if (!reading) {
+      reading = readFeed();
+    }
+    return reading;
+  };
+  const onChanges = () => {
+    wake().catch((error) => console.error('Change stream read failed:', error));
+  };
+  const stop = () => {
+    closed = true;
+    getEmitter().off('changes', onChanges);
+  };
+
+  getEmitter().on('changes', onChanges);
+  try {
+    await wake();
+  } catch (error) {
+    stop();
+    throw error;
+  }
+  return { stop, cursor: position };
+};
+
+// 3. Follow only task changes, as `{ id, event, data }` stream events whose id is the feed cursor
+const followTaskChanges = async (userId, { cursor, send }) => followChanges(userId, {
+  cursor,
+  send: (change) => {
+    if (change.entity === 'task') {
+      send(toTaskEvent(change));
+    }
+  },
+});
+
+module.exports = {
+  notifyChanges,
+  followChanges,
+  followTaskChanges,
+};
@@ -0,0 +1,148 @@
+const { runQuery, getQuery, allQuery } = require('../db/db');
+const { applyChanges, getResolvedEntity } = require('./syncService');
+
+const DEFAULT_CONFLICT_LIMIT = 50;
+
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Cursors are opaque to clients: base64url JSON of the last row's created_at and id
+const encodeCursor = (row) => Buffer.from(JSON.stringify({ v: row.created_at, id: row.id })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    payload = null;
+  }
+  if (!payload || typeof payload.v !== 'string' || typeof payload.id !== 'string') {
+    throw httpError(400, 'Invalid cursor');
+  }
+  return payload;
+};
+
+const parseJSON = (value, fallback) => {
+  try {
+    return value ? JSON.parse(value) : fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+const formatConflict = (row) => row && {
+  ...row,
+  local_data: parseJSON(row.local_data, {}),
+  server_data: parseJSON(row.server_data, {}),
+  resolved_data: parseJSON(row.resolved_data, null),
+};
+
+// 1. The user's sync conflicts, most recent first (cursor paginated; open ones unless asked otherwise)
+const getConflicts = async (userId, { status = 'open', entity, limit = DEFAULT_CONFLICT_LIMIT, cursor } = {}) => {
+  if (!userId) {
+    throw new Error('User ID is required');
+  }
+  const conditions = ['user_id = ?'];
+  const params = [userId];
+  if (status !== 'all') {
+    conditions.push('status = ?');
+    params.push(status);
+  }
+  if (entity) {
+    conditions.push('entity_type = ?');
+    params.push(entity);
+  }
+  if (cursor) {
+    const { v, id } = decodeCursor(cursor);
+    conditions.push('(created_at < ? OR (created_at = ? AND id < ?))');
+    params.push(v, v, id);
+  }
+  const rows = await allQuery(
+    `SELECT * FROM sync_conflicts
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY created_at DESC, id DESC
+     LIMIT ?`,
+    [...params, limit + 1]
+  );
+  const hasMore = rows.length > limit;
+  const page = hasMore ? rows.slice(0, limit) : rows;
+  return {
+    conflicts: page.map(formatConflict),
+    next_cursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+  };
+};
+
+// The change that settles a conflict. Its version stamps are dropped so it is stamped with the
+// current server clock and wins over the version it lost to.
+const resolutionChange = (conflict, resolution, data) => {
+  const fields = { ...(resolution === 'merged' ? data : conflict.local_data) };
+  delete fields.hlc;
+  delete fields.updated_at;
+  return {
+    entity: conflict.entity_type,
+    operation: resolution === 'merged' ? 'update' : conflict.operation,
+    local_id: conflict.entity_id,
+    server_id: conflict.entity_id,
+    data: fields,
+  };
+};
+
+/**
+ * 2. Resolve an open conflict. `keep-server` accepts the version that won; `keep-local` applies
+ * the losing change again and `merged` applies `data`, both through the sync queue like a client
+ * change (a change that fails stays queued for retry). Returns the resolved conflict with the
+ * outcome of the applied change (`result`) and the entity as it now stands (`current_data`);
+ * null when not found.
+ */
+const resolveConflict = async (id, userId, { resolution, data } = {}) => {
+  const conflict = formatConflict(
+    await getQuery('SELECT * FROM sync_conflicts WHERE id = ? AND user_id = ?', [id, userId])
+  );
+  if (!conflict) {
+    return null;
+  }
+  if (conflict.status !== 'open') {
+    throw httpError(409, 'Conflict has already been resolved');
+  }
+
+  // Claimed before applying, so concurrent resolutions cannot both apply their change
+  const resolvedData = resolution === 'merged' ? data : null;
+  const { changes } = await runQuery(
+    `UPDATE sync_conflicts SET status = 'resolved', resolution = ?, resolved_data = ?, resolved_at = ?
+     WHERE id = ? AND status = 'open'`,
+    [resolution, resolvedData && JSON.stringify(resolvedData), new Date().toISOString(), id]
+  );
+  if (changes === 0) {
+    throw httpError(409, 'Conflict has already been resolved');
+  }
+
+  let result = null;
+  if (resolution !== 'keep-server') {
+    let results;
+    try {
+      ({ results } = await applyChanges([resolutionChange(conflict, resolution, data)], userId));
+    } catch (error) {
+      // Nothing was queued: leave the conflict open to be resolved again
+      await runQuery(
+        "UPDATE sync_conflicts SET status = 'open', resolution = NULL, resolved_data = NULL, resolved_at = NULL WHERE id = ?",
+        [id]
+      );
+      throw error;
+    }
+    const { status, error } = results[0];
+    result = error ? { status, error } : { status };
+  }
+  return {
+    ...formatConflict(await getQuery('SELECT * FROM sync_conflicts WHERE id = ?', [id])),
+    result,
+    current_data: await getResolvedEntity(conflict.entity_type, conflict.entity_id, userId),
+  };
+};
+
+module.exports = {
+  getConflicts,
+  resolveConflict,
+};
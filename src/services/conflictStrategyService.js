@@ -0,0 +1,106 @@
+const { runQuery, getQuery } = require('../db/db');
+const config = require('../config');
+
+// Task fields a strategy can be chosen for (the fields merged one by one on sync)
+const TASK_MERGE_FIELDS = [
+  'title', 'description', 'completed', 'due_at', 'priority', 'rrule', 'series_id', 'parent_id', 'project_id',
+  'tags', 'is_deleted',
+];
+
+const validationError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Conflict strategies by name. A strategy decides which side wins a conflict: 'local' (the
+ * incoming change), 'server' (the stored version) or 'manual' (neither is applied and the conflict
+ * waits for the user). It is called with `{ local, server, operation, field, lastWriter }`:
+ * the incoming values, the stored record, the incoming operation, the field being decided
+ * (undefined for the whole record) and the side last-write-wins picks.
+ */
+const strategies = new Map();
+
+// 1. Add a strategy (or replace one) under `name`
+const registerConflictStrategy = (name, resolve) => {
+  strategies.set(name, resolve);
+};
+
+const getConflictStrategyNames = () => [...strategies.keys()];
+
+registerConflictStrategy('last-write-wins', ({ lastWriter }) => lastWriter);
+registerConflictStrategy('server-wins', () => 'server');
+registerConflictStrategy('client-wins', () => 'local');
+registerConflictStrategy('manual', () => 'manual');
+
+// A deletion beats any edit, whichever came last
+registerConflictStrategy('delete-wins', ({ local, server, operation, field, lastWriter }) => {
+  if (field === undefined || field === 'is_deleted') {
+    if (operation === 'delete' || local.is_deleted) {
+      return 'local';
+    }
+    if (server.is_deleted) {
+      return 'server';
+    }
+  }
+  return lastWriter;
+});
+
+// A completed task stays completed: reopening it only wins when no one completed it meanwhile
+registerConflictStrategy('completed-sticky', ({ local, server, field, lastWriter }) => {
+  if ((field === undefined || field === 'completed') && local.completed !== undefined
+    && !!local.completed !== !!server.completed) {
+    return local.completed ? 'local' : 'server';
+  }
+  return lastWriter;
+});
+
+// 2. Side picked by strategy `name` (see the registry above)
+const resolveWithStrategy = (name, context) => {
+  const resolve = strategies.get(name) || strategies.get(config.SYNC_CONFLICT_STRATEGY);
+  return resolve(context);
+};
+
+// 3. The user's strategy and per-field overrides (`fields`: task field -> strategy name)
+const getConflictStrategies = async (userId) => {
+  const row = await getQuery('SELECT conflict_strategy, conflict_field_strategies FROM users WHERE id = ?', [userId]);
+  let fields = {};
+  try {
+    fields = (row && row.conflict_field_strategies && JSON.parse(row.conflict_field_strategies)) || {};
+  } catch {
+    fields = {};
+  }
+  return { strategy: (row && row.conflict_strategy) || config.SYNC_CONFLICT_STRATEGY, fields };
+};
+
+// 4. Change the user's strategy and/or replace their per-field overrides
+const setConflictStrategies = async (userId, { strategy, fields } = {}) => {
+  if (strategy !== undefined && !strategies.has(strategy)) {
+    throw validationError(`Unknown conflict strategy: ${strategy}`);
+  }
+  for (const [field, name] of Object.entries(fields || {})) {
+    if (!TASK_MERGE_FIELDS.includes(field)) {
+      throw validationError(`Conflict strategies cannot be set for field: ${field}`);
+    }
+    if (!strategies.has(name)) {
+      throw validationError(`Unknown conflict strategy: ${name}`);
+    }
+  }
+  if (strategy !== undefined) {
+    await runQuery('UPDATE users SET conflict_strategy = ? WHERE id = ?', [strategy, userId]);
+  }
+  if (fields !== undefined) {
+    await runQuery('UPDATE users SET conflict_field_strategies = ? WHERE id = ?', [JSON.stringify(fields), userId]);
+  }
+  return await getConflictStrategies(userId);
+};
+
+module.exports = {
+  TASK_MERGE_FIELDS,
+  registerConflictStrategy,
+  getConflictStrategyNames,
+  resolveWithStrategy,
+  getConflictStrategies,
+  setConflictStrategies,
+};
@@ -0,0 +1,154 @@
+const { runQuery, getQuery, allQuery, withTransaction } = require('../db/db');
+const { addToSyncQueue, updateSyncStatus } = require('./syncService');
+
+const DEFAULT_DEAD_LETTER_LIMIT = 50;
+
+const validationError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Cursors are opaque to clients: base64url JSON of the last row's failed_at and id
+const encodeCursor = (row) => Buffer.from(JSON.stringify({ v: row.failed_at, id: row.id })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    payload = null;
+  }
+  if (!payload || typeof payload.v !== 'string' || typeof payload.id !== 'string') {
+    throw validationError('Invalid cursor');
+  }
+  return payload;
+};
+
+const parseJSON = (value, fallback) => {
+  try {
+    return value ? JSON.parse(value) : fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+// Stored payload and error history as objects; items that predate error history get one entry
+const formatDeadLetter = (row) => row && {
+  ...row,
+  data: parseJSON(row.data, {}),
+  error_history: parseJSON(row.error_history, null)
+    || [{ attempt: row.retry_count, error: row.error_message, failed_at: row.failed_at }],
+};
+
+// WHERE clause for the user's dead letters matching the list / replay-all filters
+const buildFilter = (userId, { entity, operation, task_id, failed_after, failed_before } = {}) => {
+  const conditions = ['user_id = ?'];
+  const params = [userId];
+  if (entity) {
+    conditions.push('entity_type = ?');
+    params.push(entity);
+  }
+  if (operation) {
+    conditions.push('operation = ?');
+    params.push(operation);
+  }
+  if (task_id) {
+    conditions.push('task_id = ?');
+    params.push(task_id);
+  }
+  if (failed_after) {
+    conditions.push('failed_at >= ?');
+    params.push(new Date(failed_after).toISOString());
+  }
+  if (failed_before) {
+    conditions.push('failed_at < ?');
+    params.push(new Date(failed_before).toISOString());
+  }
+  return { conditions, params };
+};
+
+// 1. The user's dead letters, most recent failure first (cursor paginated, filterable)
+const getDeadLetters = async (userId, { limit = DEFAULT_DEAD_LETTER_LIMIT, cursor, ...filters } = {}) => {
+  if (!userId) {
+    throw new Error('User ID is required');
+  }
+  const { conditions, params } = buildFilter(userId, filters);
+  if (cursor) {
+    const { v, id } = decodeCursor(cursor);
+    conditions.push('(failed_at < ? OR (failed_at = ? AND id < ?))');
+    params.push(v, v, id);
+  }
+  const rows = await allQuery(
+    `SELECT * FROM dead_letter_queue
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY failed_at DESC, id DESC
+     LIMIT ?`,
+    [...params, limit + 1]
+  );
+  const hasMore = rows.length > limit;
+  const page = hasMore ? rows.slice(0, limit) : rows;
+  return {
+    dead_letters: page.map(formatDeadLetter),
+    next_cursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+  };
+};
+
+// 2. One dead letter with its original payload and every failed attempt
+const getDeadLetterById = async (id, userId) => formatDeadLetter(
+  await getQuery('SELECT * FROM dead_letter_queue WHERE id = ? AND user_id = ?', [id, userId])
+);
+
+// Move a dead letter back into the sync queue with a fresh retry budget (keeping its history)
+const requeue = async (row) => {
+  const queueId = await addToSyncQueue(
+    row.task_id,
+    row.operation,
+    parseJSON(row.data, {}),
+    row.user_id,
+    row.original_created_at,
+    row.entity_type,
+    row.change_id
+  );
+  await runQuery('UPDATE sync_queue SET error_history = ? WHERE id = ?', [row.error_history, queueId]);
+  await runQuery('DELETE FROM dead_letter_queue WHERE id = ?', [row.id]);
+  await updateSyncStatus(row.task_id, 'pending', row.user_id, {}, row.entity_type);
+  return queueId;
+};
+
+// 3. Replay one dead letter: it is applied again on the next sync. Null when not found.
+const replayDeadLetter = async (id, userId) => withTransaction(async () => {
+  const row = await getQuery('SELECT * FROM dead_letter_queue WHERE id = ? AND user_id = ?', [id, userId]);
+  if (!row) {
+    return null;
+  }
+  const queueId = await requeue(row);
+  return { id, queue_id: queueId };
+});
+
+// 4. Replay every dead letter matching the filters
+const replayDeadLetters = async (userId, filters = {}) => withTransaction(async () => {
+  const { conditions, params } = buildFilter(userId, filters);
+  const rows = await allQuery(
+    `SELECT * FROM dead_letter_queue WHERE ${conditions.join(' AND ')} ORDER BY failed_at, id`,
+    params
+  );
+  for (const row of rows) {
+    await requeue(row);
+  }
+  return { replayed: rows.length, ids: rows.map((row) => row.id) };
+});
+
+// 5. Discard a dead letter for good. False when not found.
+const discardDeadLetter = async (id, userId) => {
+  const { changes } = await runQuery('DELETE FROM dead_letter_queue WHERE id = ? AND user_id = ?', [id, userId]);
+  return changes > 0;
+};
+
+module.exports = {
+  getDeadLetters,
+  getDeadLetterById,
+  replayDeadLetter,
+  replayDeadLetters,
+  discardDeadLetter,
+};
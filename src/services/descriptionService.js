@@ -0,0 +1,107 @@
+const { runQuery, getQuery } = require('../db/db');
+const config = require('../config');
+const { getTaskByIdIncludingDeleted } = require('./taskService');
+const { getTaskAudience } = require('./permissionService');
+const { allDevicesSyncedPast } = require('./deviceService');
+const { toText, applyOperations, collectTombstones, diffOperations } = require('../utils/rga');
+
+// Same limit as the description field
+const MAX_DESCRIPTION_LENGTH = 1000;
+
+const validationError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const loadElements = async (taskId) => {
+  const row = await getQuery('SELECT elements FROM task_descriptions WHERE task_id = ?', [taskId]);
+  return row ? JSON.parse(row.elements) : [];
+};
+
+const saveElements = async (taskId, elements) => {
+  await runQuery(
+    `INSERT INTO task_descriptions (task_id, elements, updated_at) VALUES (?, ?, ?)
+     ON CONFLICT (task_id) DO UPDATE SET elements = excluded.elements, updated_at = excluded.updated_at`,
+    [taskId, JSON.stringify(elements), new Date().toISOString()]
+  );
+};
+
+// The task's description document, caught up with plain-text writes (REST updates, clients that
+// send `description`) made since it was last saved; those join as edits by this server
+const currentElements = async (task) => {
+  const elements = await loadElements(task.id);
+  const text = task.description || '';
+  if (toText(elements) === text) {
+    return elements;
+  }
+  const caughtUp = applyOperations(elements, diffOperations(elements, text, config.HLC_NODE_ID));
+  await saveElements(task.id, caughtUp);
+  return caughtUp;
+};
+
+// 1. The description as a sequence CRDT (see utils/rga), for clients that edit it with
+// operations; null when the task is not found
+const getDescriptionDocument = async (taskId, userId) => {
+  if (!taskId) {
+    throw new Error('Task ID is required');
+  }
+  const task = await getTaskByIdIncludingDeleted(taskId, userId);
+  if (!task) {
+    return null;
+  }
+  const elements = await currentElements(task);
+  return { task_id: task.id, description: toText(elements), elements };
+};
+
+// Characters a batch of operations inserts
+const countInserted = (operations) => operations.reduce(
+  (total, operation) => total + (operation.type === 'insert' ? Array.from(operation.value || '').length : 0),
+  0
+);
+
+// Drop the tombstones `previous` already held once every device that can see the task has pulled
+// its latest change: they all know those characters are deleted. Operations referring to a
+// dropped character are then rejected like any unknown one, so clients fetch the document again
+// after pulling a change to the task.
+const compactElements = async (taskId, previous, elements) => {
+  const tombstones = new Set(previous.filter((element) => element.deleted).map((element) => element.id));
+  if (tombstones.size === 0) {
+    return elements;
+  }
+  const change = await getQuery(
+    "SELECT seq, created_at FROM sync_changes WHERE entity_type = 'task' AND entity_id = ?",
+    [taskId]
+  );
+  if (!change || !(await allDevicesSyncedPast(await getTaskAudience(taskId), change.seq, change.created_at))) {
+    return elements;
+  }
+  return collectTombstones(elements, tombstones);
+};
+
+// 2. Merge description operations into a task's document (`task`: its id and current description).
+// Returns the merged plain text, which is what the description field then holds.
+const applyDescriptionOperations = async (task, operations) => {
+  // Checked up front so an oversized change is never applied
+  if (countInserted(operations) > MAX_DESCRIPTION_LENGTH) {
+    throw validationError(`Description operations may insert at most ${MAX_DESCRIPTION_LENGTH} characters`);
+  }
+  const previous = await currentElements(task);
+  let elements;
+  try {
+    elements = applyOperations(previous, operations);
+  } catch (error) {
+    throw validationError(error.message);
+  }
+  const text = toText(elements);
+  if (text.length > MAX_DESCRIPTION_LENGTH) {
+    throw validationError(`Description must be at most ${MAX_DESCRIPTION_LENGTH} characters`);
+  }
+  await saveElements(task.id, await compactElements(task.id, previous, elements));
+  return text;
+};
+
+module.exports = {
+  getDescriptionDocument,
+  applyDescriptionOperations,
+};
@@ -0,0 +1,145 @@
+const { runQuery, getQuery, allQuery } = require('../db/db');
+const {
+  encodeChangeCursor,
+  decodeChangeCursor,
+  countChangesAfter,
+  getChangeSeqAt,
+} = require('./changeFeedService');
+
+// Device ids are generated by the client; printable ASCII keeps them safe in headers and logs
+const DEVICE_ID_PATTERN = /^[\x21-\x7e]{1,100}$/;
+const MAX_DEVICE_LABEL_LENGTH = 100;
+
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const formatDevice = (row) => row && {
+  id: row.id,
+  name: row.name,
+  platform: row.platform,
+  last_seen: row.last_seen,
+  last_cursor: row.last_cursor,
+  created_at: row.created_at,
+};
+
+// 1. Register the device on its first sync call, or record that it was seen again.
+// Name and platform are optional and only overwrite the stored ones when sent.
+const touchDevice = async (userId, deviceId, { name, platform } = {}) => {
+  if (typeof deviceId !== 'string' || !DEVICE_ID_PATTERN.test(deviceId)) {
+    throw httpError(400, 'Device id must be 1 to 100 printable ASCII characters');
+  }
+  for (const [field, value] of Object.entries({ name, platform })) {
+    if (value !== undefined && value.length > MAX_DEVICE_LABEL_LENGTH) {
+      throw httpError(400, `Device ${field} must be at most ${MAX_DEVICE_LABEL_LENGTH} characters`);
+    }
+  }
+
+  const existing = await getQuery('SELECT revoked_at FROM devices WHERE user_id = ? AND id = ?', [userId, deviceId]);
+  if (existing && existing.revoked_at) {
+    throw httpError(403, 'Device has been revoked');
+  }
+  const now = new Date().toISOString();
+  await runQuery(
+    `INSERT INTO devices (id, user_id, name, platform, last_seen, created_at) VALUES (?, ?, ?, ?, ?, ?)
+     ON CONFLICT (user_id, id) DO UPDATE SET
+       name = COALESCE(excluded.name, devices.name),
+       platform = COALESCE(excluded.platform, devices.platform),
+       last_seen = excluded.last_seen`,
+    [deviceId, userId, name || null, platform || null, now, now]
+  );
+  return formatDevice(await getQuery('SELECT * FROM devices WHERE user_id = ? AND id = ?', [userId, deviceId]));
+};
+
+// 2. Record that the device holds every change up to feed position `seq`. Positions only move
+// forward, and never past the end of the feed.
+const acknowledgeSeq = async (userId, deviceId, seq) => {
+  const { latest } = await getQuery('SELECT COALESCE(MAX(seq), 0) AS latest FROM sync_changes');
+  const position = Math.min(seq, latest);
+  await runQuery(
+    `UPDATE devices SET last_seq = ?, last_cursor = ?
+     WHERE user_id = ? AND id = ? AND (last_seq IS NULL OR last_seq < ?)`,
+    [position, encodeChangeCursor(position), userId, deviceId, position]
+  );
+};
+
+// 3. A change feed cursor the device sent back has been fully applied by it
+const acknowledgeCursor = async (userId, deviceId, cursor) => {
+  if (cursor) {
+    await acknowledgeSeq(userId, deviceId, decodeChangeCursor(cursor));
+  }
+};
+
+// 4. A device on timestamp sync (`last_synced_at`) holds every change recorded up to that time
+const acknowledgeTimestamp = async (userId, deviceId, timestamp) => {
+  await acknowledgeSeq(userId, deviceId, await getChangeSeqAt(timestamp));
+};
+
+// 5. The user's devices, most recently seen first, with how many changes each has yet to pull
+const getDevices = async (userId) => {
+  const rows = await allQuery(
+    'SELECT * FROM devices WHERE user_id = ? AND revoked_at IS NULL ORDER BY last_seen DESC, id',
+    [userId]
+  );
+  const devices = [];
+  for (const row of rows) {
+    const pending = await countChangesAfter(userId, row.last_seq || 0);
+    devices.push({ ...formatDevice(row), pending_changes: pending, in_sync: pending === 0 });
+  }
+  return devices;
+};
+
+// 6. True when every registered device of the user has pulled every change it can see
+// (vacuously true for users without devices)
+const allDevicesInSync = async (userId) => (await getDevices(userId)).every((device) => device.in_sync);
+
+// 7. True once every device of the given users has acknowledged a change feed position at or past
+// `seq`, so each holds what was written there. Revoked devices do not count. Users without
+// registered devices must have completed a sync after `changedAt` instead; users who never synced
+// have no devices.
+const allDevicesSyncedPast = async (userIds, seq, changedAt) => {
+  for (const userId of userIds) {
+    const { devices, behind } = await getQuery(
+      `SELECT COUNT(*) AS devices, SUM(CASE WHEN last_seq IS NULL OR last_seq < ? THEN 1 ELSE 0 END) AS behind
+       FROM devices WHERE user_id = ? AND revoked_at IS NULL`,
+      [seq, userId]
+    );
+    if (devices > 0) {
+      if (behind > 0) {
+        return false;
+      }
+      continue;
+    }
+    const { syncs, last_completed } = await getQuery(
+      `SELECT COUNT(*) AS syncs, MAX(CASE WHEN status = 'completed' THEN created_at END) AS last_completed
+       FROM sync_logs WHERE user_id = ?`,
+      [userId]
+    );
+    if (syncs > 0 && !(last_completed && last_completed > changedAt)) {
+      return false;
+    }
+  }
+  return true;
+};
+
+// 8. Revoke a device: it can no longer sync and no longer holds back tombstone purging.
+// False when not found (or already revoked).
+const revokeDevice = async (userId, deviceId) => {
+  const { changes } = await runQuery(
+    'UPDATE devices SET revoked_at = ? WHERE user_id = ? AND id = ? AND revoked_at IS NULL',
+    [new Date().toISOString(), userId, deviceId]
+  );
+  return changes > 0;
+};
+
+module.exports = {
+  touchDevice,
+  acknowledgeCursor,
+  acknowledgeTimestamp,
+  getDevices,
+  allDevicesInSync,
+  allDevicesSyncedPast,
+  revokeDevice,
+};
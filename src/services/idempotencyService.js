@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const { runQuery, getQuery, allQuery } = require('../db/db');
+const config = require('../config');
+
+// Idempotency keys are opaque client strings: 1-255 visible ASCII characters
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+let purgeTimer = null;
+
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const hashRequest = (body) => crypto.createHash('sha256').update(JSON.stringify(body || {})).digest('hex');
+
+const expiryCutoff = (now, ttlHours) => new Date(now.getTime() - ttlHours * 60 * 60 * 1000).toISOString();
+
+// 1. Claim an idempotency key for a request. Returns null when the request should run, or
+// `{ status_code, response }` to replay when the key already completed with the same payload.
+const beginIdempotentRequest = async (userId, key, body) => {
+  if (typeof key !== 'string' || !KEY_PATTERN.test(key)) {
+    throw httpError(400, 'Idempotency-Key must be 1-255 visible ASCII characters');
+  }
+  const requestHash = hashRequest(body);
+  const created_at = new Date().toISOString();
+
+  // Keys past their TTL are forgotten, as if already purged
+  await runQuery(
+    'DELETE FROM idempotency_keys WHERE user_id = ? AND key = ? AND created_at < ?',
+    [userId, key, expiryCutoff(new Date(), config.IDEMPOTENCY_KEY_TTL_HOURS)]
+  );
+  const { changes } = await runQuery(
+    `INSERT OR IGNORE INTO idempotency_keys (user_id, key, request_hash, status, created_at)
+     VALUES (?, ?, ?, 'processing', ?)`,
+    [userId, key, requestHash, created_at]
+  );
+  if (changes === 1) {
+    return null;
+  }
+
+  const existing = await getQuery('SELECT * FROM idempotency_keys WHERE user_id = ? AND key = ?', [userId, key]);
+  if (existing.request_hash !== requestHash) {
+    throw httpError(422, 'Idempotency-Key was already used with a different request');
+  }
+  if (existing.status !== 'completed') {
+    throw httpError(409, 'A request with this Idempotency-Key is still being processed');
+  }
+  return { status_code: existing.status_code, response: JSON.parse(existing.response) };
+};
+
+// 2. Store the response of a claimed request so retries replay it
+const completeIdempotentRequest = async (userId, key, statusCode, response) => {
+  await runQuery(
+    `UPDATE idempotency_keys SET status = 'completed', status_code = ?, response = ?
+     WHERE user_id = ? AND key = ?`,
+    [statusCode, JSON.stringify(response), userId, key]
+  );
+};
+
+// 3. Give up a claimed key after an unexpected failure, so the client may retry with it
+const releaseIdempotentRequest = async (userId, key) => {
+  await runQuery(
+    "DELETE FROM idempotency_keys WHERE user_id = ? AND key = ? AND status = 'processing'",
+    [userId, key]
+  );
+};
+
+// 4. Recorded outcomes ({ mapping, conflict }) of already-applied changes, by change_id
+const getChangeReceipts = async (userId, changeIds) => {
+  const receipts = new Map();
+  if (changeIds.length === 0) {
+    return receipts;
+  }
+  const rows = await allQuery(
+    `SELECT change_id, result FROM sync_change_receipts
+     WHERE user_id = ? AND change_id IN (${changeIds.map(() => '?').join(', ')})`,
+    [userId, ...changeIds]
+  );
+  for (const row of rows) {
+    receipts.set(row.change_id, JSON.parse(row.result));
+  }
+  return receipts;
+};
+
+const recordChangeReceipt = async (userId, changeId, result) => {
+  await runQuery(
+    'INSERT OR REPLACE INTO sync_change_receipts (user_id, change_id, result, created_at) VALUES (?, ?, ?, ?)',
+    [userId, changeId, JSON.stringify(result), new Date().toISOString()]
+  );
+};
+
+// 5. Forget keys and change receipts older than the TTL
+const purgeExpiredIdempotencyRecords = async ({ now = new Date(), ttlHours = config.IDEMPOTENCY_KEY_TTL_HOURS } = {}) => {
+  const cutoff = expiryCutoff(now, ttlHours);
+  const keys = await runQuery('DELETE FROM idempotency_keys WHERE created_at < ?', [cutoff]);
+  const receipts = await runQuery('DELETE FROM sync_change_receipts WHERE created_at < ?', [cutoff]);
+  return { keys: keys.changes, receipts: receipts.changes, cutoff };
+};
+
+// 6. Run the purge periodically (no-op when already running)
+const startIdempotencyPurgeJob = ({ intervalMinutes = config.IDEMPOTENCY_PURGE_INTERVAL_MINUTES } = {}) => {
+  if (purgeTimer) {
+    return;
+  }
+  purgeTimer = setInterval(() => {
+    purgeExpiredIdempotencyRecords().catch((error) => console.error('Idempotency key purge failed:', error));
+  }, intervalMinutes * 60 * 1000);
+  purgeTimer.unref();
+};
+
+const stopIdempotencyPurgeJob = () => {
+  if (purgeTimer) {
+    clearInterval(purgeTimer);
+    purgeTimer = null;
+  }
+};
+
+module.exports = {
+  beginIdempotentRequest,
+  completeIdempotentRequest,
+  releaseIdempotentRequest,
+  getChangeReceipts,
+  recordChangeReceipt,
+  purgeExpiredIdempotencyRecords,
+  startIdempotencyPurgeJob,
+  stopIdempotencyPurgeJob,
+};
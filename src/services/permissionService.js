@@ -0,0 +1,134 @@
+const { getQuery, allQuery } = require('../db/db');
+
+// Share roles, weakest first. The creator of a task/project is always its owner.
+const SHARE_ROLES = ['viewer', 'editor', 'owner'];
+
+const forbiddenError = (message = 'You do not have permission to perform this action') => {
+  const error = new Error(message);
+  error.status = 403;
+  return error;
+};
+
+// True when `role` grants at least `required`
+const hasRole = (role, required) => !!role && SHARE_ROLES.indexOf(role) >= SHARE_ROLES.indexOf(required);
+
+const highestRole = (roles) => roles.reduce(
+  (best, role) => (SHARE_ROLES.indexOf(role) > SHARE_ROLES.indexOf(best) ? role : best),
+  null
+);
+
+// Ids of tasks shared with a user: shared directly, through their project,
+// or through an ancestor task (subtasks inherit their parent's grants)
+const SHARED_TASK_IDS_SQL = `
+  WITH RECURSIVE shared(id) AS (
+    SELECT resource_id FROM shares
+    WHERE user_id = ? AND status = 'accepted' AND resource_type = 'task'
+    UNION
+    SELECT t.id FROM tasks t
+    JOIN shares s ON s.resource_type = 'project' AND s.resource_id = t.project_id
+    WHERE s.user_id = ? AND s.status = 'accepted'
+    UNION
+    SELECT c.id FROM tasks c JOIN shared p ON c.parent_id = p.id
+  )
+  SELECT id FROM shared
+`;
+
+/**
+ * SQL condition matching the tasks a user may read (own or shared).
+ * `alias` qualifies the columns when the tasks table is aliased in the query.
+ */
+const taskAccessCondition = (userId, alias = '') => {
+  const col = alias ? `${alias}.` : '';
+  return {
+    sql: `(${col}user_id = ? OR ${col}id IN (${SHARED_TASK_IDS_SQL}))`,
+    params: [userId, userId, userId],
+  };
+};
+
+// SQL condition matching the projects a user may read (own or shared)
+const projectAccessCondition = (userId, alias = '') => {
+  const col = alias ? `${alias}.` : '';
+  return {
+    sql: `(${col}user_id = ? OR ${col}id IN (
+      SELECT resource_id FROM shares WHERE user_id = ? AND status = 'accepted' AND resource_type = 'project'
+    ))`,
+    params: [userId, userId],
+  };
+};
+
+// A task and its ancestors (a grant on any of them, or on their projects, applies to the task)
+const ANCESTORS_SQL = `
+  WITH RECURSIVE ancestors(id, parent_id, project_id) AS (
+    SELECT id, parent_id, project_id FROM tasks WHERE id = ?
+    UNION
+    SELECT t.id, t.parent_id, t.project_id FROM tasks t JOIN ancestors a ON t.id = a.parent_id
+  )
+`;
+
+const ANCESTOR_GRANT_CONDITION = `
+  status = 'accepted' AND (
+    (resource_type = 'task' AND resource_id IN (SELECT id FROM ancestors))
+    OR (resource_type = 'project' AND resource_id IN (SELECT project_id FROM ancestors))
+  )
+`;
+
+// Effective role of a user on a task (null when the task is not visible to them)
+const getTaskRole = async (taskId, userId) => {
+  const task = await getQuery('SELECT user_id FROM tasks WHERE id = ?', [taskId]);
+  if (!task) {
+    return null;
+  }
+  if (task.user_id === userId) {
+    return 'owner';
+  }
+  const grants = await allQuery(
+    `${ANCESTORS_SQL} SELECT role FROM shares WHERE user_id = ? AND ${ANCESTOR_GRANT_CONDITION}`,
+    [taskId, userId]
+  );
+  return highestRole(grants.map((g) => g.role));
+};
+
+// Ids of every user who can see a task: its owner and everyone it is shared with
+const getTaskAudience = async (taskId) => {
+  const task = await getQuery('SELECT user_id FROM tasks WHERE id = ?', [taskId]);
+  if (!task) {
+    return [];
+  }
+  const grantees = await allQuery(
+    `${ANCESTORS_SQL} SELECT DISTINCT user_id FROM shares WHERE ${ANCESTOR_GRANT_CONDITION}`,
+    [taskId]
+  );
+  return [task.user_id, ...grantees.map((g) => g.user_id).filter((id) => id !== task.user_id)];
+};
+
+// Effective role of a user on a project (null when the project is not visible to them)
+const getProjectRole = async (projectId, userId) => {
+  const project = await getQuery('SELECT user_id FROM projects WHERE id = ?', [projectId]);
+  if (!project) {
+    return null;
+  }
+  if (project.user_id === userId) {
+    return 'owner';
+  }
+  const grants = await allQuery(
+    "SELECT role FROM shares WHERE user_id = ? AND status = 'accepted' AND resource_type = 'project' AND resource_id = ?",
+    [userId, projectId]
+  );
+  return highestRole(grants.map((g) => g.role));
+};
+
+const getResourceRole = (resourceType, resourceId, userId) => (
+  resourceType === 'project' ? getProjectRole(resourceId, userId) : getTaskRole(resourceId, userId)
+);
+
+module.exports = {
+  SHARE_ROLES,
+  forbiddenError,
+  hasRole,
+  taskAccessCondition,
+  projectAccessCondition,
+  getTaskRole,
+  getTaskAudience,
+  getProjectRole,
+  getResourceRole,
+};
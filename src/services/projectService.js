@@ -0,0 +1,175 @@
+const { runQuery, getQuery, allQuery } = require('../db/db');
+const { v4: uuidv4 } = require('uuid');
+const { addToSyncQueue, updateTask } = require('./taskService');
+const { forbiddenError, hasRole, projectAccessCondition, getProjectRole } = require('./permissionService');
+
+const PROJECT_FIELDS = ['name', 'color', 'archived', 'position'];
+
+// Queue payload for a project (the fields a client needs to replay the change)
+const toSyncData = (project) => ({
+  name: project.name,
+  color: project.color,
+  archived: !!project.archived,
+  position: project.position,
+  updated_at: project.updated_at,
+});
+
+// 1. List own and shared projects ordered by position (archived ones only on request)
+const getProjects = async (userId, { include_archived = false } = {}) => {
+  if (!userId) {
+    throw new Error('User ID is required');
+  }
+  const access = projectAccessCondition(userId);
+  const sql = `
+    SELECT * FROM projects
+    WHERE ${access.sql} AND is_deleted = 0 ${include_archived ? '' : 'AND archived = 0'}
+    ORDER BY position, created_at, id
+  `;
+  return await allQuery(sql, access.params);
+};
+
+// 2. Get project by id (null unless the user owns it or it is shared with them)
+const getProjectById = async (id, userId) => {
+  if (!id) {
+    throw new Error('Project ID is required');
+  }
+  if (!userId) {
+    throw new Error('User ID is required');
+  }
+  const access = projectAccessCondition(userId);
+  const result = await getQuery(
+    `SELECT * FROM projects WHERE id = ? AND is_deleted = 0 AND ${access.sql}`,
+    [id, ...access.params]
+  );
+  return result || null;
+};
+
+// 3. Create project (appended after the user's last project unless a position is given)
+const createProject = async ({ name, color = null, archived = false, position }, userId) => {
+  if (!userId) {
+    throw new Error('User ID is required');
+  }
+  if (!name) {
+    throw new Error('Name is required');
+  }
+
+  if (position === undefined || position === null) {
+    const last = await getQuery(
+      'SELECT MAX(position) AS position FROM projects WHERE user_id = ? AND is_deleted = 0',
+      [userId]
+    );
+    position = last && last.position !== null ? last.position + 1 : 0;
+  }
+
+  const now = new Date().toISOString();
+  const project = {
+    id: uuidv4(),
+    user_id: userId,
+    name,
+    color,
+    archived: archived ? 1 : 0,
+    position,
+    created_at: now,
+    updated_at: now,
+    is_deleted: 0,
+    sync_status: 'pending',
+    server_id: null,
+    last_synced_at: null,
+  };
+
+  await runQuery(
+    `INSERT INTO projects (
+      id, user_id, name, color, archived, position, created_at, updated_at, is_deleted, sync_status, server_id, last_synced_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      project.id,
+      project.user_id,
+      project.name,
+      project.color,
+      project.archived,
+      project.position,
+      project.created_at,
+      project.updated_at,
+      project.is_deleted,
+      project.sync_status,
+      project.server_id,
+      project.last_synced_at,
+    ]
+  );
+
+  await addToSyncQueue(
+    project.id, 'create', { ...toSyncData(project), created_at: project.created_at }, userId, now, 'project'
+  );
+  return project;
+};
+
+// 4. Update project (partial)
+const updateProject = async (id, updates, userId) => {
+  if (!updates || typeof updates !== 'object') {
+    throw new Error('Updates are required');
+  }
+  const existing = await getProjectById(id, userId);
+  if (!existing) {
+    return null;
+  }
+  if (!hasRole(await getProjectRole(id, userId), 'editor')) {
+    throw forbiddenError('You cannot edit this project');
+  }
+
+  const merged = { ...existing };
+  for (const field of PROJECT_FIELDS) {
+    if (updates[field] !== undefined) {
+      merged[field] = field === 'archived' ? (updates[field] ? 1 : 0) : updates[field];
+    }
+  }
+  merged.updated_at = new Date().toISOString();
+
+  await runQuery(
+    `UPDATE projects
+     SET name = ?, color = ?, archived = ?, position = ?, updated_at = ?, sync_status = 'pending'
+     WHERE id = ? AND user_id = ? AND is_deleted = 0`,
+    [merged.name, merged.color, merged.archived, merged.position, merged.updated_at, id, existing.user_id]
+  );
+  await addToSyncQueue(id, 'update', toSyncData(merged), userId, merged.updated_at, 'project');
+
+  return await getProjectById(id, userId);
+};
+
+// 5. Delete project (soft delete, owners only); its tasks move back to the inbox (no project)
+const deleteProject = async (id, userId) => {
+  const existing = await getProjectById(id, userId);
+  if (!existing) {
+    return false;
+  }
+  if (!hasRole(await getProjectRole(id, userId), 'owner')) {
+    throw forbiddenError('Only owners can delete this project');
+  }
+
+  const now = new Date().toISOString();
+  await runQuery(
+    "UPDATE projects SET is_deleted = 1, updated_at = ?, sync_status = 'pending' WHERE id = ? AND user_id = ?",
+    [now, id, existing.user_id]
+  );
+  await addToSyncQueue(id, 'delete', { updated_at: now }, userId, now, 'project');
+
+  // Subtasks follow their parent, so only detach tasks whose parent is outside the project
+  const tasks = await allQuery(
+    `SELECT t.id FROM tasks t
+     LEFT JOIN tasks p ON p.id = t.parent_id
+     WHERE t.project_id = ? AND t.user_id = ? AND t.is_deleted = 0
+       AND (p.id IS NULL OR p.project_id IS NOT t.project_id)`,
+    [id, existing.user_id]
+  );
+  for (const task of tasks) {
+    await updateTask(task.id, { project_id: null }, userId);
+  }
+  return true;
+};
+
+module.exports = {
+  getProjects,
+  getProjectById,
+  createProject,
+  updateProject,
+  deleteProject,
+};
@@ -0,0 +1,110 @@
+const { runQuery, getQuery, allQuery } = require('../db/db');
+
+// Task fields tracked in the change history
+const REVISION_FIELDS = [
+  'title', 'description', 'completed', 'due_at', 'priority', 'rrule', 'series_id', 'parent_id', 'project_id',
+  'tags', 'is_deleted',
+];
+
+// Where a change came from
+const REVISION_SOURCES = ['rest', 'sync', 'restore'];
+
+const DEFAULT_HISTORY_LIMIT = 50;
+
+// Comparable copy of the tracked fields (flags as booleans, tags sorted)
+const snapshotTask = (task) => {
+  const snapshot = {};
+  for (const field of REVISION_FIELDS) {
+    const value = task[field];
+    if (field === 'completed' || field === 'is_deleted') {
+      snapshot[field] = !!value;
+    } else if (field === 'tags') {
+      snapshot[field] = [...(value || [])].sort((a, b) => a.localeCompare(b));
+    } else {
+      snapshot[field] = value === undefined ? null : value;
+    }
+  }
+  return snapshot;
+};
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const parseRevision = (row) => row && {
+  ...row,
+  changes: JSON.parse(row.changes),
+  snapshot: JSON.parse(row.snapshot),
+};
+
+// 1. Append a revision for a task write. `before` is null for creates. Returns null when
+// no tracked field changed (e.g. a REST update replayed by the sync engine).
+const recordTaskRevision = async (taskId, before, after, { userId, source }) => {
+  if (!taskId) {
+    throw new Error('Task ID is required');
+  }
+  if (!REVISION_SOURCES.includes(source)) {
+    throw new Error(`Invalid revision source: ${source}`);
+  }
+
+  const previous = before ? snapshotTask(before) : null;
+  const snapshot = snapshotTask(after);
+  const changes = {};
+  for (const field of REVISION_FIELDS) {
+    const old = previous ? previous[field] : null;
+    if (!previous || !sameValue(old, snapshot[field])) {
+      changes[field] = { old, new: snapshot[field] };
+    }
+  }
+  if (previous && Object.keys(changes).length === 0) {
+    return null;
+  }
+
+  let operation = 'update';
+  if (!previous) {
+    operation = 'create';
+  } else if (!previous.is_deleted && snapshot.is_deleted) {
+    operation = 'delete';
+  } else if (previous.is_deleted && !snapshot.is_deleted) {
+    operation = 'undelete';
+  }
+
+  const created_at = new Date().toISOString();
+  const { lastID } = await runQuery(
+    `INSERT INTO task_revisions (task_id, user_id, source, operation, changes, snapshot, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [taskId, userId, source, operation, JSON.stringify(changes), JSON.stringify(snapshot), created_at]
+  );
+  return { id: lastID, task_id: taskId, user_id: userId, source, operation, changes, snapshot, created_at };
+};
+
+// 2. Revisions of a task, newest first; `before` pages back from a revision number
+const getTaskRevisions = async (taskId, { limit = DEFAULT_HISTORY_LIMIT, before } = {}) => {
+  const where = ['r.task_id = ?'];
+  const params = [taskId];
+  if (before) {
+    where.push('r.id < ?');
+    params.push(before);
+  }
+  const rows = await allQuery(
+    `SELECT r.*, u.username
+     FROM task_revisions r
+     LEFT JOIN users u ON u.id = r.user_id
+     WHERE ${where.join(' AND ')}
+     ORDER BY r.id DESC
+     LIMIT ?`,
+    [...params, limit]
+  );
+  return rows.map(parseRevision);
+};
+
+// 3. A single revision of a task (null when it does not belong to the task)
+const getTaskRevision = async (taskId, revision) => parseRevision(
+  await getQuery('SELECT * FROM task_revisions WHERE id = ? AND task_id = ?', [revision, taskId])
+);
+
+module.exports = {
+  REVISION_FIELDS,
+  REVISION_SOURCES,
+  recordTaskRevision,
+  getTaskRevisions,
+  getTaskRevision,
+};
@@ -0,0 +1,220 @@
+const { runQuery, getQuery, allQuery } = require('../db/db');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const { sendMail } = require('./userService');
+const { SHARE_ROLES, forbiddenError, hasRole, getResourceRole } = require('./permissionService');
+const { touchSharedResource } = require('./changeFeedService');
+
+const SHARE_RESOURCE_TYPES = ['task', 'project'];
+
+// Columns returned to clients (the invite token only ever travels by email)
+const SHARE_COLUMNS = `
+  s.id, s.resource_type, s.resource_id, s.invited_by, s.user_id, s.email, s.role, s.status,
+  s.created_at, s.accepted_at
+`;
+
+const validationError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const assertRole = (role) => {
+  if (!SHARE_ROLES.includes(role)) {
+    throw validationError(`Invalid role: ${role}`);
+  }
+};
+
+// Live task/project being shared, with its owner and a display name
+const getResource = async (resourceType, resourceId) => {
+  if (!SHARE_RESOURCE_TYPES.includes(resourceType)) {
+    throw validationError(`Invalid resource type: ${resourceType}`);
+  }
+  const sql = resourceType === 'project'
+    ? 'SELECT id, user_id, name FROM projects WHERE id = ? AND is_deleted = 0'
+    : 'SELECT id, user_id, title AS name FROM tasks WHERE id = ? AND is_deleted = 0';
+  return await getQuery(sql, [resourceId]);
+};
+
+const getShareById = async (id) => await getQuery(`SELECT ${SHARE_COLUMNS} FROM shares s WHERE s.id = ?`, [id]);
+
+// User-entered text (names, titles) going into an email's HTML
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+const sendInviteEmail = async (share, resource, inviter) => {
+  const acceptUrl = `http://localhost:${config.PORT}/api/shares/accept`;
+  const inviterName = inviter.username || inviter.email;
+  try {
+    await sendMail({
+      to: share.email,
+      subject: `${inviterName} shared a ${share.resource_type} with you`,
+      html: `
+        <p>${escapeHtml(inviterName)} invited you to ${share.role === 'viewer' ? 'view' : 'collaborate on'}
+        the ${share.resource_type} <strong>${escapeHtml(resource.name)}</strong> as ${share.role}.</p>
+        <p>To accept, sign in with this email address and send this invite token to ${acceptUrl}:
+        <strong>${share.invite_token}</strong></p>
+      `,
+    });
+  } catch (error) {
+    // The invite stays pending; inviting the same address again resends it
+    console.error('Error sending share invite email:', error);
+  }
+};
+
+// 1. Invite someone by email to a task or project (owners only).
+// Inviting an address that already has a share changes its role (and resends a pending invite).
+const inviteToResource = async (resourceType, resourceId, { email, role }, userId) => {
+  if (!userId) {
+    throw new Error('User ID is required');
+  }
+  assertRole(role);
+  const resource = await getResource(resourceType, resourceId);
+  const myRole = resource ? await getResourceRole(resourceType, resourceId, userId) : null;
+  if (!myRole) {
+    return null;
+  }
+  if (!hasRole(myRole, 'owner')) {
+    throw forbiddenError(`Only owners can share this ${resourceType}`);
+  }
+
+  const normalizedEmail = email.trim().toLowerCase();
+  const owner = await getQuery('SELECT email FROM users WHERE id = ?', [resource.user_id]);
+  if (owner && owner.email.toLowerCase() === normalizedEmail) {
+    throw validationError(`The owner already has access to this ${resourceType}`);
+  }
+  const inviter = await getQuery('SELECT email, username FROM users WHERE id = ?', [userId]);
+
+  let share = await getQuery(
+    'SELECT * FROM shares WHERE resource_type = ? AND resource_id = ? AND email = ?',
+    [resourceType, resourceId, normalizedEmail]
+  );
+  if (share) {
+    await runQuery('UPDATE shares SET role = ? WHERE id = ?', [role, share.id]);
+    share.role = role;
+  } else {
+    share = {
+      id: uuidv4(),
+      resource_type: resourceType,
+      resource_id: resourceId,
+      invited_by: userId,
+      email: normalizedEmail,
+      role,
+      status: 'pending',
+      invite_token: uuidv4(),
+      created_at: new Date().toISOString(),
+    };
+    await runQuery(
+      `INSERT INTO shares (id, resource_type, resource_id, invited_by, user_id, email, role, status, invite_token, created_at)
+       VALUES (?, ?, ?, ?, NULL, ?, ?, ?, ?, ?)`,
+      [
+        share.id,
+        share.resource_type,
+        share.resource_id,
+        share.invited_by,
+        share.email,
+        share.role,
+        share.status,
+        share.invite_token,
+        share.created_at,
+      ]
+    );
+  }
+
+  if (share.status === 'pending') {
+    await sendInviteEmail(share, resource, inviter);
+  }
+  return await getShareById(share.id);
+};
+
+// 2. Shares of a task or project (visible to anyone with access to it)
+const getResourceShares = async (resourceType, resourceId, userId) => {
+  const resource = await getResource(resourceType, resourceId);
+  if (!resource || !(await getResourceRole(resourceType, resourceId, userId))) {
+    return null;
+  }
+  return await allQuery(
+    `SELECT ${SHARE_COLUMNS} FROM shares s WHERE s.resource_type = ? AND s.resource_id = ? ORDER BY s.created_at`,
+    [resourceType, resourceId]
+  );
+};
+
+// 3. Shares granted to the user plus invites still waiting for them
+const getSharesForUser = async (userId) => {
+  if (!userId) {
+    throw new Error('User ID is required');
+  }
+  const user = await getQuery('SELECT email FROM users WHERE id = ?', [userId]);
+  return await allQuery(
+    `SELECT ${SHARE_COLUMNS}, COALESCE(t.title, p.name) AS resource_name
+     FROM shares s
+     LEFT JOIN tasks t ON s.resource_type = 'task' AND t.id = s.resource_id AND t.is_deleted = 0
+     LEFT JOIN projects p ON s.resource_type = 'project' AND p.id = s.resource_id AND p.is_deleted = 0
+     WHERE (s.user_id = ? OR (s.status = 'pending' AND s.email = ?))
+       AND (t.id IS NOT NULL OR p.id IS NOT NULL)
+     ORDER BY s.created_at DESC`,
+    [userId, user ? user.email.toLowerCase() : null]
+  );
+};
+
+// 4. Accept an invite; only the invited email address can accept it
+const acceptInvite = async (token, userId) => {
+  if (!token) {
+    throw validationError('Invite token is required');
+  }
+  const share = await getQuery("SELECT * FROM shares WHERE invite_token = ? AND status = 'pending'", [token]);
+  if (!share) {
+    throw validationError('Invalid or already used invite token');
+  }
+  const user = await getQuery('SELECT email FROM users WHERE id = ?', [userId]);
+  if (!user || user.email.toLowerCase() !== share.email.toLowerCase()) {
+    throw forbiddenError('This invite was sent to a different email address');
+  }
+
+  await runQuery(
+    "UPDATE shares SET status = 'accepted', user_id = ?, accepted_at = ?, invite_token = NULL WHERE id = ?",
+    [userId, new Date().toISOString(), share.id]
+  );
+  // The new member's devices must pull the resource even if it has not changed in a while
+  await touchSharedResource(share.resource_type, share.resource_id);
+  return await getShareById(share.id);
+};
+
+// 5. Change the role of a share (owners of the resource only)
+const updateShareRole = async (id, role, userId) => {
+  assertRole(role);
+  const share = await getShareById(id);
+  if (!share) {
+    return null;
+  }
+  if (!hasRole(await getResourceRole(share.resource_type, share.resource_id, userId), 'owner')) {
+    throw forbiddenError(`Only owners can change who this ${share.resource_type} is shared with`);
+  }
+  await runQuery('UPDATE shares SET role = ? WHERE id = ?', [role, id]);
+  return { ...share, role };
+};
+
+// 6. Revoke a share (owners), leave a shared resource or decline an invite (the invitee)
+const deleteShare = async (id, userId) => {
+  const share = await getShareById(id);
+  if (!share) {
+    return false;
+  }
+  const user = await getQuery('SELECT email FROM users WHERE id = ?', [userId]);
+  const isInvitee = share.user_id === userId || (user && user.email.toLowerCase() === share.email.toLowerCase());
+  if (!isInvitee && !hasRole(await getResourceRole(share.resource_type, share.resource_id, userId), 'owner')) {
+    throw forbiddenError(`Only owners can change who this ${share.resource_type} is shared with`);
+  }
+  await runQuery('DELETE FROM shares WHERE id = ?', [id]);
+  return true;
+};
+
+module.exports = {
+  SHARE_RESOURCE_TYPES,
+  inviteToResource,
+  getResourceShares,
+  getSharesForUser,
+  acceptInvite,
+  updateShareRole,
+  deleteShare,
+};
@@ -1,10 +1,38 @@
 const { v4: uuidv4 } = require('uuid');
 const crypto = require('crypto');
 const db = require('../db/db');
-const { getTaskByIdIncludingDeleted } = require('./taskService');
+const {
+  getTaskByIdIncludingDeleted,
+  assertValidParent,
+  assertValidProject,
+  assertSameOwner,
+  scheduleNextOccurrence,
+  normalizeRRule,
+} = require('./taskService');
+const { setTaskTags, attachTags } = require('./tagService');
+const { recordTaskRevision } = require('./revisionService');
+const { getChangeReceipts, recordChangeReceipt } = require('./idempotencyService');
+const { serverClock, compareHLC, maxHLC, hlcFromTimestamp } = require('../utils/hlc');
+const { notifyChanges } = require('./changeStreamService');
+const { TASK_MERGE_FIELDS, resolveWithStrategy, getConflictStrategies } = require('./conflictStrategyService');
+const { applyDescriptionOperations } = require('./descriptionService');
+const {
+  forbiddenError,
+  hasRole,
+  taskAccessCondition,
+  projectAccessCondition,
+  getTaskRole,
+  getProjectRole,
+} = require('./permissionService');
 const config = require('../config');
 
-const MAX_RETRIES = 3;
+const MAX_RETRIES = config.SYNC_MAX_RETRIES;
+
+// Delay before retry `attempt` (1-based): exponential, capped, with part of it randomly shaved off
+const getRetryDelayMs = (attempt, random = Math.random) => {
+  const delay = Math.min(config.SYNC_RETRY_MAX_DELAY_MS, config.SYNC_RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+  return Math.round(delay * (1 - config.SYNC_RETRY_JITTER * random()));
+};
 
 // Import challenge constraints (fallback to local definitions for compatibility)
 let CHALLENGE_CONSTRAINTS;
@@ -24,13 +52,22 @@ try {
 const CONFLICT_PRIORITY = CHALLENGE_CONSTRAINTS.CONFLICT_PRIORITY;
 const SYNC_STATES = CHALLENGE_CONSTRAINTS.SYNC_STATES;
 
-// Helper function to generate checksum for batch integrity
+// Syncable entity types and the table each one lives in
+const SYNC_ENTITY_TABLES = { task: 'tasks', project: 'projects' };
+
+// Visibility condition for each syncable entity type
+const SYNC_ACCESS_CONDITIONS = { task: taskAccessCondition, project: projectAccessCondition };
+
+// Helper function to generate checksum for batch integrity. Covers every field an item is
+// applied from: queue rows carry `entity_type` (base inside `data`), client batches `entity` and `base`.
 const generateBatchChecksum = (items) => {
   const sortedItems = items.map(item => ({
     id: item.id,
+    entity: item.entity_type || item.entity || 'task',
     task_id: item.task_id,
     operation: item.operation,
-    data: typeof item.data === 'string' ? item.data : JSON.stringify(item.data)
+    data: typeof item.data === 'string' ? item.data : JSON.stringify(item.data),
+    base: item.base === undefined ? null : item.base
   })).sort((a, b) => a.id.localeCompare(b.id));
   
   const content = JSON.stringify(sortedItems);
@@ -42,77 +79,187 @@ const verifyBatchChecksum = (items, expectedChecksum) => {
   return generateBatchChecksum(items) === expectedChecksum;
 };
 
-const sync = async (changes, last_synced_at, userId, syncId) => {
-  // Add client changes to sync queue first
-  for (const change of changes) {
-    if (!['create', 'update', 'delete'].includes(change.operation)) {
-      throw new Error(`Invalid operation: ${change.operation}`);
-    }
-    const taskId = change.server_id || change.local_id;
-    await addToSyncQueue(taskId, change.operation, change.data, userId);
+// HLC of an incoming client change: its own `hlc`, else one derived from its `updated_at`.
+// Timestamps too far ahead of the server are replaced with a server HLC and reported as skew.
+const stampClientChange = (change, clockSkew) => {
+  const data = change.data || {};
+  const remote = data.hlc || (data.updated_at ? hlcFromTimestamp(data.updated_at, 'client') : null);
+  if (!remote) {
+    return serverClock.now();
+  }
+  const { hlc, driftMs, skewed } = serverClock.receive(remote);
+  if (!skewed) {
+    return remote;
   }
+  clockSkew.push({ local_id: change.local_id, client_hlc: remote, drift_ms: driftMs, assigned_hlc: hlc });
+  return hlc;
+};
 
-  // CONSTRAINT FIX: Read queue ordered chronologically per task (operation_timestamp)
-  // This ensures operations for each task are processed in chronological order
-  const queueItems = await db.allQuery(
-    `SELECT * FROM sync_queue WHERE user_id = ? 
-     ORDER BY task_id, operation_timestamp, created_at, id`,
-    [userId]
+// change_ids of the user's changes still waiting in the sync queue
+const getQueuedChangeIds = async (userId, changeIds) => {
+  if (changeIds.length === 0) {
+    return new Set();
+  }
+  const rows = await db.allQuery(
+    `SELECT change_id FROM sync_queue WHERE user_id = ? AND change_id IN (${changeIds.map(() => '?').join(', ')})`,
+    [userId, ...changeIds]
   );
+  return new Set(rows.map((row) => row.change_id));
+};
 
-  // CONSTRAINT FIX: Group by batches with checksum validation
-  const batches = [];
-  for (let i = 0; i < queueItems.length; i += config.SYNC_BATCH_SIZE) {
-    const batch = queueItems.slice(i, i + config.SYNC_BATCH_SIZE);
-    const checksum = generateBatchChecksum(batch);
-    batches.push({ items: batch, checksum });
+// Queue one client change (stamped with its HLC); returns the queue item id
+const queueClientChange = async (change, userId, clockSkew) => {
+  if (!['create', 'update', 'delete'].includes(change.operation)) {
+    throw new Error(`Invalid operation: ${change.operation}`);
+  }
+  const entityType = change.entity || 'task';
+  if (!SYNC_ENTITY_TABLES[entityType]) {
+    throw new Error(`Invalid entity: ${change.entity}`);
+  }
+  const taskId = change.server_id || change.local_id;
+  // The base version rides along in the queued data so it survives retries
+  const data = { ...change.data, hlc: stampClientChange(change, clockSkew) };
+  if (change.base) {
+    data.base = change.base;
   }
+  return await addToSyncQueue(taskId, change.operation, data, userId, null, entityType, change.change_id);
+};
+
+// CONSTRAINT FIX: Queue items are processed chronologically per task (hybrid logical clock,
+// then operation_timestamp). Project operations go first so tasks can reference projects
+// created in the same sync.
+const QUEUE_ORDER_SQL = `ORDER BY CASE entity_type WHEN 'project' THEN 0 ELSE 1 END,
+  task_id, hlc, operation_timestamp, created_at, id`;
+
+// Lease the user's queue items that are ready to process. Tasks with an item still backing off,
+// or leased by another runner, are held back entirely so their later operations do not overtake it.
+const claimQueueItems = async (userId, owner) => {
+  const now = Date.now();
+  const nowIso = new Date(now).toISOString();
+  await db.runQuery(
+    `UPDATE sync_queue SET locked_by = ?, locked_until = ?
+     WHERE user_id = ? AND NOT EXISTS (
+       SELECT 1 FROM sync_queue other
+       WHERE other.user_id = sync_queue.user_id AND other.task_id = sync_queue.task_id
+         AND other.entity_type = sync_queue.entity_type
+         AND (other.next_attempt_at > ? OR other.locked_until > ?)
+     )`,
+    [owner, new Date(now + config.SYNC_QUEUE_LEASE_MS).toISOString(), userId, nowIso, nowIso]
+  );
+  return await db.allQuery(`SELECT * FROM sync_queue WHERE locked_by = ? ${QUEUE_ORDER_SQL}`, [owner]);
+};
 
-  // CONSTRAINT FIX: Process batches with checksum validation and sync states
+const releaseQueueItems = async (owner) => {
+  await db.runQuery('UPDATE sync_queue SET locked_by = NULL, locked_until = NULL WHERE locked_by = ?', [owner]);
+};
+
+// Process the user's queue in checksummed batches, under a lease so a client sync and the
+// background worker never apply the same item twice
+const processQueue = async (userId) => {
+  const owner = uuidv4();
+  const queueItems = await claimQueueItems(userId, owner);
   const mappings = [];
   const conflicts = [];
   let processed = 0;
   let failed = 0;
 
-  for (const batchData of batches) {
-    const { items: batch, checksum } = batchData;
-    
-    // Verify batch integrity
-    if (!verifyBatchChecksum(batch, checksum)) {
-      console.error('Batch checksum validation failed, skipping batch');
-      failed += batch.length;
-      continue;
+  try {
+    // CONSTRAINT FIX: Group by batches with checksum validation
+    const batches = [];
+    for (let i = 0; i < queueItems.length; i += config.SYNC_BATCH_SIZE) {
+      const batch = queueItems.slice(i, i + config.SYNC_BATCH_SIZE);
+      const checksum = generateBatchChecksum(batch);
+      batches.push({ items: batch, checksum });
     }
-    
-    // Set items to 'in-progress' state before processing
-    for (const item of batch) {
-      await updateSyncStatus(item.task_id, 'in-progress', userId);
+
+    // CONSTRAINT FIX: Process batches with checksum validation and sync states
+    for (const batchData of batches) {
+      const { items: batch, checksum } = batchData;
+
+      // Verify batch integrity
+      if (!verifyBatchChecksum(batch, checksum)) {
+        console.error('Batch checksum validation failed, skipping batch');
+        failed += batch.length;
+        continue;
+      }
+
+      // Set items to 'in-progress' state before processing
+      for (const item of batch) {
+        await updateSyncStatus(item.task_id, 'in-progress', userId, {}, item.entity_type);
+      }
+
+      const { mappings: m, conflicts: c, processed: p, failed: f } = await processBatch(
+        batch,
+        userId
+      );
+      mappings.push(...m);
+      conflicts.push(...c);
+      processed += p;
+      failed += f;
     }
-    
-    const { mappings: m, conflicts: c, processed: p, failed: f } = await processBatch(
-      batch,
-      userId
-    );
-    mappings.push(...m);
-    conflicts.push(...c);
-    processed += p;
-    failed += f;
+  } finally {
+    await releaseQueueItems(owner);
   }
 
-  // Log sync result (do not let logging errors break flow)
+  return { mappings, conflicts, processed, failed, count: queueItems.length };
+};
+
+const sync = async (changes, last_synced_at, userId, syncId) => {
+  const clockSkew = [];
+  const mappings = [];
+  const conflicts = [];
+  const replayedChanges = [];
+
+  // Changes retried with a change_id that was already applied report their original outcome;
+  // ones still queued from an earlier attempt are not queued again
+  const changeIds = changes.map((change) => change.change_id).filter(Boolean);
+  const receipts = await getChangeReceipts(userId, changeIds);
+  const seenChangeIds = await getQueuedChangeIds(userId, changeIds);
+
+  // Add client changes to sync queue first
+  for (const change of changes) {
+    if (change.change_id) {
+      const receipt = receipts.get(change.change_id);
+      if (receipt) {
+        if (receipt.mapping) {
+          mappings.push(receipt.mapping);
+        }
+        if (receipt.conflict) {
+          conflicts.push(receipt.conflict);
+        }
+        replayedChanges.push(change.change_id);
+        continue;
+      }
+      if (seenChangeIds.has(change.change_id)) {
+        continue;
+      }
+      seenChangeIds.add(change.change_id);
+    }
+    await queueClientChange(change, userId, clockSkew);
+  }
+
+  const queueRun = await processQueue(userId);
+  mappings.push(...queueRun.mappings);
+  conflicts.push(...queueRun.conflicts);
+  const { processed, failed } = queueRun;
+
+  // Log sync result, with the conflict strategies it ran under (do not let logging errors break flow)
   const logId = syncId || uuidv4();
+  const strategies = await getConflictStrategies(userId);
   const syncLog = {
     id: logId,
     user_id: userId,
-    change_count: queueItems.length,
+    change_count: queueRun.count,
     processed,
     failed,
     status: failed > 0 ? 'error' : 'completed',
+    conflict_strategy: strategies.strategy,
+    conflict_field_strategies: Object.keys(strategies.fields).length > 0 ? JSON.stringify(strategies.fields) : null,
     created_at: new Date().toISOString(),
   };
   try {
     await db.runQuery(
-      'INSERT INTO sync_logs (id, user_id, change_count, processed, failed, status, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      'INSERT INTO sync_logs (id, user_id, change_count, processed, failed, status, conflict_strategy, conflict_field_strategies, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
       [
         syncLog.id,
         syncLog.user_id,
@@ -120,6 +267,8 @@ const sync = async (changes, last_synced_at, userId, syncId) => {
         syncLog.processed,
         syncLog.failed,
         syncLog.status,
+        syncLog.conflict_strategy,
+        syncLog.conflict_field_strategies,
         syncLog.created_at,
       ]
     );
@@ -127,58 +276,293 @@ const sync = async (changes, last_synced_at, userId, syncId) => {
     // ignore
   }
 
-  // Return server changes since last sync
-  const serverChanges = await db.allQuery(
-    'SELECT * FROM tasks WHERE user_id = ? AND updated_at > ?',
-    [userId, last_synced_at]
+  // Return server changes since last sync (including tasks and projects shared with the user)
+  const taskAccess = taskAccessCondition(userId);
+  const serverChanges = await attachTags(await db.allQuery(
+    `SELECT * FROM tasks WHERE ${taskAccess.sql} AND updated_at > ?`,
+    [...taskAccess.params, last_synced_at]
+  ));
+  const projectAccess = projectAccessCondition(userId);
+  const serverProjectChanges = await db.allQuery(
+    `SELECT * FROM projects WHERE ${projectAccess.sql} AND updated_at > ?`,
+    [...projectAccess.params, last_synced_at]
   );
 
-  return { mappings, conflicts, serverChanges, status: syncLog.status, processed, failed };
+  return {
+    mappings,
+    conflicts,
+    serverChanges,
+    serverProjectChanges,
+    status: syncLog.status,
+    processed,
+    failed,
+    serverHlc: serverClock.now(),
+    clockSkew,
+    replayedChanges,
+  };
 };
 
-const addToSyncQueue = async (taskId, operation, data, userId, operationTimestamp = null) => {
+const addToSyncQueue = async (
+  taskId, operation, data, userId, operationTimestamp = null, entityType = 'task', changeId = null
+) => {
   const queueId = uuidv4();
   const created_at = new Date().toISOString();
   const operation_timestamp = operationTimestamp || created_at;
+  const hlc = (data && data.hlc)
+    || (operationTimestamp ? hlcFromTimestamp(operationTimestamp, serverClock.node) : serverClock.now());
   const serializedData = JSON.stringify(data || {});
   await db.runQuery(
-    'INSERT INTO sync_queue (id, user_id, task_id, operation, data, retry_count, created_at, operation_timestamp) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
-    [queueId, userId, taskId, operation, serializedData, 0, created_at, operation_timestamp]
+    'INSERT INTO sync_queue (id, user_id, task_id, operation, data, retry_count, created_at, operation_timestamp, entity_type, hlc, change_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+    [queueId, userId, taskId, operation, serializedData, 0, created_at, operation_timestamp, entityType, hlc, changeId]
   );
+  return queueId;
 };
 
-const processBatch = async (items, userId) => {
+const batchChecksumError = () => {
+  const error = new Error('Batch checksum does not match its items');
+  error.status = 422;
+  return error;
+};
+
+// Keep a change (or the fields of it) that lost to the server version, so it can still be resolved
+// after the sync response is lost. Returns the conflict id.
+const recordConflict = async (item, lostData, serverData, userId) => {
+  const localData = { ...lostData };
+  delete localData.base;
+  const id = uuidv4();
+  await db.runQuery(
+    'INSERT INTO sync_conflicts (id, user_id, entity_type, entity_id, operation, local_data, server_data, change_id, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+    [
+      id,
+      userId,
+      item.entity_type || 'task',
+      item.task_id,
+      item.operation,
+      JSON.stringify(localData),
+      JSON.stringify(serverData),
+      item.change_id || null,
+      new Date().toISOString(),
+    ]
+  );
+  return id;
+};
+
+// Current server copy of a synced entity (null once it is gone)
+const getResolvedEntity = async (entityType, id, userId) => {
+  if (entityType === 'project') {
+    const access = projectAccessCondition(userId);
+    return (await db.getQuery(`SELECT * FROM projects WHERE id = ? AND ${access.sql}`, [id, ...access.params])) || null;
+  }
+  return await getTaskByIdIncludingDeleted(id, userId);
+};
+
+// Queue client changes and process them right away, under a lease taken in the same transaction
+// so the background worker cannot pick them up in between. Returns the processBatch result of
+// each change, in the order given.
+const processClientChanges = async (changes, userId) => {
+  const clockSkew = [];
+  const owner = uuidv4();
+  const queueIds = await db.withTransaction(async () => {
+    const ids = [];
+    for (const change of changes) {
+      ids.push(await queueClientChange(change, userId, clockSkew));
+    }
+    await db.runQuery(
+      `UPDATE sync_queue SET locked_by = ?, locked_until = ? WHERE id IN (${ids.map(() => '?').join(', ')})`,
+      [owner, new Date(Date.now() + config.SYNC_QUEUE_LEASE_MS).toISOString(), ...ids]
+    );
+    return ids;
+  });
+
+  let batchRun;
+  try {
+    const queueItems = await db.allQuery(`SELECT * FROM sync_queue WHERE locked_by = ? ${QUEUE_ORDER_SQL}`, [owner]);
+    for (const item of queueItems) {
+      await updateSyncStatus(item.task_id, 'in-progress', userId, {}, item.entity_type);
+    }
+    batchRun = await processBatch(queueItems, userId);
+  } finally {
+    await releaseQueueItems(owner);
+  }
+
+  const byQueueId = new Map(batchRun.results.map((result) => [result.item.id, result]));
+  return {
+    outcomes: queueIds.map((queueId) => byQueueId.get(queueId)),
+    processed: batchRun.processed,
+    failed: batchRun.failed,
+    clockSkew,
+  };
+};
+
+// Apply a client-assembled batch ({ id, entity, task_id, operation, data, base } items) through
+// the sync queue. The checksum is verified before anything is written; items that fail stay
+// queued for retry like any other sync item.
+const syncBatch = async (items, checksum, userId) => {
+  if (!verifyBatchChecksum(items, checksum)) {
+    throw batchChecksumError();
+  }
+
+  const { outcomes, processed, failed, clockSkew } = await processClientChanges(
+    items.map((item) => ({ ...item, local_id: item.task_id })),
+    userId
+  );
+
+  const processed_items = [];
+  for (const [index, item] of items.entries()) {
+    const result = outcomes[index];
+    if (result.error) {
+      processed_items.push({ id: item.id, client_id: item.task_id, status: 'error', error: result.error.message });
+      continue;
+    }
+    const serverId = result.mapping ? result.mapping.server_id : item.task_id;
+    processed_items.push({
+      id: item.id,
+      client_id: item.task_id,
+      server_id: serverId,
+      status: 'success',
+      resolved_data: await getResolvedEntity(item.entity || 'task', serverId, userId),
+      conflict: result.conflict || null,
+    });
+  }
+  return { processed_items, processed, failed, clockSkew };
+};
+
+// Apply changes sent over the sync WebSocket ({ entity, operation, local_id, server_id, change_id,
+// data, base } like POST /api/sync) and report each one's server id. A change whose change_id was
+// already applied reports its recorded outcome instead of being applied again.
+const applyChanges = async (changes, userId) => {
+  const receipts = await getChangeReceipts(userId, changes.map((change) => change.change_id).filter(Boolean));
+  const fresh = changes.filter((change) => !change.change_id || !receipts.has(change.change_id));
+  const { outcomes, clockSkew } = fresh.length > 0
+    ? await processClientChanges(fresh, userId)
+    : { outcomes: [], clockSkew: [] };
+
+  const results = changes.map((change) => {
+    const replayed = change.change_id ? receipts.get(change.change_id) : null;
+    const outcome = replayed || outcomes[fresh.indexOf(change)];
+    const result = { change_id: change.change_id || null, local_id: change.local_id };
+    if (outcome.error) {
+      return { ...result, status: 'error', error: outcome.error.message };
+    }
+    return {
+      ...result,
+      server_id: outcome.mapping ? outcome.mapping.server_id : (change.server_id || change.local_id),
+      status: 'success',
+      conflict: outcome.conflict || null,
+      replayed: !!replayed,
+    };
+  });
+  return { results, clockSkew, serverHlc: serverClock.now() };
+};
+
+// A batch is applied in one transaction, each item in its own savepoint: a failing item is
+// rolled back alone and sent down the retry path, and a crash mid-batch leaves no partial writes
+const processBatch = (items, userId) => db.withTransaction(async () => {
+  const strategies = await getConflictStrategies(userId);
   const mappings = [];
   const conflicts = [];
+  const results = [];
   let processed = 0;
   let failed = 0;
 
   for (const raw of items) {
     const item = { ...raw, data: safeParseJSON(raw.data) };
     try {
-      const result = await processItem(item, item.data, userId);
+      const result = await db.withTransaction(async () => {
+        const handler = item.entity_type === 'project' ? processProjectItem : processItem;
+        const outcome = await handler(item, item.data, userId, strategies);
+        if (item.change_id) {
+          await recordChangeReceipt(userId, item.change_id, {
+            mapping: outcome.mapping || null,
+            conflict: outcome.conflict || null,
+          });
+        }
+        await updateSyncStatus(item.task_id, 'synced', userId, outcome.serverData || {}, item.entity_type);
+        return outcome;
+      });
       if (result.mapping) mappings.push(result.mapping);
       if (result.conflict) conflicts.push(result.conflict);
       processed++;
-      await updateSyncStatus(item.task_id, 'synced', userId, result.serverData || {});
+      results.push({ item, ...result });
     } catch (err) {
       await handleSyncError(item, err, userId);
       failed++;
+      results.push({ item, error: err });
     }
   }
 
-  return { mappings, conflicts, processed, failed };
+  if (processed > 0) {
+    notifyChanges();
+  }
+  return { mappings, conflicts, processed, failed, results };
+});
+
+// A parent or project a change names is checked only if it exists on the server: a client may
+// still refer to a container it created offline by its local id
+const findContainer = (table, id) => (id ? db.getQuery(`SELECT id FROM ${table} WHERE id = ?`, [id]) : null);
+
+// Tasks created inside a parent task or project belong to that container's owner. The parent
+// and project are checked as on the REST API: editable by the syncing user, no deeper than
+// TASK_MAX_DEPTH and with one owner.
+const resolveTaskOwner = async (data, userId) => {
+  const parent = (await findContainer('tasks', data.parent_id))
+    ? await assertValidParent(data.parent_id, null, userId)
+    : null;
+  let ownerId = parent ? parent.user_id : userId;
+  if ((await findContainer('projects', data.project_id)) && !(parent && parent.project_id === data.project_id)) {
+    const project = await assertValidProject(data.project_id, userId);
+    if (parent) {
+      assertSameOwner(ownerId, project);
+    }
+    ownerId = project.user_id;
+  }
+  return ownerId;
 };
 
-const processItem = async (item, data, userId) => {
+// Moving a task to another parent or project is checked the same way, so a sync cannot make a
+// task its own ancestor or move it somewhere the user may not edit
+const assertValidMove = async (serverTask, changes, userId) => {
+  if (changes.parent_id !== serverTask.parent_id && (await findContainer('tasks', changes.parent_id))) {
+    assertSameOwner(serverTask.user_id, await assertValidParent(changes.parent_id, serverTask.id, userId));
+  }
+  if (changes.project_id !== serverTask.project_id && (await findContainer('projects', changes.project_id))) {
+    assertSameOwner(serverTask.user_id, await assertValidProject(changes.project_id, userId));
+  }
+};
+
+// Project fields a create sets
+const PROJECT_CREATE_FIELDS = ['name', 'color', 'archived', 'position'];
+
+// A replayed client create is only acknowledged as applied when it names a live row holding every
+// value it sets; otherwise it is settled like an update of that row, which reports a deletion or
+// newer server version. (A REST create is queued for the row it inserted and always matches.)
+const matchesCreate = (data, existing, fields) => !existing.is_deleted && fields.every(
+  (field) => data[field] === undefined
+    || sameValue(normalizeMergeValue(field, data[field]), normalizeMergeValue(field, existing[field]))
+);
+
+const processItem = async (item, data, userId, strategies) => {
   const now = new Date().toISOString();
   if (item.operation === 'create') {
+    // Creates queued by the REST API (or replayed by a client) name a task that already exists:
+    // acknowledge them instead of inserting a copy (see matchesCreate)
+    const existing = await getResolvedEntity('task', item.task_id, userId);
+    if (existing) {
+      const mapping = { local_id: item.task_id, server_id: existing.id };
+      if (item.source === 'rest' || matchesCreate(data, existing, TASK_MERGE_FIELDS)) {
+        return { mapping, serverData: existing };
+      }
+      return { ...(await processItem({ ...item, operation: 'update' }, data, userId, strategies)), mapping };
+    }
     const id = uuidv4();
+    const ownerId = await resolveTaskOwner(data, userId);
     const taskData = {
       id,
-      user_id: userId,
+      user_id: ownerId,
       title: data.title,
-      description: data.description || '',
+      description: data.description_ops
+        ? await applyDescriptionOperations({ id, description: '' }, data.description_ops)
+        : (data.description || ''),
       completed: data.completed ? 1 : 0,
       created_at: data.created_at || now,
       updated_at: data.updated_at || now,
@@ -186,9 +570,16 @@ const processItem = async (item, data, userId) => {
       sync_status: 'synced',
       server_id: id,
       last_synced_at: now,
+      due_at: data.due_at ? new Date(data.due_at).toISOString() : null,
+      priority: data.priority || 'none',
+      rrule: normalizeRRule(data.rrule),
+      series_id: data.series_id || null,
+      parent_id: data.parent_id || null,
+      project_id: data.project_id || null,
+      hlc: item.hlc || serverClock.now(),
     };
     await db.runQuery(
-      'INSERT INTO tasks (id, user_id, title, description, completed, created_at, updated_at, is_deleted, sync_status, server_id, last_synced_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      'INSERT INTO tasks (id, user_id, title, description, completed, created_at, updated_at, is_deleted, sync_status, server_id, last_synced_at, due_at, priority, rrule, series_id, parent_id, project_id, hlc) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
       [
         taskData.id,
         taskData.user_id,
@@ -201,8 +592,18 @@ const processItem = async (item, data, userId) => {
         taskData.sync_status,
         taskData.server_id,
         taskData.last_synced_at,
+        taskData.due_at,
+        taskData.priority,
+        taskData.rrule,
+        taskData.series_id,
+        taskData.parent_id,
+        taskData.project_id,
+        taskData.hlc,
       ]
     );
+    taskData.tags = await setTaskTags(id, data.tags || [], ownerId);
+    await recordTaskRevision(id, null, taskData, { userId, source: 'sync' });
+    await scheduleNextOccurrence(null, taskData);
     return { mapping: { local_id: item.task_id, server_id: id }, serverData: taskData };
   }
 
@@ -211,83 +612,446 @@ const processItem = async (item, data, userId) => {
     if (!serverTask) {
       if (item.operation === 'delete') return { processed: true };
       // If updating a non-existent task, create it
-      return await processItem({ ...item, operation: 'create' }, data, userId);
+      return await processItem({ ...item, operation: 'create' }, data, userId, strategies);
+    }
+    const required = item.operation === 'delete' ? 'owner' : 'editor';
+    if (!hasRole(await getTaskRole(item.task_id, userId), required)) {
+      throw forbiddenError(`You cannot ${item.operation} this task`);
+    }
+
+    // Description operations are merged into the description CRDT rather than settled as a field,
+    // so concurrent edits from several devices all survive
+    let descriptionText;
+    if (item.operation === 'update' && data.description_ops) {
+      descriptionText = await applyDescriptionOperations(serverTask, data.description_ops);
+      data = { ...data };
+      delete data.description_ops;
+    }
+
+    // With the base version the client edited from, merge field by field; otherwise a change
+    // older than the server version is settled by the user's conflict strategies
+    const { lastWriter, decide } = conflictDecider(strategies, item, serverTask);
+    // REST writes are queued after they were applied: one the server has since moved past is just
+    // out of date, never a conflict for the user to resolve
+    if (item.source === 'rest' && lastWriter !== 'local') {
+      return { serverData: serverTask };
+    }
+    let changes = data;
+    let conflict;
+    if (item.operation === 'update' && data.base) {
+      const merge = mergeTaskFields(data.base, { ...data, hlc: item.hlc }, serverTask, lastWriter, decide);
+      changes = merge.changes;
+      if (merge.conflicts || merge.lost) {
+        conflict = { local_id: item.task_id, task_id: item.task_id, resolution: 'merged', fields: merge.conflicts || {} };
+      }
+      // Fields that lost to the server or were left to the user are kept as a conflict to resolve
+      if (merge.lost) {
+        conflict.conflict_id = await recordConflict(item, merge.lost, serverTask, userId);
+      }
+    } else if (lastWriter !== 'local' && TASK_MERGE_FIELDS.some((field) => data[field] !== undefined)) {
+      const split = splitRecordChanges(item, data, serverTask, decide, strategies.fields);
+      if (!split.changes) {
+        conflict = {
+          conflict_id: await recordConflict(item, data, serverTask, userId),
+          local_id: item.task_id,
+          server_task: serverTask,
+          resolution: SIDE_RESOLUTIONS[split.side],
+        };
+        // The merged description is still written when the rest of the change lost
+        if (descriptionText === undefined) {
+          return { conflict };
+        }
+        changes = {};
+      } else {
+        changes = split.changes;
+      }
+      if (split.lost) {
+        conflict = {
+          conflict_id: await recordConflict(item, split.lost, serverTask, userId),
+          local_id: item.task_id,
+          task_id: item.task_id,
+          resolution: 'merged',
+          fields: split.fields,
+        };
+      }
     }
 
-    const localTask = { ...serverTask, ...data, id: item.task_id };
-    const resolvedTask = await resolveConflict(localTask, serverTask, item.operation);
-    if (resolvedTask === serverTask) {
-      return { conflict: { local_id: item.task_id, server_task: serverTask } };
+    if (descriptionText !== undefined) {
+      changes = { ...changes, description: descriptionText };
+    }
+    if (item.operation === 'update') {
+      await assertValidMove(serverTask, changes, userId);
     }
 
     // Merge and apply update/delete
     const mergedTask = {
-      title: data.title ?? serverTask.title,
-      description: data.description !== undefined ? data.description : serverTask.description,
-      completed: data.completed !== undefined ? (data.completed ? 1 : 0) : serverTask.completed,
-      is_deleted: item.operation === 'delete' ? 1 : (data.is_deleted ?? serverTask.is_deleted),
+      title: changes.title ?? serverTask.title,
+      description: changes.description !== undefined ? changes.description : serverTask.description,
+      completed: changes.completed !== undefined ? (changes.completed ? 1 : 0) : serverTask.completed,
+      due_at: changes.due_at !== undefined
+        ? (changes.due_at ? new Date(changes.due_at).toISOString() : null)
+        : serverTask.due_at,
+      priority: changes.priority ?? serverTask.priority,
+      rrule: changes.rrule !== undefined ? normalizeRRule(changes.rrule) : serverTask.rrule,
+      series_id: changes.series_id !== undefined ? changes.series_id : serverTask.series_id,
+      parent_id: changes.parent_id !== undefined ? changes.parent_id : serverTask.parent_id,
+      project_id: changes.project_id !== undefined ? changes.project_id : serverTask.project_id,
+      is_deleted: item.operation === 'delete' ? 1 : (changes.is_deleted ?? serverTask.is_deleted),
       updated_at: now,
       sync_status: 'synced',
       last_synced_at: now,
     };
+    mergedTask.deleted_at = mergedTask.is_deleted ? (serverTask.deleted_at || now) : null;
+    mergedTask.hlc = maxHLC(item.hlc, serverTask.hlc);
 
     await db.runQuery(
-      'UPDATE tasks SET title = ?, description = ?, completed = ?, is_deleted = ?, updated_at = ?, sync_status = ?, last_synced_at = ? WHERE id = ? AND user_id = ?',
+      'UPDATE tasks SET title = ?, description = ?, completed = ?, due_at = ?, priority = ?, rrule = ?, series_id = ?, parent_id = ?, project_id = ?, is_deleted = ?, deleted_at = ?, hlc = ?, updated_at = ?, sync_status = ?, last_synced_at = ? WHERE id = ? AND user_id = ?',
       [
         mergedTask.title,
         mergedTask.description,
         mergedTask.completed,
+        mergedTask.due_at,
+        mergedTask.priority,
+        mergedTask.rrule,
+        mergedTask.series_id,
+        mergedTask.parent_id,
+        mergedTask.project_id,
         mergedTask.is_deleted,
+        mergedTask.deleted_at,
+        mergedTask.hlc,
         mergedTask.updated_at,
         mergedTask.sync_status,
         mergedTask.last_synced_at,
         item.task_id,
-        userId,
+        serverTask.user_id,
       ]
     );
-    return { serverData: mergedTask };
+    mergedTask.tags = changes.tags !== undefined
+      ? await setTaskTags(item.task_id, changes.tags, serverTask.user_id)
+      : serverTask.tags;
+    await recordTaskRevision(item.task_id, serverTask, mergedTask, { userId, source: 'sync' });
+    await scheduleNextOccurrence(serverTask, { ...serverTask, ...mergedTask });
+    return { serverData: mergedTask, conflict };
   }
 
   throw new Error(`Unknown operation: ${item.operation}`);
 };
 
-// CONSTRAINT FIX: Enhanced conflict resolution with operation type priority
-const resolveConflict = async (localTask, serverTask, localOperation = 'update') => {
-  const localUpdated = new Date(localTask.updated_at);
-  const serverUpdated = new Date(serverTask.updated_at);
-  
-  // If timestamps are equal, use operation priority
-  if (localUpdated.getTime() === serverUpdated.getTime()) {
+// Apply a queued project operation (same create/update/delete semantics as tasks)
+const processProjectItem = async (item, data, userId, strategies) => {
+  const now = new Date().toISOString();
+  if (item.operation === 'create') {
+    const existing = await getResolvedEntity('project', item.task_id, userId);
+    if (existing) {
+      const mapping = { entity: 'project', local_id: item.task_id, server_id: existing.id };
+      if (item.source === 'rest' || matchesCreate(data, existing, PROJECT_CREATE_FIELDS)) {
+        return { mapping, serverData: existing };
+      }
+      return { ...(await processProjectItem({ ...item, operation: 'update' }, data, userId, strategies)), mapping };
+    }
+    const id = uuidv4();
+    const projectData = {
+      id,
+      user_id: userId,
+      name: data.name,
+      color: data.color || null,
+      archived: data.archived ? 1 : 0,
+      position: data.position || 0,
+      created_at: data.created_at || now,
+      updated_at: data.updated_at || now,
+      is_deleted: 0,
+      sync_status: 'synced',
+      server_id: id,
+      last_synced_at: now,
+    };
+    await db.runQuery(
+      'INSERT INTO projects (id, user_id, name, color, archived, position, created_at, updated_at, is_deleted, sync_status, server_id, last_synced_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [
+        projectData.id,
+        projectData.user_id,
+        projectData.name,
+        projectData.color,
+        projectData.archived,
+        projectData.position,
+        projectData.created_at,
+        projectData.updated_at,
+        projectData.is_deleted,
+        projectData.sync_status,
+        projectData.server_id,
+        projectData.last_synced_at,
+      ]
+    );
+    return { mapping: { entity: 'project', local_id: item.task_id, server_id: id }, serverData: projectData };
+  }
+
+  if (item.operation === 'update' || item.operation === 'delete') {
+    const access = projectAccessCondition(userId);
+    const serverProject = await db.getQuery(
+      `SELECT * FROM projects WHERE id = ? AND ${access.sql}`,
+      [item.task_id, ...access.params]
+    );
+    if (!serverProject) {
+      if (item.operation === 'delete') {
+        return { processed: true };
+      }
+      return await processProjectItem({ ...item, operation: 'create' }, data, userId, strategies);
+    }
+    const required = item.operation === 'delete' ? 'owner' : 'editor';
+    if (!hasRole(await getProjectRole(item.task_id, userId), required)) {
+      throw forbiddenError(`You cannot ${item.operation} this project`);
+    }
+
+    // A change older than the server version is settled as a whole by the user's strategy
+    // (per-field strategies apply to task fields)
+    const { lastWriter, decide } = conflictDecider(strategies, item, serverProject);
+    // Out-of-date REST writes are dropped, as for tasks
+    if (item.source === 'rest' && lastWriter !== 'local') {
+      return { serverData: serverProject };
+    }
+    const side = lastWriter === 'local' ? 'local' : decide();
+    if (side !== 'local') {
+      const conflictId = await recordConflict(item, data, serverProject, userId);
+      return {
+        conflict: {
+          conflict_id: conflictId,
+          entity: 'project',
+          local_id: item.task_id,
+          server_project: serverProject,
+          resolution: SIDE_RESOLUTIONS[side],
+        },
+      };
+    }
+
+    const mergedProject = {
+      name: data.name ?? serverProject.name,
+      color: data.color !== undefined ? data.color : serverProject.color,
+      archived: data.archived !== undefined ? (data.archived ? 1 : 0) : serverProject.archived,
+      position: data.position ?? serverProject.position,
+      is_deleted: item.operation === 'delete' ? 1 : serverProject.is_deleted,
+      updated_at: now,
+      sync_status: 'synced',
+      last_synced_at: now,
+    };
+    await db.runQuery(
+      'UPDATE projects SET name = ?, color = ?, archived = ?, position = ?, is_deleted = ?, updated_at = ?, sync_status = ?, last_synced_at = ? WHERE id = ? AND user_id = ?',
+      [
+        mergedProject.name,
+        mergedProject.color,
+        mergedProject.archived,
+        mergedProject.position,
+        mergedProject.is_deleted,
+        mergedProject.updated_at,
+        mergedProject.sync_status,
+        mergedProject.last_synced_at,
+        item.task_id,
+        serverProject.user_id,
+      ]
+    );
+    if (item.operation === 'delete') {
+      // Tasks of a deleted project fall back to the inbox
+      await db.runQuery(
+        'UPDATE tasks SET project_id = NULL, updated_at = ? WHERE project_id = ? AND user_id = ?',
+        [now, item.task_id, serverProject.user_id]
+      );
+    }
+    return { serverData: mergedProject };
+  }
+
+  throw new Error(`Unknown operation: ${item.operation}`);
+};
+
+// Comparable form of a field value (flags as booleans, tags sorted case-insensitively, dates in UTC,
+// rules in their canonical form)
+const normalizeMergeValue = (field, value) => {
+  switch (field) {
+    case 'rrule':
+      return normalizeRRule(value);
+    case 'completed':
+    case 'is_deleted':
+    case 'archived':
+      return !!value;
+    case 'tags':
+      return (value || []).map((tag) => tag.toLowerCase()).sort();
+    case 'due_at':
+      return value ? new Date(value).toISOString() : null;
+    case 'description':
+      return value || '';
+    default:
+      return value === undefined ? null : value;
+  }
+};
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// How each side a strategy picks is reported
+const SIDE_RESOLUTIONS = { local: 'local_wins', server: 'server_wins', manual: 'manual' };
+
+/**
+ * Three-way merge of a client update against the server task.
+ * A field changed on only one side keeps that side's value; a field changed differently on both
+ * sides is a conflict, settled by `decide(field)` and reported with its base/local/server values.
+ * Fields missing from `base` are applied when the change is the last writer, and otherwise settled
+ * by `decide(field)` without being reported. Local values that lost to the server or were left
+ * to the user are returned apart (`lost`).
+ */
+const mergeTaskFields = (base, local, server, lastWriter, decide) => {
+  const changes = { updated_at: local.updated_at };
+  const conflicts = {};
+  const lost = {};
+
+  for (const field of TASK_MERGE_FIELDS) {
+    if (local[field] === undefined) {
+      continue;
+    }
+    const localValue = normalizeMergeValue(field, local[field]);
+    const serverValue = normalizeMergeValue(field, server[field]);
+    if (sameValue(localValue, serverValue)) {
+      continue;
+    }
+    if (base[field] === undefined) {
+      const side = lastWriter === 'local' ? 'local' : decide(field);
+      if (side === 'local') {
+        changes[field] = local[field];
+      } else {
+        lost[field] = local[field];
+      }
+      continue;
+    }
+    const baseValue = normalizeMergeValue(field, base[field]);
+    if (sameValue(localValue, baseValue)) {
+      // Only the server changed it
+      continue;
+    }
+    if (!sameValue(serverValue, baseValue)) {
+      const side = decide(field);
+      conflicts[field] = {
+        base: base[field],
+        local: local[field],
+        server: server[field] === undefined ? null : server[field],
+        resolution: SIDE_RESOLUTIONS[side],
+      };
+      if (side !== 'local') {
+        lost[field] = local[field];
+        continue;
+      }
+    }
+    changes[field] = local[field];
+  }
+
+  return {
+    changes,
+    conflicts: Object.keys(conflicts).length > 0 ? conflicts : null,
+    lost: Object.keys(lost).length > 0 ? lost : null,
+  };
+};
+
+// Which version was written last: by hybrid logical clock when both carry one (immune to
+// device clock skew), otherwise by updated_at. Positive when local is newer, NaN if unknown.
+const compareVersions = (local, server) => {
+  if (local.hlc && server.hlc) {
+    return compareHLC(local.hlc, server.hlc);
+  }
+  return Math.sign(new Date(local.updated_at || 0) - new Date(server.updated_at));
+};
+
+// CONSTRAINT FIX: Enhanced conflict resolution with operation type priority.
+// The side last-write-wins picks: on equal timestamps, the operation priority decides.
+const lastWriterOf = (local, server, localOperation = 'update') => {
+  const order = compareVersions(local, server);
+  if (order === 0) {
     const localPriority = CONFLICT_PRIORITY[localOperation] || 1;
     const serverPriority = CONFLICT_PRIORITY['update']; // Assume server operations are updates
-    
-    const resolvedTask = localPriority >= serverPriority ? localTask : serverTask;
+    return localPriority >= serverPriority ? 'local' : 'server';
+  }
+  return order > 0 ? 'local' : 'server';
+};
+
+// Conflicts of one incoming change under the user's strategies: `lastWriter` is the side
+// last-write-wins picks, and `decide(field)` returns 'local', 'server' or 'manual' for a task
+// field (its override if any, else the user's strategy), or for the whole record without a field
+const conflictDecider = (strategies, item, serverRecord) => {
+  const local = { ...item.data, hlc: item.hlc };
+  const lastWriter = lastWriterOf({ ...serverRecord, ...local }, serverRecord, item.operation);
+  const decide = (field) => {
+    const strategy = (field && strategies.fields[field]) || strategies.strategy;
+    const side = resolveWithStrategy(strategy, {
+      local,
+      server: serverRecord,
+      operation: item.operation,
+      field,
+      lastWriter,
+    });
     console.log(
-      `Resolving conflict for task ${localTask.id}: equal timestamps, local_op=${localOperation}(priority=${localPriority}), server_op=update(priority=${serverPriority}), chose=${resolvedTask === localTask ? 'local' : 'server'}`
+      `Resolving conflict for ${item.entity || 'task'} ${item.task_id}${field ? ` (${field})` : ''}: strategy=${strategy}, local=${local.hlc || local.updated_at}, server=${serverRecord.hlc || serverRecord.updated_at}, chose=${side}`
     );
-    return resolvedTask;
+    return side;
+  };
+  return { lastWriter, decide };
+};
+
+/**
+ * Settles a whole-record task change older than the server version. The record goes to
+ * the side the user's strategy picks, except for fields with their own strategy, which are decided
+ * one by one. Returns the side picked for the record, the changes to apply (null when nothing of
+ * the change applies), the local values that lost (`lost`, null if none) and how each lost field
+ * was settled (`fields`).
+ */
+const splitRecordChanges = (item, data, serverTask, decide, fieldStrategies) => {
+  const recordSide = decide();
+  if (item.operation !== 'update') {
+    return { side: recordSide, changes: recordSide === 'local' ? data : null, lost: null };
   }
-  
-  // Use last-write-wins for different timestamps
-  const resolvedTask = localUpdated >= serverUpdated ? localTask : serverTask;
-  console.log(
-    `Resolving conflict for task ${localTask.id}: local=${localTask.updated_at}, server=${serverTask.updated_at}, chose=${resolvedTask === localTask ? 'local' : 'server'}`
-  );
-  return resolvedTask;
+  const applied = {};
+  const lost = {};
+  const fields = {};
+  for (const field of TASK_MERGE_FIELDS) {
+    if (data[field] === undefined || sameValue(data[field], serverTask[field])) {
+      continue;
+    }
+    const side = fieldStrategies[field] ? decide(field) : recordSide;
+    if (side === 'local') {
+      applied[field] = data[field];
+    } else {
+      lost[field] = data[field];
+      fields[field] = {
+        local: data[field],
+        server: serverTask[field] === undefined ? null : serverTask[field],
+        resolution: SIDE_RESOLUTIONS[side],
+      };
+    }
+  }
+  if (recordSide !== 'local' && Object.keys(applied).length === 0) {
+    return { side: recordSide, changes: null, lost: null };
+  }
+  let changes = { ...applied, updated_at: data.updated_at };
+  if (recordSide === 'local') {
+    changes = { ...data };
+    for (const field of Object.keys(lost)) {
+      delete changes[field];
+    }
+  }
+  return Object.keys(lost).length > 0
+    ? { side: recordSide, changes, lost, fields }
+    : { side: recordSide, changes, lost: null };
 };
 
-const updateSyncStatus = async (taskId, status, userId, serverData = {}) => {
+const updateSyncStatus = async (taskId, status, userId, serverData = {}, entityType = 'task') => {
   const now = new Date().toISOString();
   const syncStatus = status;
   const serverId = serverData.server_id || taskId;
   const lastSyncedAt = now;
+  const type = SYNC_ENTITY_TABLES[entityType] ? entityType : 'task';
+  const access = SYNC_ACCESS_CONDITIONS[type](userId);
 
   await db.runQuery(
-    'UPDATE tasks SET sync_status = ?, last_synced_at = ?, server_id = ? WHERE id = ? AND user_id = ?',
-    [syncStatus, lastSyncedAt, serverId, taskId, userId]
+    `UPDATE ${SYNC_ENTITY_TABLES[type]} SET sync_status = ?, last_synced_at = ?, server_id = ? WHERE id = ? AND ${access.sql}`,
+    [syncStatus, lastSyncedAt, serverId, taskId, ...access.params]
   );
   if (status === 'synced') {
-    await db.runQuery('DELETE FROM sync_queue WHERE task_id = ? AND user_id = ?', [taskId, userId]);
+    await db.runQuery(
+      'DELETE FROM sync_queue WHERE task_id = ? AND user_id = ? AND entity_type = ?',
+      [taskId, userId, type]
+    );
   }
 };
 
@@ -295,6 +1059,11 @@ const updateSyncStatus = async (taskId, status, userId, serverData = {}) => {
 const handleSyncError = async (item, error, userId) => {
   const retry_count = (item.retry_count || 0) + 1;
   const error_message = error.message;
+  const previousErrors = safeParseJSON(item.error_history);
+  const error_history = JSON.stringify([
+    ...(Array.isArray(previousErrors) ? previousErrors : []),
+    { attempt: retry_count, error: error_message, failed_at: new Date().toISOString() },
+  ]);
   
   try {
     if (retry_count >= MAX_RETRIES) {
@@ -304,8 +1073,9 @@ const handleSyncError = async (item, error, userId) => {
       
       await db.runQuery(
         `INSERT INTO dead_letter_queue 
-         (id, user_id, task_id, operation, data, retry_count, error_message, original_created_at, failed_at)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+         (id, user_id, task_id, operation, data, retry_count, error_message, original_created_at, failed_at, entity_type,
+          change_id, error_history)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [
           deadLetterId,
           userId,
@@ -315,22 +1085,27 @@ const handleSyncError = async (item, error, userId) => {
           retry_count,
           error_message,
           item.created_at,
-          failed_at
+          failed_at,
+          item.entity_type || 'task',
+          item.change_id || null,
+          error_history,
         ]
       );
       
       // Remove from sync queue and update task status to 'failed'
       await db.runQuery('DELETE FROM sync_queue WHERE id = ? AND user_id = ?', [item.id, userId]);
-      await updateSyncStatus(item.task_id, 'failed', userId);
+      await updateSyncStatus(item.task_id, 'failed', userId, {}, item.entity_type);
       
       console.log(`Moved item ${item.id} to dead letter queue after ${retry_count} attempts`);
     } else {
-      // Update retry count and set status to 'error'
+      // Update retry count, schedule the next attempt and set status to 'error'
+      const next_attempt_at = new Date(Date.now() + getRetryDelayMs(retry_count)).toISOString();
       await db.runQuery(
-        'UPDATE sync_queue SET retry_count = ?, error_message = ? WHERE id = ? AND user_id = ?',
-        [retry_count, error_message, item.id, userId]
+        `UPDATE sync_queue SET retry_count = ?, error_message = ?, error_history = ?, next_attempt_at = ?
+         WHERE id = ? AND user_id = ?`,
+        [retry_count, error_message, error_history, next_attempt_at, item.id, userId]
       );
-      await updateSyncStatus(item.task_id, 'error', userId);
+      await updateSyncStatus(item.task_id, 'error', userId, {}, item.entity_type);
     }
   } catch (dbError) {
     console.error('Failed to handle sync error:', dbError);
@@ -353,7 +1128,11 @@ const getSyncStatus = async (userId) => {
     [userId]
   );
   const queueItems = await db.allQuery('SELECT * FROM sync_queue WHERE user_id = ?', [userId]);
-  return { logs, pending: queueItems.length };
+  // Items waiting out a retry backoff, soonest first
+  const retrying = queueItems
+    .filter((item) => item.next_attempt_at)
+    .sort((a, b) => a.next_attempt_at.localeCompare(b.next_attempt_at));
+  return { logs, pending: queueItems.length, retrying };
 };
 
 function safeParseJSON(s) {
@@ -366,10 +1145,16 @@ function safeParseJSON(s) {
 
 module.exports = { 
   sync, 
+  syncBatch, 
+  applyChanges, 
+  processQueue, 
+  getResolvedEntity,
   addToSyncQueue, 
+  updateSyncStatus, 
   getSyncStatus, 
   startSync, 
   getDeadLetterQueue,
+  getRetryDelayMs,
   generateBatchChecksum,
   verifyBatchChecksum,
   SYNC_STATES,
@@ -0,0 +1,132 @@
+const { getQuery, allQuery } = require('../db/db');
+const { processQueue } = require('./syncService');
+const config = require('../config');
+
+// Queue items a runner may pick up now: not backing off and not leased by another runner
+const DUE_SQL = '(next_attempt_at IS NULL OR next_attempt_at <= ?) AND (locked_until IS NULL OR locked_until <= ?)';
+
+let workerTimer = null;
+let currentRun = null;
+
+// Totals since the process started
+const stats = {
+  runs: 0,
+  users_synced: 0,
+  processed: 0,
+  failed: 0,
+  errors: 0,
+  last_run_at: null,
+  last_run_duration_ms: null,
+  last_error: null,
+};
+
+// Last error the worker hit on each user's queue (cleared when it next processes it cleanly)
+const userErrors = new Map();
+
+// 1. Process every user's due queue items, syncing at most `concurrency` users at a time
+const drainSyncQueues = async ({ concurrency = config.SYNC_WORKER_CONCURRENCY } = {}) => {
+  const startedAt = new Date();
+  const now = startedAt.toISOString();
+  const users = await allQuery(`SELECT DISTINCT user_id FROM sync_queue WHERE ${DUE_SQL}`, [now, now]);
+  const result = { users: users.length, processed: 0, failed: 0, errors: 0 };
+
+  let next = 0;
+  const runNext = async () => {
+    while (next < users.length) {
+      const { user_id: userId } = users[next++];
+      try {
+        const { processed, failed } = await processQueue(userId);
+        result.processed += processed;
+        result.failed += failed;
+        userErrors.delete(userId);
+      } catch (error) {
+        // One user's failure must not stop the others from syncing
+        result.errors++;
+        stats.last_error = error.message;
+        userErrors.set(userId, error.message);
+        console.error(`Sync worker failed to process the queue of user ${userId}:`, error);
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, users.length) }, runNext));
+
+  stats.runs++;
+  stats.users_synced += result.users - result.errors;
+  stats.processed += result.processed;
+  stats.failed += result.failed;
+  stats.errors += result.errors;
+  stats.last_run_at = startedAt.toISOString();
+  stats.last_run_duration_ms = Date.now() - startedAt.getTime();
+  return result;
+};
+
+/**
+ * 2. Worker totals plus the live queue: its depth, and the lag of the item waiting longest to be
+ * processed. With `userId`, only that user's queue and worker error are reported, alongside the
+ * worker's run state (totals across users are left out).
+ */
+const getSyncWorkerMetrics = async ({ userId, now = new Date() } = {}) => {
+  const nowIso = now.toISOString();
+  const queue = await getQuery(
+    `SELECT COUNT(*) AS depth,
+       SUM(CASE WHEN ${DUE_SQL} THEN 1 ELSE 0 END) AS due,
+       SUM(CASE WHEN locked_until > ? THEN 1 ELSE 0 END) AS leased,
+       MIN(CASE WHEN ${DUE_SQL} THEN COALESCE(next_attempt_at, created_at) END) AS oldest_due_at
+     FROM sync_queue
+     ${userId ? 'WHERE user_id = ?' : ''}`,
+    [nowIso, nowIso, nowIso, nowIso, nowIso, ...(userId ? [userId] : [])]
+  );
+  const totals = userId
+    ? {
+      runs: stats.runs,
+      last_run_at: stats.last_run_at,
+      last_run_duration_ms: stats.last_run_duration_ms,
+      last_error: userErrors.get(userId) || null,
+    }
+    : stats;
+  return {
+    running: workerTimer !== null,
+    ...totals,
+    queue_depth: queue.depth,
+    due_items: queue.due || 0,
+    leased_items: queue.leased || 0,
+    oldest_due_at: queue.oldest_due_at,
+    queue_lag_ms: queue.oldest_due_at ? Math.max(0, now.getTime() - Date.parse(queue.oldest_due_at)) : 0,
+  };
+};
+
+// 3. Drain the queue periodically (no-op when already running). A run still in progress
+// when the next one is due is not overlapped.
+const startSyncWorker = ({ intervalMs = config.SYNC_WORKER_INTERVAL_MS } = {}) => {
+  if (workerTimer) {
+    return;
+  }
+  workerTimer = setInterval(() => {
+    if (currentRun) {
+      return;
+    }
+    currentRun = drainSyncQueues()
+      .catch((error) => {
+        stats.last_error = error.message;
+        console.error('Sync worker run failed:', error);
+      })
+      .finally(() => {
+        currentRun = null;
+      });
+  }, intervalMs);
+  workerTimer.unref();
+};
+
+const stopSyncWorker = () => {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+};
+
+module.exports = {
+  drainSyncQueues,
+  getSyncWorkerMetrics,
+  startSyncWorker,
+  stopSyncWorker,
+};
@@ -0,0 +1,130 @@
+const { runQuery, allQuery } = require('../db/db');
+const { v4: uuidv4 } = require('uuid');
+
+// Trim, drop empties and de-duplicate case-insensitively (first spelling wins)
+const normalizeTagNames = (names = []) => {
+  if (!Array.isArray(names)) {
+    throw new Error('Tags must be an array of strings');
+  }
+  const seen = new Set();
+  const result = [];
+  for (const raw of names) {
+    const name = typeof raw === 'string' ? raw.trim() : '';
+    if (!name || seen.has(name.toLowerCase())) {
+      continue;
+    }
+    seen.add(name.toLowerCase());
+    result.push(name);
+  }
+  return result;
+};
+
+// 1. Replace the full tag set of a task, creating missing tags for the user
+const setTaskTags = async (taskId, names, userId) => {
+  if (!taskId) {
+    throw new Error('Task ID is required');
+  }
+  if (!userId) {
+    throw new Error('User ID is required');
+  }
+
+  const tagNames = normalizeTagNames(names);
+  const now = new Date().toISOString();
+
+  for (const name of tagNames) {
+    await runQuery(
+      'INSERT OR IGNORE INTO tags (id, user_id, name, created_at) VALUES (?, ?, ?, ?)',
+      [uuidv4(), userId, name, now]
+    );
+  }
+
+  await runQuery('DELETE FROM task_tags WHERE task_id = ?', [taskId]);
+  if (tagNames.length === 0) {
+    return [];
+  }
+
+  const placeholders = tagNames.map(() => '?').join(', ');
+  const tags = await allQuery(
+    `SELECT id, name FROM tags WHERE user_id = ? AND name IN (${placeholders}) ORDER BY name`,
+    [userId, ...tagNames]
+  );
+  for (const tag of tags) {
+    await runQuery('INSERT OR IGNORE INTO task_tags (task_id, tag_id) VALUES (?, ?)', [taskId, tag.id]);
+  }
+
+  // Same order as attachTags, so a write returns the tags as a later read lists them
+  return tags.map((t) => t.name);
+};
+
+// 2. Attach a `tags` array (sorted names) to each task row
+const attachTags = async (tasks) => {
+  if (!tasks || tasks.length === 0) {
+    return tasks;
+  }
+
+  const placeholders = tasks.map(() => '?').join(', ');
+  const rows = await allQuery(
+    `SELECT tt.task_id, g.name
+     FROM task_tags tt
+     JOIN tags g ON g.id = tt.tag_id
+     WHERE tt.task_id IN (${placeholders})
+     ORDER BY g.name`,
+    tasks.map((t) => t.id)
+  );
+
+  const byTask = new Map();
+  for (const row of rows) {
+    if (!byTask.has(row.task_id)) {
+      byTask.set(row.task_id, []);
+    }
+    byTask.get(row.task_id).push(row.name);
+  }
+  return tasks.map((task) => ({ ...task, tags: byTask.get(task.id) || [] }));
+};
+
+// 3. Build a SQL condition restricting tasks to those carrying any/all of the given tags.
+// Tags are matched by name: a shared task carries its owner's tags, and the outer query already
+// limits tasks to those the user can see.
+const buildTagFilter = (names, mode) => {
+  const tagNames = normalizeTagNames(names);
+  if (tagNames.length === 0) {
+    return null;
+  }
+
+  const placeholders = tagNames.map(() => '?').join(', ');
+  const having = mode === 'all' ? `GROUP BY tt.task_id HAVING COUNT(DISTINCT g.id) = ${tagNames.length}` : '';
+  return {
+    sql: `id IN (
+      SELECT tt.task_id FROM task_tags tt
+      JOIN tags g ON g.id = tt.tag_id
+      WHERE g.name IN (${placeholders})
+      ${having}
+    )`,
+    params: tagNames,
+  };
+};
+
+// 4. List the user's tags with the number of live tasks using each
+const getTagsWithCounts = async (userId) => {
+  if (!userId) {
+    throw new Error('User ID is required');
+  }
+  return await allQuery(
+    `SELECT g.id, g.name, g.created_at, COUNT(t.id) AS task_count
+     FROM tags g
+     LEFT JOIN task_tags tt ON tt.tag_id = g.id
+     LEFT JOIN tasks t ON t.id = tt.task_id AND t.is_deleted = 0
+     WHERE g.user_id = ?
+     GROUP BY g.id
+     ORDER BY task_count DESC, g.name`,
+    [userId]
+  );
+};
+
+module.exports = {
+  normalizeTagNames,
+  setTaskTags,
+  attachTags,
+  buildTagFilter,
+  getTagsWithCounts,
+};
@@ -1,51 +1,471 @@
 const { runQuery, getQuery, allQuery } = require('../db/db');
 const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const { setTaskTags, attachTags, buildTagFilter } = require('./tagService');
+const { DEFAULT_TIME_ZONE, getZonedDayRange } = require('../utils/timeZone');
+const { parseRRule, formatRRule, getNextOccurrences } = require('../utils/rrule');
+const {
+  forbiddenError,
+  hasRole,
+  taskAccessCondition,
+  getTaskRole,
+  getProjectRole,
+} = require('./permissionService');
+const { recordTaskRevision, getTaskRevisions, getTaskRevision } = require('./revisionService');
+const { serverClock, hlcFromTimestamp } = require('../utils/hlc');
+const { notifyChanges } = require('./changeStreamService');
 
-// 1. Get all tasks
-const getAllTasks = async (userId) => {
+const TASK_PRIORITIES = ['none', 'low', 'medium', 'high', 'urgent'];
+
+// Errors caused by bad client input; routes map err.status to the HTTP response
+const validationError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Highest priority first, then earliest due date
+const DUE_ORDER = `
+  due_at ASC,
+  CASE priority WHEN 'urgent' THEN 4 WHEN 'high' THEN 3 WHEN 'medium' THEN 2 WHEN 'low' THEN 1 ELSE 0 END DESC,
+  id ASC
+`;
+
+// Due dates are accepted with any offset and stored as UTC ISO strings so they compare lexically
+const normalizeDueAt = (dueAt) => {
+  if (dueAt === null || dueAt === undefined || dueAt === '') {
+    return null;
+  }
+  const date = new Date(dueAt);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid due_at: ${dueAt}`);
+  }
+  return date.toISOString();
+};
+
+// Validate and canonicalise an RRULE string (null/empty clears the recurrence)
+const normalizeRRule = (rrule) => {
+  if (rrule === null || rrule === undefined || rrule === '') {
+    return null;
+  }
+  return formatRRule(parseRRule(rrule));
+};
+
+// Fields that "edit the whole series" copies onto every open occurrence
+const SERIES_FIELDS = ['title', 'description', 'priority', 'tags', 'rrule'];
+
+const normalizePriority = (priority) => {
+  if (priority === null || priority === undefined) {
+    return 'none';
+  }
+  if (!TASK_PRIORITIES.includes(priority)) {
+    throw new Error(`Invalid priority: ${priority}`);
+  }
+  return priority;
+};
+
+// Whitelisted sort keys for task listing (maps request value -> column/direction)
+const TASK_SORTS = {
+  updated_at_desc: { column: 'updated_at', direction: 'DESC' },
+  updated_at_asc: { column: 'updated_at', direction: 'ASC' },
+  created_at_desc: { column: 'created_at', direction: 'DESC' },
+  created_at_asc: { column: 'created_at', direction: 'ASC' },
+  title_asc: { column: 'title', direction: 'ASC' },
+  title_desc: { column: 'title', direction: 'DESC' },
+};
+const DEFAULT_TASK_SORT = 'updated_at_desc';
+const DEFAULT_TASK_LIMIT = 50;
+
+// Cursors are opaque to clients: base64url JSON of the last row's sort value and id
+const encodeCursor = (sort, task) => {
+  const { column } = TASK_SORTS[sort];
+  const payload = { s: sort, v: task[column], id: task.id };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+const decodeCursor = (cursor, sort) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    payload = null;
+  }
+  if (!payload || payload.s !== sort || typeof payload.id !== 'string') {
+    throw validationError('Invalid cursor');
+  }
+  return payload;
+};
+
+// Non-deleted descendants of the given tasks, one row per (root_id, descendant). No valid tree
+// is deeper than TASK_MAX_DEPTH, so the bound only matters if a cycle got into the table.
+const DESCENDANTS_SQL = (placeholders) => `
+  WITH RECURSIVE descendants(root_id, id, parent_id, depth) AS (
+    SELECT parent_id, id, parent_id, 1 FROM tasks
+    WHERE parent_id IN (${placeholders}) AND is_deleted = 0
+    UNION ALL
+    SELECT d.root_id, c.id, c.parent_id, d.depth + 1 FROM tasks c
+    JOIN descendants d ON c.parent_id = d.id
+    WHERE c.is_deleted = 0 AND d.depth < ${config.TASK_MAX_DEPTH}
+  )
+`;
+
+// Add subtask_count and completion_percentage (rolled up over all descendants)
+const attachProgress = async (tasks) => {
+  if (!tasks || tasks.length === 0) {
+    return tasks;
+  }
+  const placeholders = tasks.map(() => '?').join(', ');
+  const rows = await allQuery(
+    `${DESCENDANTS_SQL(placeholders)}
+     SELECT d.root_id, COUNT(*) AS total, SUM(t.completed) AS done
+     FROM descendants d JOIN tasks t ON t.id = d.id
+     GROUP BY d.root_id`,
+    tasks.map((t) => t.id)
+  );
+  const byRoot = new Map(rows.map((r) => [r.root_id, r]));
+  return tasks.map((task) => {
+    const stats = byRoot.get(task.id);
+    return {
+      ...task,
+      subtask_count: stats ? stats.total : 0,
+      completion_percentage: stats ? Math.round((stats.done / stats.total) * 100) : null,
+    };
+  });
+};
+
+// Nest all descendants of the given root tasks under `children`
+const buildTaskTrees = async (roots) => {
+  if (roots.length === 0) {
+    return roots;
+  }
+  const placeholders = roots.map(() => '?').join(', ');
+  const descendants = await allQuery(
+    `${DESCENDANTS_SQL(placeholders)}
+     SELECT t.* FROM descendants d JOIN tasks t ON t.id = d.id
+     ORDER BY d.depth, t.created_at, t.id`,
+    roots.map((t) => t.id)
+  );
+  const nodes = new Map();
+  for (const task of await attachProgress(await attachTags([...roots, ...descendants]))) {
+    nodes.set(task.id, { ...task, children: [] });
+  }
+  for (const task of descendants) {
+    nodes.get(task.parent_id).children.push(nodes.get(task.id));
+  }
+  return roots.map((root) => nodes.get(root.id));
+};
+
+// Depth of a task counting from its root (a root task has depth 1), bounded like DESCENDANTS_SQL
+const getTaskDepth = async (id) => {
+  const row = await getQuery(
+    `WITH RECURSIVE ancestors(id, parent_id, depth) AS (
+       SELECT id, parent_id, 1 FROM tasks WHERE id = ?
+       UNION ALL
+       SELECT t.id, t.parent_id, a.depth + 1 FROM tasks t JOIN ancestors a ON t.id = a.parent_id
+       WHERE a.depth <= ${config.TASK_MAX_DEPTH}
+     )
+     SELECT MAX(depth) AS depth FROM ancestors`,
+    [id]
+  );
+  return (row && row.depth) || 0;
+};
+
+// Levels below a task (0 for a leaf)
+const getSubtreeHeight = async (id) => {
+  const row = await getQuery(
+    `${DESCENDANTS_SQL('?')} SELECT MAX(depth) AS height FROM descendants`,
+    [id]
+  );
+  return (row && row.height) || 0;
+};
+
+// Check that `parentId` can hold the task `taskId` (null for a new task): the parent must be
+// a live task the user can edit, must not be the task or one of its descendants, and the
+// resulting tree must not exceed TASK_MAX_DEPTH levels. Resolves to the parent row.
+const assertValidParent = async (parentId, taskId, userId) => {
+  const parent = await getQuery(
+    'SELECT id, user_id, project_id FROM tasks WHERE id = ? AND is_deleted = 0',
+    [parentId]
+  );
+  const role = parent ? await getTaskRole(parentId, userId) : null;
+  if (!role) {
+    throw validationError(`Parent task not found: ${parentId}`);
+  }
+  if (!hasRole(role, 'editor')) {
+    throw forbiddenError('You cannot add subtasks to this task');
+  }
+
+  if (taskId) {
+    const cycle = await getQuery(
+      `WITH RECURSIVE ancestors(id, parent_id) AS (
+         SELECT id, parent_id FROM tasks WHERE id = ?
+         UNION
+         SELECT t.id, t.parent_id FROM tasks t JOIN ancestors a ON t.id = a.parent_id
+       )
+       SELECT id FROM ancestors WHERE id = ?`,
+      [parentId, taskId]
+    );
+    if (cycle) {
+      throw validationError('A task cannot be moved under itself or one of its subtasks');
+    }
+  }
+
+  const height = taskId ? await getSubtreeHeight(taskId) : 0;
+  if ((await getTaskDepth(parentId)) + 1 + height > config.TASK_MAX_DEPTH) {
+    throw validationError(`Subtasks cannot be nested more than ${config.TASK_MAX_DEPTH} levels deep`);
+  }
+  return parent;
+};
+
+// The project must be a live project the user can edit (archived projects can still hold tasks).
+// Resolves to the project row.
+const assertValidProject = async (projectId, userId) => {
+  const project = await getQuery(
+    'SELECT id, user_id FROM projects WHERE id = ? AND is_deleted = 0',
+    [projectId]
+  );
+  const role = project ? await getProjectRole(projectId, userId) : null;
+  if (!role) {
+    throw validationError(`Project not found: ${projectId}`);
+  }
+  if (!hasRole(role, 'editor')) {
+    throw forbiddenError('You cannot add tasks to this project');
+  }
+  return project;
+};
+
+// A task, its parent and its project always share one owner, so grants on the
+// parent or project reach every task below them
+const assertSameOwner = (ownerId, container) => {
+  if (container && container.user_id !== ownerId) {
+    throw validationError('A task must have the same owner as its parent task and project');
+  }
+};
+
+// 1. Get all tasks the user owns or has been shared (cursor paginated, filterable and sortable)
+const getAllTasks = async (userId, options = {}) => {
   if (!userId) throw new Error('User ID is required');
+
+  const {
+    limit = DEFAULT_TASK_LIMIT,
+    cursor,
+    sort = DEFAULT_TASK_SORT,
+    completed,
+    sync_status,
+    created_after,
+    created_before,
+    updated_after,
+    updated_before,
+    tag,
+    tag_mode = 'any',
+    view = 'flat',
+    project_id,
+  } = options;
+
+  if (!TASK_SORTS[sort]) {
+    throw new Error(`Invalid sort: ${sort}`);
+  }
+  const { column, direction } = TASK_SORTS[sort];
+
+  const access = taskAccessCondition(userId);
+  const conditions = [access.sql, 'is_deleted = 0'];
+  const params = [...access.params];
+
+  if (completed !== undefined) {
+    conditions.push('completed = ?');
+    params.push(completed ? 1 : 0);
+  }
+  if (sync_status) {
+    conditions.push('sync_status = ?');
+    params.push(sync_status);
+  }
+  // Timestamps are stored as UTC ISO strings and compared as text, so the bounds are
+  // converted to the same form (a bound may carry any offset)
+  if (created_after) {
+    conditions.push('created_at >= ?');
+    params.push(new Date(created_after).toISOString());
+  }
+  if (created_before) {
+    conditions.push('created_at < ?');
+    params.push(new Date(created_before).toISOString());
+  }
+  if (updated_after) {
+    conditions.push('updated_at >= ?');
+    params.push(new Date(updated_after).toISOString());
+  }
+  if (updated_before) {
+    conditions.push('updated_at < ?');
+    params.push(new Date(updated_before).toISOString());
+  }
+
+  // 'none' selects tasks outside any project (the inbox)
+  if (project_id === 'none') {
+    conditions.push('project_id IS NULL');
+  } else if (project_id) {
+    conditions.push('project_id = ?');
+    params.push(project_id);
+  }
+
+  if (tag) {
+    // Accept repeated ?tag=a&tag=b as well as comma-separated ?tag=a,b
+    const tagNames = (Array.isArray(tag) ? tag : [tag]).flatMap((t) => t.split(','));
+    const tagFilter = buildTagFilter(tagNames, tag_mode);
+    if (tagFilter) {
+      conditions.push(tagFilter.sql);
+      params.push(...tagFilter.params);
+    }
+  }
+
+  // The tree view pages over top-level tasks and nests their subtasks
+  if (view === 'tree') {
+    conditions.push('parent_id IS NULL');
+  }
+
+  // Keyset pagination: continue strictly after the (sort value, id) of the previous page
+  if (cursor) {
+    const { v, id } = decodeCursor(cursor, sort);
+    const op = direction === 'DESC' ? '<' : '>';
+    conditions.push(`(${column} ${op} ? OR (${column} = ? AND id ${op} ?))`);
+    params.push(v, v, id);
+  }
+
   const sql = `
     SELECT * FROM tasks
-    WHERE user_id = ? AND is_deleted = 0
-    ORDER BY updated_at DESC
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY ${column} ${direction}, id ${direction}
+    LIMIT ?
   `;
-  return await allQuery(sql, [userId]);
+  // Fetch one extra row to know whether another page exists
+  const rows = await allQuery(sql, [...params, limit + 1]);
+  const hasMore = rows.length > limit;
+  const tasks = hasMore ? rows.slice(0, limit) : rows;
+
+  return {
+    tasks: view === 'tree' ? await buildTaskTrees(tasks) : await attachTags(tasks),
+    next_cursor: hasMore ? encodeCursor(sort, tasks[tasks.length - 1]) : null,
+  };
+};
+
+// Turn free-form user input into a safe FTS5 MATCH expression.
+// "quoted text" becomes a phrase query, a trailing * becomes a prefix match,
+// every other FTS5 operator character is stripped so users cannot inject syntax.
+const buildSearchExpression = (q) => {
+  const terms = [];
+  const pattern = /"([^"]*)"|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(q)) !== null) {
+    if (match[1] !== undefined) {
+      const phrase = match[1].replace(/[^\p{L}\p{N}\s]/gu, ' ').trim();
+      if (phrase) {
+        terms.push(`"${phrase}"`);
+      }
+      continue;
+    }
+    const isPrefix = match[2].endsWith('*');
+    const word = match[2].replace(/[^\p{L}\p{N}]/gu, '');
+    if (word) {
+      terms.push(`"${word}"${isPrefix ? '*' : ''}`);
+    }
+  }
+  return terms.join(' ');
+};
+
+// Search tasks by title/description, best matches (bm25) first
+const searchTasks = async (userId, q, { limit = 20 } = {}) => {
+  if (!userId) {
+    throw new Error('User ID is required');
+  }
+
+  const expression = buildSearchExpression(q || '');
+  if (!expression) {
+    return [];
+  }
+
+  // bm25 weights: title matches count more than description matches
+  const access = taskAccessCondition(userId, 't');
+  const sql = `
+    SELECT t.*,
+      bm25(tasks_fts, 10.0, 1.0) AS rank,
+      highlight(tasks_fts, 0, '<mark>', '</mark>') AS title_highlight,
+      snippet(tasks_fts, 1, '<mark>', '</mark>', '…', 12) AS description_snippet
+    FROM tasks_fts
+    JOIN task_search_ids s ON s.search_id = tasks_fts.rowid
+    JOIN tasks t ON t.id = s.task_id
+    WHERE tasks_fts MATCH ? AND ${access.sql} AND t.is_deleted = 0
+    ORDER BY rank
+    LIMIT ?
+  `;
+  return await attachTags(await allQuery(sql, [expression, ...access.params, limit]));
 };
 
-// 2. Get task by id
+// 2. Get task by id (null unless the user owns it or it is shared with them)
 const getTaskById = async (id, userId) => {
   if (!id) throw new Error('Task ID is required');
   if (!userId) throw new Error('User ID is required');
+  const access = taskAccessCondition(userId);
   const sql = `
     SELECT * FROM tasks
-    WHERE id = ? AND user_id = ? AND is_deleted = 0
+    WHERE id = ? AND is_deleted = 0 AND ${access.sql}
   `;
-  const result = await getQuery(sql, [id, userId]);
-  return result || null;
+  const result = await getQuery(sql, [id, ...access.params]);
+  return result ? (await attachProgress(await attachTags([result])))[0] : null;
 };
 
 // 3. Get Task by ID including deleted
 const getTaskByIdIncludingDeleted = async (id, userId) => {
   if (!id) throw new Error('Task ID is required');
   if (!userId) throw new Error('User ID is required');
+  const access = taskAccessCondition(userId);
   const sql = `
     SELECT * FROM tasks
-    WHERE id = ? AND user_id = ?
+    WHERE id = ? AND ${access.sql}
   `;
-  const result = await getQuery(sql, [id, userId]);
-  return result || null;
+  const result = await getQuery(sql, [id, ...access.params]);
+  return result ? (await attachTags([result]))[0] : null;
 };
 
-// 4. Create new task
-const createTask = async ({ title, description = '', completed = false }, userId) => {
+// 4. Create new task. Tasks created inside a shared parent or project belong to its owner.
+const createTask = async (
+  {
+    title,
+    description = '',
+    completed = false,
+    tags = [],
+    due_at = null,
+    priority = 'none',
+    rrule = null,
+    series_id = null,
+    parent_id = null,
+    project_id,
+  },
+  userId
+) => {
   if (!userId) throw new Error('User ID is required');
   if (!title) throw new Error('Title is required');
+  let ownerId = userId;
+  const parent = parent_id ? await assertValidParent(parent_id, null, userId) : null;
+  if (parent) {
+    ownerId = parent.user_id;
+    // Subtasks default to their parent's project
+    if (project_id === undefined) {
+      project_id = parent.project_id;
+    }
+  }
+  // The parent's own project needs no further check (editing the parent is enough)
+  if (project_id && !(parent && parent.project_id === project_id)) {
+    const project = await assertValidProject(project_id, userId);
+    if (parent) {
+      assertSameOwner(ownerId, project);
+    }
+    ownerId = project.user_id;
+  }
 
   const id = uuidv4();
   const now = new Date().toISOString();
+  const normalizedRRule = normalizeRRule(rrule);
   const task = {
     id,
-    user_id: userId,
+    user_id: ownerId,
     title,
     description: description || '',
     completed: completed ? 1 : 0,
@@ -55,12 +475,21 @@ const createTask = async ({ title, description = '', completed = false }, userId
     sync_status: 'pending',
     server_id: null,
     last_synced_at: null,
+    due_at: normalizeDueAt(due_at),
+    priority: normalizePriority(priority),
+    rrule: normalizedRRule,
+    // A recurring task starts its own series unless it is a generated occurrence
+    series_id: series_id || (normalizedRRule ? id : null),
+    parent_id: parent_id || null,
+    project_id: project_id || null,
+    hlc: serverClock.now(),
   };
 
   const sql = `
     INSERT INTO tasks (
-      id, user_id, title, description, completed, created_at, updated_at, is_deleted, sync_status, server_id, last_synced_at
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      id, user_id, title, description, completed, created_at, updated_at, is_deleted, sync_status, server_id, last_synced_at,
+      due_at, priority, rrule, series_id, parent_id, project_id, hlc
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `;
   await runQuery(sql, [
     task.id,
@@ -74,76 +503,482 @@ const createTask = async ({ title, description = '', completed = false }, userId
     task.sync_status,
     task.server_id,
     task.last_synced_at,
+    task.due_at,
+    task.priority,
+    task.rrule,
+    task.series_id,
+    task.parent_id,
+    task.project_id,
+    task.hlc,
   ]);
+  task.tags = await setTaskTags(task.id, tags, ownerId);
+  await recordTaskRevision(task.id, null, task, { userId, source: 'rest' });
 
   // enqueue create operation for sync
   await addToSyncQueue(task.id, 'create', {
     title: task.title,
     description: task.description,
     completed: !!completed,
+    tags: task.tags,
+    due_at: task.due_at,
+    priority: task.priority,
+    rrule: task.rrule,
+    series_id: task.series_id,
+    parent_id: task.parent_id,
+    project_id: task.project_id,
     created_at: task.created_at,
     updated_at: task.updated_at,
+    hlc: task.hlc,
   }, userId, task.created_at);
+  notifyChanges();
 
   return task;
 };
 
-// 5. Update task 
-const updateTask = async (id, updates, userId) => {
+// Spawn the occurrence following a completed recurring task (null when the series has ended).
+// The occurrence belongs to the task's owner, whoever completed it. A series that already has a
+// later occurrence (the task was completed before, then reopened) keeps it instead.
+const createNextOccurrence = async (task) => {
+  const later = await getQuery(
+    'SELECT id FROM tasks WHERE series_id = ? AND id != ? AND is_deleted = 0 AND due_at > ? ORDER BY due_at LIMIT 1',
+    [task.series_id || task.id, task.id, task.due_at || task.created_at]
+  );
+  if (later) {
+    return await getTaskById(later.id, task.user_id);
+  }
+
+  const rule = parseRRule(task.rrule);
+  const timeZone = await getUserTimeZone(task.user_id);
+  const [nextDueAt] = getNextOccurrences(rule, task.due_at || task.created_at, { limit: 1, timeZone });
+  if (!nextDueAt) {
+    return null;
+  }
+
+  // Each occurrence re-anchors the rule on itself, so COUNT counts down as the series advances
+  const nextRRule = rule.count ? formatRRule({ ...rule, count: rule.count - 1 }) : task.rrule;
+  return await createTask({
+    title: task.title,
+    description: task.description,
+    tags: task.tags,
+    priority: task.priority,
+    due_at: nextDueAt,
+    rrule: nextRRule,
+    series_id: task.series_id || task.id,
+    parent_id: task.parent_id,
+    project_id: task.project_id,
+  }, task.user_id);
+};
+
+// Completing a recurring occurrence schedules the next one, whether it was completed over REST or
+// by a sync. `before` is the task as it was (null for a new task), `after` as it is now. Resolves
+// to the next occurrence, or undefined when the change did not complete a recurring task.
+const scheduleNextOccurrence = async (before, after) => {
+  if ((before && before.completed) || !after.completed || !after.rrule || after.is_deleted) {
+    return undefined;
+  }
+  return await createNextOccurrence(after);
+};
+
+// 5. Update task
+// scope 'this' edits only this occurrence; 'series' also copies SERIES_FIELDS onto
+// the other open occurrences of a recurring task. `source` labels the change in the task history.
+const updateTask = async (id, updates, userId, { scope = 'this', source = 'rest' } = {}) => {
   if (!id) throw new Error('Task ID is required');
   if (!userId) throw new Error('User ID is required');
   if (!updates || typeof updates !== 'object') throw new Error('Updates are required');
 
   const existing = await getTaskById(id, userId);
   if (!existing) return null;
+  if (!hasRole(await getTaskRole(id, userId), 'editor')) {
+    throw forbiddenError('You cannot edit this task');
+  }
+  const ownerId = existing.user_id;
 
-  const { title, description, completed } = updates;
+  const { title, description, completed, tags, due_at, priority, rrule, parent_id, project_id } = updates;
   const now = new Date().toISOString();
 
   const newTitle = title !== undefined ? title : existing.title;
   const newDescription = description !== undefined ? description : existing.description;
   const newCompleted = completed !== undefined ? (completed ? 1 : 0) : existing.completed;
+  const newDueAt = due_at !== undefined ? normalizeDueAt(due_at) : existing.due_at;
+  const newPriority = priority !== undefined ? normalizePriority(priority) : existing.priority;
+  const newRRule = rrule !== undefined ? normalizeRRule(rrule) : existing.rrule;
+  const newSeriesId = existing.series_id || (newRRule ? id : null);
+  const newParentId = parent_id !== undefined ? (parent_id || null) : existing.parent_id;
+  if (newParentId && newParentId !== existing.parent_id) {
+    assertSameOwner(ownerId, await assertValidParent(newParentId, id, userId));
+  }
+  const newProjectId = project_id !== undefined ? (project_id || null) : existing.project_id;
+  const projectChanged = newProjectId !== existing.project_id;
+  if (newProjectId && projectChanged) {
+    assertSameOwner(ownerId, await assertValidProject(newProjectId, userId));
+  }
 
+  const hlc = serverClock.now();
   const sql = `
     UPDATE tasks
-    SET title = ?, description = ?, completed = ?, updated_at = ?, sync_status = 'pending'
+    SET title = ?, description = ?, completed = ?, due_at = ?, priority = ?, rrule = ?, series_id = ?,
+      parent_id = ?, project_id = ?, updated_at = ?, hlc = ?, sync_status = 'pending'
     WHERE id = ? AND user_id = ? AND is_deleted = 0
   `;
-  await runQuery(sql, [newTitle, newDescription, newCompleted, now, id, userId]);
-
-  // enqueue update operation for sync
-  await addToSyncQueue(id, 'update', {
+  await runQuery(sql, [
+    newTitle, newDescription, newCompleted, newDueAt, newPriority, newRRule, newSeriesId, newParentId, newProjectId,
+    now, hlc, id, ownerId,
+  ]);
+  const newTags = tags !== undefined ? await setTaskTags(id, tags, ownerId) : existing.tags;
+  const changed = {
     title: newTitle,
     description: newDescription,
     completed: !!newCompleted,
-    updated_at: now,
-  }, userId, now);
+    tags: newTags,
+    due_at: newDueAt,
+    priority: newPriority,
+    rrule: newRRule,
+    series_id: newSeriesId,
+    parent_id: newParentId,
+    project_id: newProjectId,
+  };
+  await recordTaskRevision(id, existing, { ...changed, is_deleted: 0 }, { userId, source });
 
-  return await getTaskById(id, userId);
+  // enqueue update operation for sync
+  await addToSyncQueue(id, 'update', { ...changed, updated_at: now, hlc }, userId, now);
+
+  // Moving a task to another project takes its subtasks along
+  if (projectChanged) {
+    const children = await allQuery(
+      'SELECT id FROM tasks WHERE parent_id = ? AND user_id = ? AND is_deleted = 0',
+      [id, ownerId]
+    );
+    for (const child of children) {
+      await updateTask(child.id, { project_id: newProjectId }, userId, { source });
+    }
+  }
+
+  if (scope === 'series' && newSeriesId) {
+    const seriesUpdates = {};
+    for (const field of SERIES_FIELDS) {
+      if (updates[field] !== undefined) {
+        seriesUpdates[field] = updates[field];
+      }
+    }
+    const siblings = await allQuery(
+      'SELECT id FROM tasks WHERE series_id = ? AND user_id = ? AND id != ? AND completed = 0 AND is_deleted = 0',
+      [newSeriesId, ownerId, id]
+    );
+    if (Object.keys(seriesUpdates).length > 0) {
+      for (const sibling of siblings) {
+        await updateTask(sibling.id, seriesUpdates, userId, { source });
+      }
+    }
+  }
+
+  notifyChanges();
+  const updated = await getTaskById(id, userId);
+  const next = await scheduleNextOccurrence(existing, updated);
+  if (next !== undefined) {
+    updated.next_occurrence = next;
+  }
+  return updated;
+};
+
+// 5a. Preview the next `count` occurrences of a recurring task
+const getTaskOccurrences = async (id, userId, count = 5) => {
+  if (!id) {
+    throw new Error('Task ID is required');
+  }
+  const task = await getTaskById(id, userId);
+  if (!task) {
+    return null;
+  }
+  if (!task.rrule) {
+    return { task_id: id, rrule: null, occurrences: [] };
+  }
+  const time_zone = await getUserTimeZone(userId);
+  const occurrences = getNextOccurrences(task.rrule, task.due_at || task.created_at, { limit: count, timeZone: time_zone });
+  return { task_id: id, rrule: task.rrule, time_zone, occurrences };
+};
+
+// 5b. Direct subtasks of a task (null when the parent does not exist)
+const getTaskChildren = async (id, userId) => {
+  if (!id) {
+    throw new Error('Task ID is required');
+  }
+  const parent = await getTaskById(id, userId);
+  if (!parent) {
+    return null;
+  }
+
+  const children = await allQuery(
+    `SELECT * FROM tasks
+     WHERE parent_id = ? AND user_id = ? AND is_deleted = 0
+     ORDER BY created_at, id`,
+    [id, parent.user_id]
+  );
+  return await attachProgress(await attachTags(children));
+};
+
+// Fields a restore puts back (series_id follows rrule; deletion is not undone here)
+const RESTORABLE_FIELDS = ['title', 'description', 'completed', 'tags', 'due_at', 'priority', 'rrule', 'parent_id', 'project_id'];
+
+// 5c. Change history of a task, newest first (null when the task is not visible)
+const getTaskHistory = async (id, userId, options = {}) => {
+  if (!id) {
+    throw new Error('Task ID is required');
+  }
+  const task = await getTaskByIdIncludingDeleted(id, userId);
+  if (!task) {
+    return null;
+  }
+  return await getTaskRevisions(id, options);
+};
+
+// 5d. Put a task back to its state as of a revision; recorded and synced like any other edit
+const restoreTaskRevision = async (id, revision, userId) => {
+  if (!id) {
+    throw new Error('Task ID is required');
+  }
+  const task = await getTaskById(id, userId);
+  if (!task) {
+    return null;
+  }
+  const target = await getTaskRevision(id, revision);
+  if (!target) {
+    throw validationError(`Revision ${revision} does not belong to this task`);
+  }
+
+  const updates = {};
+  for (const field of RESTORABLE_FIELDS) {
+    updates[field] = target.snapshot[field];
+  }
+  return await updateTask(id, updates, userId, { source: 'restore' });
 };
 
-// 6. Delete task (soft delete)
+// 6. Delete task (soft delete, cascading to all subtasks; owners only)
 const deleteTask = async (id, userId) => {
   if (!id) throw new Error('Task ID is required');
   if (!userId) throw new Error('User ID is required');
 
   const existing = await getTaskById(id, userId);
   if (!existing) return false;
+  if (!hasRole(await getTaskRole(id, userId), 'owner')) {
+    throw forbiddenError('Only owners can delete this task');
+  }
 
+  const descendants = await attachTags(await allQuery(
+    `${DESCENDANTS_SQL('?')} SELECT t.* FROM descendants d JOIN tasks t ON t.id = d.id ORDER BY d.depth`,
+    [id]
+  ));
   const now = new Date().toISOString();
   const sql = `
     UPDATE tasks
-    SET is_deleted = 1, updated_at = ?, sync_status = 'pending'
+    SET is_deleted = 1, deleted_at = ?, updated_at = ?, hlc = ?, sync_status = 'pending'
     WHERE id = ? AND user_id = ?
   `;
-  await runQuery(sql, [now, id, userId]);
+  // Each deletion is enqueued separately so the sync engine replicates the whole subtree
+  for (const task of [existing, ...descendants]) {
+    const hlc = serverClock.now();
+    await runQuery(sql, [now, now, hlc, task.id, existing.user_id]);
+    await recordTaskRevision(task.id, task, { ...task, is_deleted: 1 }, { userId, source: 'rest' });
+    await addToSyncQueue(task.id, 'delete', { updated_at: now, hlc }, userId, now);
+  }
+  notifyChanges();
+
+  return true;
+};
+
+// Every task in the subtree rooted at the given task, deleted or not
+const SUBTREE_SQL = `
+  WITH RECURSIVE subtree(id) AS (
+    SELECT id FROM tasks WHERE id = ?
+    UNION
+    SELECT c.id FROM tasks c JOIN subtree s ON c.parent_id = s.id
+  )
+`;
+
+// Trash: deleted tasks the user can see, most recently deleted first
+const getTrash = async (userId) => {
+  if (!userId) {
+    throw new Error('User ID is required');
+  }
+  const access = taskAccessCondition(userId);
+  const tasks = await attachTags(await allQuery(
+    `SELECT * FROM tasks WHERE is_deleted = 1 AND ${access.sql} ORDER BY deleted_at DESC, id`,
+    access.params
+  ));
+  const retentionMs = config.TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  for (const task of tasks) {
+    task.purge_after = task.deleted_at
+      ? new Date(new Date(task.deleted_at).getTime() + retentionMs).toISOString()
+      : null;
+  }
+  return { retention_days: config.TRASH_RETENTION_DAYS, tasks };
+};
+
+// Trash: take a task out of the trash together with the subtasks deleted along with it (owners only).
+// Tasks whose project has since been deleted come back outside any project.
+const undeleteTask = async (id, userId) => {
+  if (!id) {
+    throw new Error('Task ID is required');
+  }
+  if (!userId) {
+    throw new Error('User ID is required');
+  }
+
+  const existing = await getTaskByIdIncludingDeleted(id, userId);
+  if (!existing) {
+    return null;
+  }
+  if (!existing.is_deleted) {
+    throw validationError('Task is not in the trash');
+  }
+  if (!hasRole(await getTaskRole(id, userId), 'owner')) {
+    throw forbiddenError('Only owners can restore this task');
+  }
+  if (existing.parent_id) {
+    const parent = await getQuery('SELECT is_deleted FROM tasks WHERE id = ?', [existing.parent_id]);
+    if (parent && parent.is_deleted) {
+      throw validationError('Restore the parent task first');
+    }
+  }
+
+  const tasks = await attachTags(await allQuery(
+    `WITH RECURSIVE restored(id) AS (
+       SELECT id FROM tasks WHERE id = ?
+       UNION
+       SELECT c.id FROM tasks c JOIN restored r ON c.parent_id = r.id
+       WHERE c.is_deleted = 1 AND c.deleted_at IS ?
+     )
+     SELECT t.* FROM restored r JOIN tasks t ON t.id = r.id`,
+    [id, existing.deleted_at]
+  ));
+  const now = new Date().toISOString();
+  for (const task of tasks) {
+    const project = task.project_id
+      ? await getQuery('SELECT id FROM projects WHERE id = ? AND is_deleted = 0', [task.project_id])
+      : null;
+    const restored = { ...task, project_id: project ? project.id : null, is_deleted: 0, hlc: serverClock.now() };
+    await runQuery(
+      `UPDATE tasks
+       SET is_deleted = 0, deleted_at = NULL, project_id = ?, updated_at = ?, hlc = ?, sync_status = 'pending'
+       WHERE id = ?`,
+      [restored.project_id, now, restored.hlc, task.id]
+    );
+    await recordTaskRevision(task.id, task, restored, { userId, source: 'rest' });
+    await addToSyncQueue(task.id, 'update', {
+      title: restored.title,
+      description: restored.description,
+      completed: !!restored.completed,
+      tags: restored.tags,
+      due_at: restored.due_at,
+      priority: restored.priority,
+      rrule: restored.rrule,
+      series_id: restored.series_id,
+      parent_id: restored.parent_id,
+      project_id: restored.project_id,
+      is_deleted: 0,
+      updated_at: now,
+      hlc: restored.hlc,
+    }, userId, now);
+  }
+  notifyChanges();
+
+  return await getTaskById(id, userId);
+};
 
-  // enqueue delete operation for sync
-  await addToSyncQueue(id, 'delete', { updated_at: now }, userId, now);
+// Hard delete tasks with their tags, shares, description documents and queued sync operations
+// (the change history is kept)
+const hardDeleteTasks = async (ids) => {
+  if (ids.length === 0) {
+    return 0;
+  }
+  const placeholders = ids.map(() => '?').join(', ');
+  await runQuery(`DELETE FROM task_tags WHERE task_id IN (${placeholders})`, ids);
+  await runQuery(`DELETE FROM task_descriptions WHERE task_id IN (${placeholders})`, ids);
+  await runQuery(`DELETE FROM shares WHERE resource_type = 'task' AND resource_id IN (${placeholders})`, ids);
+  await runQuery(`DELETE FROM sync_queue WHERE entity_type = 'task' AND task_id IN (${placeholders})`, ids);
+  const result = await runQuery(`DELETE FROM tasks WHERE id IN (${placeholders})`, ids);
+  notifyChanges();
+  return result.changes;
+};
+
+// Trash: permanently delete a task and its whole subtree, in the trash or not (owners only)
+const purgeTask = async (id, userId) => {
+  if (!id) {
+    throw new Error('Task ID is required');
+  }
+  if (!userId) {
+    throw new Error('User ID is required');
+  }
 
+  const existing = await getTaskByIdIncludingDeleted(id, userId);
+  if (!existing) {
+    return false;
+  }
+  if (!hasRole(await getTaskRole(id, userId), 'owner')) {
+    throw forbiddenError('Only owners can delete this task');
+  }
+  const subtree = await allQuery(`${SUBTREE_SQL} SELECT id FROM subtree`, [id]);
+  await hardDeleteTasks(subtree.map((t) => t.id));
   return true;
 };
 
+// Resolve the user's configured time zone (falls back to UTC)
+const getUserTimeZone = async (userId) => {
+  const user = await getQuery('SELECT time_zone FROM users WHERE id = ?', [userId]);
+  return (user && user.time_zone) || DEFAULT_TIME_ZONE;
+};
+
+const getOpenTasksDueBetween = async (userId, start, end) => {
+  const access = taskAccessCondition(userId);
+  const sql = `
+    SELECT * FROM tasks
+    WHERE ${access.sql} AND is_deleted = 0 AND completed = 0
+      AND due_at >= ? AND due_at < ?
+    ORDER BY ${DUE_ORDER}
+  `;
+  return await attachTags(await allQuery(sql, [...access.params, start, end]));
+};
+
+// 6a. Open tasks due today (in the user's time zone)
+const getTasksDueToday = async (userId, now = new Date()) => {
+  if (!userId) {
+    throw new Error('User ID is required');
+  }
+  const time_zone = await getUserTimeZone(userId);
+  const { start, end } = getZonedDayRange(time_zone, { now });
+  const tasks = await getOpenTasksDueBetween(userId, start, end);
+  return { time_zone, from: start, to: end, tasks };
+};
+
+// 6b. Open tasks whose due time has passed
+const getOverdueTasks = async (userId, now = new Date()) => {
+  if (!userId) {
+    throw new Error('User ID is required');
+  }
+  const time_zone = await getUserTimeZone(userId);
+  const access = taskAccessCondition(userId);
+  const sql = `
+    SELECT * FROM tasks
+    WHERE ${access.sql} AND is_deleted = 0 AND completed = 0
+      AND due_at IS NOT NULL AND due_at < ?
+    ORDER BY ${DUE_ORDER}
+  `;
+  const to = now.toISOString();
+  const tasks = await attachTags(await allQuery(sql, [...access.params, to]));
+  return { time_zone, from: null, to, tasks };
+};
+
+// 6c. Open tasks due in the next `days` local days, starting tomorrow
+const getUpcomingTasks = async (userId, { days = 7, now = new Date() } = {}) => {
+  if (!userId) {
+    throw new Error('User ID is required');
+  }
+  const time_zone = await getUserTimeZone(userId);
+  const { start, end } = getZonedDayRange(time_zone, { now, startDay: 1, days });
+  const tasks = await getOpenTasksDueBetween(userId, start, end);
+  return { time_zone, from: start, to: end, tasks };
+};
+
 // 7. Get tasks needing sync
 const getTasksNeedingSync = async (userId) => {
   if (!userId) throw new Error('User ID is required');
@@ -154,8 +989,10 @@ const getTasksNeedingSync = async (userId) => {
   return await allQuery(sql, [userId]);
 };
 
-// helper function to add to sync queue
-const addToSyncQueue = async (taskId, operation, data, userId, operationTimestamp = null) => {
+// helper function to add to sync queue (entityType 'project' queues project operations; task_id then holds the project id).
+// The operation's HLC comes from data.hlc, else from the explicit operation timestamp, else the server clock.
+// Used for REST writes: they are already applied, so the queue item is marked with source 'rest'.
+const addToSyncQueue = async (taskId, operation, data, userId, operationTimestamp = null, entityType = 'task') => {
   if (!taskId) throw new Error('Task ID is required');
   if (!operation) throw new Error('Operation is required');
   if (!userId) throw new Error('User ID is required');
@@ -163,11 +1000,15 @@ const addToSyncQueue = async (taskId, operation, data, userId, operationTimestam
   const id = uuidv4();
   const created_at = new Date().toISOString();
   const operation_timestamp = operationTimestamp || created_at;
+  const hlc = (data && data.hlc)
+    || (operationTimestamp ? hlcFromTimestamp(operationTimestamp, serverClock.node) : serverClock.now());
   const sql = `
-    INSERT INTO sync_queue (id, user_id, task_id, operation, data, retry_count, created_at, operation_timestamp)
-    VALUES (?, ?, ?, ?, ?, 0, ?, ?)
+    INSERT INTO sync_queue (id, user_id, task_id, operation, data, retry_count, created_at, operation_timestamp, entity_type, hlc, source)
+    VALUES (?, ?, ?, ?, ?, 0, ?, ?, ?, ?, 'rest')
   `;
-  await runQuery(sql, [id, userId, taskId, operation, JSON.stringify(data || {}), created_at, operation_timestamp]);
+  await runQuery(sql, [
+    id, userId, taskId, operation, JSON.stringify(data || {}), created_at, operation_timestamp, entityType, hlc,
+  ]);
   return { id };
 };
 
@@ -179,12 +1020,48 @@ class TaskService {
     this.allQuery = dbFns.allQuery;
   }
 
-  async createTask({ title, description = '', completed = false, userId }) {
-    return await createTask({ title, description, completed }, userId);
+  async getAllTasks(userId, options = {}) {
+    return await getAllTasks(userId, options);
+  }
+
+  async searchTasks(userId, q, options = {}) {
+    return await searchTasks(userId, q, options);
+  }
+
+  async createTask({ userId, ...fields }) {
+    return await createTask(fields, userId);
   }
 
-  async updateTask(id, updates, userId) {
-    return await updateTask(id, updates, userId);
+  async getTasksDueToday(userId, now) {
+    return await getTasksDueToday(userId, now);
+  }
+
+  async getOverdueTasks(userId, now) {
+    return await getOverdueTasks(userId, now);
+  }
+
+  async getUpcomingTasks(userId, options = {}) {
+    return await getUpcomingTasks(userId, options);
+  }
+
+  async updateTask(id, updates, userId, options = {}) {
+    return await updateTask(id, updates, userId, options);
+  }
+
+  async getTaskChildren(id, userId) {
+    return await getTaskChildren(id, userId);
+  }
+
+  async getTaskOccurrences(id, userId, count) {
+    return await getTaskOccurrences(id, userId, count);
+  }
+
+  async getTaskHistory(id, userId, options = {}) {
+    return await getTaskHistory(id, userId, options);
+  }
+
+  async restoreTaskRevision(id, revision, userId) {
+    return await restoreTaskRevision(id, revision, userId);
   }
 
   async deleteTask(id, userId) {
@@ -194,17 +1071,48 @@ class TaskService {
   async getTaskByIdIncludingDeleted(id, userId) {
     return await getTaskByIdIncludingDeleted(id, userId);
   }
+
+  async getTrash(userId) {
+    return await getTrash(userId);
+  }
+
+  async undeleteTask(id, userId) {
+    return await undeleteTask(id, userId);
+  }
+
+  async purgeTask(id, userId) {
+    return await purgeTask(id, userId);
+  }
 }
 
 // Export all modules
 module.exports = {
   TaskService,
+  TASK_SORTS,
+  TASK_PRIORITIES,
   getAllTasks,
+  searchTasks,
   getTaskById,
   getTaskByIdIncludingDeleted,
   createTask,
   updateTask,
   deleteTask,
+  getTrash,
+  undeleteTask,
+  purgeTask,
+  hardDeleteTasks,
+  getTaskChildren,
+  getTaskOccurrences,
+  getTaskHistory,
+  restoreTaskRevision,
+  getTasksDueToday,
+  getOverdueTasks,
+  getUpcomingTasks,
   getTasksNeedingSync,
   addToSyncQueue,
+  assertValidParent,
+  assertValidProject,
+  assertSameOwner,
+  scheduleNextOccurrence,
+  normalizeRRule,
 };
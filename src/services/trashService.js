@@ -0,0 +1,67 @@
+const { getQuery, allQuery } = require('../db/db');
+const config = require('../config');
+const { hardDeleteTasks } = require('./taskService');
+const { getTaskAudience } = require('./permissionService');
+const { allDevicesSyncedPast } = require('./deviceService');
+
+// Tombstones examined per purge run
+const PURGE_BATCH_SIZE = 500;
+
+let purgeTimer = null;
+
+// True once every device that can see the task has pulled its deletion (acknowledged a change feed
+// position at or past its tombstone), so none still holds a copy that needs the tombstone
+const syncedPastDeletion = async (task) => {
+  const change = await getQuery("SELECT seq FROM sync_changes WHERE entity_type = 'task' AND entity_id = ?", [task.id]);
+  return await allDevicesSyncedPast(
+    await getTaskAudience(task.id),
+    change ? change.seq : Number.MAX_SAFE_INTEGER,
+    task.deleted_at
+  );
+};
+
+// 1. Hard delete tombstones older than the retention period that every device has synced past
+const purgeExpiredTasks = async ({ now = new Date(), retentionDays = config.TRASH_RETENTION_DAYS } = {}) => {
+  const cutoff = new Date(now.getTime() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+  const candidates = await allQuery(
+    `SELECT id, deleted_at FROM tasks
+     WHERE is_deleted = 1 AND deleted_at IS NOT NULL AND deleted_at < ?
+     ORDER BY deleted_at
+     LIMIT ?`,
+    [cutoff, PURGE_BATCH_SIZE]
+  );
+
+  const ids = [];
+  for (const task of candidates) {
+    if (await syncedPastDeletion(task)) {
+      ids.push(task.id);
+    }
+  }
+  const purged = await hardDeleteTasks(ids);
+  return { purged, skipped: candidates.length - ids.length, cutoff };
+};
+
+// 2. Run the purge periodically (no-op when already running)
+const startTrashPurgeJob = ({ intervalMinutes = config.TRASH_PURGE_INTERVAL_MINUTES } = {}) => {
+  if (purgeTimer) {
+    return;
+  }
+  purgeTimer = setInterval(() => {
+    purgeExpiredTasks().catch((error) => console.error('Trash purge failed:', error));
+  }, intervalMinutes * 60 * 1000);
+  // Never keep the process alive just for the purge
+  purgeTimer.unref();
+};
+
+const stopTrashPurgeJob = () => {
+  if (purgeTimer) {
+    clearInterval(purgeTimer);
+    purgeTimer = null;
+  }
+};
+
+module.exports = {
+  purgeExpiredTasks,
+  startTrashPurgeJob,
+  stopTrashPurgeJob,
+};
@@ -4,6 +4,7 @@ const bcrypt = require('bcryptjs');
 const generateToken = require('../utils/generateToken');
 const config = require('../config')
 const nodemailer = require("nodemailer");
+const {isValidTimeZone} = require('../utils/timeZone');
 
 const transporter = nodemailer.createTransport({
   host: config.MAIL_SERVER,
@@ -15,6 +16,18 @@ const transporter = nodemailer.createTransport({
   },
 });
 
+// Send an email through the shared transporter from the default sender (skipped during tests)
+const sendMail = async (mailOptions) => {
+  if (process.env.NODE_ENV === 'test' || process.env.VITEST === 'true') {
+    return false;
+  }
+  await transporter.sendMail({
+    from: `"${config.MAIL_SENDER_NAME}" <${config.MAIL_DEFAULT_SENDER}>`,
+    ...mailOptions,
+  });
+  return true;
+};
+
 
 // get User
 const getUser = async()=>{
@@ -32,7 +45,7 @@ const getUserById = async (id)=>{
     if(!id) throw new Error('User ID is required');
 
     try{
-        const sql = 'SELECT id, email, username, created_at FROM users WHERE id = ? AND is_deleted = 0';
+        const sql = 'SELECT id, email, username, time_zone, created_at FROM users WHERE id = ? AND is_deleted = 0';
         const user = await getQuery(sql, [id]);
         if(!user) throw new Error('User not found');
         return user;
@@ -71,7 +84,7 @@ const updateUser = async (id , updates)=>{
     const user = await getUserById(id);
     if(!user) throw new Error('User not found');
 
-    const {email, password, username} = updates;
+    const {email, password, username, time_zone} = updates;
     const fields = [];
     const params = [];
 
@@ -93,6 +106,14 @@ const updateUser = async (id , updates)=>{
         params.push(username);
     }
 
+    if(time_zone !== undefined){
+        if(!isValidTimeZone(time_zone)){
+            throw new Error(`Invalid time zone: ${time_zone}`);
+        }
+        fields.push('time_zone = ?');
+        params.push(time_zone);
+    }
+
     if(fields.length === 0) throw new Error('No valid fields to update');
     params.push(id);
 
@@ -271,4 +292,6 @@ module.exports = {
   login,
   requestResetPassword,
   forgetPassword,
+  // mail
+  sendMail,
 };
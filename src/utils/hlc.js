@@ -0,0 +1,113 @@
+// Hybrid logical clocks (HLC): wall-clock time plus a logical counter, so timestamps from
+// different devices order consistently even when their clocks disagree.
+//
+// Serialized as `<ISO wall time>-<counter, 6 digits>-<node id>`, e.g.
+// `2025-09-04T10:00:00.000Z-000003-phone-1`. Every part is fixed width up to the node id,
+// so HLC strings compare correctly as plain strings (and in SQL ORDER BY).
+
+const config = require('../config');
+
+const HLC_PATTERN = /^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z)-(\d{6})-(.+)$/;
+const MAX_COUNTER = 999999;
+
+const formatHLC = ({ wallTime, counter, node }) => (
+  `${new Date(wallTime).toISOString()}-${String(counter).padStart(6, '0')}-${node}`
+);
+
+// Parse an HLC string into { wallTime (ms), counter, node }; null when malformed
+const parseHLC = (hlc) => {
+  const match = typeof hlc === 'string' ? HLC_PATTERN.exec(hlc) : null;
+  if (!match) {
+    return null;
+  }
+  const wallTime = Date.parse(match[1]);
+  if (Number.isNaN(wallTime)) {
+    return null;
+  }
+  return { wallTime, counter: parseInt(match[2], 10), node: match[3] };
+};
+
+const isValidHLC = (hlc) => parseHLC(hlc) !== null;
+
+// Negative when a orders before b; missing values order first
+const compareHLC = (a, b) => {
+  if (!a || !b) {
+    return (a ? 1 : 0) - (b ? 1 : 0);
+  }
+  return a < b ? -1 : (a > b ? 1 : 0);
+};
+
+const maxHLC = (a, b) => (compareHLC(a, b) >= 0 ? a : b);
+
+// HLC for a plain timestamp (legacy clients that only send ISO times)
+const hlcFromTimestamp = (timestamp, node) => formatHLC({ wallTime: Date.parse(timestamp), counter: 0, node });
+
+/**
+ * Create a clock for one node.
+ * `now()` stamps a local event; `receive(remote)` merges a timestamp from another node and
+ * reports how far ahead of local wall time it was. Remote times further ahead than `maxDriftMs`
+ * are flagged as skewed and not merged, so one bad device clock cannot drag the clock forward.
+ */
+const createClock = ({ node, maxDriftMs = config.HLC_MAX_DRIFT_MS, wallClock = Date.now } = {}) => {
+  if (!node) {
+    throw new Error('HLC node id is required');
+  }
+  let last = { wallTime: 0, counter: 0 };
+
+  const advance = (wallTime, counter) => {
+    if (counter > MAX_COUNTER) {
+      // Counter exhausted within one millisecond: move to the next one
+      last = { wallTime: wallTime + 1, counter: 0 };
+    } else {
+      last = { wallTime, counter };
+    }
+    return formatHLC({ ...last, node });
+  };
+
+  const now = () => {
+    const physical = wallClock();
+    if (physical > last.wallTime) {
+      return advance(physical, 0);
+    }
+    return advance(last.wallTime, last.counter + 1);
+  };
+
+  const receive = (remote) => {
+    const parsed = parseHLC(remote);
+    if (!parsed) {
+      throw new Error(`Invalid HLC timestamp: ${remote}`);
+    }
+    const physical = wallClock();
+    const driftMs = parsed.wallTime - physical;
+    if (driftMs > maxDriftMs) {
+      return { hlc: now(), driftMs, skewed: true };
+    }
+
+    const wallTime = Math.max(physical, last.wallTime, parsed.wallTime);
+    let counter = 0;
+    if (wallTime === last.wallTime && wallTime === parsed.wallTime) {
+      counter = Math.max(last.counter, parsed.counter) + 1;
+    } else if (wallTime === last.wallTime) {
+      counter = last.counter + 1;
+    } else if (wallTime === parsed.wallTime) {
+      counter = parsed.counter + 1;
+    }
+    return { hlc: advance(wallTime, counter), driftMs, skewed: false };
+  };
+
+  return { node, now, receive };
+};
+
+// The server's own clock, shared by every service in the process
+const serverClock = createClock({ node: config.HLC_NODE_ID });
+
+module.exports = {
+  formatHLC,
+  parseHLC,
+  isValidHLC,
+  compareHLC,
+  maxHLC,
+  hlcFromTimestamp,
+  createClock,
+  serverClock,
+};
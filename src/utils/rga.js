@@ -0,0 +1,145 @@
+// Replicated growable array (RGA): a sequence CRDT for plain text, so concurrent inserts and
+// deletes from different devices merge to the same text whatever order they arrive in.
+//
+// A document is an ordered array of elements `{ id, value, deleted }`, one per character.
+// Ids are `<counter>@<site>`: a site (device) numbers its inserts with counters greater than every
+// counter in the document it has seen. Deleted characters stay as tombstones so later operations
+// can still refer to them, until every replica has seen the deletion (collectTombstones).
+//
+// Operations:
+//   { type: 'insert', id, after, value }  insert `value` after element `after` (null: at the start);
+//                                         its characters get ids counter, counter + 1, ... of `id`
+//   { type: 'delete', id }                delete one character
+// Applying an operation twice has no further effect.
+
+const ELEMENT_ID_PATTERN = /^(\d{1,15})@([\x21-\x7e]{1,100})$/;
+
+const parseElementId = (id) => {
+  const match = typeof id === 'string' ? ELEMENT_ID_PATTERN.exec(id) : null;
+  return match ? { counter: parseInt(match[1], 10), site: match[2] } : null;
+};
+
+const formatElementId = (counter, site) => `${counter}@${site}`;
+
+// Positive when a is newer than b: by counter, then by site
+const compareElementIds = (a, b) => {
+  const left = parseElementId(a);
+  const right = parseElementId(b);
+  if (left.counter !== right.counter) {
+    return left.counter - right.counter;
+  }
+  return left.site < right.site ? -1 : (left.site > right.site ? 1 : 0);
+};
+
+const unknownElement = (id) => new Error(`Unknown description element: ${id}`);
+
+// Highest counter in the document (the next insert of any site must use a greater one)
+const maxCounter = (elements) => elements.reduce((max, element) => Math.max(max, parseElementId(element.id).counter), 0);
+
+const toText = (elements) => elements.filter((element) => !element.deleted).map((element) => element.value).join('');
+
+// Insert one character at `position` (just after the element it follows, 0 for the start).
+// Elements already there with newer ids were inserted concurrently at the same place (or after
+// those) and stay in front, which makes the order the same on every replica. Returns the
+// position it was inserted at.
+const integrate = (elements, index, id, position, value) => {
+  let at = position;
+  while (at < elements.length && compareElementIds(elements[at].id, id) > 0) {
+    at += 1;
+  }
+  const element = { id, value, deleted: false };
+  elements.splice(at, 0, element);
+  index.set(id, element);
+  return at;
+};
+
+/**
+ * Apply operations to a document. Returns the new elements (the given array is not changed);
+ * throws on malformed operations or references to unknown elements.
+ */
+const applyOperations = (elements, operations) => {
+  const result = elements.map((element) => ({ ...element }));
+  // One id -> element index for the whole call, kept up to date as characters are inserted
+  const index = new Map(result.map((element) => [element.id, element]));
+  const positionOf = (id) => {
+    const element = index.get(id);
+    if (!element) {
+      throw unknownElement(id);
+    }
+    return result.indexOf(element);
+  };
+
+  for (const operation of operations) {
+    const id = parseElementId(operation.id);
+    if (!id) {
+      throw new Error(`Invalid description element id: ${operation.id}`);
+    }
+    if (operation.type === 'delete') {
+      if (!index.has(operation.id)) {
+        throw unknownElement(operation.id);
+      }
+      index.get(operation.id).deleted = true;
+    } else if (operation.type === 'insert') {
+      // Position of the element the next character follows (-1: the start)
+      let previous = operation.after === undefined || operation.after === null ? -1 : positionOf(operation.after);
+      Array.from(operation.value || '').forEach((value, offset) => {
+        const charId = formatElementId(id.counter + offset, id.site);
+        previous = index.has(charId)
+          ? positionOf(charId)
+          : integrate(result, index, charId, previous + 1, value);
+      });
+    } else {
+      throw new Error(`Unknown description operation: ${operation.type}`);
+    }
+  }
+  return result;
+};
+
+// Drop the tombstones among `ids` (characters every replica knows to be deleted)
+const collectTombstones = (elements, ids) => elements.filter((element) => !(element.deleted && ids.has(element.id)));
+
+/**
+ * Operations (as site `site`) that turn the document's text into `text`: the span between the
+ * common prefix and suffix is deleted and the new span inserted in its place. Lets plain-text
+ * writes from clients that do not send operations join the document.
+ */
+const diffOperations = (elements, text, site) => {
+  const visible = elements.filter((element) => !element.deleted);
+  const target = Array.from(text);
+  let prefix = 0;
+  while (prefix < visible.length && prefix < target.length && visible[prefix].value === target[prefix]) {
+    prefix += 1;
+  }
+  let suffix = 0;
+  while (
+    suffix < visible.length - prefix
+    && suffix < target.length - prefix
+    && visible[visible.length - 1 - suffix].value === target[target.length - 1 - suffix]
+  ) {
+    suffix += 1;
+  }
+
+  const operations = visible
+    .slice(prefix, visible.length - suffix)
+    .map((element) => ({ type: 'delete', id: element.id }));
+  const inserted = target.slice(prefix, target.length - suffix).join('');
+  if (inserted) {
+    operations.push({
+      type: 'insert',
+      id: formatElementId(maxCounter(elements) + 1, site),
+      after: prefix > 0 ? visible[prefix - 1].id : null,
+      value: inserted,
+    });
+  }
+  return operations;
+};
+
+module.exports = {
+  parseElementId,
+  compareElementIds,
+  maxCounter,
+  toText,
+  applyOperations,
+  collectTombstones,
+  diffOperations,
+};
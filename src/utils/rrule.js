@@ -0,0 +1,202 @@
+// Minimal RFC 5545 recurrence rules: FREQ, INTERVAL, BYDAY, BYMONTHDAY, COUNT, UNTIL
+const { DEFAULT_TIME_ZONE, getZonedParts, fromZonedParts } = require('./timeZone');
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_MS = 86400000;
+// Safety net so a rule that can never match (e.g. BYMONTHDAY=31 with FREQ=YEARLY in February) terminates
+const MAX_SCAN_DAYS = 366 * 50;
+
+const invalid = (message) => new Error(`Invalid rrule: ${message}`);
+
+const parsePositiveInt = (key, value) => {
+  if (!/^\d+$/.test(value) || parseInt(value, 10) < 1) {
+    throw invalid(`${key} must be a positive integer`);
+  }
+  return parseInt(value, 10);
+};
+
+// UNTIL accepts the RFC forms YYYYMMDD and YYYYMMDDTHHMMSSZ
+const parseUntil = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z)?$/.exec(value);
+  if (!match) {
+    throw invalid('UNTIL must be YYYYMMDD or YYYYMMDDTHHMMSSZ');
+  }
+  const [, y, mo, d, h = '23', mi = '59', s = '59'] = match;
+  return new Date(Date.UTC(+y, +mo - 1, +d, +h, +mi, +s));
+};
+
+/**
+ * Parse an RRULE string (with or without the "RRULE:" prefix) into
+ * { freq, interval, byDay, byMonthDay, count, until }. Throws on anything outside the subset.
+ */
+const parseRRule = (input) => {
+  if (!input || typeof input !== 'string') {
+    throw invalid('rule is required');
+  }
+  const rule = { freq: null, interval: 1, byDay: null, byMonthDay: null, count: null, until: null };
+  const body = input.trim().replace(/^RRULE:/i, '');
+
+  for (const part of body.split(';').filter(Boolean)) {
+    const [rawKey, value] = part.split('=');
+    const key = (rawKey || '').toUpperCase();
+    if (!value) {
+      throw invalid(`missing value for ${key}`);
+    }
+    switch (key) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(value.toUpperCase())) {
+          throw invalid(`unsupported FREQ ${value}`);
+        }
+        rule.freq = value.toUpperCase();
+        break;
+      case 'INTERVAL':
+        rule.interval = parsePositiveInt(key, value);
+        break;
+      case 'BYDAY':
+        rule.byDay = value.toUpperCase().split(',').map((day) => {
+          if (!WEEKDAYS.includes(day)) {
+            throw invalid(`unsupported BYDAY value ${day}`);
+          }
+          return WEEKDAYS.indexOf(day);
+        });
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = value.split(',').map((day) => {
+          const n = parseInt(day, 10);
+          if (!/^-?\d+$/.test(day) || n === 0 || n < -31 || n > 31) {
+            throw invalid(`BYMONTHDAY out of range: ${day}`);
+          }
+          return n;
+        });
+        break;
+      case 'COUNT':
+        rule.count = parsePositiveInt(key, value);
+        break;
+      case 'UNTIL':
+        rule.until = parseUntil(value);
+        break;
+      default:
+        throw invalid(`unsupported part ${key}`);
+    }
+  }
+
+  if (!rule.freq) {
+    throw invalid('FREQ is required');
+  }
+  if (rule.count && rule.until) {
+    throw invalid('COUNT and UNTIL cannot both be set');
+  }
+  return rule;
+};
+
+// Serialize back to canonical RRULE text (used to roll COUNT forward between occurrences)
+const formatRRule = (rule) => {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval > 1) {
+    parts.push(`INTERVAL=${rule.interval}`);
+  }
+  if (rule.byDay) {
+    parts.push(`BYDAY=${rule.byDay.map((d) => WEEKDAYS[d]).join(',')}`);
+  }
+  if (rule.byMonthDay) {
+    parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  }
+  if (rule.count) {
+    parts.push(`COUNT=${rule.count}`);
+  }
+  if (rule.until) {
+    parts.push(`UNTIL=${rule.until.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`);
+  }
+  return parts.join(';');
+};
+
+// Calendar helpers on "epoch days" (whole days since 1970-01-01, in local wall time)
+const toEpochDay = (year, month, day) => Date.UTC(year, month - 1, day) / DAY_MS;
+const fromEpochDay = (epochDay) => {
+  const date = new Date(epochDay * DAY_MS);
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    weekday: date.getUTCDay(),
+  };
+};
+const mondayOf = (epochDay) => epochDay - ((fromEpochDay(epochDay).weekday + 6) % 7);
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+const matchesMonthDay = (rule, { year, month, day }) => rule.byMonthDay.some((n) => {
+  const target = n > 0 ? n : daysInMonth(year, month) + n + 1;
+  return target === day;
+});
+
+const matchesRule = (rule, start, epochDay) => {
+  const date = fromEpochDay(epochDay);
+  if (rule.freq === 'DAILY') {
+    return (epochDay - start.epochDay) % rule.interval === 0
+      && (!rule.byDay || rule.byDay.includes(date.weekday))
+      && (!rule.byMonthDay || matchesMonthDay(rule, date));
+  }
+  if (rule.freq === 'WEEKLY') {
+    const weeks = (mondayOf(epochDay) - mondayOf(start.epochDay)) / 7;
+    return weeks % rule.interval === 0 && (rule.byDay || [start.weekday]).includes(date.weekday);
+  }
+  if (rule.freq === 'MONTHLY') {
+    const months = (date.year - start.year) * 12 + (date.month - start.month);
+    if (months % rule.interval !== 0) {
+      return false;
+    }
+    if (rule.byMonthDay) {
+      return matchesMonthDay(rule, date);
+    }
+    return rule.byDay ? rule.byDay.includes(date.weekday) : date.day === start.day;
+  }
+  // YEARLY
+  if ((date.year - start.year) % rule.interval !== 0 || date.month !== start.month) {
+    return false;
+  }
+  if (rule.byMonthDay) {
+    return matchesMonthDay(rule, date);
+  }
+  return rule.byDay ? rule.byDay.includes(date.weekday) : date.day === start.day;
+};
+
+/**
+ * Occurrences following `anchor` (the current occurrence, which counts as the first
+ * for COUNT purposes), as UTC ISO strings. Calendar math happens in `timeZone` so
+ * "every Monday at 09:00" stays at 09:00 local time across DST changes.
+ */
+const getNextOccurrences = (rruleText, anchor, { limit = 1, timeZone = DEFAULT_TIME_ZONE } = {}) => {
+  const rule = typeof rruleText === 'string' ? parseRRule(rruleText) : rruleText;
+  const local = getZonedParts(new Date(anchor), timeZone);
+  const startDay = toEpochDay(local.year, local.month, local.day);
+  const start = { ...fromEpochDay(startDay), epochDay: startDay };
+
+  const occurrences = [];
+  let seen = 1;
+  for (let epochDay = startDay + 1; epochDay <= startDay + MAX_SCAN_DAYS; epochDay++) {
+    if (occurrences.length >= limit || (rule.count && seen >= rule.count)) {
+      break;
+    }
+    if (!matchesRule(rule, start, epochDay)) {
+      continue;
+    }
+    const { year, month, day } = fromEpochDay(epochDay);
+    const instant = fromZonedParts(
+      { year, month, day, hour: local.hour, minute: local.minute, second: local.second },
+      timeZone
+    );
+    if (rule.until && instant > rule.until) {
+      break;
+    }
+    seen++;
+    occurrences.push(instant.toISOString());
+  }
+  return occurrences;
+};
+
+module.exports = {
+  parseRRule,
+  formatRRule,
+  getNextOccurrences,
+};
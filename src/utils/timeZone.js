@@ -0,0 +1,77 @@
+// Time zone helpers built on Intl (no external tz database needed)
+
+const DEFAULT_TIME_ZONE = 'UTC';
+
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Wall-clock parts of an instant as seen in the given time zone
+const getZonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(date);
+  const get = (type) => parseInt(parts.find((p) => p.type === type).value, 10);
+  return {
+    year: get('year'),
+    month: get('month'),
+    day: get('day'),
+    hour: get('hour'),
+    minute: get('minute'),
+    second: get('second'),
+  };
+};
+
+// Offset (ms) of the time zone from UTC at the given instant
+const getTimeZoneOffset = (date, timeZone) => {
+  const p = getZonedParts(date, timeZone);
+  const asUTC = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUTC - (date.getTime() - date.getMilliseconds());
+};
+
+// UTC instant of a local wall-clock time in the time zone (day/month may overflow, as with Date.UTC)
+const fromZonedParts = ({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) => {
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+  // Re-evaluate the offset at the first estimate so DST transitions land correctly
+  const first = guess - getTimeZoneOffset(new Date(guess), timeZone);
+  return new Date(guess - getTimeZoneOffset(new Date(first), timeZone));
+};
+
+// UTC instant of local midnight for a calendar day in the time zone
+const zonedMidnight = (year, month, day, timeZone) => fromZonedParts({ year, month, day }, timeZone);
+
+/**
+ * Start/end (UTC ISO strings) of a range of local days in the time zone.
+ * `startDay` is relative to the day containing `now` (0 = today, 1 = tomorrow);
+ * the range spans `days` whole local days.
+ */
+const getZonedDayRange = (timeZone, { now = new Date(), startDay = 0, days = 1 } = {}) => {
+  const { year, month, day } = getZonedParts(now, timeZone);
+  const start = zonedMidnight(year, month, day + startDay, timeZone);
+  const end = zonedMidnight(year, month, day + startDay + days, timeZone);
+  return { start: start.toISOString(), end: end.toISOString() };
+};
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  getZonedParts,
+  getTimeZoneOffset,
+  fromZonedParts,
+  getZonedDayRange,
+};
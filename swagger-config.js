@@ -54,6 +54,11 @@ const options = {
               description: 'User display name (optional)',
               example: 'john_doe'
             },
+            time_zone: {
+              type: 'string',
+              description: 'IANA time zone used for due-date views',
+              example: 'Asia/Kolkata'
+            },
             email: {
               type: 'string',
               format: 'email',
@@ -107,6 +112,11 @@ const options = {
               description: 'Task last update timestamp',
               example: '2024-01-10T10:00:00Z'
             },
+            hlc: {
+              type: 'string',
+              description: 'Hybrid logical clock of the last write (`<ISO time>-<counter>-<node>`); orders sync writes',
+              example: '2024-01-10T10:00:00.000Z-000000-server'
+            },
             is_deleted: {
               type: 'boolean',
               description: 'Soft delete flag',
@@ -128,9 +138,458 @@ const options = {
               format: 'date-time',
               description: 'Last synchronization timestamp',
               example: null
+            },
+            tags: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Tag names attached to the task',
+              example: ['work', 'urgent']
+            },
+            due_at: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'Due date (stored and returned in UTC)',
+              example: '2024-01-12T12:30:00.000Z'
+            },
+            priority: {
+              type: 'string',
+              enum: ['none', 'low', 'medium', 'high', 'urgent'],
+              description: 'Task priority',
+              example: 'high'
+            },
+            rrule: {
+              type: 'string',
+              nullable: true,
+              description: 'Recurrence rule (RFC 5545 subset: FREQ, INTERVAL, BYDAY, BYMONTHDAY, COUNT, UNTIL)',
+              example: 'FREQ=WEEKLY;BYDAY=MO'
+            },
+            series_id: {
+              type: 'string',
+              nullable: true,
+              description: 'Identifier shared by all occurrences of a recurring task',
+              example: '550e8400-e29b-41d4-a716-446655440001'
+            },
+            parent_id: {
+              type: 'string',
+              nullable: true,
+              description: 'Parent task for subtasks (null for top-level tasks)',
+              example: null
+            },
+            project_id: {
+              type: 'string',
+              nullable: true,
+              description: 'Project the task belongs to (null for tasks outside any project)',
+              example: '550e8400-e29b-41d4-a716-446655440020'
+            },
+            subtask_count: {
+              type: 'integer',
+              description: 'Number of non-deleted subtasks at any depth',
+              example: 4
+            },
+            completion_percentage: {
+              type: 'integer',
+              nullable: true,
+              description: 'Share of completed subtasks (null when the task has none)',
+              example: 50
+            },
+            children: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/Task'
+              },
+              description: 'Nested subtasks (only in the tree view)'
+            }
+          }
+        },
+        DueTaskList: {
+          type: 'object',
+          properties: {
+            time_zone: {
+              type: 'string',
+              description: 'IANA time zone the window was computed in',
+              example: 'Asia/Kolkata'
+            },
+            from: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'Inclusive start of the window (UTC)',
+              example: '2024-01-09T18:30:00.000Z'
+            },
+            to: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Exclusive end of the window (UTC)',
+              example: '2024-01-10T18:30:00.000Z'
+            },
+            tasks: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/Task'
+              }
+            }
+          }
+        },
+        Tag: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid',
+              description: 'Unique tag identifier',
+              example: '550e8400-e29b-41d4-a716-446655440010'
+            },
+            name: {
+              type: 'string',
+              description: 'Tag name (unique per user, case-insensitive)',
+              example: 'work'
+            },
+            created_at: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Tag creation timestamp',
+              example: '2024-01-10T10:00:00Z'
+            },
+            task_count: {
+              type: 'integer',
+              description: 'Number of non-deleted tasks using the tag',
+              example: 4
+            }
+          }
+        },
+        Project: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid',
+              description: 'Unique project identifier',
+              example: '550e8400-e29b-41d4-a716-446655440020'
+            },
+            name: {
+              type: 'string',
+              description: 'Project name',
+              example: 'Work'
+            },
+            color: {
+              type: 'string',
+              nullable: true,
+              description: 'Display color as #rrggbb',
+              example: '#3366ff'
+            },
+            archived: {
+              type: 'integer',
+              enum: [0, 1],
+              description: 'Archived projects are hidden from the default listing',
+              example: 0
+            },
+            position: {
+              type: 'integer',
+              description: 'Sort position among the user\'s projects',
+              example: 0
+            },
+            created_at: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Project creation timestamp',
+              example: '2024-01-10T10:00:00Z'
+            },
+            updated_at: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Last update timestamp',
+              example: '2024-01-10T10:00:00Z'
+            },
+            sync_status: {
+              type: 'string',
+              enum: ['pending', 'in-progress', 'synced', 'error', 'failed'],
+              description: 'Synchronization status',
+              example: 'pending'
+            }
+          }
+        },
+        ProjectInput: {
+          type: 'object',
+          required: ['name'],
+          properties: {
+            name: {
+              type: 'string',
+              maxLength: 100,
+              description: 'Project name',
+              example: 'Work'
+            },
+            color: {
+              type: 'string',
+              nullable: true,
+              description: 'Display color as #rrggbb',
+              example: '#3366ff'
+            },
+            archived: {
+              type: 'boolean',
+              description: 'Archive the project',
+              example: false
+            },
+            position: {
+              type: 'integer',
+              minimum: 0,
+              description: 'Sort position (defaults to after the last project)',
+              example: 0
+            }
+          }
+        },
+        ProjectUpdate: {
+          type: 'object',
+          minProperties: 1,
+          properties: {
+            name: {
+              type: 'string',
+              maxLength: 100,
+              description: 'Project name',
+              example: 'Work (Q3)'
+            },
+            color: {
+              type: 'string',
+              nullable: true,
+              description: 'Display color as #rrggbb',
+              example: '#ff9900'
+            },
+            archived: {
+              type: 'boolean',
+              description: 'Archive or unarchive the project',
+              example: true
+            },
+            position: {
+              type: 'integer',
+              minimum: 0,
+              description: 'New sort position',
+              example: 2
+            }
+          }
+        },
+        DescriptionOperation: {
+          type: 'object',
+          required: ['type', 'id'],
+          description: 'An edit to a description document. Inserts use a counter greater than every counter '
+            + 'in the document the client has seen; the characters of `value` get ids counter, counter + 1, ...',
+          properties: {
+            type: { type: 'string', enum: ['insert', 'delete'] },
+            id: {
+              type: 'string',
+              description: 'Element id `<counter>@<site>` (the first inserted character, or the character to delete)',
+              example: '12@phone-1'
+            },
+            after: {
+              type: 'string',
+              nullable: true,
+              description: 'Inserts only: element to insert after (null inserts at the start)',
+              example: '3@server'
+            },
+            value: { type: 'string', description: 'Inserts only: text to insert', example: ' oat' }
+          }
+        },
+        DescriptionDocument: {
+          type: 'object',
+          properties: {
+            task_id: { type: 'string', format: 'uuid' },
+            description: { type: 'string', example: 'Buy oat milk' },
+            elements: {
+              type: 'array',
+              description: 'Characters in document order, deleted ones included',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'string', example: '1@server' },
+                  value: { type: 'string', example: 'B' },
+                  deleted: { type: 'boolean', example: false }
+                }
+              }
+            }
+          }
+        },
+        TaskRevision: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'integer',
+              description: 'Revision number (pass to `POST /api/tasks/{id}/restore?revision=`)',
+              example: 42
+            },
+            task_id: {
+              type: 'string',
+              format: 'uuid',
+              description: 'Task the revision belongs to'
+            },
+            user_id: {
+              type: 'string',
+              description: 'User who made the change'
+            },
+            username: {
+              type: 'string',
+              nullable: true,
+              description: 'Username of the user who made the change',
+              example: 'johndoe'
+            },
+            source: {
+              type: 'string',
+              enum: ['rest', 'sync', 'restore'],
+              description: 'How the change reached the server',
+              example: 'rest'
+            },
+            operation: {
+              type: 'string',
+              enum: ['create', 'update', 'delete', 'undelete'],
+              description: 'Kind of change',
+              example: 'update'
+            },
+            changes: {
+              type: 'object',
+              description: 'Changed fields, each as `{ old, new }`',
+              additionalProperties: {
+                type: 'object',
+                properties: {
+                  old: {},
+                  new: {}
+                }
+              },
+              example: { title: { old: 'Draft report', new: 'Final report' } }
+            },
+            snapshot: {
+              type: 'object',
+              description: 'Tracked task fields after the change'
+            },
+            created_at: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When the change was recorded'
+            }
+          }
+        },
+        Share: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid',
+              description: 'Unique share identifier'
+            },
+            resource_type: {
+              type: 'string',
+              enum: ['task', 'project'],
+              description: 'Kind of resource shared',
+              example: 'project'
+            },
+            resource_id: {
+              type: 'string',
+              description: 'Id of the shared task or project'
+            },
+            resource_name: {
+              type: 'string',
+              description: 'Task title or project name (only in `GET /api/shares`)',
+              example: 'Work'
+            },
+            invited_by: {
+              type: 'string',
+              description: 'User who sent the invite'
+            },
+            user_id: {
+              type: 'string',
+              nullable: true,
+              description: 'User who accepted the invite (null while pending)'
+            },
+            email: {
+              type: 'string',
+              format: 'email',
+              description: 'Invited email address',
+              example: 'teammate@example.com'
+            },
+            role: {
+              type: 'string',
+              enum: ['viewer', 'editor', 'owner'],
+              description: 'viewer reads; editor also edits and adds subtasks/tasks; owner also deletes and manages sharing',
+              example: 'editor'
+            },
+            status: {
+              type: 'string',
+              enum: ['pending', 'accepted'],
+              description: 'Invite status',
+              example: 'pending'
+            },
+            created_at: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Invite timestamp'
+            },
+            accepted_at: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'Acceptance timestamp'
+            }
+          }
+        },
+        ShareInput: {
+          type: 'object',
+          required: ['email'],
+          properties: {
+            email: {
+              type: 'string',
+              format: 'email',
+              description: 'Email address to invite',
+              example: 'teammate@example.com'
+            },
+            role: {
+              type: 'string',
+              enum: ['viewer', 'editor', 'owner'],
+              default: 'viewer',
+              description: 'Role granted once the invite is accepted',
+              example: 'editor'
+            }
+          }
+        },
+        TaskPage: {
+          type: 'object',
+          properties: {
+            tasks: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/Task'
+              },
+              description: 'Tasks on this page'
+            },
+            next_cursor: {
+              type: 'string',
+              nullable: true,
+              description: 'Opaque cursor for the next page (null when there are no more results)',
+              example: 'eyJzIjoidXBkYXRlZF9hdF9kZXNjIiwidiI6IjIwMjQtMDEtMTBUMTA6MDA6MDBaIiwiaWQiOiIxIn0'
             }
           }
         },
+        TaskSearchResult: {
+          allOf: [
+            { $ref: '#/components/schemas/Task' },
+            {
+              type: 'object',
+              properties: {
+                rank: {
+                  type: 'number',
+                  description: 'bm25 relevance score (lower is a better match)',
+                  example: -2.31
+                },
+                title_highlight: {
+                  type: 'string',
+                  description: 'Title with matched terms wrapped in <mark> tags',
+                  example: 'Complete project <mark>documentation</mark>'
+                },
+                description_snippet: {
+                  type: 'string',
+                  description: 'Excerpt of the description around the matched terms',
+                  example: 'Write comprehensive <mark>docs</mark> for the new API'
+                }
+              }
+            }
+          ]
+        },
         TaskInput: {
           type: 'object',
           required: ['title'],
@@ -146,6 +605,44 @@ const options = {
               type: 'string',
               description: 'Task description (optional)',
               example: 'Write comprehensive docs for the new API'
+            },
+            tags: {
+              type: 'array',
+              items: { type: 'string', maxLength: 50 },
+              maxItems: 20,
+              description: 'Tag names (replaces the full tag set)',
+              example: ['work']
+            },
+            due_at: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'Due date as ISO 8601 with offset (null clears it)',
+              example: '2024-01-12T18:00:00+05:30'
+            },
+            priority: {
+              type: 'string',
+              enum: ['none', 'low', 'medium', 'high', 'urgent'],
+              description: 'Task priority',
+              example: 'high'
+            },
+            rrule: {
+              type: 'string',
+              nullable: true,
+              description: 'Recurrence rule (FREQ, INTERVAL, BYDAY, BYMONTHDAY, COUNT, UNTIL); null stops recurring',
+              example: 'FREQ=DAILY;INTERVAL=1'
+            },
+            parent_id: {
+              type: 'string',
+              nullable: true,
+              description: 'Make this a subtask of another task (null moves it to the top level)',
+              example: '550e8400-e29b-41d4-a716-446655440001'
+            },
+            project_id: {
+              type: 'string',
+              nullable: true,
+              description: 'Move the task (with its subtasks) into this project (null removes it from its project)',
+              example: '550e8400-e29b-41d4-a716-446655440020'
             }
           }
         },
@@ -168,6 +665,44 @@ const options = {
               type: 'boolean',
               description: 'Task completion status',
               example: true
+            },
+            tags: {
+              type: 'array',
+              items: { type: 'string', maxLength: 50 },
+              maxItems: 20,
+              description: 'Tag names (replaces the full tag set)',
+              example: ['work']
+            },
+            due_at: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'Due date as ISO 8601 with offset (null clears it)',
+              example: '2024-01-12T18:00:00+05:30'
+            },
+            priority: {
+              type: 'string',
+              enum: ['none', 'low', 'medium', 'high', 'urgent'],
+              description: 'Task priority',
+              example: 'high'
+            },
+            rrule: {
+              type: 'string',
+              nullable: true,
+              description: 'Recurrence rule (FREQ, INTERVAL, BYDAY, BYMONTHDAY, COUNT, UNTIL); null stops recurring',
+              example: 'FREQ=DAILY;INTERVAL=1'
+            },
+            parent_id: {
+              type: 'string',
+              nullable: true,
+              description: 'Make this a subtask of another task (null moves it to the top level)',
+              example: '550e8400-e29b-41d4-a716-446655440001'
+            },
+            project_id: {
+              type: 'string',
+              nullable: true,
+              description: 'Move the task (with its subtasks) into this project (null removes it from its project)',
+              example: '550e8400-e29b-41d4-a716-446655440020'
             }
           }
         },
@@ -272,6 +807,13 @@ const options = {
           type: 'object',
           required: ['operation', 'local_id', 'data'],
           properties: {
+            entity: {
+              type: 'string',
+              enum: ['task', 'project'],
+              default: 'task',
+              description: 'Kind of entity the change applies to',
+              example: 'task'
+            },
             operation: {
               type: 'string',
               enum: ['create', 'update', 'delete'],
@@ -283,14 +825,69 @@ const options = {
               description: 'Local task identifier',
               example: 'client-task-123'
             },
+            change_id: {
+              type: 'string',
+              maxLength: 255,
+              description: 'Client id of this change (unique per request); a change already applied under this id is not applied again',
+              example: 'change-7f3a'
+            },
             data: {
               type: 'object',
-              description: 'Task data for the operation',
+              description: 'Task data for the operation (name, color, archived, position for projects). '
+                + "Tasks may carry the client's `hlc`; changes without one are ordered by `updated_at`. "
+                + 'Instead of `description`, tasks may carry `description_ops` (see DescriptionOperation), '
+                + 'which are merged with concurrent description edits rather than replacing them.',
               example: {
                 title: 'New task from client',
                 description: 'Task created offline',
                 completed: false
               }
+            },
+            base: {
+              type: 'object',
+              description: 'Task updates only: the field values the client last synced, before its local edits. '
+                + 'With a base, the server merges field by field and only reports a conflict for fields '
+                + 'changed differently on both sides; without one, the whole record goes to the last writer.',
+              example: {
+                title: 'New task from client',
+                completed: false
+              }
+            }
+          }
+        },
+        SyncBatchItem: {
+          type: 'object',
+          required: ['id', 'task_id', 'operation', 'data'],
+          properties: {
+            id: {
+              type: 'string',
+              description: 'Client queue item ID (unique within the batch)',
+              example: 'queue-item-1'
+            },
+            entity: {
+              type: 'string',
+              enum: ['task', 'project'],
+              default: 'task',
+              example: 'task'
+            },
+            task_id: {
+              type: 'string',
+              description: 'Local ID (creates) or server ID of the task or project',
+              example: 'client-task-123'
+            },
+            operation: {
+              type: 'string',
+              enum: ['create', 'update', 'delete'],
+              example: 'update'
+            },
+            data: {
+              type: 'object',
+              description: 'Same as SyncChange.data',
+              example: { title: 'Renamed offline' }
+            },
+            base: {
+              type: 'object',
+              description: 'Same as SyncChange.base (task updates only)'
             }
           }
         },
@@ -343,6 +940,39 @@ const options = {
         SyncConflict: {
           type: 'object',
           properties: {
+            conflict_id: {
+              type: 'string',
+              description: 'Id of the stored conflict holding the local values that did not apply (see `GET /api/sync/conflicts`)',
+              example: 'conflict-uuid-1'
+            },
+            local_id: {
+              type: 'string',
+              description: 'Id the change was submitted with',
+              example: 'task-uuid-123'
+            },
+            fields: {
+              type: 'object',
+              description: 'Field-level merges and per-field strategies only: each diverged field with its values on every side',
+              additionalProperties: {
+                type: 'object',
+                properties: {
+                  base: {},
+                  local: {},
+                  server: {},
+                  resolution: {
+                    type: 'string',
+                    enum: ['local_wins', 'server_wins', 'manual']
+                  }
+                }
+              },
+              example: {
+                title: { base: 'Buy milk', local: 'Buy oat milk', server: 'Buy milk and eggs', resolution: 'local_wins' }
+              }
+            },
+            server_task: {
+              type: 'object',
+              description: 'Whole-record conflicts only: the server version that was kept'
+            },
             task_id: {
               type: 'string',
               description: 'Task identifier with conflict',
@@ -358,8 +988,8 @@ const options = {
             },
             resolution: {
               type: 'string',
-              enum: ['local_wins', 'server_wins'],
-              description: 'How the conflict was resolved',
+              enum: ['local_wins', 'server_wins', 'manual', 'merged'],
+              description: 'How the conflict was resolved under the user\'s conflict strategy (`merged` when fields were settled one by one, `manual` when left to the user)',
               example: 'local_wins'
             }
           }
@@ -388,6 +1018,13 @@ const options = {
               },
               description: 'Changes from server to apply locally'
             },
+            serverProjectChanges: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/Project'
+              },
+              description: 'Project changes from server to apply locally'
+            },
             status: {
               type: 'string',
               enum: ['completed', 'partial', 'error'],
@@ -404,6 +1041,30 @@ const options = {
               description: 'Number of changes that failed',
               example: 0
             },
+            serverHlc: {
+              type: 'string',
+              description: 'Server hybrid logical clock after the sync; clients should advance their clock past it',
+              example: '2024-01-10T10:00:05.000Z-000001-server'
+            },
+            clockSkew: {
+              type: 'array',
+              description: 'Changes whose timestamp was too far ahead of the server clock and was replaced',
+              items: {
+                type: 'object',
+                properties: {
+                  local_id: { type: 'string', example: 'client-task-1' },
+                  client_hlc: { type: 'string', example: '2024-01-11T10:00:00.000Z-000000-client' },
+                  drift_ms: { type: 'integer', description: 'How far ahead of the server the client was', example: 86400000 },
+                  assigned_hlc: { type: 'string', example: '2024-01-10T10:00:05.000Z-000000-server' }
+                }
+              }
+            },
+            replayedChanges: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'change_ids that were already applied; their original mappings and conflicts are included above',
+              example: ['change-7f3a']
+            },
             syncId: {
               type: 'string',
               format: 'uuid',
@@ -412,6 +1073,147 @@ const options = {
             }
           }
         },
+        SyncChangePage: {
+          type: 'object',
+          properties: {
+            changes: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  entity: {
+                    type: 'string',
+                    enum: ['task', 'project'],
+                    example: 'task'
+                  },
+                  id: {
+                    type: 'string',
+                    example: 'task-uuid-123'
+                  },
+                  cursor: {
+                    type: 'string',
+                    description: 'Cursor resuming right after this change'
+                  },
+                  operation: {
+                    type: 'string',
+                    enum: ['upsert', 'delete'],
+                    description: '`delete` entries are tombstones: remove the local copy',
+                    example: 'upsert'
+                  },
+                  data: {
+                    type: 'object',
+                    description: 'Upserts only: the current task (with tags) or project'
+                  },
+                  deleted_at: {
+                    type: 'string',
+                    format: 'date-time',
+                    description: 'Tombstones only: when the entity was deleted'
+                  }
+                }
+              }
+            },
+            next_cursor: {
+              type: 'string',
+              description: 'Cursor to pass on the next request; always present, store it after the last page'
+            },
+            has_more: {
+              type: 'boolean',
+              description: 'True when more changes are waiting after next_cursor',
+              example: false
+            }
+          }
+        },
+        DeadLetter: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', example: 'dead-letter-uuid-1' },
+            entity_type: { type: 'string', enum: ['task', 'project'], example: 'task' },
+            task_id: { type: 'string', description: 'Task or project the change applies to', example: 'task-uuid-123' },
+            operation: { type: 'string', enum: ['create', 'update', 'delete'], example: 'update' },
+            data: { type: 'object', description: 'Original change payload', example: { title: 'Renamed offline' } },
+            change_id: { type: 'string', nullable: true },
+            retry_count: { type: 'integer', example: 3 },
+            error_message: { type: 'string', description: 'Error of the last attempt', example: 'Task not found' },
+            error_history: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  attempt: { type: 'integer', example: 1 },
+                  error: { type: 'string', example: 'Task not found' },
+                  failed_at: { type: 'string', format: 'date-time' }
+                }
+              }
+            },
+            original_created_at: { type: 'string', format: 'date-time' },
+            failed_at: { type: 'string', format: 'date-time' }
+          }
+        },
+        SyncConflictRecord: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', example: 'conflict-uuid-1' },
+            entity_type: { type: 'string', enum: ['task', 'project'], example: 'task' },
+            entity_id: { type: 'string', description: 'Task or project in conflict', example: 'task-uuid-123' },
+            operation: { type: 'string', enum: ['update', 'delete'], description: 'The losing operation', example: 'update' },
+            local_data: { type: 'object', description: 'Payload of the losing change', example: { title: 'Buy oat milk' } },
+            server_data: { type: 'object', description: 'Server version it lost to', example: { title: 'Buy milk and eggs' } },
+            change_id: { type: 'string', nullable: true },
+            status: { type: 'string', enum: ['open', 'resolved'], example: 'open' },
+            resolution: { type: 'string', enum: ['keep-local', 'keep-server', 'merged'], nullable: true },
+            resolved_data: { type: 'object', nullable: true, description: 'Fields applied by a merged resolution' },
+            created_at: { type: 'string', format: 'date-time' },
+            resolved_at: { type: 'string', format: 'date-time', nullable: true }
+          }
+        },
+        ConflictStrategy: {
+          type: 'object',
+          properties: {
+            strategy: {
+              type: 'string',
+              description: 'Strategy for whole records and for fields without an override',
+              example: 'last-write-wins'
+            },
+            fields: {
+              type: 'object',
+              description: 'Per-field overrides: task field to strategy name',
+              additionalProperties: { type: 'string' },
+              example: { completed: 'completed-sticky', is_deleted: 'delete-wins' }
+            }
+          }
+        },
+        SyncConflictRecordPage: {
+          type: 'object',
+          properties: {
+            conflicts: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/SyncConflictRecord'
+              }
+            },
+            next_cursor: {
+              type: 'string',
+              nullable: true,
+              description: 'Opaque cursor for the next page (null when there are no more results)'
+            }
+          }
+        },
+        DeadLetterPage: {
+          type: 'object',
+          properties: {
+            dead_letters: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/DeadLetter'
+              }
+            },
+            next_cursor: {
+              type: 'string',
+              nullable: true,
+              description: 'Opaque cursor for the next page (null when there are no more results)'
+            }
+          }
+        },
         SyncStatus: {
           type: 'object',
           properties: {
@@ -435,6 +1237,110 @@ const options = {
               type: 'integer',
               description: 'Current sync queue size',
               example: 3
+            },
+            all_devices_in_sync: {
+              type: 'boolean',
+              description: 'Whether every registered device has pulled every change (true without devices)',
+              example: false
+            },
+            next_retry_at: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'When the next failed operation will be retried (null when none is waiting)',
+              example: '2024-01-10T10:00:30Z'
+            },
+            retrying_items: {
+              type: 'array',
+              description: 'Failed operations waiting out their retry backoff, soonest first',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'string', format: 'uuid' },
+                  task_id: { type: 'string', format: 'uuid', description: 'Id of the task or project' },
+                  entity_type: { type: 'string', enum: ['task', 'project'] },
+                  operation: { type: 'string', enum: ['create', 'update', 'delete'] },
+                  retry_count: { type: 'integer', example: 1 },
+                  next_attempt_at: { type: 'string', format: 'date-time' },
+                  error_message: { type: 'string', nullable: true }
+                }
+              }
+            }
+          }
+        },
+        Device: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              description: 'Client-generated device id (sent as X-Device-Id)',
+              example: 'b7e1c2d4-laptop'
+            },
+            name: {
+              type: 'string',
+              nullable: true,
+              description: 'Display name (sent as X-Device-Name)',
+              example: 'Work laptop'
+            },
+            platform: {
+              type: 'string',
+              nullable: true,
+              description: 'Platform (sent as X-Device-Platform)',
+              example: 'macos'
+            },
+            last_seen: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Last sync call from the device'
+            },
+            last_cursor: {
+              type: 'string',
+              nullable: true,
+              description: 'Change feed cursor the device has acknowledged (null until it acknowledges one)',
+              example: 'eyJzZXEiOjQyfQ'
+            },
+            created_at: {
+              type: 'string',
+              format: 'date-time',
+              description: 'First sync call from the device'
+            },
+            pending_changes: {
+              type: 'integer',
+              description: 'Changes the device has not pulled yet',
+              example: 0
+            },
+            in_sync: {
+              type: 'boolean',
+              description: 'Whether the device has pulled every change',
+              example: true
+            }
+          }
+        },
+        SyncWorkerMetrics: {
+          type: 'object',
+          properties: {
+            running: { type: 'boolean', description: 'Whether the periodic worker is started', example: true },
+            runs: { type: 'integer', description: 'Queue drains since the server started', example: 120 },
+            last_run_at: { type: 'string', format: 'date-time', nullable: true },
+            last_run_duration_ms: { type: 'integer', nullable: true, example: 42 },
+            last_error: {
+              type: 'string',
+              nullable: true,
+              description: 'Why the worker last failed to process your queue (null once it succeeds again)'
+            },
+            queue_depth: { type: 'integer', description: 'Items in your sync queue', example: 5 },
+            due_items: { type: 'integer', description: 'Items ready to be processed now', example: 3 },
+            leased_items: { type: 'integer', description: 'Items currently being processed', example: 0 },
+            oldest_due_at: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'Since when the longest-waiting ready item has been ready'
+            },
+            queue_lag_ms: {
+              type: 'integer',
+              description: 'How long the longest-waiting ready item has been waiting (0 when none)',
+              example: 1800
             }
           }
         },
@@ -522,6 +1428,55 @@ const options = {
           }
         }
       },
+      parameters: {
+        LimitParam: {
+          in: 'query',
+          name: 'limit',
+          schema: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 200,
+            default: 50
+          },
+          description: 'Maximum number of items to return'
+        },
+        CursorParam: {
+          in: 'query',
+          name: 'cursor',
+          schema: {
+            type: 'string'
+          },
+          description: 'Opaque cursor returned as next_cursor by the previous page'
+        },
+        DeviceIdHeader: {
+          in: 'header',
+          name: 'X-Device-Id',
+          required: true,
+          schema: {
+            type: 'string',
+            maxLength: 100
+          },
+          description: 'Stable id of the syncing device, generated by the client (registers the device on first use)'
+        },
+        DeviceNameHeader: {
+          in: 'header',
+          name: 'X-Device-Name',
+          schema: {
+            type: 'string',
+            maxLength: 100
+          },
+          description: 'Display name of the device'
+        },
+        DevicePlatformHeader: {
+          in: 'header',
+          name: 'X-Device-Platform',
+          schema: {
+            type: 'string',
+            maxLength: 100
+          },
+          description: 'Platform of the device (e.g. ios, android, web)'
+        }
+      },
       responses: {
         UnauthorizedError: {
           description: 'Authentication token is missing or invalid',
@@ -543,6 +1498,16 @@ const options = {
             }
           }
         },
+        DeviceRevokedError: {
+          description: 'The device has been revoked and can no longer sync',
+          content: {
+            'application/json': {
+              schema: {
+                $ref: '#/components/schemas/Error'
+              }
+            }
+          }
+        },
         NotFoundError: {
           description: 'Resource not found',
           content: {
@@ -578,6 +1543,22 @@ const options = {
         name: 'Synchronization',
         description: 'Offline synchronization operations'
       },
+      {
+        name: 'Devices',
+        description: 'Devices the user syncs from'
+      },
+      {
+        name: 'Tags',
+        description: 'Task labels'
+      },
+      {
+        name: 'Projects',
+        description: 'Projects (lists) grouping tasks'
+      },
+      {
+        name: 'Sharing',
+        description: 'Sharing tasks and projects with other users'
+      },
       {
         name: 'Users',
         description: 'User management operations'
@@ -592,6 +1573,10 @@ const options = {
     path.join(__dirname, 'src/routes/tasks.js'),
     path.join(__dirname, 'src/routes/userAuth.js'),
     path.join(__dirname, 'src/routes/sync.js'),
+    path.join(__dirname, 'src/routes/tags.js'),
+    path.join(__dirname, 'src/routes/projects.js'),
+    path.join(__dirname, 'src/routes/shares.js'),
+    path.join(__dirname, 'src/routes/devices.js'),
     path.join(__dirname, 'src/server.js')
   ]
 };
@@ -27,6 +27,9 @@ describe('Challenge Constraints Implementation', () => {
         password TEXT NOT NULL,
         reset_token TEXT,
         reset_token_expires TEXT,
+        time_zone TEXT NOT NULL DEFAULT 'UTC',
+        conflict_strategy TEXT,
+        conflict_field_strategies TEXT,
         created_at TEXT DEFAULT CURRENT_TIMESTAMP
       )
     `);
@@ -42,7 +45,15 @@ describe('Challenge Constraints Implementation', () => {
         is_deleted INTEGER DEFAULT 0,
         sync_status TEXT DEFAULT 'pending',
         server_id TEXT,
-        last_synced_at TEXT
+        last_synced_at TEXT,
+        due_at TEXT,
+        priority TEXT NOT NULL DEFAULT 'none',
+        rrule TEXT,
+        series_id TEXT,
+        parent_id TEXT,
+        project_id TEXT,
+        deleted_at TEXT,
+        hlc TEXT
       )
     `);
     await runQuery(`
@@ -55,7 +66,134 @@ describe('Challenge Constraints Implementation', () => {
         retry_count INTEGER DEFAULT 0,
         error_message TEXT,
         created_at TEXT,
-        operation_timestamp TEXT
+        operation_timestamp TEXT,
+        entity_type TEXT NOT NULL DEFAULT 'task',
+        hlc TEXT,
+        change_id TEXT,
+        error_history TEXT,
+        next_attempt_at TEXT,
+        locked_by TEXT,
+        locked_until TEXT,
+        source TEXT
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE projects (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        color TEXT,
+        archived INTEGER DEFAULT 0,
+        position INTEGER DEFAULT 0,
+        created_at TEXT,
+        updated_at TEXT,
+        is_deleted INTEGER DEFAULT 0,
+        sync_status TEXT DEFAULT 'pending',
+        server_id TEXT,
+        last_synced_at TEXT
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE shares (
+        id TEXT PRIMARY KEY,
+        resource_type TEXT NOT NULL,
+        resource_id TEXT NOT NULL,
+        invited_by TEXT NOT NULL,
+        user_id TEXT,
+        email TEXT NOT NULL COLLATE NOCASE,
+        role TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        invite_token TEXT UNIQUE,
+        created_at TEXT,
+        accepted_at TEXT,
+        UNIQUE (resource_type, resource_id, email)
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE task_revisions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        task_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        source TEXT NOT NULL,
+        operation TEXT NOT NULL,
+        changes TEXT NOT NULL,
+        snapshot TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE idempotency_keys (
+        user_id TEXT NOT NULL,
+        key TEXT NOT NULL,
+        request_hash TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'processing',
+        status_code INTEGER,
+        response TEXT,
+        created_at TEXT NOT NULL,
+        PRIMARY KEY (user_id, key)
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE sync_change_receipts (
+        user_id TEXT NOT NULL,
+        change_id TEXT NOT NULL,
+        result TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        PRIMARY KEY (user_id, change_id)
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE devices (
+        id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        name TEXT,
+        platform TEXT,
+        last_seen TEXT NOT NULL,
+        last_cursor TEXT,
+        last_seq INTEGER,
+        created_at TEXT NOT NULL,
+        revoked_at TEXT,
+        PRIMARY KEY (user_id, id)
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE sync_conflicts (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        entity_type TEXT NOT NULL DEFAULT 'task',
+        entity_id TEXT NOT NULL,
+        operation TEXT NOT NULL,
+        local_data TEXT NOT NULL,
+        server_data TEXT NOT NULL,
+        change_id TEXT,
+        status TEXT NOT NULL DEFAULT 'open',
+        resolution TEXT,
+        resolved_data TEXT,
+        created_at TEXT NOT NULL,
+        resolved_at TEXT
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE task_descriptions (
+        task_id TEXT PRIMARY KEY,
+        elements TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE tags (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        name TEXT NOT NULL COLLATE NOCASE,
+        created_at TEXT,
+        UNIQUE (user_id, name)
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE task_tags (
+        task_id TEXT NOT NULL,
+        tag_id TEXT NOT NULL,
+        PRIMARY KEY (task_id, tag_id)
       )
     `);
     await runQuery(`
@@ -66,6 +204,8 @@ describe('Challenge Constraints Implementation', () => {
         processed INTEGER,
         failed INTEGER,
         status TEXT,
+        conflict_strategy TEXT,
+        conflict_field_strategies TEXT,
         created_at TEXT
       )
     `);
@@ -79,7 +219,10 @@ describe('Challenge Constraints Implementation', () => {
         retry_count INTEGER NOT NULL DEFAULT 3,
         error_message TEXT,
         original_created_at TEXT NOT NULL,
-        failed_at TEXT NOT NULL
+        failed_at TEXT NOT NULL,
+        entity_type TEXT NOT NULL DEFAULT 'task',
+        change_id TEXT,
+        error_history TEXT
       )
     `);
 
@@ -1,12 +1,17 @@
 import { describe, it, expect, beforeEach, afterEach } from 'vitest';
 import request from 'supertest';
 import express from 'express';
-import { runQuery, getQuery, allQuery, close } from '../src/db/db.js';
+import { runQuery, getQuery, allQuery, close, SYNC_CHANGES_SCHEMA } from '../src/db/db.js';
 import authRoutes from '../src/routes/userAuth.js';
 import syncRoutes from '../src/routes/sync.js';
 import taskRoutes from '../src/routes/tasks.js';
+import deviceRoutes from '../src/routes/devices.js';
+import { generateBatchChecksum } from '../src/services/syncService.js';
 import bcrypt from 'bcryptjs';
 import { v4 as uuidv4 } from 'uuid';
+import http from 'http';
+import WebSocket from 'ws';
+import { attachSyncSocket } from '../src/routes/syncSocket.js';
 
 // Setup Express app for testing
 const app = express();
@@ -14,6 +19,54 @@ app.use(express.json());
 app.use('/api/auth', authRoutes);
 app.use('/api/sync', syncRoutes);
 app.use('/api/tasks', taskRoutes);
+app.use('/api/devices', deviceRoutes);
+
+// Open GET /api/sync/stream on a running server, collecting what arrives in `buffer`
+const openStream = (server, headers) => new Promise((resolve, reject) => {
+  const req = http.get({ port: server.address().port, path: '/api/sync/stream', headers }, (res) => {
+    const stream = { res, buffer: '', close: () => req.destroy() };
+    res.setEncoding('utf8');
+    res.on('data', (chunk) => {
+      stream.buffer += chunk;
+    });
+    resolve(stream);
+  });
+  req.on('error', reject);
+});
+
+const parseEvents = (buffer) => buffer.split('\n\n')
+  .filter((block) => block.startsWith('id: '))
+  .map((block) => {
+    const fields = Object.fromEntries(block.split('\n').map((line) => {
+      const separator = line.indexOf(': ');
+      return [line.slice(0, separator), line.slice(separator + 2)];
+    }));
+    return { id: fields.id, event: fields.event, data: JSON.parse(fields.data) };
+  });
+
+// Connect to the sync WebSocket of a running server, collecting the messages received
+const connectSocket = (server, query) => new Promise((resolve, reject) => {
+  const params = new URLSearchParams(query);
+  const ws = new WebSocket(`ws://localhost:${server.address().port}/api/sync/ws?${params}`);
+  const messages = [];
+  ws.on('message', (raw) => messages.push(JSON.parse(raw.toString())));
+  ws.once('open', () => resolve({ ws, messages }));
+  ws.once('error', reject);
+  ws.once('unexpected-response', (req, res) => {
+    req.destroy();
+    reject(new Error(`Unexpected response ${res.statusCode}`));
+  });
+});
+
+const waitFor = async (check) => {
+  for (let i = 0; i < 100; i++) {
+    if (check()) {
+      return;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  throw new Error('Timed out waiting for stream data');
+};
 
 describe('Integration Tests', () => {
   beforeEach(async () => {
@@ -26,6 +79,9 @@ describe('Integration Tests', () => {
         password TEXT NOT NULL,
         reset_token TEXT,
         reset_token_expires TEXT,
+        time_zone TEXT NOT NULL DEFAULT 'UTC',
+        conflict_strategy TEXT,
+        conflict_field_strategies TEXT,
         created_at TEXT DEFAULT CURRENT_TIMESTAMP
       )
     `);
@@ -41,7 +97,15 @@ describe('Integration Tests', () => {
         is_deleted INTEGER DEFAULT 0,
         sync_status TEXT DEFAULT 'pending',
         server_id TEXT,
-        last_synced_at TEXT
+        last_synced_at TEXT,
+        due_at TEXT,
+        priority TEXT NOT NULL DEFAULT 'none',
+        rrule TEXT,
+        series_id TEXT,
+        parent_id TEXT,
+        project_id TEXT,
+        deleted_at TEXT,
+        hlc TEXT
       )
     `);
     await runQuery(`
@@ -54,7 +118,150 @@ describe('Integration Tests', () => {
         retry_count INTEGER DEFAULT 0,
         error_message TEXT,
         created_at TEXT,
-        operation_timestamp TEXT
+        operation_timestamp TEXT,
+        entity_type TEXT NOT NULL DEFAULT 'task',
+        hlc TEXT,
+        change_id TEXT,
+        error_history TEXT,
+        next_attempt_at TEXT,
+        locked_by TEXT,
+        locked_until TEXT,
+        source TEXT
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE projects (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        color TEXT,
+        archived INTEGER DEFAULT 0,
+        position INTEGER DEFAULT 0,
+        created_at TEXT,
+        updated_at TEXT,
+        is_deleted INTEGER DEFAULT 0,
+        sync_status TEXT DEFAULT 'pending',
+        server_id TEXT,
+        last_synced_at TEXT
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE shares (
+        id TEXT PRIMARY KEY,
+        resource_type TEXT NOT NULL,
+        resource_id TEXT NOT NULL,
+        invited_by TEXT NOT NULL,
+        user_id TEXT,
+        email TEXT NOT NULL COLLATE NOCASE,
+        role TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        invite_token TEXT UNIQUE,
+        created_at TEXT,
+        accepted_at TEXT,
+        UNIQUE (resource_type, resource_id, email)
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE task_revisions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        task_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        source TEXT NOT NULL,
+        operation TEXT NOT NULL,
+        changes TEXT NOT NULL,
+        snapshot TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE idempotency_keys (
+        user_id TEXT NOT NULL,
+        key TEXT NOT NULL,
+        request_hash TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'processing',
+        status_code INTEGER,
+        response TEXT,
+        created_at TEXT NOT NULL,
+        PRIMARY KEY (user_id, key)
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE sync_change_receipts (
+        user_id TEXT NOT NULL,
+        change_id TEXT NOT NULL,
+        result TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        PRIMARY KEY (user_id, change_id)
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE dead_letter_queue (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        task_id TEXT NOT NULL,
+        operation TEXT NOT NULL,
+        data TEXT NOT NULL,
+        retry_count INTEGER NOT NULL DEFAULT 3,
+        error_message TEXT,
+        original_created_at TEXT NOT NULL,
+        failed_at TEXT NOT NULL,
+        entity_type TEXT NOT NULL DEFAULT 'task',
+        change_id TEXT,
+        error_history TEXT
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE devices (
+        id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        name TEXT,
+        platform TEXT,
+        last_seen TEXT NOT NULL,
+        last_cursor TEXT,
+        last_seq INTEGER,
+        created_at TEXT NOT NULL,
+        revoked_at TEXT,
+        PRIMARY KEY (user_id, id)
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE sync_conflicts (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        entity_type TEXT NOT NULL DEFAULT 'task',
+        entity_id TEXT NOT NULL,
+        operation TEXT NOT NULL,
+        local_data TEXT NOT NULL,
+        server_data TEXT NOT NULL,
+        change_id TEXT,
+        status TEXT NOT NULL DEFAULT 'open',
+        resolution TEXT,
+        resolved_data TEXT,
+        created_at TEXT NOT NULL,
+        resolved_at TEXT
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE task_descriptions (
+        task_id TEXT PRIMARY KEY,
+        elements TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE tags (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        name TEXT NOT NULL COLLATE NOCASE,
+        created_at TEXT,
+        UNIQUE (user_id, name)
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE task_tags (
+        task_id TEXT NOT NULL,
+        tag_id TEXT NOT NULL,
+        PRIMARY KEY (task_id, tag_id)
       )
     `);
     await runQuery(`
@@ -65,9 +272,14 @@ describe('Integration Tests', () => {
         processed INTEGER,
         failed INTEGER,
         status TEXT,
+        conflict_strategy TEXT,
+        conflict_field_strategies TEXT,
         created_at TEXT
       )
     `);
+    for (const sql of SYNC_CHANGES_SCHEMA) {
+      await runQuery(sql);
+    }
 
     // Create test user
     const salt = await bcrypt.genSalt(10);
@@ -134,6 +346,7 @@ describe('Integration Tests', () => {
       const syncRes = await request(app)
         .post('/api/sync')
         .set('Authorization', `Bearer ${token}`)
+        .set('X-Device-Id', 'test-device')
         .send({ changes: [], last_synced_at: '2025-09-03T00:00:00Z' });
       expect(syncRes.status).toBe(200);
       expect(syncRes.body.status).toBe('completed');
@@ -187,6 +400,7 @@ describe('Integration Tests', () => {
       const syncRes = await request(app)
         .post('/api/sync')
         .set('Authorization', `Bearer ${token}`)
+        .set('X-Device-Id', 'test-device')
         .send({ changes: [], last_synced_at: '2025-09-03T00:00:00Z' });
       expect(syncRes.status).toBe(200);
       expect(syncRes.body.status).toBe('completed');
@@ -223,6 +437,7 @@ describe('Integration Tests', () => {
       const syncRes1 = await request(app)
         .post('/api/sync')
         .set('Authorization', `Bearer ${token}`)
+        .set('X-Device-Id', 'test-device')
         .send({ changes: [], last_synced_at: '2025-09-03T00:00:00Z' });
       expect(syncRes1.status).toBe(200);
       expect(syncRes1.body.status).toBe('completed');
@@ -236,6 +451,7 @@ describe('Integration Tests', () => {
       const syncRes2 = await request(app)
         .post('/api/sync')
         .set('Authorization', `Bearer ${token}`)
+        .set('X-Device-Id', 'test-device')
         .send({ changes: [], last_synced_at: '2025-09-03T00:00:00Z' });
       expect(syncRes2.status).toBe(200);
       expect(syncRes2.body.status).toBe('completed');
@@ -247,6 +463,722 @@ describe('Integration Tests', () => {
     });
   });
 
+  describe('Idempotent Sync', () => {
+    it('should replay the stored response when a sync is retried with the same Idempotency-Key', async () => {
+      const loginRes = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' });
+      const token = loginRes.body.token;
+      const userId = loginRes.body.id;
+      const body = {
+        changes: [{ operation: 'create', local_id: 'phone-task-1', data: { title: 'Created offline' } }],
+        last_synced_at: '2025-09-03T00:00:00Z',
+      };
+
+      const first = await request(app)
+        .post('/api/sync')
+        .set('Authorization', `Bearer ${token}`)
+        .set('X-Device-Id', 'test-device')
+        .set('Idempotency-Key', 'sync-attempt-1')
+        .send(body);
+      expect(first.status).toBe(200);
+      expect(first.body.mappings.length).toBe(1);
+
+      // The client timed out and retries the same request
+      const retry = await request(app)
+        .post('/api/sync')
+        .set('Authorization', `Bearer ${token}`)
+        .set('X-Device-Id', 'test-device')
+        .set('Idempotency-Key', 'sync-attempt-1')
+        .send(body);
+      expect(retry.status).toBe(200);
+      expect(retry.headers['idempotent-replayed']).toBe('true');
+      expect(retry.body).toEqual(first.body);
+
+      const tasks = await allQuery('SELECT * FROM tasks WHERE user_id = ?', [userId]);
+      expect(tasks.length).toBe(1);
+
+      // Reusing the key for a different request is rejected
+      const reused = await request(app)
+        .post('/api/sync')
+        .set('Authorization', `Bearer ${token}`)
+        .set('X-Device-Id', 'test-device')
+        .set('Idempotency-Key', 'sync-attempt-1')
+        .send({ ...body, changes: [] });
+      expect(reused.status).toBe(422);
+    });
+  });
+
+  describe('Batch Sync', () => {
+    const login = async () => {
+      const loginRes = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' });
+      return loginRes.body;
+    };
+
+    it('should apply a checksummed batch and report each item', async () => {
+      const { token, id: userId } = await login();
+      const existing = await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Existing' });
+      const items = [
+        { id: 'q1', task_id: 'phone-task-1', operation: 'create', data: { title: 'Created offline' } },
+        { id: 'q2', task_id: existing.body.id, operation: 'update', data: { completed: true } },
+      ];
+
+      const res = await request(app)
+        .post('/api/sync/batch')
+        .set('Authorization', `Bearer ${token}`)
+        .set('X-Device-Id', 'test-device')
+        .send({ items, checksum: generateBatchChecksum(items) });
+
+      expect(res.status).toBe(200);
+      expect(res.body.processed).toBe(2);
+      const [created, updated] = res.body.processed_items;
+      expect(created).toMatchObject({ id: 'q1', client_id: 'phone-task-1', status: 'success' });
+      expect(created.server_id).not.toBe('phone-task-1');
+      expect(created.resolved_data).toMatchObject({ id: created.server_id, title: 'Created offline', user_id: userId });
+      expect(updated).toMatchObject({ server_id: existing.body.id, status: 'success', conflict: null });
+      expect(updated.resolved_data.completed).toBe(1);
+    });
+
+    it('should reject a tampered batch without writing anything', async () => {
+      const { token, id: userId } = await login();
+      const items = [{ id: 'q1', task_id: 'phone-task-1', operation: 'create', data: { title: 'Original' } }];
+      const checksum = generateBatchChecksum(items);
+      items[0].data.title = 'Tampered';
+
+      const res = await request(app)
+        .post('/api/sync/batch')
+        .set('Authorization', `Bearer ${token}`)
+        .set('X-Device-Id', 'test-device')
+        .send({ items, checksum });
+
+      expect(res.status).toBe(422);
+      expect(await allQuery('SELECT * FROM tasks WHERE user_id = ?', [userId])).toEqual([]);
+      expect(await allQuery('SELECT * FROM sync_queue WHERE user_id = ?', [userId])).toEqual([]);
+    });
+
+    it('should reject a batch whose entity or base was changed', async () => {
+      const { token } = await login();
+      const items = [{ id: 'q1', task_id: 'phone-1', operation: 'update', data: {} }];
+      const checksum = generateBatchChecksum(items);
+
+      for (const tampered of [{ ...items[0], entity: 'project' }, { ...items[0], base: { title: 'Other' } }]) {
+        const res = await request(app)
+          .post('/api/sync/batch')
+          .set('Authorization', `Bearer ${token}`)
+          .set('X-Device-Id', 'test-device')
+          .send({ items: [tampered], checksum });
+        expect(res.status).toBe(422);
+      }
+    });
+  });
+
+  describe('Change Stream', () => {
+    let server;
+
+    beforeEach(async () => {
+      server = app.listen(0);
+    });
+
+    afterEach(() => new Promise((resolve) => {
+      server.closeAllConnections();
+      server.close(resolve);
+    }));
+
+    it('should push task changes as they happen and resume from Last-Event-ID', async () => {
+      const loginRes = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' });
+      const auth = { Authorization: `Bearer ${loginRes.body.token}`, 'X-Device-Id': 'test-device' };
+
+      const stream = await openStream(server, auth);
+      expect(stream.res.headers['content-type']).toBe('text/event-stream');
+      await waitFor(() => stream.buffer.includes(': connected'));
+
+      const created = await request(app).post('/api/tasks').set(auth).send({ title: 'Live' });
+      await waitFor(() => parseEvents(stream.buffer).length === 1);
+      await request(app).put(`/api/tasks/${created.body.id}`).set(auth).send({ title: 'Renamed' });
+      await waitFor(() => parseEvents(stream.buffer).length === 2);
+      stream.close();
+
+      const events = parseEvents(stream.buffer);
+      expect(events.map((e) => e.event)).toEqual(['task.created', 'task.updated']);
+      expect(events[0].data.id).toBe(created.body.id);
+      expect(events[1].data.data.title).toBe('Renamed');
+
+      // Deleted while disconnected: replayed on reconnect
+      await request(app).delete(`/api/tasks/${created.body.id}`).set(auth);
+      const resumed = await openStream(server, { ...auth, 'Last-Event-ID': events[1].id });
+      await waitFor(() => parseEvents(resumed.buffer).length === 1);
+      resumed.close();
+      const [deleted] = parseEvents(resumed.buffer);
+      expect(deleted.event).toBe('task.deleted');
+      expect(deleted.data.id).toBe(created.body.id);
+    });
+
+    it('should reject an invalid Last-Event-ID', async () => {
+      const loginRes = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' });
+
+      const res = await request(app)
+        .get('/api/sync/stream')
+        .set('Authorization', `Bearer ${loginRes.body.token}`)
+        .set('X-Device-Id', 'test-device')
+        .set('Last-Event-ID', 'not-a-cursor');
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('WebSocket Sync', () => {
+    let server;
+
+    beforeEach(async () => {
+      server = app.listen(0);
+      attachSyncSocket(server);
+    });
+
+    afterEach(() => new Promise((resolve) => {
+      server.closeAllConnections();
+      server.close(resolve);
+    }));
+
+    it('should ack changes with server ids and push them to the user\'s other devices', async () => {
+      const loginRes = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' });
+      const { token } = loginRes.body;
+      const phone = await connectSocket(server, { token, device_id: 'phone' });
+      const laptop = await connectSocket(server, { token, device_id: 'laptop' });
+      await waitFor(() => phone.messages.some((m) => m.type === 'ready') && laptop.messages.some((m) => m.type === 'ready'));
+
+      const change = { operation: 'create', local_id: 'phone-1', change_id: 'c1', data: { title: 'From socket' } };
+      phone.ws.send(JSON.stringify({ type: 'changes', seq: 1, changes: [change] }));
+      await waitFor(() => phone.messages.some((m) => m.type === 'ack'));
+      const ack = phone.messages.find((m) => m.type === 'ack');
+      expect(ack.ack).toBe(1);
+      expect(ack.results).toEqual([{
+        change_id: 'c1', local_id: 'phone-1', server_id: expect.any(String), status: 'success', conflict: null, replayed: false,
+      }]);
+      const serverId = ack.results[0].server_id;
+
+      await waitFor(() => laptop.messages.some((m) => m.type === 'change'));
+      const pushed = laptop.messages.find((m) => m.type === 'change');
+      expect(pushed).toMatchObject({ entity: 'task', id: serverId, operation: 'upsert', data: { title: 'From socket' } });
+      // Server messages are numbered per connection
+      expect(laptop.messages.map((m) => m.seq)).toEqual(laptop.messages.map((_, i) => i + 1));
+
+      // A stale seq is rejected; the same change resent under a new seq is not applied twice
+      phone.ws.send(JSON.stringify({ type: 'changes', seq: 1, changes: [change] }));
+      phone.ws.send(JSON.stringify({ type: 'changes', seq: 2, changes: [change] }));
+      await waitFor(() => phone.messages.filter((m) => m.ack === 2).length === 1);
+      expect(phone.messages.find((m) => m.type === 'error').ack).toBe(1);
+      expect(phone.messages.find((m) => m.ack === 2).results[0]).toMatchObject({ server_id: serverId, replayed: true });
+      expect(await allQuery('SELECT id FROM tasks WHERE title = ?', ['From socket'])).toEqual([{ id: serverId }]);
+
+      // The laptop goes offline, then resumes after the last change it received
+      laptop.ws.close();
+      const update = { operation: 'update', local_id: serverId, server_id: serverId, data: { title: 'Renamed' } };
+      phone.ws.send(JSON.stringify({ type: 'changes', seq: 3, changes: [update] }));
+      await waitFor(() => phone.messages.some((m) => m.ack === 3));
+      const resumed = await connectSocket(server, { token, device_id: 'phone', cursor: pushed.cursor });
+      await waitFor(() => resumed.messages.some((m) => m.type === 'ready'));
+      expect(resumed.messages.map((m) => m.type)).toEqual(['change', 'ready']);
+      expect(resumed.messages[0].data.title).toBe('Renamed');
+
+      phone.ws.close();
+      resumed.ws.close();
+    });
+
+    it('should refuse connections without a valid token', async () => {
+      await expect(connectSocket(server, { token: 'not-a-token', device_id: 'phone' })).rejects.toThrow('Unexpected response 401');
+    });
+
+    it('should require a device id and record the cursors the device acknowledges', async () => {
+      const { token } = (await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' })).body;
+      await expect(connectSocket(server, { token })).rejects.toThrow('Unexpected response 400');
+
+      const phone = await connectSocket(server, { token, device_id: 'phone', device_platform: 'ios' });
+      await waitFor(() => phone.messages.some((message) => message.type === 'ready'));
+      const { cursor } = phone.messages.find((message) => message.type === 'ready');
+
+      phone.ws.send(JSON.stringify({ type: 'cursor', seq: 1, cursor }));
+      await waitFor(() => phone.messages.some((message) => message.type === 'ack'));
+      expect(phone.messages.find((message) => message.type === 'ack')).toMatchObject({ ack: 1 });
+
+      const [device] = (await request(app).get('/api/devices').set('Authorization', `Bearer ${token}`)).body;
+      expect(device).toMatchObject({ id: 'phone', platform: 'ios', last_cursor: cursor, in_sync: true });
+      phone.ws.close();
+    });
+  });
+
+  describe('Devices', () => {
+    let token;
+
+    beforeEach(async () => {
+      ({ token } = (await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' })).body);
+    });
+
+    it('should require a device id on sync calls', async () => {
+      const res = await request(app)
+        .post('/api/sync')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ changes: [], last_synced_at: '2025-09-03T00:00:00Z' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('X-Device-Id header is required');
+    });
+
+    it('should register devices and track how far each has pulled', async () => {
+      const auth = { Authorization: `Bearer ${token}` };
+      await request(app).post('/api/tasks').set(auth).send({ title: 'Synced everywhere?' });
+
+      const page = await request(app)
+        .get('/api/sync/changes')
+        .set({ ...auth, 'X-Device-Id': 'phone', 'X-Device-Name': 'My phone', 'X-Device-Platform': 'android' });
+      expect(page.status).toBe(200);
+      await request(app).get('/api/sync/changes').set({ ...auth, 'X-Device-Id': 'laptop' });
+
+      let devices = (await request(app).get('/api/devices').set(auth)).body;
+      expect(devices.map((device) => [device.id, device.pending_changes, device.in_sync]).sort()).toEqual([
+        ['laptop', 1, false],
+        ['phone', 1, false],
+      ]);
+      expect(devices.find((device) => device.id === 'phone')).toMatchObject({ name: 'My phone', platform: 'android' });
+
+      // Coming back with the cursor acknowledges everything before it
+      await request(app)
+        .get('/api/sync/changes')
+        .query({ cursor: page.body.next_cursor })
+        .set({ ...auth, 'X-Device-Id': 'phone' });
+      devices = (await request(app).get('/api/devices').set(auth)).body;
+      expect(devices[0]).toMatchObject({ id: 'phone', last_cursor: page.body.next_cursor, pending_changes: 0, in_sync: true });
+      expect((await request(app).get('/api/sync/status').set(auth)).body.all_devices_in_sync).toBe(false);
+
+      await request(app)
+        .get('/api/sync/changes')
+        .query({ cursor: page.body.next_cursor })
+        .set({ ...auth, 'X-Device-Id': 'laptop' });
+      expect((await request(app).get('/api/sync/status').set(auth)).body.all_devices_in_sync).toBe(true);
+    });
+
+    it('should refuse sync calls from a revoked device', async () => {
+      const auth = { Authorization: `Bearer ${token}`, 'X-Device-Id': 'lost-phone' };
+      await request(app).post('/api/sync').set(auth).send({ changes: [], last_synced_at: '2025-09-03T00:00:00Z' });
+
+      expect((await request(app).delete('/api/devices/lost-phone').set(auth)).status).toBe(204);
+      expect((await request(app).delete('/api/devices/lost-phone').set(auth)).status).toBe(404);
+      expect((await request(app).get('/api/devices').set(auth)).body).toEqual([]);
+
+      const res = await request(app).post('/api/sync').set(auth).send({ changes: [], last_synced_at: '2025-09-03T00:00:00Z' });
+      expect(res.status).toBe(403);
+      expect(res.body.error).toBe('Device has been revoked');
+    });
+  });
+
+  describe('Retry Backoff', () => {
+    it('should hold a failed change back until its retry is due and report it in the status', async () => {
+      const loginRes = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' });
+      const { token, id: userId } = loginRes.body;
+      const auth = { Authorization: `Bearer ${token}`, 'X-Device-Id': 'test-device' };
+
+      const bad = { operation: 'create', local_id: 'bad-task', data: { description: 'No title' } };
+      const before = Date.now();
+      await request(app).post('/api/sync').set(auth).send({ changes: [bad], last_synced_at: '2025-09-03T00:00:00Z' });
+
+      const [item] = await allQuery('SELECT * FROM sync_queue WHERE user_id = ?', [userId]);
+      expect(item.retry_count).toBe(1);
+      expect(Date.parse(item.next_attempt_at)).toBeGreaterThan(before);
+
+      // Not due yet: another sync leaves it alone
+      await request(app).post('/api/sync').set(auth).send({ changes: [], last_synced_at: '2025-09-03T00:00:00Z' });
+      expect((await getQuery('SELECT retry_count FROM sync_queue WHERE id = ?', [item.id])).retry_count).toBe(1);
+
+      const status = await request(app).get('/api/sync/status').set(auth);
+      expect(status.status).toBe(200);
+      expect(status.body.next_retry_at).toBe(item.next_attempt_at);
+      expect(status.body.retrying_items).toEqual([{
+        id: item.id,
+        task_id: item.task_id,
+        entity_type: 'task',
+        operation: 'create',
+        retry_count: 1,
+        next_attempt_at: item.next_attempt_at,
+        error_message: item.error_message,
+      }]);
+
+      // Once due, the next sync retries it
+      await runQuery('UPDATE sync_queue SET next_attempt_at = ? WHERE id = ?', [new Date(before - 1000).toISOString(), item.id]);
+      await request(app).post('/api/sync').set(auth).send({ changes: [], last_synced_at: '2025-09-03T00:00:00Z' });
+      expect((await getQuery('SELECT retry_count FROM sync_queue WHERE id = ?', [item.id])).retry_count).toBe(2);
+    });
+  });
+
+  describe('Dead Letters', () => {
+    it('should list, inspect, replay and discard dead letters', async () => {
+      const loginRes = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' });
+      const { token, id: userId } = loginRes.body;
+      const auth = { Authorization: `Bearer ${token}`, 'X-Device-Id': 'test-device' };
+
+      // A create without a title fails on every attempt and is dead-lettered after the third
+      // (each retry is made due immediately instead of waiting out its backoff)
+      const bad = { operation: 'create', local_id: 'bad-task', data: { description: 'No title' } };
+      await request(app).post('/api/sync').set(auth).send({ changes: [bad], last_synced_at: '2025-09-03T00:00:00Z' });
+      for (let i = 0; i < 2; i++) {
+        await runQuery('UPDATE sync_queue SET next_attempt_at = NULL WHERE user_id = ?', [userId]);
+        await request(app).post('/api/sync').set(auth).send({ changes: [], last_synced_at: '2025-09-03T00:00:00Z' });
+      }
+
+      const list = await request(app).get('/api/sync/dead-letters').set(auth);
+      expect(list.status).toBe(200);
+      expect(list.body.dead_letters.length).toBe(1);
+      expect(list.body.next_cursor).toBeNull();
+      const { id } = list.body.dead_letters[0];
+
+      const detail = await request(app).get(`/api/sync/dead-letters/${id}`).set(auth);
+      expect(detail.body.data.description).toBe('No title');
+      expect(detail.body.error_history.map((e) => e.attempt)).toEqual([1, 2, 3]);
+
+      const replay = await request(app).post(`/api/sync/dead-letters/${id}/replay`).set(auth);
+      expect(replay.status).toBe(200);
+      const queued = await allQuery('SELECT * FROM sync_queue WHERE user_id = ?', [userId]);
+      expect(queued.map((q) => [q.id, q.retry_count])).toEqual([[replay.body.queue_id, 0]]);
+      expect(JSON.parse(queued[0].error_history).length).toBe(3);
+      expect((await request(app).get('/api/sync/dead-letters').set(auth)).body.dead_letters).toEqual([]);
+
+      expect((await request(app).delete(`/api/sync/dead-letters/${id}`).set(auth)).status).toBe(404);
+    });
+
+    it('should replay all dead letters matching the filters', async () => {
+      const loginRes = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' });
+      const { token, id: userId } = loginRes.body;
+      const now = new Date().toISOString();
+      for (const operation of ['create', 'update', 'update']) {
+        await runQuery(
+          `INSERT INTO dead_letter_queue (id, user_id, task_id, operation, data, retry_count, error_message, original_created_at, failed_at)
+           VALUES (?, ?, ?, ?, ?, 3, 'Sync failed', ?, ?)`,
+          [uuidv4(), userId, uuidv4(), operation, '{"title":"Failed"}', now, now]
+        );
+      }
+
+      const res = await request(app)
+        .post('/api/sync/dead-letters/replay-all')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ operation: 'update' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.replayed).toBe(2);
+      const remaining = await allQuery('SELECT operation FROM dead_letter_queue WHERE user_id = ?', [userId]);
+      expect(remaining).toEqual([{ operation: 'create' }]);
+    });
+  });
+
+  describe('Sync Conflicts', () => {
+    let auth;
+
+    // Sync an edit made offline long ago, which loses to the current server version
+    const syncStaleEdit = async (taskId, title) => {
+      const res = await request(app).post('/api/sync').set(auth).send({
+        changes: [{ operation: 'update', local_id: taskId, server_id: taskId, data: { title, updated_at: '2020-01-01T00:00:00Z' } }],
+        last_synced_at: '2025-09-03T00:00:00Z',
+      });
+      return res.body.conflicts[0];
+    };
+
+    beforeEach(async () => {
+      const { token } = (await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' })).body;
+      auth = { Authorization: `Bearer ${token}`, 'X-Device-Id': 'test-device' };
+    });
+
+    it('should keep losing changes until the user resolves them', async () => {
+      const task = (await request(app).post('/api/tasks').set(auth).send({ title: 'Server title' })).body;
+      const conflict = await syncStaleEdit(task.id, 'Offline title');
+      expect(conflict.conflict_id).toBeDefined();
+
+      const list = await request(app).get('/api/sync/conflicts').set(auth);
+      expect(list.status).toBe(200);
+      expect(list.body.conflicts).toHaveLength(1);
+      expect(list.body.conflicts[0]).toMatchObject({
+        id: conflict.conflict_id,
+        entity_type: 'task',
+        entity_id: task.id,
+        operation: 'update',
+        local_data: { title: 'Offline title' },
+        server_data: { title: 'Server title' },
+        status: 'open',
+      });
+
+      const invalid = await request(app).post(`/api/sync/conflicts/${conflict.conflict_id}/resolve`).set(auth).send({ resolution: 'merged' });
+      expect(invalid.status).toBe(400);
+
+      const resolved = await request(app)
+        .post(`/api/sync/conflicts/${conflict.conflict_id}/resolve`)
+        .set(auth)
+        .send({ resolution: 'keep-local' });
+      expect(resolved.status).toBe(200);
+      expect(resolved.body).toMatchObject({ status: 'resolved', resolution: 'keep-local', result: { status: 'success' } });
+      expect(resolved.body.current_data.title).toBe('Offline title');
+      expect((await getQuery('SELECT title FROM tasks WHERE id = ?', [task.id])).title).toBe('Offline title');
+
+      const again = await request(app)
+        .post(`/api/sync/conflicts/${conflict.conflict_id}/resolve`)
+        .set(auth)
+        .send({ resolution: 'keep-server' });
+      expect(again.status).toBe(409);
+      expect((await request(app).get('/api/sync/conflicts').set(auth)).body.conflicts).toEqual([]);
+      expect((await request(app).get('/api/sync/conflicts?status=resolved').set(auth)).body.conflicts).toHaveLength(1);
+    });
+
+    it('should apply a merged payload or keep the server version', async () => {
+      const task = (await request(app).post('/api/tasks').set(auth).send({ title: 'Server title' })).body;
+      const first = await syncStaleEdit(task.id, 'Offline title');
+      const second = await syncStaleEdit(task.id, 'Other offline title');
+
+      const merged = await request(app)
+        .post(`/api/sync/conflicts/${first.conflict_id}/resolve`)
+        .set(auth)
+        .send({ resolution: 'merged', data: { title: 'Server and offline title', completed: true } });
+      expect(merged.status).toBe(200);
+      expect(merged.body.resolved_data).toEqual({ title: 'Server and offline title', completed: true });
+      expect(merged.body.current_data).toMatchObject({ title: 'Server and offline title', completed: 1 });
+
+      const kept = await request(app)
+        .post(`/api/sync/conflicts/${second.conflict_id}/resolve`)
+        .set(auth)
+        .send({ resolution: 'keep-server' });
+      expect(kept.status).toBe(200);
+      expect(kept.body.result).toBeNull();
+      expect(kept.body.current_data.title).toBe('Server and offline title');
+
+      const missing = await request(app).post('/api/sync/conflicts/nope/resolve').set(auth).send({ resolution: 'keep-server' });
+      expect(missing.status).toBe(404);
+    });
+
+    it('should keep fields that lost a three-way merge to the server', async () => {
+      const task = (await request(app).post('/api/tasks').set(auth).send({ title: 'Base title' })).body;
+      // Another device renamed it since this client last synced
+      await runQuery('UPDATE tasks SET title = ? WHERE id = ?', ['Server title', task.id]);
+
+      const res = await request(app).post('/api/sync').set(auth).send({
+        changes: [{
+          operation: 'update',
+          local_id: task.id,
+          server_id: task.id,
+          data: { title: 'Offline title', priority: 'high', updated_at: '2020-01-01T00:00:00Z' },
+          base: { title: 'Base title', priority: 'none' },
+        }],
+        last_synced_at: '2025-09-03T00:00:00Z',
+      });
+      const [conflict] = res.body.conflicts;
+      expect(conflict.fields.title.resolution).toBe('server_wins');
+      expect(conflict.conflict_id).toBeDefined();
+
+      const list = await request(app).get('/api/sync/conflicts').set(auth);
+      expect(list.body.conflicts).toHaveLength(1);
+      expect(list.body.conflicts[0]).toMatchObject({
+        id: conflict.conflict_id,
+        entity_id: task.id,
+        local_data: { title: 'Offline title' },
+        server_data: { title: 'Server title' },
+      });
+      expect(list.body.conflicts[0].local_data.priority).toBeUndefined();
+      expect((await getQuery('SELECT title, priority FROM tasks WHERE id = ?', [task.id]))).toEqual({ title: 'Server title', priority: 'high' });
+    });
+  });
+
+  describe('Conflict Strategies', () => {
+    let auth;
+
+    // Sync a change made offline long ago, older than the current server version
+    const syncStaleChange = async (taskId, data) => {
+      const res = await request(app).post('/api/sync').set(auth).send({
+        changes: [{ operation: 'update', local_id: taskId, server_id: taskId, data: { ...data, updated_at: '2020-01-01T00:00:00Z' } }],
+        last_synced_at: '2025-09-03T00:00:00Z',
+      });
+      return res.body.conflicts[0];
+    };
+
+    beforeEach(async () => {
+      const { token } = (await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' })).body;
+      auth = { Authorization: `Bearer ${token}`, 'X-Device-Id': 'test-device' };
+    });
+
+    it('should let the user pick a strategy and record it in sync logs', async () => {
+      const current = await request(app).get('/api/sync/conflict-strategy').set(auth);
+      expect(current.status).toBe(200);
+      expect(current.body).toMatchObject({ strategy: 'last-write-wins', fields: {} });
+      expect(current.body.available).toEqual(expect.arrayContaining([
+        'server-wins', 'client-wins', 'last-write-wins', 'delete-wins', 'completed-sticky', 'manual',
+      ]));
+
+      const unknown = await request(app).put('/api/sync/conflict-strategy').set(auth).send({ strategy: 'coin-flip' });
+      expect(unknown.status).toBe(400);
+      const badField = await request(app).put('/api/sync/conflict-strategy').set(auth).send({ fields: { user_id: 'server-wins' } });
+      expect(badField.status).toBe(400);
+
+      const updated = await request(app).put('/api/sync/conflict-strategy').set(auth).send({ strategy: 'client-wins' });
+      expect(updated.body).toEqual({ strategy: 'client-wins', fields: {} });
+
+      const task = (await request(app).post('/api/tasks').set(auth).send({ title: 'Server title' })).body;
+      expect(await syncStaleChange(task.id, { title: 'Offline title' })).toBeUndefined();
+      expect((await getQuery('SELECT title FROM tasks WHERE id = ?', [task.id])).title).toBe('Offline title');
+
+      const log = await getQuery('SELECT conflict_strategy FROM sync_logs ORDER BY created_at DESC LIMIT 1');
+      expect(log.conflict_strategy).toBe('client-wins');
+    });
+
+    it('should apply per-field overrides and keep the fields that lost', async () => {
+      await request(app).put('/api/sync/conflict-strategy').set(auth)
+        .send({ strategy: 'client-wins', fields: { completed: 'completed-sticky' } });
+      const task = (await request(app).post('/api/tasks').set(auth).send({ title: 'Server title' })).body;
+      await runQuery('UPDATE tasks SET completed = 1 WHERE id = ?', [task.id]);
+
+      const conflict = await syncStaleChange(task.id, { title: 'Offline title', completed: false });
+      expect(conflict).toMatchObject({
+        task_id: task.id,
+        resolution: 'merged',
+        fields: { completed: { local: false, server: 1, resolution: 'server_wins' } },
+      });
+      const stored = await getQuery('SELECT title, completed FROM tasks WHERE id = ?', [task.id]);
+      expect(stored).toEqual({ title: 'Offline title', completed: 1 });
+
+      const list = (await request(app).get('/api/sync/conflicts').set(auth)).body.conflicts;
+      expect(list).toHaveLength(1);
+      expect(list[0]).toMatchObject({ id: conflict.conflict_id, local_data: { completed: false } });
+
+      const log = await getQuery('SELECT conflict_field_strategies FROM sync_logs ORDER BY created_at DESC LIMIT 1');
+      expect(JSON.parse(log.conflict_field_strategies)).toEqual({ completed: 'completed-sticky' });
+    });
+
+    it('should leave conflicts to the user under the manual strategy', async () => {
+      await request(app).put('/api/sync/conflict-strategy').set(auth).send({ strategy: 'manual' });
+      const task = (await request(app).post('/api/tasks').set(auth).send({ title: 'Server title' })).body;
+
+      const conflict = await syncStaleChange(task.id, { title: 'Offline title' });
+      expect(conflict).toMatchObject({ local_id: task.id, resolution: 'manual' });
+      expect(conflict.conflict_id).toBeDefined();
+      expect((await getQuery('SELECT title FROM tasks WHERE id = ?', [task.id])).title).toBe('Server title');
+
+      const resolved = await request(app)
+        .post(`/api/sync/conflicts/${conflict.conflict_id}/resolve`)
+        .set(auth)
+        .send({ resolution: 'keep-local' });
+      expect(resolved.body.current_data.title).toBe('Offline title');
+    });
+  });
+
+  describe('Collaborative Descriptions', () => {
+    let auth;
+
+    const syncDescriptionOps = async (taskId, ops, updatedAt) => {
+      const res = await request(app).post('/api/sync').set(auth).send({
+        changes: [{ operation: 'update', local_id: taskId, server_id: taskId, data: { description_ops: ops, updated_at: updatedAt } }],
+        last_synced_at: '2025-09-03T00:00:00Z',
+      });
+      return res.body;
+    };
+
+    beforeEach(async () => {
+      const { token } = (await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' })).body;
+      auth = { Authorization: `Bearer ${token}`, 'X-Device-Id': 'test-device' };
+    });
+
+    it('should merge concurrent description edits from two devices', async () => {
+      const task = (await request(app).post('/api/tasks').set(auth).send({ title: 'Shopping', description: 'Buy milk' })).body;
+      const document = await request(app).get(`/api/tasks/${task.id}/description`).set(auth);
+      expect(document.status).toBe(200);
+      expect(document.body.description).toBe('Buy milk');
+      const ids = document.body.elements.map((element) => element.id);
+      expect(ids).toHaveLength(8);
+
+      // Both devices edited the same version: one inserts after "Buy", the other appends and
+      // drops the capital letter. The second change is older but its edits still apply.
+      await syncDescriptionOps(task.id, [{ type: 'insert', id: '100@phone', after: ids[2], value: ' oat' }], new Date().toISOString());
+      const result = await syncDescriptionOps(task.id, [
+        { type: 'insert', id: '100@laptop', after: ids[7], value: ' and eggs' },
+        { type: 'delete', id: ids[0] },
+        { type: 'insert', id: '200@laptop', after: null, value: 'b' },
+      ], '2020-01-01T00:00:00Z');
+      expect(result.conflicts).toEqual([]);
+
+      const stored = await getQuery('SELECT description FROM tasks WHERE id = ?', [task.id]);
+      expect(stored.description).toBe('buy oat milk and eggs');
+      expect((await request(app).get(`/api/tasks/${task.id}`).set(auth)).body.description).toBe('buy oat milk and eggs');
+
+      // Replayed operations change nothing
+      await syncDescriptionOps(task.id, [{ type: 'insert', id: '100@phone', after: ids[2], value: ' oat' }], new Date().toISOString());
+      expect((await getQuery('SELECT description FROM tasks WHERE id = ?', [task.id])).description).toBe('buy oat milk and eggs');
+    });
+
+    it('should fold plain description writes into the document and reject unknown elements', async () => {
+      const task = (await request(app).post('/api/tasks').set(auth).send({ title: 'Notes', description: 'abc' })).body;
+      const ids = (await request(app).get(`/api/tasks/${task.id}/description`).set(auth)).body.elements.map((element) => element.id);
+
+      // An older client replaces the text; a CRDT client then edits the version it had seen
+      await request(app).put(`/api/tasks/${task.id}`).set(auth).send({ description: 'abcd' });
+      await syncDescriptionOps(task.id, [{ type: 'insert', id: '50@phone', after: ids[0], value: 'X' }], new Date().toISOString());
+      expect((await getQuery('SELECT description FROM tasks WHERE id = ?', [task.id])).description).toBe('aXbcd');
+
+      await syncDescriptionOps(task.id, [{ type: 'delete', id: '999@nowhere' }], new Date().toISOString());
+      const failed = await getQuery('SELECT error_message FROM sync_queue WHERE task_id = ? AND retry_count > 0', [task.id]);
+      expect(failed.error_message).toContain('Unknown description element');
+      expect((await getQuery('SELECT description FROM tasks WHERE id = ?', [task.id])).description).toBe('aXbcd');
+
+      const both = await request(app).post('/api/sync').set(auth).send({
+        changes: [{ operation: 'update', local_id: task.id, data: { description: 'x', description_ops: [{ type: 'delete', id: ids[0] }] } }],
+        last_synced_at: '2025-09-03T00:00:00Z',
+      });
+      expect(both.status).toBe(400);
+    });
+
+    it('should reject oversized inserts and drop tombstones every device has pulled', async () => {
+      const task = (await request(app).post('/api/tasks').set(auth).send({ title: 'Notes', description: 'abc' })).body;
+      const ids = (await request(app).get(`/api/tasks/${task.id}/description`).set(auth)).body.elements.map((element) => element.id);
+
+      const oversized = await request(app).post('/api/sync').set(auth).send({
+        changes: [{ operation: 'update', local_id: task.id, data: { description_ops: [
+          { type: 'insert', id: '100@phone', after: null, value: 'x'.repeat(600) },
+          { type: 'insert', id: '700@phone', after: null, value: 'y'.repeat(600) },
+        ] } }],
+        last_synced_at: '2025-09-03T00:00:00Z',
+      });
+      expect(oversized.status).toBe(400);
+
+      await syncDescriptionOps(task.id, [{ type: 'delete', id: ids[0] }], new Date().toISOString());
+      await syncDescriptionOps(task.id, [{ type: 'insert', id: '100@phone', after: ids[2], value: 'd' }], new Date().toISOString());
+      const kept = (await request(app).get(`/api/tasks/${task.id}/description`).set(auth)).body.elements;
+      expect(kept.filter((element) => element.deleted).map((element) => element.id)).toEqual([ids[0]]);
+
+      // Once the device has pulled the deletion the tombstone goes on the next write
+      await runQuery("UPDATE devices SET last_seq = (SELECT MAX(seq) FROM sync_changes) WHERE id = 'test-device'");
+      await syncDescriptionOps(task.id, [{ type: 'insert', id: '101@phone', after: '100@phone', value: 'e' }], new Date().toISOString());
+      const compacted = (await request(app).get(`/api/tasks/${task.id}/description`).set(auth)).body;
+      expect(compacted.description).toBe('bcde');
+      expect(compacted.elements.map((element) => element.id)).toEqual([ids[1], ids[2], '100@phone', '101@phone']);
+    });
+  });
+
   describe('Authentication & Authorization', () => {
     it('should handle user login and JWT authorization', async () => {
       // Login
@@ -261,6 +1193,7 @@ describe('Integration Tests', () => {
       const syncRes = await request(app)
         .post('/api/sync')
         .set('Authorization', `Bearer ${token}`)
+        .set('X-Device-Id', 'test-device')
         .send({ changes: [], last_synced_at: '2025-09-03T00:00:00Z' });
       expect(syncRes.status).toBe(200);
 
@@ -0,0 +1,296 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { runQuery, getQuery, allQuery, close } from '../src/db/db.js';
+import {
+  getProjects,
+  createProject,
+  updateProject,
+  deleteProject,
+} from '../src/services/projectService.js';
+import { TaskService } from '../src/services/taskService.js';
+import { sync } from '../src/services/syncService.js';
+import { v4 as uuidv4 } from 'uuid';
+
+describe('ProjectService', () => {
+  let taskService;
+  let userId;
+
+  beforeEach(async () => {
+    // Initialize in-memory database
+    await runQuery(`
+      CREATE TABLE users (
+        id TEXT PRIMARY KEY,
+        username TEXT NOT NULL,
+        email TEXT NOT NULL UNIQUE,
+        password TEXT NOT NULL,
+        reset_token TEXT,
+        reset_token_expires TEXT,
+        time_zone TEXT NOT NULL DEFAULT 'UTC',
+        conflict_strategy TEXT,
+        conflict_field_strategies TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE tasks (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        title TEXT NOT NULL,
+        description TEXT,
+        completed INTEGER DEFAULT 0,
+        created_at TEXT,
+        updated_at TEXT,
+        is_deleted INTEGER DEFAULT 0,
+        sync_status TEXT DEFAULT 'pending',
+        server_id TEXT,
+        last_synced_at TEXT,
+        due_at TEXT,
+        priority TEXT NOT NULL DEFAULT 'none',
+        rrule TEXT,
+        series_id TEXT,
+        parent_id TEXT,
+        project_id TEXT,
+        deleted_at TEXT,
+        hlc TEXT
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE sync_queue (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        task_id TEXT NOT NULL,
+        operation TEXT NOT NULL,
+        data TEXT,
+        retry_count INTEGER DEFAULT 0,
+        error_message TEXT,
+        created_at TEXT,
+        operation_timestamp TEXT,
+        entity_type TEXT NOT NULL DEFAULT 'task',
+        hlc TEXT,
+        change_id TEXT,
+        error_history TEXT,
+        next_attempt_at TEXT,
+        locked_by TEXT,
+        locked_until TEXT,
+        source TEXT
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE projects (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        color TEXT,
+        archived INTEGER DEFAULT 0,
+        position INTEGER DEFAULT 0,
+        created_at TEXT,
+        updated_at TEXT,
+        is_deleted INTEGER DEFAULT 0,
+        sync_status TEXT DEFAULT 'pending',
+        server_id TEXT,
+        last_synced_at TEXT
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE shares (
+        id TEXT PRIMARY KEY,
+        resource_type TEXT NOT NULL,
+        resource_id TEXT NOT NULL,
+        invited_by TEXT NOT NULL,
+        user_id TEXT,
+        email TEXT NOT NULL COLLATE NOCASE,
+        role TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        invite_token TEXT UNIQUE,
+        created_at TEXT,
+        accepted_at TEXT,
+        UNIQUE (resource_type, resource_id, email)
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE task_revisions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        task_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        source TEXT NOT NULL,
+        operation TEXT NOT NULL,
+        changes TEXT NOT NULL,
+        snapshot TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE idempotency_keys (
+        user_id TEXT NOT NULL,
+        key TEXT NOT NULL,
+        request_hash TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'processing',
+        status_code INTEGER,
+        response TEXT,
+        created_at TEXT NOT NULL,
+        PRIMARY KEY (user_id, key)
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE sync_change_receipts (
+        user_id TEXT NOT NULL,
+        change_id TEXT NOT NULL,
+        result TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        PRIMARY KEY (user_id, change_id)
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE devices (
+        id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        name TEXT,
+        platform TEXT,
+        last_seen TEXT NOT NULL,
+        last_cursor TEXT,
+        last_seq INTEGER,
+        created_at TEXT NOT NULL,
+        revoked_at TEXT,
+        PRIMARY KEY (user_id, id)
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE sync_conflicts (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        entity_type TEXT NOT NULL DEFAULT 'task',
+        entity_id TEXT NOT NULL,
+        operation TEXT NOT NULL,
+        local_data TEXT NOT NULL,
+        server_data TEXT NOT NULL,
+        change_id TEXT,
+        status TEXT NOT NULL DEFAULT 'open',
+        resolution TEXT,
+        resolved_data TEXT,
+        created_at TEXT NOT NULL,
+        resolved_at TEXT
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE task_descriptions (
+        task_id TEXT PRIMARY KEY,
+        elements TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE tags (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        name TEXT NOT NULL COLLATE NOCASE,
+        created_at TEXT,
+        UNIQUE (user_id, name)
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE task_tags (
+        task_id TEXT NOT NULL,
+        tag_id TEXT NOT NULL,
+        PRIMARY KEY (task_id, tag_id)
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE sync_logs (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        change_count INTEGER,
+        processed INTEGER,
+        failed INTEGER,
+        status TEXT,
+        conflict_strategy TEXT,
+        conflict_field_strategies TEXT,
+        created_at TEXT
+      )
+    `);
+
+    userId = uuidv4();
+    await runQuery(
+      'INSERT INTO users (id, username, email, password) VALUES (?, ?, ?, ?)',
+      [userId, 'testuser', 'test@example.com', 'hashed']
+    );
+
+    taskService = new TaskService({ runQuery, getQuery, allQuery });
+  });
+
+  afterEach(async () => {
+    await close();
+  });
+
+  describe('CRUD', () => {
+    it('should append new projects and hide archived ones by default', async () => {
+      const work = await createProject({ name: 'Work', color: '#3366ff' }, userId);
+      const home = await createProject({ name: 'Home' }, userId);
+      expect(work.position).toBe(0);
+      expect(home.position).toBe(1);
+
+      await updateProject(work.id, { archived: true }, userId);
+      expect((await getProjects(userId)).map((p) => p.name)).toEqual(['Home']);
+      expect((await getProjects(userId, { include_archived: true })).map((p) => p.name)).toEqual(['Work', 'Home']);
+
+      const queue = await allQuery(
+        "SELECT operation FROM sync_queue WHERE task_id = ? AND entity_type = 'project' ORDER BY operation_timestamp",
+        [work.id]
+      );
+      expect(queue.map((q) => q.operation)).toEqual(['create', 'update']);
+    });
+
+    it('should move tasks out of a deleted project', async () => {
+      const project = await createProject({ name: 'Work' }, userId);
+      const task = await taskService.createTask({ title: 'Report', project_id: project.id, userId });
+
+      expect(await deleteProject(project.id, userId)).toBe(true);
+      expect(await getProjects(userId)).toEqual([]);
+      const after = await getQuery('SELECT project_id FROM tasks WHERE id = ?', [task.id]);
+      expect(after.project_id).toBeNull();
+    });
+  });
+
+  describe('tasks in projects', () => {
+    it('should list tasks by project and move subtasks with their parent', async () => {
+      const work = await createProject({ name: 'Work' }, userId);
+      const home = await createProject({ name: 'Home' }, userId);
+      const parent = await taskService.createTask({ title: 'Launch', project_id: work.id, userId });
+      const child = await taskService.createTask({ title: 'Write notes', parent_id: parent.id, userId });
+      await taskService.createTask({ title: 'Inbox item', userId });
+      expect(child.project_id).toBe(work.id);
+
+      const { tasks } = await taskService.getAllTasks(userId, { project_id: work.id });
+      expect(tasks.map((t) => t.title).sort()).toEqual(['Launch', 'Write notes']);
+
+      await taskService.updateTask(parent.id, { project_id: home.id }, userId);
+      const moved = await taskService.getAllTasks(userId, { project_id: home.id });
+      expect(moved.tasks.map((t) => t.title).sort()).toEqual(['Launch', 'Write notes']);
+
+      const inbox = await taskService.getAllTasks(userId, { project_id: 'none' });
+      expect(inbox.tasks.map((t) => t.title)).toEqual(['Inbox item']);
+    });
+
+    it('should reject an unknown project', async () => {
+      await expect(taskService.createTask({ title: 'Lost', project_id: 'missing', userId }))
+        .rejects.toMatchObject({ status: 400 });
+    });
+  });
+
+  describe('sync', () => {
+    it('should sync project operations ahead of task operations', async () => {
+      const result = await sync([
+        { operation: 'create', local_id: 'task-1', data: { title: 'Plan', project_id: 'proj-1' } },
+        { entity: 'project', operation: 'create', local_id: 'proj-1', data: { name: 'Trip', position: 3 } },
+      ], '2025-09-03T00:00:00Z', userId);
+
+      expect(result.status).toBe('completed');
+      const mapping = result.mappings.find((m) => m.local_id === 'proj-1');
+      expect(mapping.entity).toBe('project');
+      const project = result.serverProjectChanges.find((p) => p.id === mapping.server_id);
+      expect(project.name).toBe('Trip');
+      expect(project.sync_status).toBe('synced');
+
+      const remaining = await allQuery('SELECT * FROM sync_queue WHERE user_id = ?', [userId]);
+      expect(remaining.length).toBe(0);
+    });
+  });
+});
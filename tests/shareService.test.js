@@ -0,0 +1,334 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { runQuery, getQuery, allQuery, close, SYNC_CHANGES_SCHEMA } from '../src/db/db.js';
+import {
+  inviteToResource,
+  acceptInvite,
+  getSharesForUser,
+  deleteShare,
+} from '../src/services/shareService.js';
+import { createProject } from '../src/services/projectService.js';
+import { TaskService } from '../src/services/taskService.js';
+import { sync } from '../src/services/syncService.js';
+import { getChanges } from '../src/services/changeFeedService.js';
+import { v4 as uuidv4 } from 'uuid';
+
+describe('ShareService', () => {
+  let taskService;
+  let ownerId;
+  let friendId;
+
+  beforeEach(async () => {
+    // Initialize in-memory database
+    await runQuery(`
+      CREATE TABLE users (
+        id TEXT PRIMARY KEY,
+        username TEXT NOT NULL,
+        email TEXT NOT NULL UNIQUE,
+        password TEXT NOT NULL,
+        reset_token TEXT,
+        reset_token_expires TEXT,
+        time_zone TEXT NOT NULL DEFAULT 'UTC',
+        conflict_strategy TEXT,
+        conflict_field_strategies TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE tasks (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        title TEXT NOT NULL,
+        description TEXT,
+        completed INTEGER DEFAULT 0,
+        created_at TEXT,
+        updated_at TEXT,
+        is_deleted INTEGER DEFAULT 0,
+        sync_status TEXT DEFAULT 'pending',
+        server_id TEXT,
+        last_synced_at TEXT,
+        due_at TEXT,
+        priority TEXT NOT NULL DEFAULT 'none',
+        rrule TEXT,
+        series_id TEXT,
+        parent_id TEXT,
+        project_id TEXT,
+        deleted_at TEXT,
+        hlc TEXT
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE sync_queue (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        task_id TEXT NOT NULL,
+        operation TEXT NOT NULL,
+        data TEXT,
+        retry_count INTEGER DEFAULT 0,
+        error_message TEXT,
+        created_at TEXT,
+        operation_timestamp TEXT,
+        entity_type TEXT NOT NULL DEFAULT 'task',
+        hlc TEXT,
+        change_id TEXT,
+        error_history TEXT,
+        next_attempt_at TEXT,
+        locked_by TEXT,
+        locked_until TEXT,
+        source TEXT
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE projects (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        color TEXT,
+        archived INTEGER DEFAULT 0,
+        position INTEGER DEFAULT 0,
+        created_at TEXT,
+        updated_at TEXT,
+        is_deleted INTEGER DEFAULT 0,
+        sync_status TEXT DEFAULT 'pending',
+        server_id TEXT,
+        last_synced_at TEXT
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE shares (
+        id TEXT PRIMARY KEY,
+        resource_type TEXT NOT NULL,
+        resource_id TEXT NOT NULL,
+        invited_by TEXT NOT NULL,
+        user_id TEXT,
+        email TEXT NOT NULL COLLATE NOCASE,
+        role TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        invite_token TEXT UNIQUE,
+        created_at TEXT,
+        accepted_at TEXT,
+        UNIQUE (resource_type, resource_id, email)
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE task_revisions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        task_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        source TEXT NOT NULL,
+        operation TEXT NOT NULL,
+        changes TEXT NOT NULL,
+        snapshot TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE idempotency_keys (
+        user_id TEXT NOT NULL,
+        key TEXT NOT NULL,
+        request_hash TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'processing',
+        status_code INTEGER,
+        response TEXT,
+        created_at TEXT NOT NULL,
+        PRIMARY KEY (user_id, key)
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE sync_change_receipts (
+        user_id TEXT NOT NULL,
+        change_id TEXT NOT NULL,
+        result TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        PRIMARY KEY (user_id, change_id)
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE devices (
+        id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        name TEXT,
+        platform TEXT,
+        last_seen TEXT NOT NULL,
+        last_cursor TEXT,
+        last_seq INTEGER,
+        created_at TEXT NOT NULL,
+        revoked_at TEXT,
+        PRIMARY KEY (user_id, id)
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE sync_conflicts (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        entity_type TEXT NOT NULL DEFAULT 'task',
+        entity_id TEXT NOT NULL,
+        operation TEXT NOT NULL,
+        local_data TEXT NOT NULL,
+        server_data TEXT NOT NULL,
+        change_id TEXT,
+        status TEXT NOT NULL DEFAULT 'open',
+        resolution TEXT,
+        resolved_data TEXT,
+        created_at TEXT NOT NULL,
+        resolved_at TEXT
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE task_descriptions (
+        task_id TEXT PRIMARY KEY,
+        elements TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE tags (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        name TEXT NOT NULL COLLATE NOCASE,
+        created_at TEXT,
+        UNIQUE (user_id, name)
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE task_tags (
+        task_id TEXT NOT NULL,
+        tag_id TEXT NOT NULL,
+        PRIMARY KEY (task_id, tag_id)
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE sync_logs (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        change_count INTEGER,
+        processed INTEGER,
+        failed INTEGER,
+        status TEXT,
+        conflict_strategy TEXT,
+        conflict_field_strategies TEXT,
+        created_at TEXT
+      )
+    `);
+
+    for (const sql of SYNC_CHANGES_SCHEMA) {
+      await runQuery(sql);
+    }
+
+    ownerId = uuidv4();
+    friendId = uuidv4();
+    await runQuery(
+      'INSERT INTO users (id, username, email, password) VALUES (?, ?, ?, ?), (?, ?, ?, ?)',
+      [ownerId, 'owner', 'owner@example.com', 'hashed', friendId, 'friend', 'friend@example.com', 'hashed']
+    );
+
+    taskService = new TaskService({ runQuery, getQuery, allQuery });
+  });
+
+  afterEach(async () => {
+    await close();
+  });
+
+  // Invite friend@example.com and accept with the emailed token
+  const shareWithFriend = async (type, id, role) => {
+    const invite = await inviteToResource(type, id, { email: 'Friend@Example.com', role }, ownerId);
+    const { invite_token } = await getQuery('SELECT invite_token FROM shares WHERE id = ?', [invite.id]);
+    return await acceptInvite(invite_token, friendId);
+  };
+
+  describe('invites', () => {
+    it('should list a pending invite for the invitee and accept it', async () => {
+      const task = await taskService.createTask({ title: 'Plan trip', userId: ownerId });
+      const invite = await inviteToResource('task', task.id, { email: 'friend@example.com', role: 'editor' }, ownerId);
+      expect(invite.status).toBe('pending');
+      expect(invite.invite_token).toBeUndefined();
+
+      const pending = await getSharesForUser(friendId);
+      expect(pending.map((s) => s.resource_name)).toEqual(['Plan trip']);
+      expect((await taskService.getAllTasks(friendId)).tasks).toEqual([]);
+
+      const { invite_token } = await getQuery('SELECT invite_token FROM shares WHERE id = ?', [invite.id]);
+      const accepted = await acceptInvite(invite_token, friendId);
+      expect(accepted).toMatchObject({ status: 'accepted', user_id: friendId, role: 'editor' });
+      await expect(acceptInvite(invite_token, friendId)).rejects.toMatchObject({ status: 400 });
+    });
+
+    it('should only let the invited address accept', async () => {
+      const task = await taskService.createTask({ title: 'Secret', userId: ownerId });
+      const invite = await inviteToResource('task', task.id, { email: 'someone@example.com', role: 'viewer' }, ownerId);
+      const { invite_token } = await getQuery('SELECT invite_token FROM shares WHERE id = ?', [invite.id]);
+
+      await expect(acceptInvite(invite_token, friendId)).rejects.toMatchObject({ status: 403 });
+      await expect(inviteToResource('task', task.id, { email: 'x@example.com', role: 'viewer' }, friendId))
+        .resolves.toBeNull();
+    });
+  });
+
+  describe('permissions', () => {
+    it('should let viewers read but not edit', async () => {
+      const task = await taskService.createTask({ title: 'Read me', userId: ownerId });
+      await shareWithFriend('task', task.id, 'viewer');
+
+      const { tasks } = await taskService.getAllTasks(friendId);
+      expect(tasks.map((t) => t.title)).toEqual(['Read me']);
+      await expect(taskService.updateTask(task.id, { title: 'Edited' }, friendId))
+        .rejects.toMatchObject({ status: 403 });
+    });
+
+    it('should share every task in a project with editors but keep deletes to owners', async () => {
+      const project = await createProject({ name: 'Household' }, ownerId);
+      const chores = await taskService.createTask({ title: 'Chores', project_id: project.id, userId: ownerId });
+      const share = await shareWithFriend('project', project.id, 'editor');
+
+      const sub = await taskService.createTask({ title: 'Dishes', parent_id: chores.id, userId: friendId });
+      expect(sub.user_id).toBe(ownerId);
+      const updated = await taskService.updateTask(chores.id, { completed: true }, friendId);
+      expect(updated.completed).toBeTruthy();
+      await expect(taskService.deleteTask(chores.id, friendId)).rejects.toMatchObject({ status: 403 });
+
+      expect(await deleteShare(share.id, friendId)).toBe(true);
+      expect((await taskService.getAllTasks(friendId)).tasks).toEqual([]);
+    });
+
+    it('should filter shared tasks by the tags they carry', async () => {
+      const task = await taskService.createTask({ title: 'Groceries', tags: ['errands', 'home'], userId: ownerId });
+      await taskService.createTask({ title: 'Private', tags: ['errands'], userId: ownerId });
+      await taskService.createTask({ title: 'Mine', tags: ['home'], userId: friendId });
+      await shareWithFriend('task', task.id, 'viewer');
+
+      const any = await taskService.getAllTasks(friendId, { tag: 'errands' });
+      expect(any.tasks.map((t) => t.title)).toEqual(['Groceries']);
+      expect(any.tasks[0].tags).toEqual(['errands', 'home']);
+      const all = await taskService.getAllTasks(friendId, { tag: ['errands', 'home'], tag_mode: 'all' });
+      expect(all.tasks.map((t) => t.title)).toEqual(['Groceries']);
+      const home = await taskService.getAllTasks(friendId, { tag: 'home', sort: 'title_asc' });
+      expect(home.tasks.map((t) => t.title)).toEqual(['Groceries', 'Mine']);
+    });
+  });
+
+  describe('sync', () => {
+    it('should include shared tasks in the invitee\'s server changes', async () => {
+      const task = await taskService.createTask({ title: 'Shared', userId: ownerId });
+      await shareWithFriend('task', task.id, 'editor');
+
+      const result = await sync([
+        { operation: 'update', server_id: task.id, data: { title: 'Shared (edited)' } },
+      ], '2000-01-01T00:00:00Z', friendId);
+
+      expect(result.status).toBe('completed');
+      const change = result.serverChanges.find((t) => t.id === task.id);
+      expect(change.title).toBe('Shared (edited)');
+      expect(change.user_id).toBe(ownerId);
+    });
+
+    it('should put a newly shared project in the invitee\'s next delta pull', async () => {
+      const project = await createProject({ name: 'Trip' }, ownerId);
+      const task = await taskService.createTask({ title: 'Book flights', project_id: project.id, userId: ownerId });
+      const { next_cursor } = await getChanges(friendId);
+
+      await shareWithFriend('project', project.id, 'viewer');
+
+      const { changes } = await getChanges(friendId, { cursor: next_cursor });
+      expect(changes.map((c) => [c.entity, c.id])).toEqual([['project', project.id], ['task', task.id]]);
+    });
+  });
+});
@@ -1,8 +1,12 @@
 
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
-import { runQuery, getQuery, allQuery, close } from '../src/db/db.js';
+import { runQuery, getQuery, allQuery, withTransaction, close, SYNC_CHANGES_SCHEMA } from '../src/db/db.js';
 import { TaskService } from '../src/services/taskService.js';
-import { sync, addToSyncQueue, getSyncStatus } from '../src/services/syncService.js';
+import { sync, addToSyncQueue, getSyncStatus, getRetryDelayMs } from '../src/services/syncService.js';
+import { purgeExpiredIdempotencyRecords } from '../src/services/idempotencyService.js';
+import { getChanges } from '../src/services/changeFeedService.js';
+import { drainSyncQueues, getSyncWorkerMetrics } from '../src/services/syncWorkerService.js';
+import { followTaskChanges } from '../src/services/changeStreamService.js';
 import bcrypt from 'bcryptjs';
 import { v4 as uuidv4 } from 'uuid';
 
@@ -20,6 +24,9 @@ describe('SyncService', () => {
         password TEXT NOT NULL,
         reset_token TEXT,
         reset_token_expires TEXT,
+        time_zone TEXT NOT NULL DEFAULT 'UTC',
+        conflict_strategy TEXT,
+        conflict_field_strategies TEXT,
         created_at TEXT DEFAULT CURRENT_TIMESTAMP
       )
     `);
@@ -35,7 +42,15 @@ describe('SyncService', () => {
         is_deleted INTEGER DEFAULT 0,
         sync_status TEXT DEFAULT 'pending',
         server_id TEXT,
-        last_synced_at TEXT
+        last_synced_at TEXT,
+        due_at TEXT,
+        priority TEXT NOT NULL DEFAULT 'none',
+        rrule TEXT,
+        series_id TEXT,
+        parent_id TEXT,
+        project_id TEXT,
+        deleted_at TEXT,
+        hlc TEXT
       )
     `);
     await runQuery(`
@@ -48,7 +63,134 @@ describe('SyncService', () => {
         retry_count INTEGER DEFAULT 0,
         error_message TEXT,
         created_at TEXT,
-        operation_timestamp TEXT
+        operation_timestamp TEXT,
+        entity_type TEXT NOT NULL DEFAULT 'task',
+        hlc TEXT,
+        change_id TEXT,
+        error_history TEXT,
+        next_attempt_at TEXT,
+        locked_by TEXT,
+        locked_until TEXT,
+        source TEXT
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE projects (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        color TEXT,
+        archived INTEGER DEFAULT 0,
+        position INTEGER DEFAULT 0,
+        created_at TEXT,
+        updated_at TEXT,
+        is_deleted INTEGER DEFAULT 0,
+        sync_status TEXT DEFAULT 'pending',
+        server_id TEXT,
+        last_synced_at TEXT
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE shares (
+        id TEXT PRIMARY KEY,
+        resource_type TEXT NOT NULL,
+        resource_id TEXT NOT NULL,
+        invited_by TEXT NOT NULL,
+        user_id TEXT,
+        email TEXT NOT NULL COLLATE NOCASE,
+        role TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        invite_token TEXT UNIQUE,
+        created_at TEXT,
+        accepted_at TEXT,
+        UNIQUE (resource_type, resource_id, email)
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE task_revisions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        task_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        source TEXT NOT NULL,
+        operation TEXT NOT NULL,
+        changes TEXT NOT NULL,
+        snapshot TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE idempotency_keys (
+        user_id TEXT NOT NULL,
+        key TEXT NOT NULL,
+        request_hash TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'processing',
+        status_code INTEGER,
+        response TEXT,
+        created_at TEXT NOT NULL,
+        PRIMARY KEY (user_id, key)
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE sync_change_receipts (
+        user_id TEXT NOT NULL,
+        change_id TEXT NOT NULL,
+        result TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        PRIMARY KEY (user_id, change_id)
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE devices (
+        id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        name TEXT,
+        platform TEXT,
+        last_seen TEXT NOT NULL,
+        last_cursor TEXT,
+        last_seq INTEGER,
+        created_at TEXT NOT NULL,
+        revoked_at TEXT,
+        PRIMARY KEY (user_id, id)
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE sync_conflicts (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        entity_type TEXT NOT NULL DEFAULT 'task',
+        entity_id TEXT NOT NULL,
+        operation TEXT NOT NULL,
+        local_data TEXT NOT NULL,
+        server_data TEXT NOT NULL,
+        change_id TEXT,
+        status TEXT NOT NULL DEFAULT 'open',
+        resolution TEXT,
+        resolved_data TEXT,
+        created_at TEXT NOT NULL,
+        resolved_at TEXT
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE task_descriptions (
+        task_id TEXT PRIMARY KEY,
+        elements TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE tags (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        name TEXT NOT NULL COLLATE NOCASE,
+        created_at TEXT,
+        UNIQUE (user_id, name)
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE task_tags (
+        task_id TEXT NOT NULL,
+        tag_id TEXT NOT NULL,
+        PRIMARY KEY (task_id, tag_id)
       )
     `);
     await runQuery(`
@@ -59,10 +201,16 @@ describe('SyncService', () => {
         processed INTEGER,
         failed INTEGER,
         status TEXT,
+        conflict_strategy TEXT,
+        conflict_field_strategies TEXT,
         created_at TEXT
       )
     `);
 
+    for (const sql of SYNC_CHANGES_SCHEMA) {
+      await runQuery(sql);
+    }
+
     // Create test user
     userId = uuidv4();
     const salt = await bcrypt.genSalt(10);
@@ -138,6 +286,94 @@ describe('SyncService', () => {
     });
   });
 
+  describe('tags', () => {
+    it('should apply tags from client changes and return them in serverChanges', async () => {
+      const result = await sync([
+        { operation: 'create', local_id: 'client-1', data: { title: 'From phone', tags: ['errands'] } },
+      ], '2025-09-03T00:00:00Z', userId);
+
+      const serverId = result.mappings.find((m) => m.local_id === 'client-1').server_id;
+      const created = result.serverChanges.find((t) => t.id === serverId);
+      expect(created.tags).toEqual(['errands']);
+
+      await sync([
+        { operation: 'update', local_id: serverId, data: { tags: ['errands', 'weekend'] } },
+      ], '2025-09-03T00:00:00Z', userId);
+      const task = await taskService.getTaskByIdIncludingDeleted(serverId, userId);
+      expect(task.tags).toEqual(['errands', 'weekend']);
+    });
+  });
+
+  describe('subtasks', () => {
+    it('should reject moving a task under its own subtask', async () => {
+      const root = await taskService.createTask({ title: 'Root', userId });
+      const child = await taskService.createTask({ title: 'Child', parent_id: root.id, userId });
+      await sync([], '2025-09-03T00:00:00Z', userId);
+
+      const result = await sync([
+        { operation: 'update', local_id: root.id, data: { parent_id: child.id } },
+        { operation: 'create', local_id: 'deep', data: { title: 'Deep', parent_id: child.id } },
+      ], '2025-09-03T00:00:00Z', userId);
+
+      expect(result.failed).toBe(1);
+      expect((await getQuery('SELECT parent_id FROM tasks WHERE id = ?', [root.id])).parent_id).toBeNull();
+      const queued = await allQuery('SELECT task_id, error_message FROM sync_queue WHERE user_id = ?', [userId]);
+      expect(queued).toEqual([
+        { task_id: root.id, error_message: 'A task cannot be moved under itself or one of its subtasks' },
+      ]);
+      const deep = result.mappings.find((m) => m.local_id === 'deep');
+      expect((await getQuery('SELECT parent_id FROM tasks WHERE id = ?', [deep.server_id])).parent_id).toBe(child.id);
+    });
+  });
+
+  describe('recurring tasks', () => {
+    it('should store synced rules in the same form as REST', async () => {
+      const rest = await taskService.createTask({ title: 'Gym', rrule: 'BYDAY=MO,WE;FREQ=WEEKLY', userId });
+      const result = await sync([
+        { operation: 'create', local_id: 'gym', data: { title: 'Gym', rrule: 'BYDAY=MO,WE;FREQ=WEEKLY' } },
+        { operation: 'update', local_id: rest.id, server_id: rest.id, data: { rrule: 'INTERVAL=2;FREQ=DAILY', updated_at: new Date().toISOString() } },
+      ], '2025-09-03T00:00:00Z', userId);
+
+      const synced = result.mappings.find((m) => m.local_id === 'gym');
+      expect((await getQuery('SELECT rrule FROM tasks WHERE id = ?', [synced.server_id])).rrule).toBe(rest.rrule);
+      expect((await getQuery('SELECT rrule FROM tasks WHERE id = ?', [rest.id])).rrule).toBe('FREQ=DAILY;INTERVAL=2');
+    });
+
+    it('should schedule the next occurrence when a sync completes one', async () => {
+      const task = await taskService.createTask({
+        title: 'Standup', due_at: '2025-01-06T09:00:00Z', rrule: 'FREQ=DAILY', userId,
+      });
+      await sync([], '2025-09-03T00:00:00Z', userId);
+
+      const change = { operation: 'update', local_id: task.id, server_id: task.id, data: { completed: true, updated_at: new Date().toISOString() } };
+      await sync([change], '2025-09-03T00:00:00Z', userId);
+      // Completing it again from another device keeps the one occurrence
+      await sync([{ ...change, data: { completed: false, updated_at: new Date().toISOString() } }], '2025-09-03T00:00:00Z', userId);
+      await sync([{ ...change, data: { completed: true, updated_at: new Date().toISOString() } }], '2025-09-03T00:00:00Z', userId);
+
+      const next = await allQuery('SELECT due_at, completed FROM tasks WHERE series_id = ? AND id != ?', [task.id, task.id]);
+      expect(next).toEqual([{ due_at: '2025-01-07T09:00:00.000Z', completed: 0 }]);
+    });
+  });
+
+  describe('due dates and priority', () => {
+    it('should merge due_at and priority field by field', async () => {
+      const task = await taskService.createTask({
+        title: 'Plan', due_at: '2025-09-10T09:00:00Z', priority: 'high', userId,
+      });
+      await sync([], '2025-09-03T00:00:00Z', userId);
+
+      // Only priority changes on the client; due_at must survive untouched
+      await sync([
+        { operation: 'update', local_id: task.id, data: { priority: 'urgent' } },
+      ], '2025-09-03T00:00:00Z', userId);
+
+      const final = await getQuery('SELECT * FROM tasks WHERE id = ?', [task.id]);
+      expect(final.priority).toBe('urgent');
+      expect(final.due_at).toBe('2025-09-10T09:00:00.000Z');
+    });
+  });
+
   describe('conflict resolution', () => {
     it('should resolve conflicts using last-write-wins', async () => {
       const task = await taskService.createTask({ title: 'Shared Task', userId });
@@ -165,6 +401,347 @@ describe('SyncService', () => {
     });
   });
 
+  describe('replayed creates', () => {
+    it('should report a deleted task instead of acknowledging its create again', async () => {
+      const task = await taskService.createTask({ title: 'Call mum', userId });
+      await taskService.deleteTask(task.id, userId);
+      await sync([], '2025-09-03T00:00:00Z', userId);
+
+      const result = await sync([{
+        operation: 'create',
+        local_id: task.id,
+        data: { title: 'Call mum', updated_at: '2025-01-01T00:00:00Z' },
+      }], '2025-09-03T00:00:00Z', userId);
+
+      expect(result.conflicts).toHaveLength(1);
+      expect(result.conflicts[0]).toMatchObject({ local_id: task.id, resolution: 'server_wins' });
+      expect(result.conflicts[0].server_task.is_deleted).toBe(1);
+      expect((await getQuery('SELECT is_deleted FROM tasks WHERE id = ?', [task.id])).is_deleted).toBe(1);
+      expect(await allQuery('SELECT id FROM tasks')).toEqual([{ id: task.id }]);
+    });
+  });
+
+  describe('REST writes', () => {
+    it('should not turn an earlier REST edit into a conflict', async () => {
+      const task = await taskService.createTask({ title: 'Buy milk', userId });
+      await taskService.updateTask(task.id, { title: 'Buy oat milk' }, userId);
+      await taskService.updateTask(task.id, { completed: true }, userId);
+
+      const result = await sync([], '2025-09-03T00:00:00Z', userId);
+
+      expect(result.conflicts).toEqual([]);
+      expect(await allQuery('SELECT * FROM sync_conflicts')).toEqual([]);
+      const finalTask = await getQuery('SELECT title, completed FROM tasks WHERE id = ?', [task.id]);
+      expect(finalTask).toEqual({ title: 'Buy oat milk', completed: 1 });
+      expect(await allQuery('SELECT * FROM sync_queue WHERE user_id = ?', [userId])).toEqual([]);
+    });
+  });
+
+  describe('field-level merge', () => {
+    it('should keep non-overlapping edits from both sides', async () => {
+      const task = await taskService.createTask({ title: 'Buy milk', userId });
+      await runQuery(
+        'UPDATE tasks SET completed = 1, updated_at = ?, hlc = ? WHERE id = ?',
+        ['2025-09-04T12:00:00Z', '2025-09-04T12:00:00.000Z-000000-server', task.id]
+      );
+
+      // The phone renamed the task offline, from a copy made before the laptop completed it
+      const result = await sync([{
+        operation: 'update',
+        local_id: task.id,
+        server_id: task.id,
+        data: { title: 'Buy oat milk', completed: false, updated_at: '2025-09-04T11:00:00Z' },
+        base: { title: 'Buy milk', completed: false },
+      }], '2025-09-03T00:00:00Z', userId);
+
+      expect(result.conflicts).toEqual([]);
+      const finalTask = await getQuery('SELECT * FROM tasks WHERE id = ?', [task.id]);
+      expect(finalTask.title).toBe('Buy oat milk');
+      expect(finalTask.completed).toBe(1);
+    });
+
+    it('should report fields changed differently on both sides', async () => {
+      const task = await taskService.createTask({ title: 'Buy milk', priority: 'low', userId });
+      await runQuery(
+        'UPDATE tasks SET title = ?, updated_at = ?, hlc = ? WHERE id = ?',
+        ['Buy milk and eggs', '2025-09-04T10:00:00Z', '2025-09-04T10:00:00.000Z-000000-server', task.id]
+      );
+
+      const result = await sync([{
+        operation: 'update',
+        local_id: task.id,
+        server_id: task.id,
+        data: { title: 'Buy oat milk', priority: 'high', updated_at: '2025-09-04T11:00:00Z' },
+        base: { title: 'Buy milk', priority: 'low' },
+      }], '2025-09-03T00:00:00Z', userId);
+
+      expect(result.conflicts).toEqual([{
+        local_id: task.id,
+        task_id: task.id,
+        resolution: 'merged',
+        fields: {
+          title: { base: 'Buy milk', local: 'Buy oat milk', server: 'Buy milk and eggs', resolution: 'local_wins' },
+        },
+      }]);
+      const finalTask = await getQuery('SELECT * FROM tasks WHERE id = ?', [task.id]);
+      expect(finalTask.title).toBe('Buy oat milk');
+      expect(finalTask.priority).toBe('high');
+    });
+  });
+
+  describe('hybrid logical clocks', () => {
+    it('should order conflicting writes by HLC rather than device wall time', async () => {
+      const task = await taskService.createTask({ title: 'Server Title', userId });
+      await runQuery(
+        'UPDATE tasks SET updated_at = ?, hlc = ? WHERE id = ?',
+        ['2025-09-04T12:00:00Z', '2025-09-04T12:00:00.000Z-000000-server', task.id]
+      );
+
+      // The phone's clock runs ahead, but its HLC shows the edit happened before the server's
+      await sync([{
+        operation: 'update',
+        local_id: task.id,
+        server_id: task.id,
+        data: { title: 'Phone Title', updated_at: '2025-09-04T13:00:00Z', hlc: '2025-09-04T11:00:00.000Z-000002-phone' },
+      }], '2025-09-03T00:00:00Z', userId);
+
+      const finalTask = await getQuery('SELECT * FROM tasks WHERE id = ?', [task.id]);
+      expect(finalTask.title).toBe('Server Title');
+      expect(finalTask.hlc).toBe('2025-09-04T12:00:00.000Z-000000-server');
+    });
+
+    it('should report and replace timestamps too far ahead of the server clock', async () => {
+      const future = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+      const localId = uuidv4();
+
+      const result = await sync([{
+        operation: 'create',
+        local_id: localId,
+        data: { title: 'From the future', updated_at: future },
+      }], '2025-09-03T00:00:00Z', userId);
+
+      expect(result.clockSkew).toHaveLength(1);
+      expect(result.clockSkew[0].local_id).toBe(localId);
+      expect(result.clockSkew[0].drift_ms).toBeGreaterThan(60000);
+      expect(result.serverHlc > result.clockSkew[0].assigned_hlc).toBe(true);
+
+      const created = await getQuery('SELECT * FROM tasks WHERE id = ?', [result.mappings[0].server_id]);
+      expect(created.hlc).toBe(result.clockSkew[0].assigned_hlc);
+      expect(created.hlc < future).toBe(true);
+    });
+  });
+
+  describe('change ids', () => {
+    it('should apply a retried change only once and report its original mapping', async () => {
+      const change = {
+        operation: 'create',
+        local_id: 'phone-task-1',
+        change_id: 'change-1',
+        data: { title: 'Created offline' },
+      };
+
+      const first = await sync([change], '2025-09-03T00:00:00Z', userId);
+      const retry = await sync([change], '2025-09-03T00:00:00Z', userId);
+
+      expect(retry.mappings).toEqual(first.mappings);
+      expect(retry.replayedChanges).toEqual(['change-1']);
+      expect(retry.processed).toBe(0);
+      const tasks = await allQuery('SELECT * FROM tasks WHERE user_id = ?', [userId]);
+      expect(tasks.length).toBe(1);
+    });
+
+    it('should forget change receipts after the TTL', async () => {
+      await sync([{
+        operation: 'create', local_id: 'phone-task-1', change_id: 'change-1', data: { title: 'Old' },
+      }], '2025-09-03T00:00:00Z', userId);
+
+      const tomorrow = new Date(Date.now() + 25 * 60 * 60 * 1000);
+      const result = await purgeExpiredIdempotencyRecords({ now: tomorrow, ttlHours: 24 });
+      expect(result.receipts).toBe(1);
+      expect(await allQuery('SELECT * FROM sync_change_receipts')).toEqual([]);
+    });
+  });
+
+  describe('delta pull', () => {
+    it('should page through changes and resume from the cursor', async () => {
+      const created = [];
+      for (const title of ['One', 'Two', 'Three']) {
+        created.push(await taskService.createTask({ title, userId }));
+      }
+
+      const first = await getChanges(userId, { limit: 2 });
+      expect(first.changes.map((c) => c.data.title)).toEqual(['One', 'Two']);
+      expect(first.has_more).toBe(true);
+
+      // 'One' changes while the client is between pages: it moves to the end of the feed
+      await taskService.updateTask(created[0].id, { title: 'One (edited)' }, userId);
+
+      const second = await getChanges(userId, { cursor: first.next_cursor, limit: 2 });
+      expect(second.changes.map((c) => c.data.title)).toEqual(['Three', 'One (edited)']);
+      expect(second.has_more).toBe(false);
+
+      const empty = await getChanges(userId, { cursor: second.next_cursor });
+      expect(empty.changes).toEqual([]);
+      expect(empty.next_cursor).toBe(second.next_cursor);
+    });
+
+    it('should return tombstones for soft and hard deletes', async () => {
+      const soft = await taskService.createTask({ title: 'Soft', userId });
+      const hard = await taskService.createTask({ title: 'Hard', userId });
+      const { next_cursor } = await getChanges(userId);
+
+      await taskService.deleteTask(soft.id, userId);
+      await runQuery('DELETE FROM tasks WHERE id = ?', [hard.id]);
+
+      const { changes } = await getChanges(userId, { cursor: next_cursor });
+      expect(changes.map((c) => [c.id, c.operation])).toEqual([[soft.id, 'delete'], [hard.id, 'delete']]);
+      expect(changes[0].deleted_at).toBeTruthy();
+    });
+
+    it('should reject a malformed cursor', async () => {
+      await expect(getChanges(userId, { cursor: 'not-a-cursor' })).rejects.toMatchObject({ status: 400 });
+    });
+  });
+
+  describe('change stream', () => {
+    it('should push changes applied by a sync once they are committed', async () => {
+      const events = [];
+      const { stop } = await followTaskChanges(userId, { send: (event) => events.push(event) });
+
+      await sync([
+        { operation: 'create', local_id: 'phone-1', data: { title: 'From phone' } },
+      ], '2025-09-03T00:00:00Z', userId);
+      await vi.waitFor(() => expect(events.length).toBe(1));
+      stop();
+
+      expect(events[0].event).toBe('task.created');
+      expect(events[0].data.data.title).toBe('From phone');
+      // The event id resumes the change feed right after it
+      expect((await getChanges(userId, { cursor: events[0].id })).changes).toEqual([]);
+    });
+  });
+
+  describe('transactions', () => {
+    it('should commit the outer transaction but undo a failed savepoint', async () => {
+      await withTransaction(async () => {
+        await taskService.createTask({ title: 'Kept', userId });
+        await expect(withTransaction(async () => {
+          await taskService.createTask({ title: 'Undone', userId });
+          throw new Error('inner failure');
+        })).rejects.toThrow('inner failure');
+      });
+      await expect(withTransaction(async () => {
+        await taskService.createTask({ title: 'Rolled back', userId });
+        throw new Error('outer failure');
+      })).rejects.toThrow('outer failure');
+
+      const tasks = await allQuery('SELECT title FROM tasks WHERE user_id = ?', [userId]);
+      expect(tasks.map((t) => t.title)).toEqual(['Kept']);
+    });
+
+    it('should roll back a failing sync item without its neighbours', async () => {
+      // Fails after the task row and its tags were written
+      await runQuery(`
+        CREATE TRIGGER poison_revision BEFORE INSERT ON task_revisions
+        WHEN NEW.snapshot LIKE '%"title":"Poison"%'
+        BEGIN SELECT RAISE(ABORT, 'poisoned'); END
+      `);
+
+      const result = await sync([
+        { operation: 'create', local_id: 'a', data: { title: 'Poison', tags: ['x'] } },
+        { operation: 'create', local_id: 'b', data: { title: 'Good' } },
+      ], '2025-09-03T00:00:00Z', userId);
+
+      expect(result.processed).toBe(1);
+      expect(result.failed).toBe(1);
+      const tasks = await allQuery('SELECT title FROM tasks WHERE user_id = ?', [userId]);
+      expect(tasks.map((t) => t.title)).toEqual(['Good']);
+      expect(await allQuery('SELECT * FROM task_tags')).toEqual([]);
+      const queued = await allQuery('SELECT task_id, retry_count FROM sync_queue WHERE user_id = ?', [userId]);
+      expect(queued).toEqual([{ task_id: 'a', retry_count: 1 }]);
+    });
+  });
+
+  describe('retry backoff', () => {
+    it('should double the retry delay up to the cap, minus jitter', () => {
+      expect(getRetryDelayMs(1, () => 0)).toBe(30 * 1000);
+      expect(getRetryDelayMs(3, () => 0)).toBe(120 * 1000);
+      expect(getRetryDelayMs(20, () => 0)).toBe(60 * 60 * 1000);
+      expect(getRetryDelayMs(1, () => 1)).toBe(15 * 1000);
+    });
+
+    it('should hold back every operation of a task whose retry is not due yet', async () => {
+      const waiting = await taskService.createTask({ title: 'Waiting', userId });
+      const other = await taskService.createTask({ title: 'Other', userId });
+      const later = new Date(Date.now() + 60 * 1000).toISOString();
+      await runQuery(
+        'UPDATE sync_queue SET retry_count = 1, next_attempt_at = ? WHERE task_id = ?',
+        [later, waiting.id]
+      );
+      await addToSyncQueue(waiting.id, 'update', { title: 'Too early' }, userId);
+
+      const result = await sync([], '2025-09-03T00:00:00Z', userId);
+
+      expect(result.processed).toBe(1);
+      const queued = await allQuery('SELECT task_id, operation FROM sync_queue WHERE user_id = ? ORDER BY id', [userId]);
+      expect(queued.map((q) => q.task_id)).toEqual([waiting.id, waiting.id]);
+      expect((await getQuery('SELECT title FROM tasks WHERE id = ?', [waiting.id])).title).toBe('Waiting');
+      expect((await getQuery('SELECT sync_status FROM tasks WHERE id = ?', [other.id])).sync_status).toBe('synced');
+    });
+  });
+
+  describe('background worker', () => {
+    it('should apply operations queued outside a client sync', async () => {
+      const task = await taskService.createTask({ title: 'From REST', userId });
+      await addToSyncQueue(task.id, 'update', { title: 'From REST' }, userId);
+
+      const result = await drainSyncQueues();
+
+      expect(result).toEqual({ users: 1, processed: 2, failed: 0, errors: 0 });
+      expect((await getQuery('SELECT sync_status FROM tasks WHERE id = ?', [task.id])).sync_status).toBe('synced');
+      expect(await allQuery('SELECT * FROM sync_queue')).toEqual([]);
+      // The queued create names the task the REST call inserted: no copy is made
+      expect(await allQuery('SELECT id FROM tasks')).toEqual([{ id: task.id }]);
+    });
+
+    it('should leave items leased by another runner alone until the lease expires', async () => {
+      const task = await taskService.createTask({ title: 'Leased', userId });
+      const leasedUntil = new Date(Date.now() + 60 * 1000).toISOString();
+      await runQuery("UPDATE sync_queue SET locked_by = 'other-runner', locked_until = ?", [leasedUntil]);
+
+      expect((await sync([], '2025-09-03T00:00:00Z', userId)).processed).toBe(0);
+      expect((await drainSyncQueues()).users).toBe(0);
+
+      await runQuery('UPDATE sync_queue SET locked_until = ?', [new Date(Date.now() - 1000).toISOString()]);
+      expect((await drainSyncQueues()).processed).toBe(1);
+      expect((await getQuery('SELECT sync_status FROM tasks WHERE id = ?', [task.id])).sync_status).toBe('synced');
+    });
+
+    it('should report queue depth and lag', async () => {
+      await taskService.createTask({ title: 'Waiting', userId });
+      const queuedAt = Date.parse((await getQuery('SELECT created_at FROM sync_queue')).created_at);
+
+      const metrics = await getSyncWorkerMetrics({ now: new Date(queuedAt + 5000) });
+
+      expect(metrics.queue_depth).toBe(1);
+      expect(metrics.due_items).toBe(1);
+      expect(metrics.leased_items).toBe(0);
+      expect(metrics.queue_lag_ms).toBe(5000);
+    });
+
+    it('should scope metrics to one user when asked', async () => {
+      await taskService.createTask({ title: 'Mine', userId });
+      await addToSyncQueue('someone-elses-task', 'update', { title: 'Theirs' }, 'other-user');
+
+      const metrics = await getSyncWorkerMetrics({ userId });
+
+      expect(metrics.queue_depth).toBe(1);
+      expect(metrics.last_error).toBeNull();
+      expect(metrics).not.toHaveProperty('processed');
+      expect((await getSyncWorkerMetrics()).queue_depth).toBe(2);
+    });
+  });
+
   describe('getSyncStatus', () => {
     it('should return sync status and logs', async () => {
       const task = await taskService.createTask({ title: 'Task', userId });
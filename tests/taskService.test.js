@@ -1,6 +1,10 @@
 import { describe, it, expect, beforeEach, afterEach } from 'vitest';
-import { runQuery, getQuery, allQuery, close } from '../src/db/db.js';
+import { runQuery, getQuery, allQuery, close, TASK_SEARCH_SCHEMA, SYNC_CHANGES_SCHEMA } from '../src/db/db.js';
 import { TaskService } from '../src/services/taskService.js';
+import { sync } from '../src/services/syncService.js';
+import { purgeExpiredTasks } from '../src/services/trashService.js';
+import { touchDevice, acknowledgeCursor, revokeDevice } from '../src/services/deviceService.js';
+import { getChanges } from '../src/services/changeFeedService.js';
 import bcrypt from 'bcryptjs';
 import { v4 as uuidv4 } from 'uuid';
 
@@ -19,6 +23,9 @@ describe('TaskService', () => {
         password TEXT NOT NULL,
         reset_token TEXT,
         reset_token_expires TEXT,
+        time_zone TEXT NOT NULL DEFAULT 'UTC',
+        conflict_strategy TEXT,
+        conflict_field_strategies TEXT,
         created_at TEXT DEFAULT CURRENT_TIMESTAMP
       )
     `);
@@ -34,7 +41,15 @@ describe('TaskService', () => {
         is_deleted INTEGER DEFAULT 0,
         sync_status TEXT DEFAULT 'pending',
         server_id TEXT,
-        last_synced_at TEXT
+        last_synced_at TEXT,
+        due_at TEXT,
+        priority TEXT NOT NULL DEFAULT 'none',
+        rrule TEXT,
+        series_id TEXT,
+        parent_id TEXT,
+        project_id TEXT,
+        deleted_at TEXT,
+        hlc TEXT
       )
     `);
     await runQuery(`
@@ -47,9 +62,155 @@ describe('TaskService', () => {
         retry_count INTEGER DEFAULT 0,
         error_message TEXT,
         created_at TEXT,
-        operation_timestamp TEXT
+        operation_timestamp TEXT,
+        entity_type TEXT NOT NULL DEFAULT 'task',
+        hlc TEXT,
+        change_id TEXT,
+        error_history TEXT,
+        next_attempt_at TEXT,
+        locked_by TEXT,
+        locked_until TEXT,
+        source TEXT
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE projects (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        color TEXT,
+        archived INTEGER DEFAULT 0,
+        position INTEGER DEFAULT 0,
+        created_at TEXT,
+        updated_at TEXT,
+        is_deleted INTEGER DEFAULT 0,
+        sync_status TEXT DEFAULT 'pending',
+        server_id TEXT,
+        last_synced_at TEXT
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE shares (
+        id TEXT PRIMARY KEY,
+        resource_type TEXT NOT NULL,
+        resource_id TEXT NOT NULL,
+        invited_by TEXT NOT NULL,
+        user_id TEXT,
+        email TEXT NOT NULL COLLATE NOCASE,
+        role TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        invite_token TEXT UNIQUE,
+        created_at TEXT,
+        accepted_at TEXT,
+        UNIQUE (resource_type, resource_id, email)
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE sync_logs (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        change_count INTEGER,
+        processed INTEGER,
+        failed INTEGER,
+        status TEXT,
+        conflict_strategy TEXT,
+        conflict_field_strategies TEXT,
+        created_at TEXT
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE task_revisions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        task_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        source TEXT NOT NULL,
+        operation TEXT NOT NULL,
+        changes TEXT NOT NULL,
+        snapshot TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE idempotency_keys (
+        user_id TEXT NOT NULL,
+        key TEXT NOT NULL,
+        request_hash TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'processing',
+        status_code INTEGER,
+        response TEXT,
+        created_at TEXT NOT NULL,
+        PRIMARY KEY (user_id, key)
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE sync_change_receipts (
+        user_id TEXT NOT NULL,
+        change_id TEXT NOT NULL,
+        result TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        PRIMARY KEY (user_id, change_id)
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE devices (
+        id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        name TEXT,
+        platform TEXT,
+        last_seen TEXT NOT NULL,
+        last_cursor TEXT,
+        last_seq INTEGER,
+        created_at TEXT NOT NULL,
+        revoked_at TEXT,
+        PRIMARY KEY (user_id, id)
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE sync_conflicts (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        entity_type TEXT NOT NULL DEFAULT 'task',
+        entity_id TEXT NOT NULL,
+        operation TEXT NOT NULL,
+        local_data TEXT NOT NULL,
+        server_data TEXT NOT NULL,
+        change_id TEXT,
+        status TEXT NOT NULL DEFAULT 'open',
+        resolution TEXT,
+        resolved_data TEXT,
+        created_at TEXT NOT NULL,
+        resolved_at TEXT
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE task_descriptions (
+        task_id TEXT PRIMARY KEY,
+        elements TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE tags (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        name TEXT NOT NULL COLLATE NOCASE,
+        created_at TEXT,
+        UNIQUE (user_id, name)
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE task_tags (
+        task_id TEXT NOT NULL,
+        tag_id TEXT NOT NULL,
+        PRIMARY KEY (task_id, tag_id)
       )
     `);
+    for (const sql of TASK_SEARCH_SCHEMA) {
+      await runQuery(sql);
+    }
+    for (const sql of SYNC_CHANGES_SCHEMA) {
+      await runQuery(sql);
+    }
 
     // Create test user
     userId = uuidv4();
@@ -88,6 +249,305 @@ describe('TaskService', () => {
     });
   });
 
+  describe('getAllTasks', () => {
+    it('should paginate with an opaque cursor until exhausted', async () => {
+      for (let i = 0; i < 5; i++) {
+        await taskService.createTask({ title: `Task ${i}`, userId });
+      }
+
+      const seen = [];
+      let cursor;
+      do {
+        const page = await taskService.getAllTasks(userId, { limit: 2, cursor, sort: 'title_asc' });
+        expect(page.tasks.length).toBeLessThanOrEqual(2);
+        seen.push(...page.tasks.map((t) => t.title));
+        cursor = page.next_cursor;
+      } while (cursor);
+
+      expect(seen).toEqual(['Task 0', 'Task 1', 'Task 2', 'Task 3', 'Task 4']);
+    });
+
+    it('should filter by completed and exclude deleted tasks', async () => {
+      const done = await taskService.createTask({ title: 'Done', completed: true, userId });
+      await taskService.createTask({ title: 'Open', userId });
+      const gone = await taskService.createTask({ title: 'Gone', completed: true, userId });
+      await taskService.deleteTask(gone.id, userId);
+
+      const page = await taskService.getAllTasks(userId, { completed: true });
+      expect(page.tasks.map((t) => t.id)).toEqual([done.id]);
+      expect(page.next_cursor).toBeNull();
+    });
+
+    it('should reject a cursor issued for a different sort', async () => {
+      await taskService.createTask({ title: 'A', userId });
+      await taskService.createTask({ title: 'B', userId });
+      const page = await taskService.getAllTasks(userId, { limit: 1, sort: 'title_asc' });
+
+      await expect(
+        taskService.getAllTasks(userId, { cursor: page.next_cursor, sort: 'title_desc' })
+      ).rejects.toThrow('Invalid cursor');
+    });
+
+    it('should compare date bounds as instants whatever their offset', async () => {
+      const early = await taskService.createTask({ title: 'Early', userId });
+      const late = await taskService.createTask({ title: 'Late', userId });
+      await runQuery('UPDATE tasks SET created_at = ? WHERE id = ?', ['2023-12-31T18:30:00.000Z', early.id]);
+      await runQuery('UPDATE tasks SET created_at = ? WHERE id = ?', ['2023-12-31T19:30:00.000Z', late.id]);
+
+      // 2024-01-01T00:00:00+05:00 is 2023-12-31T19:00:00Z
+      const after = await taskService.getAllTasks(userId, { created_after: '2024-01-01T00:00:00+05:00' });
+      expect(after.tasks.map((t) => t.title)).toEqual(['Late']);
+      const before = await taskService.getAllTasks(userId, { created_before: '2024-01-01T00:00:00+05:00' });
+      expect(before.tasks.map((t) => t.title)).toEqual(['Early']);
+    });
+  });
+
+  describe('tags', () => {
+    it('should store tags on create/update and return them on the task', async () => {
+      const task = await taskService.createTask({ title: 'Tagged', tags: ['work', ' Urgent ', 'WORK'], userId });
+      expect(task.tags).toEqual(['Urgent', 'work']);
+
+      const updated = await taskService.updateTask(task.id, { tags: ['home'] }, userId);
+      expect(updated.tags).toEqual(['home']);
+
+      const queue = await allQuery('SELECT * FROM sync_queue WHERE task_id = ? ORDER BY created_at', [task.id]);
+      expect(JSON.parse(queue[1].data).tags).toEqual(['home']);
+    });
+
+    it('should list tags in the same order on write and read', async () => {
+      const task = await taskService.createTask({ title: 'Mixed case', tags: ['beta', 'Gamma', 'alpha'], userId });
+      expect(task.tags).toEqual(['alpha', 'beta', 'Gamma']);
+
+      const fetched = await taskService.getTaskByIdIncludingDeleted(task.id, userId);
+      expect(fetched.tags).toEqual(task.tags);
+    });
+
+    it('should filter tasks by tag with any/all semantics', async () => {
+      const both = await taskService.createTask({ title: 'Both', tags: ['work', 'urgent'], userId });
+      const workOnly = await taskService.createTask({ title: 'Work', tags: ['work'], userId });
+      await taskService.createTask({ title: 'None', userId });
+
+      const any = await taskService.getAllTasks(userId, { tag: 'work,urgent', sort: 'title_asc' });
+      expect(any.tasks.map((t) => t.id)).toEqual([both.id, workOnly.id]);
+
+      const all = await taskService.getAllTasks(userId, { tag: ['work', 'urgent'], tag_mode: 'all' });
+      expect(all.tasks.map((t) => t.id)).toEqual([both.id]);
+    });
+  });
+
+  describe('due dates', () => {
+    it('should compute today/overdue/upcoming in the user time zone', async () => {
+      await runQuery('UPDATE users SET time_zone = ? WHERE id = ?', ['Asia/Kolkata', userId]);
+      // 2025-01-10T20:00Z is already 01:30 on Jan 11 in Kolkata
+      const now = new Date('2025-01-10T20:00:00Z');
+
+      const overdue = await taskService.createTask({ title: 'Overdue', due_at: '2025-01-11T00:30:00+05:30', userId });
+      const today = await taskService.createTask({ title: 'Today', due_at: '2025-01-11T18:00:00+05:30', priority: 'low', userId });
+      const urgent = await taskService.createTask({ title: 'Urgent', due_at: '2025-01-11T12:30:00Z', priority: 'urgent', userId });
+      const later = await taskService.createTask({ title: 'Later', due_at: '2025-01-13T09:00:00+05:30', userId });
+      await taskService.createTask({ title: 'Too far', due_at: '2025-02-20T09:00:00+05:30', userId });
+
+      const todayView = await taskService.getTasksDueToday(userId, now);
+      expect(todayView.time_zone).toBe('Asia/Kolkata');
+      expect(todayView.from).toBe('2025-01-10T18:30:00.000Z');
+      expect(todayView.tasks.map((t) => t.id)).toEqual([overdue.id, urgent.id, today.id]);
+
+      const overdueView = await taskService.getOverdueTasks(userId, now);
+      expect(overdueView.tasks.map((t) => t.id)).toEqual([overdue.id]);
+
+      const upcoming = await taskService.getUpcomingTasks(userId, { days: 7, now });
+      expect(upcoming.tasks.map((t) => t.id)).toEqual([later.id]);
+    });
+
+    it('should normalise due_at to UTC and reject unknown priorities', async () => {
+      const task = await taskService.createTask({ title: 'Due', due_at: '2025-01-11T10:00:00+02:00', userId });
+      expect(task.due_at).toBe('2025-01-11T08:00:00.000Z');
+      expect(task.priority).toBe('none');
+
+      await expect(taskService.updateTask(task.id, { priority: 'critical' }, userId)).rejects.toThrow('Invalid priority');
+      const cleared = await taskService.updateTask(task.id, { due_at: null, priority: 'high' }, userId);
+      expect(cleared.due_at).toBeNull();
+      expect(cleared.priority).toBe('high');
+    });
+  });
+
+  describe('recurring tasks', () => {
+    it('should create and enqueue the next occurrence when completed', async () => {
+      const task = await taskService.createTask({
+        title: 'Standup', due_at: '2025-01-06T09:00:00Z', rrule: 'FREQ=WEEKLY;BYDAY=MO,WE', userId,
+      });
+      expect(task.series_id).toBe(task.id);
+
+      const done = await taskService.updateTask(task.id, { completed: true }, userId);
+      const next = done.next_occurrence;
+      expect(next.due_at).toBe('2025-01-08T09:00:00.000Z');
+      expect(next.series_id).toBe(task.id);
+      expect(next.completed).toBe(0);
+
+      const queue = await allQuery('SELECT * FROM sync_queue WHERE task_id = ?', [next.id]);
+      expect(queue.map((q) => q.operation)).toEqual(['create']);
+    });
+
+    it('should stop generating occurrences once COUNT is exhausted', async () => {
+      const task = await taskService.createTask({
+        title: 'Twice', due_at: '2025-01-06T09:00:00Z', rrule: 'FREQ=DAILY;COUNT=2', userId,
+      });
+      const { next_occurrence: second } = await taskService.updateTask(task.id, { completed: true }, userId);
+      expect(second.rrule).toBe('FREQ=DAILY;COUNT=1');
+
+      const last = await taskService.updateTask(second.id, { completed: true }, userId);
+      expect(last.next_occurrence).toBeNull();
+    });
+
+    it('should not fork the series when an occurrence is completed again', async () => {
+      const task = await taskService.createTask({
+        title: 'Water plants', due_at: '2025-01-06T09:00:00Z', rrule: 'FREQ=DAILY', userId,
+      });
+      const { next_occurrence: next } = await taskService.updateTask(task.id, { completed: true }, userId);
+      await taskService.updateTask(task.id, { completed: false }, userId);
+      const again = await taskService.updateTask(task.id, { completed: true }, userId);
+
+      expect(again.next_occurrence.id).toBe(next.id);
+      const series = await allQuery('SELECT id FROM tasks WHERE series_id = ?', [task.id]);
+      expect(series).toHaveLength(2);
+    });
+
+    it('should preview occurrences and edit this occurrence or the whole series', async () => {
+      const task = await taskService.createTask({
+        title: 'Report', due_at: '2025-01-31T09:00:00Z', rrule: 'FREQ=MONTHLY;BYMONTHDAY=-1', userId,
+      });
+      const preview = await taskService.getTaskOccurrences(task.id, userId, 2);
+      expect(preview.occurrences).toEqual(['2025-02-28T09:00:00.000Z', '2025-03-31T09:00:00.000Z']);
+
+      const { next_occurrence: next } = await taskService.updateTask(task.id, { completed: true }, userId);
+      const other = await taskService.createTask({
+        title: 'Report', due_at: '2025-03-31T09:00:00Z', rrule: 'FREQ=MONTHLY;BYMONTHDAY=-1', series_id: task.id, userId,
+      });
+
+      await taskService.updateTask(next.id, { title: 'Just this one' }, userId);
+      expect((await getQuery('SELECT title FROM tasks WHERE id = ?', [other.id])).title).toBe('Report');
+
+      await taskService.updateTask(next.id, { title: 'Monthly report' }, userId, { scope: 'series' });
+      const sibling = await getQuery('SELECT * FROM tasks WHERE id = ?', [other.id]);
+      const original = await getQuery('SELECT * FROM tasks WHERE id = ?', [task.id]);
+      expect(sibling.title).toBe('Monthly report');
+      expect(original.title).toBe('Report'); // completed occurrences keep their history
+    });
+
+    it('should reject malformed rules', async () => {
+      await expect(
+        taskService.createTask({ title: 'Bad', rrule: 'FREQ=HOURLY', userId })
+      ).rejects.toThrow('Invalid rrule');
+    });
+  });
+
+  describe('subtasks', () => {
+    it('should roll completion up to the parent and list children', async () => {
+      const parent = await taskService.createTask({ title: 'Move house', userId });
+      const pack = await taskService.createTask({ title: 'Pack', parent_id: parent.id, userId });
+      await taskService.createTask({ title: 'Books', parent_id: pack.id, completed: true, userId });
+      await taskService.createTask({ title: 'Book van', parent_id: parent.id, userId });
+
+      const children = await taskService.getTaskChildren(parent.id, userId);
+      expect(children.map((c) => c.title)).toEqual(['Pack', 'Book van']);
+      expect(children[0].completion_percentage).toBe(100);
+
+      const withProgress = await taskService.updateTask(pack.id, { completed: true }, userId);
+      expect(withProgress.subtask_count).toBe(1);
+      const rolledUp = await taskService.getAllTasks(userId, { view: 'tree' });
+      expect(rolledUp.tasks.length).toBe(1);
+      expect(rolledUp.tasks[0].subtask_count).toBe(3);
+      expect(rolledUp.tasks[0].completion_percentage).toBe(67);
+      expect(rolledUp.tasks[0].children[0].children[0].title).toBe('Books');
+    });
+
+    it('should prevent cycles and enforce the maximum depth', async () => {
+      const root = await taskService.createTask({ title: 'Root', userId });
+      let leaf = root;
+      for (let depth = 2; depth <= 5; depth++) {
+        leaf = await taskService.createTask({ title: `Level ${depth}`, parent_id: leaf.id, userId });
+      }
+
+      await expect(
+        taskService.createTask({ title: 'Too deep', parent_id: leaf.id, userId })
+      ).rejects.toThrow('more than 5 levels');
+      await expect(
+        taskService.updateTask(root.id, { parent_id: leaf.id }, userId)
+      ).rejects.toThrow('cannot be moved under itself');
+    });
+
+    it('should stop walking a parent cycle that is already stored', async () => {
+      const a = await taskService.createTask({ title: 'A', userId });
+      const b = await taskService.createTask({ title: 'B', parent_id: a.id, userId });
+      await runQuery('UPDATE tasks SET parent_id = ? WHERE id = ?', [b.id, a.id]);
+
+      const children = await taskService.getTaskChildren(a.id, userId);
+      expect(children.map((c) => c.title)).toEqual(['B']);
+      await expect(
+        taskService.createTask({ title: 'C', parent_id: a.id, userId })
+      ).rejects.toThrow('more than 5 levels');
+    });
+
+    it('should cascade soft deletes and enqueue one delete per task', async () => {
+      const parent = await taskService.createTask({ title: 'Parent', userId });
+      const child = await taskService.createTask({ title: 'Child', parent_id: parent.id, userId });
+      const grandchild = await taskService.createTask({ title: 'Grandchild', parent_id: child.id, userId });
+
+      await taskService.deleteTask(parent.id, userId);
+
+      const rows = await allQuery('SELECT id, is_deleted FROM tasks WHERE user_id = ?', [userId]);
+      expect(rows.every((r) => r.is_deleted === 1)).toBe(true);
+      const deletes = await allQuery("SELECT task_id FROM sync_queue WHERE operation = 'delete'");
+      expect(deletes.map((d) => d.task_id).sort()).toEqual([parent.id, child.id, grandchild.id].sort());
+    });
+  });
+
+  describe('searchTasks', () => {
+    it('should match prefixes and phrases, ranking title hits first', async () => {
+      const titleHit = await taskService.createTask({ title: 'Weekly report', description: 'Send to team', userId });
+      const descHit = await taskService.createTask({ title: 'Friday', description: 'Draft the weekly report', userId });
+      await taskService.createTask({ title: 'Report weekly numbers', userId });
+
+      const prefix = await taskService.searchTasks(userId, 'week*');
+      expect(prefix.length).toBe(3);
+
+      const phrase = await taskService.searchTasks(userId, '"weekly report"');
+      expect(phrase.map((t) => t.id)).toEqual([titleHit.id, descHit.id]);
+      expect(phrase[0].title_highlight).toBe('<mark>Weekly report</mark>');
+      expect(phrase[1].description_snippet).toBe('Draft the <mark>weekly report</mark>');
+    });
+
+    it('should exclude deleted tasks and reflect updates', async () => {
+      const task = await taskService.createTask({ title: 'Groceries', userId });
+      const removed = await taskService.createTask({ title: 'Groceries old', userId });
+      await taskService.deleteTask(removed.id, userId);
+      await taskService.updateTask(task.id, { title: 'Pharmacy' }, userId);
+
+      expect(await taskService.searchTasks(userId, 'groceries')).toEqual([]);
+      const results = await taskService.searchTasks(userId, 'pharmacy');
+      expect(results.map((t) => t.id)).toEqual([task.id]);
+    });
+
+    it('should neutralise FTS operators in user input', async () => {
+      await taskService.createTask({ title: 'Call mom', userId });
+      const results = await taskService.searchTasks(userId, 'call) OR (NEAR');
+      expect(results).toEqual([]);
+      expect(await taskService.searchTasks(userId, '*()')).toEqual([]);
+    });
+
+    it('should keep finding tasks when their rowids change', async () => {
+      const first = await taskService.createTask({ title: 'Renew passport', userId });
+      const second = await taskService.createTask({ title: 'Book flights', userId });
+      // What VACUUM may do to a table with a TEXT primary key
+      await runQuery('UPDATE tasks SET rowid = rowid + 100');
+
+      expect((await taskService.searchTasks(userId, 'passport')).map((t) => t.id)).toEqual([first.id]);
+      await taskService.updateTask(second.id, { title: 'Book trains' }, userId);
+      expect((await taskService.searchTasks(userId, 'trains')).map((t) => t.id)).toEqual([second.id]);
+      expect(await taskService.searchTasks(userId, 'flights')).toEqual([]);
+    });
+  });
+
   describe('updateTask', () => {
     it('should update an existing task', async () => {
       const task = await taskService.createTask({ title: 'Original Title', userId });
@@ -132,6 +592,131 @@ describe('TaskService', () => {
     });
   });
 
+  describe('history', () => {
+    it('should record field changes and restore an earlier revision', async () => {
+      const task = await taskService.createTask({ title: 'Draft', tags: ['work'], userId });
+      await taskService.updateTask(task.id, { title: 'Final', tags: ['work', 'urgent'] }, userId);
+      await taskService.updateTask(task.id, { title: 'Final' }, userId);
+
+      const history = await taskService.getTaskHistory(task.id, userId);
+      expect(history.map((r) => r.operation)).toEqual(['update', 'create']);
+      const [update, create] = history;
+      expect(update.changes).toEqual({
+        title: { old: 'Draft', new: 'Final' },
+        tags: { old: ['work'], new: ['urgent', 'work'] },
+      });
+      expect(update).toMatchObject({ user_id: userId, source: 'rest', username: 'testuser' });
+
+      const restored = await taskService.restoreTaskRevision(task.id, create.id, userId);
+      expect(restored.title).toBe('Draft');
+      expect(restored.tags).toEqual(['work']);
+      const [latest] = await taskService.getTaskHistory(task.id, userId, { limit: 1 });
+      expect(latest.source).toBe('restore');
+      expect(latest.changes.title).toEqual({ old: 'Final', new: 'Draft' });
+
+      const queued = await allQuery(
+        "SELECT data FROM sync_queue WHERE task_id = ? AND operation = 'update' ORDER BY operation_timestamp DESC",
+        [task.id]
+      );
+      expect(JSON.parse(queued[0].data).title).toBe('Draft');
+    });
+
+    it('should record sync changes and keep history after delete', async () => {
+      const task = await taskService.createTask({ title: 'Synced', userId });
+      await sync([
+        { operation: 'update', server_id: task.id, data: { title: 'Synced from phone', updated_at: '2099-01-01T00:00:00Z' } },
+      ], null, userId);
+      await taskService.deleteTask(task.id, userId);
+
+      const history = await taskService.getTaskHistory(task.id, userId);
+      expect(history.map((r) => `${r.operation}:${r.source}`)).toEqual(['delete:rest', 'update:sync', 'create:rest']);
+      await expect(taskService.restoreTaskRevision(task.id, 999, userId)).resolves.toBeNull();
+    });
+
+    it('should reject a revision from another task', async () => {
+      const a = await taskService.createTask({ title: 'A', userId });
+      const b = await taskService.createTask({ title: 'B', userId });
+      const [revision] = await taskService.getTaskHistory(b.id, userId);
+      await expect(taskService.restoreTaskRevision(a.id, revision.id, userId)).rejects.toMatchObject({ status: 400 });
+    });
+  });
+
+  describe('trash', () => {
+    it('should list deleted tasks and restore a task with its subtasks', async () => {
+      const parent = await taskService.createTask({ title: 'Parent', userId });
+      const child = await taskService.createTask({ title: 'Child', parent_id: parent.id, userId });
+      await taskService.deleteTask(parent.id, userId);
+
+      const trash = await taskService.getTrash(userId);
+      expect(trash.tasks.map((t) => t.title).sort()).toEqual(['Child', 'Parent']);
+      expect(trash.tasks[0].purge_after > trash.tasks[0].deleted_at).toBe(true);
+      await expect(taskService.undeleteTask(child.id, userId)).rejects.toMatchObject({ status: 400 });
+
+      const restored = await taskService.undeleteTask(parent.id, userId);
+      expect(restored.is_deleted).toBe(0);
+      expect(restored.subtask_count).toBe(1);
+      expect((await taskService.getTrash(userId)).tasks).toEqual([]);
+
+      const [revision] = await taskService.getTaskHistory(parent.id, userId, { limit: 1 });
+      expect(revision.operation).toBe('undelete');
+      const queued = await allQuery(
+        "SELECT data FROM sync_queue WHERE task_id = ? AND operation = 'update'",
+        [child.id]
+      );
+      expect(JSON.parse(queued[0].data).is_deleted).toBe(0);
+    });
+
+    it('should permanently delete a task and its subtasks', async () => {
+      const parent = await taskService.createTask({ title: 'Parent', tags: ['x'], userId });
+      await taskService.createTask({ title: 'Child', parent_id: parent.id, userId });
+
+      expect(await taskService.purgeTask(parent.id, userId)).toBe(true);
+      expect(await allQuery('SELECT id FROM tasks')).toEqual([]);
+      expect(await allQuery('SELECT * FROM task_tags')).toEqual([]);
+      expect(await allQuery('SELECT * FROM sync_queue')).toEqual([]);
+      expect((await taskService.getTaskHistory(parent.id, userId))).toBeNull();
+    });
+
+    it('should purge old tombstones only once the owner has synced past them', async () => {
+      const task = await taskService.createTask({ title: 'Old', userId });
+      await taskService.deleteTask(task.id, userId);
+      await runQuery('UPDATE tasks SET deleted_at = ? WHERE id = ?', ['2025-01-10T00:00:00.000Z', task.id]);
+      await runQuery(
+        "INSERT INTO sync_logs (id, user_id, change_count, processed, failed, status, created_at) VALUES (?, ?, 0, 0, 0, 'completed', ?)",
+        [uuidv4(), userId, '2025-01-05T00:00:00.000Z']
+      );
+      const now = new Date('2025-03-01T00:00:00.000Z');
+
+      expect(await purgeExpiredTasks({ now, retentionDays: 30 })).toMatchObject({ purged: 0, skipped: 1 });
+
+      await runQuery(
+        "INSERT INTO sync_logs (id, user_id, change_count, processed, failed, status, created_at) VALUES (?, ?, 0, 0, 0, 'completed', ?)",
+        [uuidv4(), userId, '2025-01-11T00:00:00.000Z']
+      );
+      expect(await purgeExpiredTasks({ now, retentionDays: 90 })).toMatchObject({ purged: 0, skipped: 0 });
+      expect(await purgeExpiredTasks({ now, retentionDays: 30 })).toMatchObject({ purged: 1, skipped: 0 });
+      expect(await getQuery('SELECT id FROM tasks WHERE id = ?', [task.id])).toBeUndefined();
+    });
+
+    it('should wait for every registered device to pull a tombstone before purging it', async () => {
+      await touchDevice(userId, 'phone');
+      await touchDevice(userId, 'laptop');
+      const task = await taskService.createTask({ title: 'Old', userId });
+      await taskService.deleteTask(task.id, userId);
+      await runQuery('UPDATE tasks SET deleted_at = ? WHERE id = ?', ['2025-01-10T00:00:00.000Z', task.id]);
+      const now = new Date('2025-03-01T00:00:00.000Z');
+
+      // The phone pulled the deletion, the laptop never synced
+      const { next_cursor } = await getChanges(userId);
+      await acknowledgeCursor(userId, 'phone', next_cursor);
+      expect(await purgeExpiredTasks({ now, retentionDays: 30 })).toMatchObject({ purged: 0, skipped: 1 });
+
+      // A revoked device no longer holds it back
+      await revokeDevice(userId, 'laptop');
+      expect(await purgeExpiredTasks({ now, retentionDays: 30 })).toMatchObject({ purged: 1, skipped: 0 });
+    });
+  });
+
   describe('getTaskByIdIncludingDeleted', () => {
     it('should return task including deleted ones', async () => {
       const task = await taskService.createTask({ title: 'Task', userId });
@@ -25,6 +25,7 @@ describe('User Authentication Routes', () => {
         password TEXT NOT NULL,
         reset_token TEXT,
         reset_token_expires TEXT,
+        time_zone TEXT NOT NULL DEFAULT 'UTC',
         is_deleted INTEGER NOT NULL DEFAULT 0,
         created_at TEXT DEFAULT CURRENT_TIMESTAMP
       )
@@ -156,6 +157,24 @@ describe('User Authentication Routes', () => {
       expect(response.body.user).toBeDefined();
     });
 
+    it('should update and validate the user time zone', async () => {
+      const response = await request(app)
+        .post(`/api/auth/updateUser/${testUserId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ time_zone: 'Asia/Kolkata' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.user.time_zone).toBe('Asia/Kolkata');
+
+      const invalid = await request(app)
+        .post(`/api/auth/updateUser/${testUserId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ time_zone: 'Mars/Olympus_Mons' });
+
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.error).toContain('Invalid time zone');
+    });
+
     it('should fail to update user without authentication', async () => {
       const response = await request(app)
         .post(`/api/auth/updateUser/${testUserId}`)